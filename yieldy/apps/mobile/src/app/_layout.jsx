@@ -1,5 +1,6 @@
 
 import { useAuth } from '@/utils/auth/useAuth';
+import { usePushNotifications } from '@/utils/usePushNotifications';
 import { Stack } from 'expo-router';
 import * as SplashScreen from 'expo-splash-screen';
 import { useEffect } from 'react';
@@ -19,7 +20,8 @@ const queryClient = new QueryClient({
 });
 
 export default function RootLayout() {
-  const { initiate, isReady } = useAuth();
+  const { initiate, isReady, isAuthenticated } = useAuth();
+  usePushNotifications(isAuthenticated);
 
   useEffect(() => {
     initiate();
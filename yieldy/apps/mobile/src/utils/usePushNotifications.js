@@ -0,0 +1,68 @@
+import { useEffect } from 'react';
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import * as Device from 'expo-device';
+import * as Notifications from 'expo-notifications';
+import * as WebBrowser from 'expo-web-browser';
+
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+async function getPushToken() {
+  if (!Device.isDevice) return null;
+
+  const { status: existing } = await Notifications.getPermissionsAsync();
+  const { status } = existing === 'granted' ? { status: existing } : await Notifications.requestPermissionsAsync();
+  if (status !== 'granted') return null;
+
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync('default', {
+      name: 'default',
+      importance: Notifications.AndroidImportance.HIGH,
+    });
+  }
+
+  const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+  const { data } = await Notifications.getExpoPushTokenAsync(projectId ? { projectId } : undefined);
+  return data;
+}
+
+/**
+ * Register this device for the signed-in wallet's push notifications, and
+ * open the web app when an agent signature request is tapped (signing
+ * happens in the wallet there)
+ */
+export function usePushNotifications(isAuthenticated) {
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    getPushToken()
+      .then((token) => {
+        if (!token) return;
+        return fetch('/api/user/push-tokens', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token, platform: Platform.OS }),
+        });
+      })
+      .catch((error) => console.warn('Push registration failed:', error.message));
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    const subscription = Notifications.addNotificationResponseReceivedListener((response) => {
+      const data = response.notification.request.content.data;
+      if (data?.type === 'agent_signature_request' && process.env.EXPO_PUBLIC_BASE_URL) {
+        WebBrowser.openBrowserAsync(process.env.EXPO_PUBLIC_BASE_URL);
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+}
+
+export default usePushNotifications;
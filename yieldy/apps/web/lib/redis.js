@@ -92,6 +92,31 @@ class MemoryStore {
     return newValue;
   }
 
+  async incrbyfloat(key, increment) {
+    const current = (await this.get(key)) || 0;
+    const newValue = Number(current) + Number(increment);
+    await this.set(key, newValue);
+    return newValue;
+  }
+
+  async lpush(key, ...values) {
+    const list = this.store.get(key) || [];
+    list.unshift(...values.reverse());
+    this.store.set(key, list);
+    return list.length;
+  }
+
+  async lrange(key, start, stop) {
+    const list = (await this.get(key)) || [];
+    return list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1);
+  }
+
+  async ltrim(key, start, stop) {
+    const list = await this.lrange(key, start, stop);
+    this.store.set(key, list);
+    return 'OK';
+  }
+
   async expire(key, seconds) {
     if (!this.store.has(key)) return 0;
     this.ttls.set(key, Date.now() + (seconds * 1000));
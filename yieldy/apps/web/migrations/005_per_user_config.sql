@@ -0,0 +1,34 @@
+-- Per-User Agent Configuration
+-- Keys agent_config (limits, tier, AUM, auto-invest) by wallet address
+-- instead of sharing a single global row across every wallet
+
+-- ============================================================================
+-- 1. Owner column on agent_config
+-- ============================================================================
+ALTER TABLE agent_config
+ADD COLUMN IF NOT EXISTS user_address TEXT;
+
+-- Addresses are stored lowercased, so a plain unique index is enough
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_config_user
+  ON agent_config(user_address)
+  WHERE user_address IS NOT NULL;
+
+COMMENT ON COLUMN agent_config.user_address IS 'Lowercased wallet address that owns this configuration';
+
+-- ============================================================================
+-- 2. Legacy global row
+-- ============================================================================
+-- The pre-existing global row is left with user_address = NULL.
+-- It is claimed by the wallet named in LEGACY_CONFIG_OWNER the first time
+-- that wallet loads its configuration (see utils/userConfig.js).
+-- Older duplicate rows are no longer read by any route.
+
+-- ============================================================================
+-- 3. Scan logs per user (scheduler due-checks are per wallet)
+-- ============================================================================
+ALTER TABLE scan_logs
+ADD COLUMN IF NOT EXISTS user_address TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_scan_logs_user_date
+  ON scan_logs(user_address, scan_completed_at DESC);
+
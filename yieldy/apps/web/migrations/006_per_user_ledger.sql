@@ -0,0 +1,40 @@
+-- Per-User Fund Ledger and Investment Ownership
+-- Ties every ledger entry and investment to a wallet so available-funds
+-- math, performance KPIs and position lists are scoped to their owner
+
+-- ============================================================================
+-- 1. Owner column on the fund ledger
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS agent_fund_transactions (
+  id SERIAL PRIMARY KEY,
+  amount NUMERIC(20,2) NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('deposit','withdrawal','adjustment')),
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE agent_fund_transactions
+ADD COLUMN IF NOT EXISTS user_address TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_fund_tx_user_date
+  ON agent_fund_transactions(user_address, created_at DESC);
+
+COMMENT ON COLUMN agent_fund_transactions.user_address IS 'Lowercased wallet address whose balance this entry moves';
+
+-- ============================================================================
+-- 2. Owner column on investments
+-- ============================================================================
+ALTER TABLE investments
+ADD COLUMN IF NOT EXISTS user_address TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_investments_user_status
+  ON investments(user_address, status, invested_at DESC);
+
+COMMENT ON COLUMN investments.user_address IS 'Lowercased wallet address that owns this position';
+
+-- ============================================================================
+-- 3. Legacy rows
+-- ============================================================================
+-- Rows written before this migration keep user_address = NULL and are not
+-- counted toward any wallet. They are attributed to LEGACY_CONFIG_OWNER when
+-- that wallet claims the legacy agent_config row (see utils/userConfig.js).
@@ -0,0 +1,36 @@
+-- Investment Receipt Reconciliation
+-- Tracks what the reconciler learns about each submitted transaction so
+-- pending investments resolve to confirmed, failed or replaced
+
+-- ============================================================================
+-- 1. Transaction identity (for replacement detection)
+-- ============================================================================
+ALTER TABLE investments
+ADD COLUMN IF NOT EXISTS tx_from TEXT,
+ADD COLUMN IF NOT EXISTS tx_nonce INTEGER;
+
+-- ============================================================================
+-- 2. Receipt outcome and gas actually paid
+-- ============================================================================
+ALTER TABLE investments
+ADD COLUMN IF NOT EXISTS confirmed_block BIGINT,
+ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS gas_used NUMERIC(30,0),
+ADD COLUMN IF NOT EXISTS effective_gas_price NUMERIC(30,0),
+ADD COLUMN IF NOT EXISTS gas_paid_wei NUMERIC(40,0),
+ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+COMMENT ON COLUMN investments.gas_paid_wei IS 'gasUsed * effectiveGasPrice from the mined receipt';
+COMMENT ON COLUMN investments.failure_reason IS 'Why a transaction was marked failed or replaced';
+
+-- ============================================================================
+-- 3. Reconciler bookkeeping
+-- ============================================================================
+ALTER TABLE investments
+ADD COLUMN IF NOT EXISTS reconcile_attempts INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_reconciled_at TIMESTAMP;
+
+-- Oldest-checked pending rows first
+CREATE INDEX IF NOT EXISTS idx_investments_pending_reconcile
+  ON investments(last_reconciled_at NULLS FIRST)
+  WHERE status = 'pending';
@@ -0,0 +1,50 @@
+-- Protocol Registry
+-- Data-driven list of protocols/vaults the agent may scan and invest in.
+-- ERC-4626 vaults can be onboarded by inserting a row (or via
+-- POST /api/protocols/registry) without a code change.
+
+-- ============================================================================
+-- 1. Registry table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS protocol_registry (
+  id SERIAL PRIMARY KEY,
+  protocol_key TEXT NOT NULL,
+  blockchain TEXT NOT NULL,
+  display_name TEXT NOT NULL,
+  adapter_type TEXT NOT NULL DEFAULT 'erc4626'
+    CHECK (adapter_type IN ('aave_v3', 'compound_v3', 'erc4626', 'spark_savings')),
+  vault_address TEXT,
+  asset_address TEXT,
+  asset_symbol TEXT,
+  asset_decimals INTEGER,
+  apy_window_days INTEGER DEFAULT 7,
+  is_active BOOLEAN DEFAULT true,
+  is_whitelisted BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (protocol_key, blockchain)
+);
+
+CREATE INDEX IF NOT EXISTS idx_protocol_registry_active
+  ON protocol_registry(blockchain, is_active);
+
+COMMENT ON COLUMN protocol_registry.protocol_key IS 'Lowercase key used by getProtocolAdapter and stored as protocol_name';
+COMMENT ON COLUMN protocol_registry.is_active IS 'Included in scans and fetchAllProtocolData';
+COMMENT ON COLUMN protocol_registry.is_whitelisted IS 'Allowed by SafetyController.checkProtocolWhitelist';
+
+-- ============================================================================
+-- 2. Seed built-in protocols (mirrors DEFAULT_REGISTRY in protocols/registry.js)
+-- ============================================================================
+INSERT INTO protocol_registry
+  (protocol_key, blockchain, display_name, adapter_type, vault_address, asset_address, asset_symbol, asset_decimals, is_active)
+VALUES
+  ('aave', 'ethereum', 'Aave V3', 'aave_v3', NULL, '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', 'USDC', 6, true),
+  ('aave', 'base', 'Aave V3', 'aave_v3', NULL, '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', 'USDC', 6, true),
+  ('compound', 'ethereum', 'Compound V3', 'compound_v3', NULL, '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', 'USDC', 6, true),
+  ('compound', 'base', 'Compound V3', 'compound_v3', NULL, '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', 'USDC', 6, true),
+  ('morpho', 'ethereum', 'Steakhouse USDC', 'erc4626', '0xBEEF01735c132Ada46AA9aA4c54623cAA92A64CB', '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', 'USDC', 6, true),
+  ('morpho', 'base', 'Steakhouse USDC', 'erc4626', '0xbeeF010f9cb27031ad51e3333f9aF9C6B1228183', '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', 'USDC', 6, true),
+  ('spark', 'ethereum', 'Spark sUSDS', 'spark_savings', '0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD', '0xdC035D45d973E3EC169d2276DDab16f1e407384F', 'USDS', 18, true),
+  ('spark_sdai', 'ethereum', 'Spark sDAI', 'spark_savings', '0x83F20F44975D03b1b09e64809B757c47f942BEeA', '0x6B175474E89094C44Da98b954EedeAC495271d0F', 'DAI', 18, false),
+  ('yearn', 'ethereum', 'Yearn USDC-1', 'erc4626', '0xBe53A109B494E5c9f97b9Cd39Fe969BE68BF6204', '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', 'USDC', 6, true)
+ON CONFLICT (protocol_key, blockchain) DO NOTHING;
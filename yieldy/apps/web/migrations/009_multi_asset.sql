@@ -0,0 +1,44 @@
+-- Multi-Asset Markets
+-- Protocols are registered once per asset (Aave USDC, Aave WETH, ...) and
+-- opportunities are stored per asset, since Aave reserves share one pool address.
+
+-- ============================================================================
+-- 1. One registry row per protocol, chain and asset
+-- ============================================================================
+ALTER TABLE protocol_registry
+DROP CONSTRAINT IF EXISTS protocol_registry_protocol_key_blockchain_key;
+
+ALTER TABLE protocol_registry
+DROP CONSTRAINT IF EXISTS protocol_registry_protocol_key_blockchain_asset_symbol_key;
+
+ALTER TABLE protocol_registry
+ADD CONSTRAINT protocol_registry_protocol_key_blockchain_asset_symbol_key
+  UNIQUE (protocol_key, blockchain, asset_symbol);
+
+COMMENT ON COLUMN protocol_registry.asset_symbol IS 'Token registry symbol (protocols/tokens.js); selects the Aave reserve or Compound market';
+
+-- ============================================================================
+-- 2. Seed additional lending markets (mirrors DEFAULT_REGISTRY in protocols/registry.js)
+-- ============================================================================
+INSERT INTO protocol_registry
+  (protocol_key, blockchain, display_name, adapter_type, vault_address, asset_address, asset_symbol, asset_decimals, is_active)
+VALUES
+  ('aave', 'ethereum', 'Aave V3', 'aave_v3', NULL, '0xdAC17F958D2ee523a2206206994597C13D831ec7', 'USDT', 6, true),
+  ('aave', 'ethereum', 'Aave V3', 'aave_v3', NULL, '0x6B175474E89094C44Da98b954EedeAC495271d0F', 'DAI', 18, true),
+  ('aave', 'ethereum', 'Aave V3', 'aave_v3', NULL, '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', 'WETH', 18, true),
+  ('aave', 'base', 'Aave V3', 'aave_v3', NULL, '0x4200000000000000000000000000000000000006', 'WETH', 18, true),
+  ('compound', 'ethereum', 'Compound V3', 'compound_v3', NULL, '0xdAC17F958D2ee523a2206206994597C13D831ec7', 'USDT', 6, true),
+  ('compound', 'ethereum', 'Compound V3', 'compound_v3', NULL, '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', 'WETH', 18, true),
+  ('compound', 'base', 'Compound V3', 'compound_v3', NULL, '0x4200000000000000000000000000000000000006', 'WETH', 18, true)
+ON CONFLICT (protocol_key, blockchain, asset_symbol) DO NOTHING;
+
+-- ============================================================================
+-- 3. Opportunities are unique per pool, chain and asset
+-- ============================================================================
+DROP INDEX IF EXISTS idx_opportunities_unique_pool;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_opportunities_unique_pool_asset
+  ON cultiv8_opportunities(pool_address, blockchain, token_symbol);
+
+CREATE INDEX IF NOT EXISTS idx_opportunities_asset
+  ON cultiv8_opportunities(blockchain, token_symbol, is_active);
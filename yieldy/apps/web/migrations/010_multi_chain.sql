@@ -0,0 +1,53 @@
+-- Multi-Chain Support
+-- Opens opportunities to every network in the chain registry
+-- (protocols/chains.js) and seeds the Aave V3 / Compound V3 markets on
+-- Arbitrum, Optimism and Polygon.
+
+-- ============================================================================
+-- 1. Allow the new chains on opportunities
+-- ============================================================================
+-- 002 created the check inline, so its name depends on which table was renamed
+DO $$
+DECLARE
+  constraint_name TEXT;
+BEGIN
+  FOR constraint_name IN
+    SELECT con.conname
+    FROM pg_constraint con
+    JOIN pg_class rel ON rel.oid = con.conrelid
+    WHERE rel.relname = 'cultiv8_opportunities'
+      AND con.contype = 'c'
+      AND pg_get_constraintdef(con.oid) LIKE '%blockchain%'
+  LOOP
+    EXECUTE format('ALTER TABLE cultiv8_opportunities DROP CONSTRAINT %I', constraint_name);
+  END LOOP;
+END
+$$;
+
+ALTER TABLE cultiv8_opportunities
+ADD CONSTRAINT cultiv8_opportunities_blockchain_check
+  CHECK (blockchain IN ('ethereum', 'base', 'arbitrum', 'optimism', 'polygon'));
+
+-- ============================================================================
+-- 2. Seed lending markets on the new chains (mirrors DEFAULT_REGISTRY in protocols/registry.js)
+-- ============================================================================
+INSERT INTO protocol_registry
+  (protocol_key, blockchain, display_name, adapter_type, vault_address, asset_address, asset_symbol, asset_decimals, is_active)
+VALUES
+  ('aave', 'arbitrum', 'Aave V3', 'aave_v3', NULL, '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', 'USDC', 6, true),
+  ('aave', 'arbitrum', 'Aave V3', 'aave_v3', NULL, '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', 'USDT', 6, true),
+  ('aave', 'arbitrum', 'Aave V3', 'aave_v3', NULL, '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', 'WETH', 18, true),
+  ('aave', 'optimism', 'Aave V3', 'aave_v3', NULL, '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', 'USDC', 6, true),
+  ('aave', 'optimism', 'Aave V3', 'aave_v3', NULL, '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58', 'USDT', 6, true),
+  ('aave', 'optimism', 'Aave V3', 'aave_v3', NULL, '0x4200000000000000000000000000000000000006', 'WETH', 18, true),
+  ('aave', 'polygon', 'Aave V3', 'aave_v3', NULL, '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', 'USDC', 6, true),
+  ('aave', 'polygon', 'Aave V3', 'aave_v3', NULL, '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', 'USDT', 6, true),
+  ('aave', 'polygon', 'Aave V3', 'aave_v3', NULL, '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', 'WETH', 18, true),
+  ('compound', 'arbitrum', 'Compound V3', 'compound_v3', NULL, '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', 'USDC', 6, true),
+  ('compound', 'arbitrum', 'Compound V3', 'compound_v3', NULL, '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', 'USDT', 6, true),
+  ('compound', 'arbitrum', 'Compound V3', 'compound_v3', NULL, '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', 'WETH', 18, true),
+  ('compound', 'optimism', 'Compound V3', 'compound_v3', NULL, '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', 'USDC', 6, true),
+  ('compound', 'optimism', 'Compound V3', 'compound_v3', NULL, '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58', 'USDT', 6, true),
+  ('compound', 'optimism', 'Compound V3', 'compound_v3', NULL, '0x4200000000000000000000000000000000000006', 'WETH', 18, true),
+  ('compound', 'polygon', 'Compound V3', 'compound_v3', NULL, '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', 'USDT', 6, true)
+ON CONFLICT (protocol_key, blockchain, asset_symbol) DO NOTHING;
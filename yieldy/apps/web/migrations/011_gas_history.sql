@@ -0,0 +1,36 @@
+-- Gas Price History
+-- Per-block base fee and priority fee percentiles sampled from
+-- eth_feeHistory. predict_congestion builds its hour-of-week forecast from
+-- these rows, and the scheduler uses it to hold non-urgent rebalances until
+-- gas is cheap.
+
+-- ============================================================================
+-- 1. Samples
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS gas_samples (
+  id SERIAL PRIMARY KEY,
+  blockchain TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_timestamp TIMESTAMP NOT NULL,
+  base_fee_gwei NUMERIC(20,9) NOT NULL,
+  priority_fee_p25_gwei NUMERIC(20,9),
+  priority_fee_p50_gwei NUMERIC(20,9),
+  priority_fee_p75_gwei NUMERIC(20,9),
+  gas_used_ratio NUMERIC(6,4),
+  sampled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (blockchain, block_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gas_samples_chain_time
+  ON gas_samples(blockchain, block_timestamp DESC);
+
+COMMENT ON COLUMN gas_samples.block_timestamp IS 'Extrapolated from the newest sampled block and the chain block time';
+COMMENT ON COLUMN gas_samples.priority_fee_p50_gwei IS 'Median priority fee paid in the block (eth_feeHistory reward percentile)';
+
+-- ============================================================================
+-- 2. Deferred rebalances
+-- ============================================================================
+ALTER TABLE investments
+ADD COLUMN IF NOT EXISTS rebalance_deferred_at TIMESTAMP;
+
+COMMENT ON COLUMN investments.rebalance_deferred_at IS 'First time a non-urgent exit was held for cheaper gas; exits run once GAS_MAX_DEFER_HOURS have passed';
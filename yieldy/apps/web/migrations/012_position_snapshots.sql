@@ -0,0 +1,32 @@
+-- Position Snapshots
+-- Daily mark-to-market of every confirmed investment, read from the
+-- protocol adapter's getUserPosition. /api/performance takes unrealized PnL
+-- and its time- and money-weighted returns from these rows instead of
+-- pro-rating expected_apy.
+
+-- ============================================================================
+-- 1. Snapshots
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS position_snapshots (
+  id SERIAL PRIMARY KEY,
+  investment_id INTEGER NOT NULL REFERENCES investments(id) ON DELETE CASCADE,
+  user_address TEXT,
+  snapshot_date DATE NOT NULL,
+  holder TEXT NOT NULL,
+  principal NUMERIC(30,8) NOT NULL,
+  position_value NUMERIC(30,8) NOT NULL,
+  accrued_interest NUMERIC(30,8) NOT NULL,
+  share_price NUMERIC(38,18),
+  price_usd NUMERIC(30,8),
+  value_usd NUMERIC(30,8),
+  block_number BIGINT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (investment_id, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_position_snapshots_user_date
+  ON position_snapshots(user_address, snapshot_date DESC);
+
+COMMENT ON COLUMN position_snapshots.holder IS 'Address holding the on-chain position (investments.tx_from, else the user)';
+COMMENT ON COLUMN position_snapshots.position_value IS 'Principal-weighted share of the holder''s pooled position, in asset units';
+COMMENT ON COLUMN position_snapshots.share_price IS 'Underlying per vault share, or the protocol supply index for rebasing markets';
@@ -0,0 +1,31 @@
+-- Opportunity Metrics History
+-- Append-only APY/TVL observations per opportunity, written on every scan
+-- and protocol refresh (cultiv8_opportunities only keeps the latest values).
+-- Raw rows are rolled up into hourly and then daily averages as they age;
+-- /api/cultiv8-opportunities/:id/history and the risk engine read from here.
+
+-- ============================================================================
+-- 1. Observations
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS opportunity_metrics (
+  id BIGSERIAL PRIMARY KEY,
+  opportunity_id INTEGER NOT NULL REFERENCES cultiv8_opportunities(id) ON DELETE CASCADE,
+  recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  resolution TEXT NOT NULL DEFAULT 'raw' CHECK (resolution IN ('raw', 'hour', 'day')),
+  samples INTEGER NOT NULL DEFAULT 1,
+  apy NUMERIC(12,6) NOT NULL,
+  apy_min NUMERIC(12,6),
+  apy_max NUMERIC(12,6),
+  tvl NUMERIC(30,2),
+  source TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_opportunity_metrics_opp_time
+  ON opportunity_metrics(opportunity_id, recorded_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_opportunity_metrics_resolution_time
+  ON opportunity_metrics(resolution, recorded_at);
+
+COMMENT ON COLUMN opportunity_metrics.resolution IS 'raw for one observation; hour/day for rollups of older rows';
+COMMENT ON COLUMN opportunity_metrics.samples IS 'Raw observations a row stands for; averages are weighted by it';
+COMMENT ON COLUMN opportunity_metrics.source IS 'scan, refresh, or rollup';
@@ -0,0 +1,29 @@
+-- Agent Approval Queue
+-- LangGraph runs that stop for human approval. The paused graph state lives
+-- in the LangGraph Postgres checkpointer under thread_id; this table indexes
+-- those threads per wallet and records the signed decision that resumed or
+-- closed each one (/api/agent/approvals).
+
+-- ============================================================================
+-- 1. Approvals
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS agent_approvals (
+  id SERIAL PRIMARY KEY,
+  thread_id TEXT NOT NULL UNIQUE,
+  user_address TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  strategy JSONB,
+  reasons JSONB,
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  decided_at TIMESTAMPTZ,
+  decided_by TEXT,
+  signature TEXT,
+  note TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_approvals_user_status
+  ON agent_approvals(user_address, status, requested_at DESC);
+
+COMMENT ON COLUMN agent_approvals.thread_id IS 'LangGraph thread holding the paused run in the checkpointer';
+COMMENT ON COLUMN agent_approvals.reasons IS 'Why selectStrategy asked for approval';
+COMMENT ON COLUMN agent_approvals.signature IS 'EIP-191 signature over the approval message (wallet, thread, decision, nonce)';
@@ -0,0 +1,51 @@
+-- Agent Signature Requests
+-- Execution plans packaged as EIP-7702 transactions for the wallet owner to
+-- sign (co-pilot runs, and autonomous runs beyond the on-chain limits in
+-- Cultiv8Agent.sol). The run's graph state stays in the LangGraph Postgres
+-- checkpointer under thread_id; submitted results are written back to it and
+-- to agent_decisions (/api/agent/signatures).
+
+-- ============================================================================
+-- 1. Signature requests
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS agent_signature_requests (
+  id SERIAL PRIMARY KEY,
+  thread_id TEXT NOT NULL UNIQUE,
+  user_address TEXT NOT NULL,
+  chain TEXT NOT NULL,
+  mode TEXT NOT NULL CHECK (mode IN ('autonomous', 'copilot')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'confirmed', 'failed')),
+  reason TEXT,
+  strategy JSONB,
+  transactions JSONB NOT NULL,
+  results JSONB,
+  decision_id INTEGER REFERENCES agent_decisions(id) ON DELETE SET NULL,
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  submitted_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_signature_requests_user_status
+  ON agent_signature_requests(user_address, status, requested_at DESC);
+
+COMMENT ON COLUMN agent_signature_requests.thread_id IS 'LangGraph thread of the run whose plan needs signing';
+COMMENT ON COLUMN agent_signature_requests.reason IS 'Why the agent did not submit the plan itself';
+COMMENT ON COLUMN agent_signature_requests.transactions IS 'Unsigned EIP-7702 transactions, in submission order';
+COMMENT ON COLUMN agent_signature_requests.results IS 'Hash, status and gas used per broadcast transaction';
+
+-- ============================================================================
+-- 2. Push tokens
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS push_tokens (
+  id SERIAL PRIMARY KEY,
+  user_address TEXT NOT NULL,
+  token TEXT NOT NULL UNIQUE,
+  platform TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_tokens_user ON push_tokens(user_address);
+
+COMMENT ON COLUMN push_tokens.token IS 'Expo push token of a signed-in mobile device';
@@ -0,0 +1,16 @@
+-- Agent Approval Failures
+-- An approved run that fails to resume is handed back instead of being left
+-- "approved" without ever executing: to 'pending' when nothing was executed,
+-- so the owner can decide again, or to 'failed' once execution had started.
+
+-- ============================================================================
+-- 1. Failed status and reason
+-- ============================================================================
+ALTER TABLE agent_approvals ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+ALTER TABLE agent_approvals DROP CONSTRAINT IF EXISTS agent_approvals_status_check;
+
+ALTER TABLE agent_approvals ADD CONSTRAINT agent_approvals_status_check
+  CHECK (status IN ('pending', 'approved', 'rejected', 'failed'));
+
+COMMENT ON COLUMN agent_approvals.failure_reason IS 'Why the last approved resume failed';
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Backtest an allocation strategy against an APY/TVL history CSV
+ *
+ * Usage:
+ *   npm run backtest -- --csv history.csv [--strategy scan-rule|optimizer|risk-parity]
+ *     [--asset USDC] [--capital 10000] [--step-hours 24] [--max-risk 10] [--min-apy 0]
+ *     [--max-per-opportunity N] [--improvement 1.0] [--drift 5] [--tier community]
+ *     [--gas-usd 0.05 | --gas-usd ethereum=5,base=0.02,default=0.05] [--json]
+ *
+ * CSV columns: timestamp, protocol_name, blockchain, apy, and optionally
+ * token_symbol, tvl, risk_score, protocol_type, is_active, id.
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { parseHistoryCsv, runBacktest, STRATEGIES } from '../src/app/api/utils/backtest.js';
+
+const { values: args } = parseArgs({
+  options: {
+    csv: { type: 'string' },
+    strategy: { type: 'string', default: 'scan-rule' },
+    asset: { type: 'string', default: 'USDC' },
+    capital: { type: 'string', default: '10000' },
+    'step-hours': { type: 'string', default: '24' },
+    'max-risk': { type: 'string', default: '10' },
+    'min-apy': { type: 'string', default: '0' },
+    'max-per-opportunity': { type: 'string' },
+    improvement: { type: 'string', default: '1.0' },
+    drift: { type: 'string', default: '5' },
+    tier: { type: 'string' },
+    'gas-usd': { type: 'string' },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+function parseGasUsd(value) {
+  if (value === undefined) return undefined;
+  if (!value.includes('=')) return Number(value);
+  return Object.fromEntries(value.split(',').map((pair) => {
+    const [chain, cost] = pair.split('=');
+    return [chain.trim(), Number(cost)];
+  }));
+}
+
+if (!args.csv) {
+  console.error('Missing --csv <file>');
+  console.error(`Strategies: ${Object.keys(STRATEGIES).join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  const observations = parseHistoryCsv(readFileSync(args.csv, 'utf8'));
+  const result = runBacktest(observations, {
+    strategy: args.strategy,
+    asset: args.asset.toUpperCase(),
+    initialCapital: Number(args.capital),
+    stepHours: Number(args['step-hours']),
+    maxRiskScore: Number(args['max-risk']),
+    minApy: Number(args['min-apy']),
+    maxInvestmentPerOpportunity: args['max-per-opportunity'] ? Number(args['max-per-opportunity']) : null,
+    improvementThreshold: Number(args.improvement),
+    driftThresholdPercent: Number(args.drift),
+    ...(args.tier && { tier: args.tier }),
+    ...(args['gas-usd'] && { gasCostUsd: parseGasUsd(args['gas-usd']) }),
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    const { summary, costs, drawdowns } = result;
+    console.log(`\n📈 Backtest: ${args.strategy} on ${args.asset.toUpperCase()} (${result.options.tier} tier)`);
+    console.log(`   ${summary.start} → ${summary.end}, ${summary.steps} steps, ${summary.markets} markets\n`);
+    console.log(`   Final equity:       $${summary.finalEquity.toLocaleString()} (from $${summary.initialCapital.toLocaleString()})`);
+    console.log(`   Total return:       ${summary.totalReturnPct.toFixed(2)}%`);
+    console.log(`   Annualized return:  ${summary.annualizedReturnPct.toFixed(2)}%`);
+    console.log(`   Volatility:         ${summary.volatilityPct.toFixed(2)}%`);
+    console.log(`   Sharpe:             ${summary.sharpeRatio.toFixed(2)}`);
+    console.log(`   Max drawdown:       ${summary.maxDrawdownPct.toFixed(2)}% (longest ${drawdowns.longestDrawdownDays} days)`);
+    console.log(`   Trades/rebalances:  ${summary.trades} / ${summary.rebalances}`);
+    console.log(`   Turnover:           ${summary.turnover.toFixed(2)}x (${summary.annualizedTurnover?.toFixed(2) ?? 'n/a'}x per year)`);
+    console.log(`   Costs:              gas $${costs.gas}, management $${costs.managementFees}, performance $${costs.performanceFees}\n`);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
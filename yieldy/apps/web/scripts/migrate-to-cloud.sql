@@ -33,6 +33,102 @@
 \echo 'Migration 004 complete ✓'
 \echo ''
 
+-- ============================================================================
+-- MIGRATION 005: Per-User Config
+-- ============================================================================
+\echo 'Running migration 005: Per-user agent configuration...'
+\i migrations/005_per_user_config.sql
+\echo 'Migration 005 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 006: Per-User Ledger
+-- ============================================================================
+\echo 'Running migration 006: Per-user fund ledger and investments...'
+\i migrations/006_per_user_ledger.sql
+\echo 'Migration 006 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 007: Investment Reconciliation
+-- ============================================================================
+\echo 'Running migration 007: Investment receipt reconciliation...'
+\i migrations/007_investment_reconciliation.sql
+\echo 'Migration 007 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 008: Protocol Registry
+-- ============================================================================
+\echo 'Running migration 008: Protocol registry...'
+\i migrations/008_protocol_registry.sql
+\echo 'Migration 008 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 009: Multi-Asset Markets
+-- ============================================================================
+\echo 'Running migration 009: Multi-asset markets...'
+\i migrations/009_multi_asset.sql
+\echo 'Migration 009 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 010: Multi-Chain Support
+-- ============================================================================
+\echo 'Running migration 010: Multi-chain support...'
+\i migrations/010_multi_chain.sql
+\echo 'Migration 010 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 011: Gas Price History
+-- ============================================================================
+\echo 'Running migration 011: Gas price history...'
+\i migrations/011_gas_history.sql
+\echo 'Migration 011 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 012: Position Snapshots
+-- ============================================================================
+\echo 'Running migration 012: Position snapshots...'
+\i migrations/012_position_snapshots.sql
+\echo 'Migration 012 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 013: Opportunity Metrics History
+-- ============================================================================
+\echo 'Running migration 013: Opportunity metrics history...'
+\i migrations/013_opportunity_metrics.sql
+\echo 'Migration 013 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 014: Agent Approval Queue
+-- ============================================================================
+\echo 'Running migration 014: Agent approval queue...'
+\i migrations/014_agent_approvals.sql
+\echo 'Migration 014 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 015: Agent Signature Requests
+-- ============================================================================
+\echo 'Running migration 015: Agent signature requests and push tokens...'
+\i migrations/015_agent_signature_requests.sql
+\echo 'Migration 015 complete ✓'
+\echo ''
+
+-- ============================================================================
+-- MIGRATION 016: Agent Approval Failures
+-- ============================================================================
+\echo 'Running migration 016: Agent approval failures...'
+\i migrations/016_agent_approval_failures.sql
+\echo 'Migration 016 complete ✓'
+\echo ''
+
 -- ============================================================================
 -- Verify Tables Created
 -- ============================================================================
@@ -3,14 +3,17 @@
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { RetroAgent } from "@/components/Cultiv8Agent/RetroAgent";
 import { useCultiv8AgentData } from "@/hooks/useCultiv8AgentData";
+import { useAgentRunStream } from "@/hooks/useAgentRunStream";
+import { terminalSteps } from "@/utils/agentRunEvents";
 
 const queryClient = new QueryClient();
 
 function AgentWrapper() {
-  const {
-    config,
-    scanMutation,
-  } = useCultiv8AgentData();
+  const { config } = useCultiv8AgentData();
+
+  // The terminal follows the run as it streams
+  const { run, reset, progress } = useAgentRunStream();
+  const result = progress.result;
 
   return (
     <RetroAgent
@@ -27,9 +30,10 @@ function AgentWrapper() {
         successfulExecutions: 0,
         successRate: 0,
       }}
-      executionSteps={[]}
-      selectedStrategy={null}
-      onRunAgent={() => scanMutation.mutate({ blockchain: 'both' })}
+      executionSteps={terminalSteps(progress)}
+      selectedStrategy={result?.strategy ? { ...result.strategy, needsApproval: result.needsApproval } : null}
+      onRunAgent={() => run()}
+      onClearSteps={reset}
     />
   );
 }
@@ -4,45 +4,25 @@ import { validateRequest } from "@/app/api/middleware/validation";
 import { AgentConfigUpdateSchema } from "@/app/api/schemas/config";
 import { authMiddleware } from "@/app/api/middleware/auth";
 import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from "@/app/api/utils/auditLogger";
+import { getUserConfig } from "@/app/api/utils/userConfig";
 
-// Get agent configuration
+// Get the authenticated wallet's agent configuration
 export async function GET(request) {
+  // Authentication required - configuration is per wallet
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
   // Rate limiting - general tier
   const rateLimitError = await rateLimitMiddleware(request, 'general');
   if (rateLimitError) return rateLimitError;
 
   try {
-    const config = await sql`
-      SELECT * FROM agent_config ORDER BY id DESC LIMIT 1
-    `;
-
-    // NEW: create a default config if none exists
-    if (!config || config.length === 0) {
-      const inserted = await sql`
-        INSERT INTO agent_config (
-          max_investment_per_opportunity,
-          max_total_investment,
-          min_apy_threshold,
-          max_risk_score,
-          auto_invest_enabled,
-          scan_interval_minutes,
-          preferred_protocols,
-          blacklisted_protocols,
-          user_tier,
-          management_fee_percent,
-          performance_fee_percent,
-          total_aum
-        ) VALUES (
-          1000, 10000, 5.0, 7, false, 1440, NULL, NULL,
-          'community', 1.00, 18.00, 0
-        ) RETURNING *
-      `;
-      return Response.json({ success: true, config: inserted[0] });
-    }
+    // Creates a default config on first access
+    const config = await getUserConfig(request.user.address);
 
     return Response.json({
       success: true,
-      config: config[0] || null,
+      config: config || null,
     });
   } catch (error) {
     console.error("Error fetching agent config:", error);
@@ -84,37 +64,9 @@ export async function PUT(request) {
       blacklisted_protocols,
     } = body;
 
-    // Ensure a config row exists; create default if not
-    let currentConfig = await sql`
-      SELECT * FROM agent_config ORDER BY id DESC LIMIT 1
-    `;
-
-    if (!currentConfig || currentConfig.length === 0) {
-      await sql`
-        INSERT INTO agent_config (
-          max_investment_per_opportunity,
-          max_total_investment,
-          min_apy_threshold,
-          max_risk_score,
-          auto_invest_enabled,
-          scan_interval_minutes,
-          preferred_protocols,
-          blacklisted_protocols,
-          user_tier,
-          management_fee_percent,
-          performance_fee_percent,
-          total_aum
-        ) VALUES (
-          1000, 10000, 5.0, 7, false, 1440, NULL, NULL,
-          'community', 1.00, 18.00, 0
-        )
-      `;
-      currentConfig = await sql`
-        SELECT * FROM agent_config ORDER BY id DESC LIMIT 1
-      `;
-    }
-
-    const configId = currentConfig[0].id;
+    // Load (or create) the caller's own config row
+    const currentConfig = await getUserConfig(request.user.address);
+    const configId = currentConfig.id;
 
     // Build update query dynamically
     let updateFields = [];
@@ -205,7 +157,7 @@ export async function PUT(request) {
       resource_id: result[0].id.toString(),
       metadata: {
         changes: body,
-        previousConfig: currentConfig[0],
+        previousConfig: currentConfig,
       },
       ip_address: getIPFromRequest(request),
       request_id: getRequestIDFromRequest(request),
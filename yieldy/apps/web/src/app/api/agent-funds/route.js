@@ -2,64 +2,42 @@ import sql from "@/app/api/utils/sql";
 import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
 import { validateRequest } from "@/app/api/middleware/validation";
 import { FundOperationSchema } from "@/app/api/schemas/funds";
-import { requireAdmin } from "@/app/api/middleware/auth";
+import { requireAdmin, requireOwnership } from "@/app/api/middleware/auth";
 import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from "@/app/api/utils/auditLogger";
+import { normalizeAddress } from "@/app/api/utils/userConfig";
+import { ensureLedgerOwnership, getUserFundBalances } from "@/app/api/utils/userFunds";
 
-// Ensure ledger table exists
-async function ensureLedger() {
-  try {
-    await sql(`
-      CREATE TABLE IF NOT EXISTS agent_fund_transactions (
-        id SERIAL PRIMARY KEY,
-        amount NUMERIC(20,2) NOT NULL,
-        type VARCHAR(20) NOT NULL CHECK (type IN ('deposit','withdrawal','adjustment')),
-        note TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-  } catch (e) {
-    // ignore if fails; next operations will error if truly missing
-  }
+// Ledger owner for reads: ?userAddress= (owner or admin) or the caller's wallet
+function getLedgerAddress(request) {
+  const url = new URL(request.url);
+  return normalizeAddress(url.searchParams.get('userAddress') || request.user.address);
 }
 
 export async function GET(request) {
+  // Authentication + ownership required - balances are per wallet
+  const authError = await requireOwnership(getLedgerAddress)(request);
+  if (authError) return authError;
+
   // Rate limiting - general tier for read operations
   const rateLimitError = await rateLimitMiddleware(request, 'general');
   if (rateLimitError) return rateLimitError;
 
   try {
-    await ensureLedger();
-
-    const totals = await sql`
-      SELECT 
-        COALESCE(SUM(CASE 
-          WHEN type = 'deposit' THEN amount 
-          WHEN type = 'adjustment' THEN amount
-          WHEN type = 'withdrawal' THEN -amount 
-          ELSE 0 END), 0) AS total_funds
-      FROM agent_fund_transactions
-    `;
-
-    const investedRows = await sql`
-      SELECT COALESCE(SUM(amount), 0) AS invested
-      FROM investments 
-      WHERE status IN ('pending','confirmed')
-    `;
-
-    const totalFunds = parseFloat(totals[0]?.total_funds || 0);
-    const invested = parseFloat(investedRows[0]?.invested || 0);
-    const available = Math.max(0, totalFunds - invested);
+    const userAddress = getLedgerAddress(request);
+    const { balance, invested, available } = await getUserFundBalances(userAddress);
 
     const txs = await sql`
       SELECT id, amount, type, note, created_at
       FROM agent_fund_transactions
+      WHERE user_address = ${userAddress}
       ORDER BY created_at DESC
       LIMIT 50
     `;
 
     return Response.json({
       success: true,
-      balance: totalFunds,
+      userAddress,
+      balance,
       invested,
       available,
       transactions: txs,
@@ -72,7 +50,7 @@ export async function GET(request) {
 
 export async function POST(request) {
   try {
-    await ensureLedger();
+    await ensureLedgerOwnership();
     
     // Admin authentication required for fund operations
     const adminError = await requireAdmin(request);
@@ -87,28 +65,23 @@ export async function POST(request) {
     if (validationError) return validationError;
 
     const { amount, type, note } = request.validated;
+    const userAddress = normalizeAddress(request.validated.userAddress || request.user.address);
     const amt = parseFloat(amount);
     if (!['deposit','withdrawal','adjustment'].includes(type)) {
       return Response.json({ success: false, error: "Invalid type" }, { status: 400 });
     }
 
-    // If withdrawal, ensure sufficient available balance
+    // If withdrawal, ensure sufficient available balance in this wallet's ledger
     if (type === 'withdrawal') {
-      const [totals, investedRows] = await sql.transaction((txn) => [
-        txn`SELECT COALESCE(SUM(CASE WHEN type='deposit' THEN amount WHEN type='adjustment' THEN amount WHEN type='withdrawal' THEN -amount ELSE 0 END),0) AS total_funds FROM agent_fund_transactions`,
-        txn`SELECT COALESCE(SUM(amount),0) AS invested FROM investments WHERE status IN ('pending','confirmed')`,
-      ]);
-      const totalFunds = parseFloat(totals[0]?.total_funds || 0);
-      const invested = parseFloat(investedRows[0]?.invested || 0);
-      const available = Math.max(0, totalFunds - invested);
+      const { available } = await getUserFundBalances(userAddress);
       if (amt > available) {
         return Response.json({ success: false, error: "Withdrawal exceeds available balance" }, { status: 400 });
       }
     }
 
     const inserted = await sql`
-      INSERT INTO agent_fund_transactions (amount, type, note)
-      VALUES (${amt}, ${type}, ${note || null})
+      INSERT INTO agent_fund_transactions (amount, type, note, user_address)
+      VALUES (${amt}, ${type}, ${note || null}, ${userAddress})
       RETURNING id, amount, type, note, created_at
     `;
 
@@ -126,6 +99,7 @@ export async function POST(request) {
       metadata: {
         type,
         note: note || null,
+        userAddress,
       },
       ip_address: getIPFromRequest(request),
       request_id: getRequestIDFromRequest(request),
@@ -133,19 +107,13 @@ export async function POST(request) {
     });
 
     // Return updated balances
-    const [totals2, investedRows2] = await sql.transaction((txn) => [
-      txn`SELECT COALESCE(SUM(CASE WHEN type='deposit' THEN amount WHEN type='adjustment' THEN amount WHEN type='withdrawal' THEN -amount ELSE 0 END),0) AS total_funds FROM agent_fund_transactions`,
-      txn`SELECT COALESCE(SUM(amount),0) AS invested FROM investments WHERE status IN ('pending','confirmed')`,
-    ]);
-    const totalFunds2 = parseFloat(totals2[0]?.total_funds || 0);
-    const invested2 = parseFloat(investedRows2[0]?.invested || 0);
+    const balances = await getUserFundBalances(userAddress);
 
     return Response.json({
       success: true,
       transaction: inserted[0],
-      balance: totalFunds2,
-      invested: invested2,
-      available: Math.max(0, totalFunds2 - invested2),
+      userAddress,
+      ...balances,
     });
   } catch (error) {
     console.error("Error updating agent funds:", error);
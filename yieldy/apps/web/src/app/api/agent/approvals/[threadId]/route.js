@@ -0,0 +1,157 @@
+import { z } from 'zod';
+import { rateLimitMiddleware } from '@/app/api/middleware/rateLimit';
+import { authMiddleware } from '@/app/api/middleware/auth';
+import { validateRequest } from '@/app/api/middleware/validation';
+import { checkEmergencyPause } from '@/app/api/utils/circuitBreaker';
+import { generateNonce, generateApprovalMessage, requireWalletSignature } from '@/app/api/utils/walletAuth';
+import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from '@/app/api/utils/auditLogger';
+import { normalizeAddress } from '@/app/api/utils/userConfig';
+import { APPROVAL_DECISIONS, getApproval, decideApproval } from '@/app/api/agent/langgraph/approvals';
+
+const THREAD_ID_PATTERN = /^agent-0x[0-9a-f]{40}-\d+$/;
+
+const DecisionSchema = z.object({
+  decision: z.enum(APPROVAL_DECISIONS),
+  note: z.string().max(500).optional(),
+  wallet: z.string(),
+  signature: z.string(),
+  nonce: z.string(),
+});
+
+function invalidThread() {
+  return Response.json({ success: false, error: 'Invalid run id' }, { status: 400 });
+}
+
+/**
+ * Approval Message
+ * GET /api/agent/approvals/:threadId?decision=approve
+ * Issues a nonce and the exact message the owner's wallet signs to approve or
+ * reject this run
+ */
+export async function GET(request, { params }) {
+  // Authentication required
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
+  // Rate limiting
+  const rateLimitError = await rateLimitMiddleware(request, 'general');
+  if (rateLimitError) return rateLimitError;
+
+  const { threadId } = params;
+  if (!THREAD_ID_PATTERN.test(threadId)) return invalidThread();
+
+  const decision = new URL(request.url).searchParams.get('decision');
+  if (!APPROVAL_DECISIONS.includes(decision)) {
+    return Response.json(
+      { success: false, error: `decision must be one of: ${APPROVAL_DECISIONS.join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const userAddress = normalizeAddress(request.user.address);
+    const approval = await getApproval(threadId, userAddress);
+    if (!approval) {
+      return Response.json({ success: false, error: 'Approval not found' }, { status: 404 });
+    }
+    if (approval.status !== 'pending') {
+      return Response.json(
+        { success: false, error: `Run already ${approval.status}` },
+        { status: 409 }
+      );
+    }
+
+    const nonce = await generateNonce(userAddress);
+    return Response.json({
+      success: true,
+      threadId,
+      decision,
+      nonce,
+      message: generateApprovalMessage(userAddress, nonce, threadId, decision),
+      expiresIn: 300, // 5 minutes in seconds
+    });
+  } catch (error) {
+    console.error('Error issuing approval message:', error);
+    return Response.json(
+      { success: false, error: 'Failed to issue approval message' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Decide a Paused Run
+ * POST /api/agent/approvals/:threadId
+ * { decision: 'approve' | 'reject', note?, wallet, signature, nonce }
+ * The signature must be the owner's over the message from the GET above.
+ * Approval resumes the run from its "plan" node; rejection closes it.
+ */
+export async function POST(request, { params }) {
+  const { threadId } = params;
+  if (!THREAD_ID_PATTERN.test(threadId)) return invalidThread();
+
+  // Wallet signature over this run and decision is the authorization
+  const signatureError = await requireWalletSignature(request, {
+    buildMessage: (body, address) => generateApprovalMessage(address, body.nonce, threadId, body.decision),
+  });
+  if (signatureError) return signatureError;
+
+  // Rate limiting - approval resumes an agent run
+  const rateLimitError = await rateLimitMiddleware(request, 'scan');
+  if (rateLimitError) return rateLimitError;
+
+  const validationError = await validateRequest(DecisionSchema)(request);
+  if (validationError) return validationError;
+
+  const { decision, note, signature } = request.validated;
+  if (decision === 'approve') {
+    const pauseError = await checkEmergencyPause(request);
+    if (pauseError) return pauseError;
+  }
+
+  const userAddress = normalizeAddress(request.wallet.address);
+
+  try {
+    const approval = await getApproval(threadId, userAddress);
+    if (!approval) {
+      return Response.json({ success: false, error: 'Approval not found' }, { status: 404 });
+    }
+    if (approval.status !== 'pending') {
+      return Response.json(
+        { success: false, error: `Run already ${approval.status}` },
+        { status: 409 }
+      );
+    }
+
+    const { state } = await decideApproval({ threadId, userAddress, decision, signature, note });
+
+    await auditLog({
+      user_id: userAddress,
+      action: decision === 'approve' ? AUDIT_ACTIONS.STRATEGY_APPROVED : AUDIT_ACTIONS.STRATEGY_REJECTED,
+      resource_type: 'agent_approval',
+      resource_id: threadId,
+      metadata: { decision, note: note || null },
+      ip_address: getIPFromRequest(request),
+      request_id: getRequestIDFromRequest(request),
+      success: true,
+    });
+
+    return Response.json({
+      success: true,
+      threadId,
+      decision,
+      strategy: state.selectedStrategy,
+      executionPlan: state.executionPlan,
+      execution: state.execution || null,
+      transactions: state.transactions || [],
+      reasoning: state.reasoning,
+      errors: state.errors || [],
+    });
+  } catch (error) {
+    console.error('Error deciding agent approval:', error);
+    return Response.json(
+      { success: false, error: 'Failed to record decision', message: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,43 @@
+import { z } from 'zod';
+import { rateLimitMiddleware } from '@/app/api/middleware/rateLimit';
+import { authMiddleware } from '@/app/api/middleware/auth';
+import { validateQuery } from '@/app/api/middleware/validation';
+import { normalizeAddress } from '@/app/api/utils/userConfig';
+import { listApprovals } from '@/app/api/agent/langgraph/approvals';
+
+const ApprovalsQuerySchema = z.object({
+  status: z.enum(['pending', 'approved', 'rejected', 'failed', 'all']).optional(),
+});
+
+/**
+ * Agent Approval Queue
+ * GET /api/agent/approvals?status=pending
+ * Lists the caller's agent runs that stopped for human approval, with the
+ * selected strategy, why it needs approval, and the run's reasoning chain.
+ * Decide one at POST /api/agent/approvals/:threadId
+ */
+export async function GET(request) {
+  // Authentication required - lists the caller's own runs
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
+  // Rate limiting
+  const rateLimitError = await rateLimitMiddleware(request, 'general');
+  if (rateLimitError) return rateLimitError;
+
+  const queryValidationError = await validateQuery(ApprovalsQuerySchema)(request);
+  if (queryValidationError) return queryValidationError;
+
+  try {
+    const status = request.validatedQuery.status || 'pending';
+    const approvals = await listApprovals(normalizeAddress(request.user.address), { status });
+
+    return Response.json({ success: true, status, approvals });
+  } catch (error) {
+    console.error('Error listing agent approvals:', error);
+    return Response.json(
+      { success: false, error: 'Failed to list approvals' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,118 @@
+import { log } from '../../utils/logger.js';
+import { isAwaitingExecution } from './graph.js';
+
+/**
+ * Approval Decisions
+ * Applies a signed decision to a run paused for approval (no database access;
+ * approvals.js supplies the agent_approvals store). The approval row is
+ * claimed before the run resumes, so two decisions cannot both resume it, and
+ * handed back if the resume fails: to "pending" when nothing was executed (the
+ * owner can decide again), or "failed" once execution had started.
+ */
+
+export const APPROVAL_DECISIONS = ['approve', 'reject'];
+
+/**
+ * Why selectStrategy stopped the run, from its reasoning step
+ * @param {object} state - Graph state
+ * @returns {Array<string>}
+ */
+export function approvalReasons(state) {
+  const selection = (state.reasoning || []).findLast((step) => step.step === 'strategy_selection');
+  return selection?.output?.approvalReasons || [];
+}
+
+/**
+ * Record a decision and resume or close the paused run
+ * @param {CompiledGraph} agent - Graph compiled with a checkpointer
+ * @param {object} params
+ * @param {string} params.threadId
+ * @param {string} params.userAddress - Lowercase wallet that decided (must own the run)
+ * @param {string} params.decision - 'approve' | 'reject'
+ * @param {string} params.note - Optional reviewer note
+ * @param {object} store
+ * @param {Function} store.claim - async (status) => approval row, or null when none is pending
+ * @param {Function} store.release - async (status, error) => void; status is 'pending' or 'failed'
+ * @param {Function} store.settle - async (state) => void; records the run's execution
+ * @returns {Promise<object>} - { approval, state } where state is the graph state after the decision
+ */
+export async function applyApprovalDecision(agent, { threadId, userAddress, decision, note = null }, store) {
+  if (!APPROVAL_DECISIONS.includes(decision)) {
+    throw new Error(`Unknown decision: ${decision}`);
+  }
+
+  const config = { configurable: { thread_id: threadId } };
+  const snapshot = await agent.getState(config);
+  if (!snapshot?.values?.selectedStrategy) {
+    throw new Error(`No paused run found for ${threadId}`);
+  }
+
+  const claimed = await store.claim(decision === 'approve' ? 'approved' : 'rejected');
+  if (!claimed) {
+    throw new Error(`Run ${threadId} has no pending approval`);
+  }
+
+  const approval = {
+    decision,
+    decidedBy: userAddress,
+    decidedAt: new Date().toISOString(),
+    note,
+  };
+  const step = {
+    step: 'human_approval',
+    input: {
+      strategy: snapshot.values.selectedStrategy,
+      reasons: approvalReasons(snapshot.values),
+    },
+    output: approval,
+    timestamp: Date.now(),
+  };
+  const reasoning = [...(snapshot.values.reasoning || []), step];
+
+  log.info('Agent approval decided', { threadId, decision, decidedBy: userAddress });
+
+  let executing = false;
+  try {
+    if (decision === 'reject') {
+      // Written as "plan" so the routing sees the rejection and the run stays closed
+      await agent.updateState(config, { approval, reasoning }, 'plan');
+      return { approval: claimed, state: (await agent.getState(config)).values };
+    }
+
+    // Written as "select" so the run continues at "plan" with approval cleared
+    await agent.updateState(config, { approval, reasoning, humanApprovalRequired: false }, 'select');
+    let state = await agent.invoke(null, config);
+
+    // The graph pauses before "execute"; the approval is what clears it
+    if (await isAwaitingExecution(agent, config)) {
+      executing = true;
+      state = await agent.invoke(null, config);
+    }
+    if (state.execution) {
+      executing = true;
+      await store.settle(state);
+    }
+    return { approval: claimed, state };
+  } catch (error) {
+    log.error('Approved run failed to resume', { threadId, decision, executing, error: error.message });
+
+    if (!executing) {
+      // Back to the paused state it was decided from, so the owner can decide again
+      try {
+        await agent.updateState(
+          config,
+          {
+            approval: snapshot.values.approval ?? null,
+            reasoning: snapshot.values.reasoning || [],
+            humanApprovalRequired: snapshot.values.humanApprovalRequired,
+          },
+          'plan'
+        );
+      } catch (restoreError) {
+        log.error('Paused run state not restored', { threadId, error: restoreError.message });
+      }
+    }
+    await store.release(executing ? 'failed' : 'pending', error);
+    throw error;
+  }
+}
@@ -0,0 +1,194 @@
+import sql from '../../utils/sql';
+import { log } from '../../utils/logger.js';
+import { buildCultiv8AgentWithCheckpointing } from './graph.js';
+import { settleExecution } from './signatures.js';
+import { APPROVAL_DECISIONS, approvalReasons, applyApprovalDecision } from './approvalDecision.js';
+
+export { APPROVAL_DECISIONS, approvalReasons };
+
+/**
+ * Human-in-the-loop Approval Queue
+ * Runs that stop for approval keep their graph state in the Postgres
+ * checkpointer under their thread id; agent_approvals indexes those threads
+ * per wallet. A signed approval records the decision in the graph state and
+ * resumes the run from the "plan" node (so the execution plan is rebuilt at
+ * current prices) through execution; a rejection records it and closes the run.
+ * A resume that fails hands the row back (see approvalDecision.js).
+ */
+
+/**
+ * Ensure agent_approvals exists (mirrors migrations/014_agent_approvals.sql and 016)
+ */
+export async function ensureApprovalTables() {
+  try {
+    await sql`
+      CREATE TABLE IF NOT EXISTS agent_approvals (
+        id SERIAL PRIMARY KEY,
+        thread_id TEXT NOT NULL UNIQUE,
+        user_address TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'failed')),
+        strategy JSONB,
+        reasons JSONB,
+        requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        decided_at TIMESTAMPTZ,
+        decided_by TEXT,
+        signature TEXT,
+        note TEXT,
+        failure_reason TEXT
+      )
+    `;
+    await sql`ALTER TABLE agent_approvals ADD COLUMN IF NOT EXISTS failure_reason TEXT`;
+    await sql`ALTER TABLE agent_approvals DROP CONSTRAINT IF EXISTS agent_approvals_status_check`;
+    await sql`
+      ALTER TABLE agent_approvals ADD CONSTRAINT agent_approvals_status_check
+        CHECK (status IN ('pending', 'approved', 'rejected', 'failed'))
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_agent_approvals_user_status
+        ON agent_approvals(user_address, status, requested_at DESC)
+    `;
+  } catch (error) {
+    // Table likely already exists
+    console.debug('Agent approvals setup:', error.message);
+  }
+}
+
+/**
+ * Queue a run that stopped for approval
+ * @param {string} threadId - Checkpointer thread of the paused run
+ * @param {string} userAddress - Wallet that owns the run (lowercase)
+ * @param {object} state - Final graph state of the paused run
+ * @returns {Promise<object>} - Queued row
+ */
+export async function queueApproval(threadId, userAddress, state) {
+  await ensureApprovalTables();
+  const rows = await sql`
+    INSERT INTO agent_approvals (thread_id, user_address, strategy, reasons)
+    VALUES (
+      ${threadId},
+      ${userAddress},
+      ${JSON.stringify(state.selectedStrategy)}::jsonb,
+      ${JSON.stringify(approvalReasons(state))}::jsonb
+    )
+    ON CONFLICT (thread_id) DO NOTHING
+    RETURNING *
+  `;
+
+  log.info('Agent run awaiting approval', { threadId, userAddress });
+  return rows[0] || null;
+}
+
+/**
+ * Approvals for a wallet, newest first, with each run's reasoning chain
+ * @param {string} userAddress - Lowercase wallet
+ * @param {object} options - { status: 'pending' | 'approved' | 'rejected' | 'failed' | 'all', limit }
+ * @returns {Promise<Array<object>>}
+ */
+export async function listApprovals(userAddress, { status = 'pending', limit = 20 } = {}) {
+  await ensureApprovalTables();
+  const rows = status === 'all'
+    ? await sql`
+        SELECT * FROM agent_approvals
+        WHERE user_address = ${userAddress}
+        ORDER BY requested_at DESC
+        LIMIT ${limit}
+      `
+    : await sql`
+        SELECT * FROM agent_approvals
+        WHERE user_address = ${userAddress} AND status = ${status}
+        ORDER BY requested_at DESC
+        LIMIT ${limit}
+      `;
+  if (rows.length === 0) return [];
+
+  const agent = await buildCultiv8AgentWithCheckpointing();
+  return Promise.all(rows.map(async (row) => {
+    let state = null;
+    if (agent.checkpointer) {
+      try {
+        state = (await agent.getState({ configurable: { thread_id: row.thread_id } })).values;
+      } catch (error) {
+        log.warn('Approval state not loaded', { threadId: row.thread_id, error: error.message });
+      }
+    }
+
+    return {
+      threadId: row.thread_id,
+      status: row.status,
+      strategy: row.strategy,
+      reasons: row.reasons || [],
+      requestedAt: row.requested_at,
+      decidedAt: row.decided_at,
+      decidedBy: row.decided_by,
+      note: row.note,
+      failureReason: row.failure_reason || null,
+      executionPlan: state?.executionPlan || null,
+      reasoning: state?.reasoning || [],
+    };
+  }));
+}
+
+/**
+ * Load an approval row owned by a wallet
+ * @returns {Promise<object|null>}
+ */
+export async function getApproval(threadId, userAddress) {
+  await ensureApprovalTables();
+  const rows = await sql`
+    SELECT * FROM agent_approvals
+    WHERE thread_id = ${threadId} AND user_address = ${userAddress}
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * Record a signed decision and resume or close the paused run
+ * @param {object} params
+ * @param {string} params.threadId
+ * @param {string} params.userAddress - Lowercase wallet that signed (must own the run)
+ * @param {string} params.decision - 'approve' | 'reject'
+ * @param {string} params.signature - EIP-191 signature over the approval message
+ * @param {string} params.note - Optional reviewer note
+ * @returns {Promise<object>} - { approval, state } where state is the graph state after the decision
+ */
+export async function decideApproval({ threadId, userAddress, decision, signature, note = null }) {
+  const agent = await buildCultiv8AgentWithCheckpointing();
+  if (!agent.checkpointer) {
+    throw new Error('Agent state persistence is unavailable; paused runs cannot be resumed');
+  }
+
+  return applyApprovalDecision(agent, { threadId, userAddress, decision, note }, {
+    claim: async (status) => {
+      const claimed = await sql`
+        UPDATE agent_approvals
+        SET status = ${status}, decided_at = NOW(), decided_by = ${userAddress},
+            signature = ${signature}, note = ${note}, failure_reason = NULL
+        WHERE thread_id = ${threadId} AND user_address = ${userAddress} AND status = 'pending'
+        RETURNING *
+      `;
+      return claimed[0] || null;
+    },
+    release: async (status, error) => {
+      try {
+        if (status === 'pending') {
+          // Undecided again: the owner signs a fresh decision
+          await sql`
+            UPDATE agent_approvals
+            SET status = 'pending', decided_at = NULL, decided_by = NULL, signature = NULL,
+                failure_reason = ${error.message}
+            WHERE thread_id = ${threadId} AND user_address = ${userAddress}
+          `;
+        } else {
+          await sql`
+            UPDATE agent_approvals
+            SET status = 'failed', failure_reason = ${error.message}
+            WHERE thread_id = ${threadId} AND user_address = ${userAddress}
+          `;
+        }
+      } catch (releaseError) {
+        log.error('Approval not released after a failed resume', { threadId, status, error: releaseError.message });
+      }
+    },
+    settle: (state) => settleExecution(threadId, userAddress, state),
+  });
+}
@@ -0,0 +1,320 @@
+import { ethers } from 'ethers';
+import { getProvider } from '../../protocols/adapters.js';
+import { EIP7702TransactionBuilder } from '../../eip7702/transactionBuilder.js';
+
+/**
+ * Plan Execution
+ * An execution plan is packaged as transactions from the user's wallet, the
+ * first an EIP-7702 transaction whose authorization delegates the wallet to
+ * the Cultiv8Agent contract. Who submits them depends on the run's mode:
+ *   copilot    - the owner signs the package; the signed payload is verified
+ *                against it and broadcast
+ *   autonomous - the agent wallet calls executeStrategy on the owner's
+ *                delegated wallet, within the limits the owner authorized on
+ *                chain (checked first with canExecute). A run without a
+ *                passing safety check, or beyond the limits, falls back to
+ *                asking the owner for a signature.
+ */
+
+export const EXECUTION_MODES = ['autonomous', 'copilot'];
+
+export const CULTIV8_AGENT_ABI = [
+  'function canExecute(address user, uint256 amount) view returns (bool)',
+  'function getRemainingDailyLimit(address user) view returns (uint256)',
+  'function executeStrategy(address user, address protocol, bytes strategyData, uint256 amount) returns (bool)',
+];
+
+// Cultiv8Agent limits are USDC-denominated (6 decimals)
+const LIMIT_DECIMALS = 6;
+
+// How long to wait for each receipt before reporting the transaction as pending
+export const RECEIPT_TIMEOUT_MS = 120000;
+
+/**
+ * Cultiv8Agent contract for a chain (CULTIV8_AGENT_ADDRESS_<CHAIN>, else CULTIV8_AGENT_ADDRESS)
+ * @param {string} chain
+ * @returns {string|null}
+ */
+export function agentContractAddress(chain) {
+  return process.env[`CULTIV8_AGENT_ADDRESS_${chain.toUpperCase()}`] || process.env.CULTIV8_AGENT_ADDRESS || null;
+}
+
+function requireAgentContract(chain) {
+  const address = agentContractAddress(chain);
+  if (!address) {
+    throw new Error(`No Cultiv8 agent contract configured for ${chain} (CULTIV8_AGENT_ADDRESS)`);
+  }
+  return address;
+}
+
+function receiptResult(receipt, hash) {
+  if (!receipt) return { hash, status: 'pending' };
+  return {
+    hash: receipt.hash,
+    status: receipt.status === 1 ? 'confirmed' : 'failed',
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed?.toString(),
+  };
+}
+
+async function waitForResult(response) {
+  try {
+    return receiptResult(await response.wait(1, RECEIPT_TIMEOUT_MS), response.hash);
+  } catch (error) {
+    if (error.code === 'TIMEOUT') return { hash: response.hash, status: 'pending' };
+    if (error.code === 'CALL_EXCEPTION' && error.receipt) return receiptResult(error.receipt, response.hash);
+    throw error;
+  }
+}
+
+// Chain access for execution; buildCultiv8Agent({ onchain }) replaces any of these
+export const LIVE_EXECUTION = {
+  buildDelegatedTransaction: (chain, params) =>
+    new EIP7702TransactionBuilder(
+      getProvider(chain),
+      requireAgentContract(chain),
+      process.env.AGENT_VAULT_ADDRESS || ethers.ZeroAddress
+    ).buildUnsignedTransaction(params),
+
+  // The owner's wallet runs Cultiv8Agent code once delegated, so limits are read there
+  canExecute: (chain, userAddress, amount) =>
+    new ethers.Contract(userAddress, CULTIV8_AGENT_ABI, getProvider(chain)).canExecute(userAddress, amount),
+
+  remainingDailyLimit: (chain, userAddress) =>
+    new ethers.Contract(userAddress, CULTIV8_AGENT_ABI, getProvider(chain)).getRemainingDailyLimit(userAddress),
+
+  executeStrategy: async (chain, userAddress, tx, amount) => {
+    if (!process.env.AGENT_PRIVATE_KEY) {
+      throw new Error('Agent wallet not configured (AGENT_PRIVATE_KEY)');
+    }
+    const wallet = new ethers.Wallet(process.env.AGENT_PRIVATE_KEY, getProvider(chain));
+    const delegated = new ethers.Contract(userAddress, CULTIV8_AGENT_ABI, wallet);
+    return waitForResult(await delegated.executeStrategy(userAddress, tx.to, tx.data, amount));
+  },
+
+  broadcastTransaction: async (chain, signedTransaction) =>
+    waitForResult(await getProvider(chain).broadcastTransaction(signedTransaction)),
+};
+
+// Unsigned transactions carry BigInt fee fields; state is checkpointed
+function toJSONSafe(value) {
+  return JSON.parse(JSON.stringify(value, (_key, v) => (typeof v === 'bigint' ? v.toString() : v)));
+}
+
+/**
+ * USD amount in Cultiv8Agent limit units
+ * @param {number} usd
+ * @returns {bigint}
+ */
+export function limitUnits(usd) {
+  return ethers.parseUnits(Number(usd).toFixed(LIMIT_DECIMALS), LIMIT_DECIMALS);
+}
+
+/**
+ * Package a plan's transactions with EIP7702TransactionBuilder.buildUnsignedTransaction
+ * Transactions are sent in order from one wallet, so nonces follow the first.
+ * The delegation only needs authorizing once: it goes on the first
+ * transaction, with the nonce the wallet has after that transaction's own
+ * (the sender is also the authority). The rest are plain EIP-1559
+ * transactions, since a type 4 transaction needs an authorization.
+ * @param {object} plan - Execution plan from buildStrategyTransactions
+ * @param {string} userAddress - Wallet that signs
+ * @param {object} options
+ * @param {object} options.onchain - Overrides for LIVE_EXECUTION
+ * @returns {Promise<Array<object>>} - [{ index, chain, description, to, data, transaction, authorization }] (JSON-safe)
+ */
+export async function packagePlanTransactions(plan, userAddress, { onchain = {} } = {}) {
+  const { buildDelegatedTransaction } = { ...LIVE_EXECUTION, ...onchain };
+  const packaged = [];
+  let firstNonce = null;
+
+  for (const [index, tx] of plan.transactions.entries()) {
+    const { transaction, authorizationData } = await buildDelegatedTransaction(tx.chain, {
+      userAddress,
+      targetProtocol: tx.to,
+      strategyCalldata: tx.data,
+      amount: BigInt(plan.amount.raw),
+    });
+    firstNonce ??= Number(transaction.nonce);
+
+    const nonce = firstNonce + index;
+    const { authorization: _unsigned, ...fields } = transaction;
+    packaged.push(toJSONSafe({
+      index,
+      chain: tx.chain,
+      description: tx.description,
+      to: tx.to,
+      data: tx.data,
+      transaction: { ...fields, nonce, ...(index > 0 && { type: 2 }) },
+      authorization: index === 0 ? { ...authorizationData, nonce: nonce + 1 } : null,
+    }));
+  }
+  return packaged;
+}
+
+/**
+ * Check the plan against the owner's on-chain authorization
+ * Each executeStrategy call must fit the per-transaction limit, and every
+ * call is charged the strategy amount against the daily limit, so the
+ * remaining daily limit has to cover the whole plan.
+ * @param {object} plan - Execution plan
+ * @param {string} userAddress
+ * @param {object} options
+ * @param {object} options.onchain - Overrides for LIVE_EXECUTION
+ * @returns {Promise<object>} - { allowed, perTransaction, charged, remaining, reason }
+ */
+export async function checkAgentLimits(plan, userAddress, { onchain = {} } = {}) {
+  const { canExecute, remainingDailyLimit } = { ...LIVE_EXECUTION, ...onchain };
+  const chain = plan.transactions[0].chain;
+  const perTransaction = plan.amount.usd;
+  const charged = perTransaction * plan.transactions.length;
+
+  try {
+    const [perTxAllowed, remaining] = await Promise.all([
+      canExecute(chain, userAddress, limitUnits(perTransaction)),
+      remainingDailyLimit(chain, userAddress),
+    ]);
+    const allowed = perTxAllowed && remaining >= limitUnits(charged);
+    return {
+      allowed,
+      perTransaction,
+      charged,
+      remaining: ethers.formatUnits(remaining, LIMIT_DECIMALS),
+      reason: allowed ? null : `$${charged} exceeds the agent's on-chain authorization for ${userAddress}`,
+    };
+  } catch (error) {
+    // A wallet that has not delegated to Cultiv8Agent has no code to call
+    return {
+      allowed: false,
+      perTransaction,
+      charged,
+      reason: `Agent limits unavailable: ${error.shortMessage || error.message}`,
+    };
+  }
+}
+
+/**
+ * Submit packaged transactions from the agent wallet through executeStrategy
+ * Stops at the first transaction that does not confirm.
+ * @param {Array<object>} packaged - From packagePlanTransactions
+ * @param {object} plan - Execution plan (amount charged per call)
+ * @param {string} userAddress
+ * @param {object} options
+ * @param {object} options.onchain - Overrides for LIVE_EXECUTION
+ * @returns {Promise<Array<object>>} - [{ index, hash, status, gasUsed }]
+ */
+export async function executeWithAgent(packaged, plan, userAddress, { onchain = {} } = {}) {
+  const { executeStrategy } = { ...LIVE_EXECUTION, ...onchain };
+  const amount = limitUnits(plan.amount.usd);
+  const results = [];
+
+  for (const tx of packaged) {
+    let result;
+    try {
+      result = await executeStrategy(tx.chain, userAddress, tx, amount);
+    } catch (error) {
+      result = { status: 'failed', error: error.shortMessage || error.message };
+    }
+    results.push({ index: tx.index, description: tx.description, signer: 'agent', ...result });
+    if (result.status !== 'confirmed') break;
+  }
+  return results;
+}
+
+/**
+ * Check a signed transaction is the owner's signature over a packaged one
+ * @param {string} signedTransaction - Serialized signed transaction
+ * @param {object} packaged - Entry from packagePlanTransactions
+ * @param {string} userAddress - Wallet that must have signed
+ * @returns {Transaction} - Parsed transaction
+ * @throws {Error} - When the signer, chain, nonce, target, calldata or delegation differ
+ */
+export function verifySignedTransaction(signedTransaction, packaged, userAddress) {
+  let tx;
+  try {
+    tx = ethers.Transaction.from(signedTransaction);
+  } catch (error) {
+    throw new Error(`Transaction ${packaged.index} is not a signed transaction: ${error.shortMessage || error.message}`);
+  }
+
+  const expected = packaged.transaction;
+  const mismatch = [
+    tx.from?.toLowerCase() !== userAddress.toLowerCase() && 'signer',
+    tx.chainId !== BigInt(expected.chainId) && 'chain',
+    tx.nonce !== Number(expected.nonce) && 'nonce',
+    tx.to?.toLowerCase() !== packaged.to.toLowerCase() && 'target',
+    tx.data.toLowerCase() !== packaged.data.toLowerCase() && 'calldata',
+    tx.value !== 0n && 'value',
+    (tx.authorizationList || []).some(
+      (auth) => auth.address.toLowerCase() !== packaged.authorization?.address?.toLowerCase()
+    ) && 'delegation',
+  ].filter(Boolean);
+
+  if (mismatch.length > 0) {
+    throw new Error(`Signed transaction ${packaged.index} does not match the plan (${mismatch.join(', ')})`);
+  }
+  return tx;
+}
+
+/**
+ * Verify every signed payload, then broadcast them in order
+ * Nothing is broadcast unless all of them match; broadcasting stops at the
+ * first transaction that does not confirm.
+ * @param {Array<object>} packaged - From packagePlanTransactions
+ * @param {Array<string>} signedTransactions - One per packaged transaction, same order
+ * @param {string} userAddress
+ * @param {object} options
+ * @param {object} options.onchain - Overrides for LIVE_EXECUTION
+ * @returns {Promise<Array<object>>} - [{ index, hash, status, gasUsed }]
+ */
+export async function submitSignedTransactions(packaged, signedTransactions, userAddress, { onchain = {} } = {}) {
+  const { broadcastTransaction } = { ...LIVE_EXECUTION, ...onchain };
+  if (signedTransactions.length !== packaged.length) {
+    throw new Error(`Expected ${packaged.length} signed transactions, got ${signedTransactions.length}`);
+  }
+  packaged.forEach((tx, i) => verifySignedTransaction(signedTransactions[i], tx, userAddress));
+
+  const results = [];
+  for (const [i, tx] of packaged.entries()) {
+    let result;
+    try {
+      result = await broadcastTransaction(tx.chain, signedTransactions[i]);
+    } catch (error) {
+      result = { status: 'failed', error: error.shortMessage || error.message };
+    }
+    results.push({ index: tx.index, description: tx.description, signer: 'user', ...result });
+    if (result.status !== 'confirmed') break;
+  }
+  return results;
+}
+
+/**
+ * Overall status of submitted transactions
+ * @param {Array<object>} results
+ * @param {number} expected - Transactions in the plan
+ * @returns {string} - 'confirmed' | 'submitted' (some still pending) | 'failed'
+ */
+export function executionStatus(results, expected) {
+  if (results.some((r) => r.status === 'failed')) return 'failed';
+  if (results.some((r) => r.status === 'pending')) return 'submitted';
+  return results.length === expected ? 'confirmed' : 'failed';
+}
+
+/**
+ * agent_decisions outcome for a finished execution
+ * @param {object} execution - state.execution
+ * @returns {object|null} - recordOutcome input, null while unfinished
+ */
+export function executionOutcome(execution) {
+  if (!['confirmed', 'failed'].includes(execution?.status)) return null;
+  return {
+    status: execution.status === 'confirmed' ? 'success' : 'failed',
+    lessons: {
+      mode: execution.mode,
+      signer: execution.signer,
+      transactions: (execution.results || []).map(({ hash, status, error }) => ({ hash, status, error })),
+      ...(execution.reason && { reason: execution.reason }),
+      ...(execution.error && { error: execution.error }),
+    },
+  };
+}
@@ -0,0 +1,127 @@
+import { getProtocolAdapter, getProvider } from '../../protocols/adapters.js';
+import { parseTokenAmount, formatTokenAmount, DEFAULT_ASSET } from '../../protocols/tokens.js';
+import { GasOptimizer } from '../../utils/gasOptimizer.js';
+import { priceOracle } from '../../utils/priceOracle.js';
+
+/**
+ * Strategy Transactions
+ * Turns a selected strategy into the protocol adapter's calldata, simulates
+ * each transaction with eth_call from the user's wallet, and prices and
+ * scores it with GasOptimizer.buildProtectedTransaction (the same steps as
+ * /api/execute/preview). A "rebalance" strategy is planned as a deposit into
+ * its target; exits are left to the rebalancer.
+ */
+
+// Chain access for planning; buildCultiv8Agent({ onchain }) replaces any of these
+export const LIVE_ONCHAIN = {
+  getAdapter: getProtocolAdapter,
+  getGasOptimizer: (chain) => new GasOptimizer(getProvider(chain)),
+  getUsdPrice: (symbol, chain) => priceOracle.getUsdPrice(symbol, chain),
+};
+
+/**
+ * MEV level for a GasOptimizer risk score (as in /api/execute/preview)
+ */
+export function mevLevel(score) {
+  if (score > 7) return 'HIGH';
+  return score > 4 ? 'MEDIUM' : 'LOW';
+}
+
+/**
+ * Build, simulate and score a strategy's transactions
+ * Each transaction is simulated against current chain state. One that runs
+ * after an approval in the same plan cannot be (the allowance does not exist
+ * yet), so a deposit also checks the wallet holds the amount.
+ * @param {object} strategy - Validated StrategySchema strategy (amount in USD)
+ * @param {object} options
+ * @param {string} options.userAddress - Wallet that sends the transactions
+ * @param {string} options.priority - Gas priority (default 'medium')
+ * @param {object} options.onchain - Overrides for LIVE_ONCHAIN
+ * @returns {Promise<object>} - { transactions, checks, amount, estimatedGasCost, gasPriced, mevRisk, allSimulationsSucceed }
+ */
+export async function buildStrategyTransactions(strategy, { userAddress, priority = 'medium', onchain = {} } = {}) {
+  const { getAdapter, getGasOptimizer, getUsdPrice } = { ...LIVE_ONCHAIN, ...onchain };
+  const chain = strategy.blockchain;
+  const asset = strategy.asset || DEFAULT_ASSET;
+
+  const adapter = await getAdapter(strategy.protocol, chain, asset);
+  const { assetSymbol, assetAddress, assetDecimals } = adapter.getMetadata();
+  const decimals = assetDecimals ?? 6;
+
+  // Strategy amounts are USD; transactions move asset units
+  const price = await getUsdPrice(assetSymbol, chain);
+  if (!(price > 0)) {
+    throw new Error(`No USD price for ${assetSymbol} on ${chain}`);
+  }
+  const amountBN = parseTokenAmount(strategy.amount / price, decimals);
+
+  const built = strategy.action === 'withdraw'
+    ? [await adapter.buildWithdrawTransaction(userAddress, amountBN)]
+    : await adapter.buildDepositTransaction(userAddress, amountBN);
+
+  const checks = [];
+  if (strategy.action !== 'withdraw') {
+    const balance = await adapter.asset.balanceOf(userAddress);
+    checks.push({
+      check: 'balance',
+      passed: balance >= amountBN,
+      required: formatTokenAmount(amountBN, decimals),
+      available: formatTokenAmount(balance, decimals),
+      message: `${assetSymbol} balance covers the deposit`,
+    });
+  }
+
+  const gasOptimizer = getGasOptimizer(chain);
+  const transactions = [];
+  let afterApproval = false;
+  for (const tx of built) {
+    const simulation = afterApproval
+      ? { simulated: false, willSucceed: null, reason: 'Runs after the approval in this plan' }
+      : { simulated: true, willSucceed: await adapter.simulateTransaction(tx, userAddress) };
+    if (tx.to?.toLowerCase() === assetAddress?.toLowerCase()) afterApproval = true;
+
+    const protectedTx = await gasOptimizer.buildProtectedTransaction(tx, {
+      priority,
+      amount: amountBN,
+      symbol: assetSymbol,
+      decimals,
+    });
+
+    // JSON-safe: state is checkpointed
+    transactions.push({
+      chain,
+      to: tx.to,
+      data: tx.data,
+      value: Number(tx.value || 0),
+      description: tx.description,
+      gasEstimate: protectedTx.transaction.gasLimit?.toString(),
+      maxFeePerGas: protectedTx.gasPrice?.maxFeePerGas?.toString(),
+      maxPriorityFeePerGas: protectedTx.gasPrice?.maxPriorityFeePerGas?.toString(),
+      estimatedCost: protectedTx.estimatedCost,
+      mevRisk: protectedTx.mevRisk,
+      ...simulation,
+    });
+  }
+
+  const mevScore = Math.max(0, ...transactions.map((tx) => tx.mevRisk?.riskScore ?? 0));
+
+  return {
+    transactions,
+    checks,
+    amount: {
+      usd: strategy.amount,
+      asset: assetSymbol,
+      units: formatTokenAmount(amountBN, decimals),
+      raw: amountBN.toString(),
+    },
+    estimatedGasCost: transactions.reduce((sum, tx) => sum + (tx.estimatedCost ?? 0), 0),
+    gasPriced: transactions.every((tx) => tx.estimatedCost !== null && tx.estimatedCost !== undefined),
+    mevRisk: {
+      score: mevScore,
+      level: mevLevel(mevScore),
+      recommendations: [...new Set(transactions.flatMap((tx) => tx.mevRisk?.risks || []))],
+    },
+    allSimulationsSucceed:
+      transactions.every((tx) => !tx.simulated || tx.willSucceed) && checks.every((check) => check.passed),
+  };
+}
@@ -7,12 +7,24 @@ import { log } from '../../utils/logger.js';
 /**
  * Build Cultiv8 Agent LangGraph
  * Creates the state machine for AI-powered yield farming decisions
+ * @param {object} options
+ * @param {BaseCheckpointSaver} options.checkpointer - Persists state so paused runs can resume
+ * @param {string|object} options.models - Model provider for every node, or per node (see models.js)
+ * @param {Function} options.marketData - async () => opportunities; replaces the live protocol fetch
+ * @param {object} options.onchain - Chain access for planning and execution (see executionPlanner.js, execution.js)
+ *
+ * With a checkpointer, runs pause before "execute" so the caller can
+ * validate the strategy and record it (safetyValidation, decisionId) before
+ * resuming with invoke(null, config).
  */
-export function buildCultiv8Agent() {
+export function buildCultiv8Agent({ checkpointer, models, marketData, onchain } = {}) {
+  const context = { models, marketData, onchain };
+
   // Define state channels
   const stateDefinition = {
     channels: {
       userAddress: null,
+      mode: null,
       availableFunds: null,
       riskTolerance: null,
       maxInvestmentPerOpp: null,
@@ -24,9 +36,13 @@ export function buildCultiv8Agent() {
       strategies: null,
       selectedStrategy: null,
       executionPlan: null,
+      execution: null,
       transactions: null,
       reasoning: null,
       humanApprovalRequired: null,
+      approval: null,
+      safetyValidation: null,
+      decisionId: null,
       circuitBreakerTriggered: null,
       iteration: null,
       errors: null,
@@ -37,11 +53,11 @@ export function buildCultiv8Agent() {
   const workflow = new StateGraph(stateDefinition);
 
   // Add nodes
-  workflow.addNode("analyze", analyzeMarket);
-  workflow.addNode("generate", generateStrategies);
+  workflow.addNode("analyze", (state) => analyzeMarket(state, context));
+  workflow.addNode("generate", (state) => generateStrategies(state, context));
   workflow.addNode("select", selectStrategy);
-  workflow.addNode("plan", buildExecutionPlan);
-  workflow.addNode("execute", executeTransactions);
+  workflow.addNode("plan", (state) => buildExecutionPlan(state, context));
+  workflow.addNode("execute", (state) => executeTransactions(state, context));
 
   // Define edges (flow between nodes)
   workflow.addEdge("analyze", "generate");
@@ -64,7 +80,7 @@ export function buildCultiv8Agent() {
   workflow.setEntryPoint("analyze");
 
   // Compile the graph
-  const compiledGraph = workflow.compile();
+  const compiledGraph = workflow.compile(checkpointer ? { checkpointer, interruptBefore: ["execute"] } : undefined);
 
   log.info('Cultiv8 agent graph compiled successfully');
 
@@ -73,7 +89,9 @@ export function buildCultiv8Agent() {
 
 /**
  * Conditional routing logic
- * Determines whether to proceed to execution or stop for approval
+ * Determines whether to proceed to execution or stop for approval.
+ * A run stopped for approval stays in the checkpointer; an approved decision
+ * (see approvals.js) clears humanApprovalRequired and resumes from "plan".
  */
 function shouldContinueToExecution(state) {
   // Stop if circuit breaker triggered
@@ -82,6 +100,12 @@ function shouldContinueToExecution(state) {
     return "end";
   }
 
+  // Stop if a human rejected the strategy
+  if (state.approval?.decision === 'reject') {
+    log.info('Strategy rejected by reviewer, stopping execution');
+    return "end";
+  }
+
   // Stop if human approval required
   if (state.humanApprovalRequired) {
     log.info('Human approval required, pausing for review');
@@ -104,11 +128,35 @@ function shouldContinueToExecution(state) {
   return "execute";
 }
 
+/**
+ * Whether a checkpointed run is paused before "execute"
+ * @param {CompiledGraph} agent - Graph compiled with a checkpointer
+ * @param {object} config - { configurable: { thread_id } }
+ * @returns {Promise<boolean>}
+ */
+export async function isAwaitingExecution(agent, config) {
+  const snapshot = await agent.getState(config);
+  return snapshot.next?.includes("execute") ?? false;
+}
+
+// One checkpointer (and pool) per process; runs and approvals share it
+let checkpointerPromise = null;
+
 /**
  * Create PostgreSQL checkpointer for state persistence
  * Allows resuming agent execution from any point
+ * @returns {Promise<PostgresSaver|null>} - null when DATABASE_URL is missing or unreachable
  */
 export async function createCheckpointer() {
+  checkpointerPromise ??= connectCheckpointer().then((checkpointer) => {
+    // Retry on the next call rather than caching a failed connection
+    if (!checkpointer) checkpointerPromise = null;
+    return checkpointer;
+  });
+  return checkpointerPromise;
+}
+
+async function connectCheckpointer() {
   try {
     if (!process.env.DATABASE_URL) {
       log.warn('No DATABASE_URL configured, checkpointing disabled');
@@ -141,19 +189,18 @@ export async function createCheckpointer() {
 
 /**
  * Build agent with checkpointing
- * Returns compiled graph with state persistence
+ * Returns compiled graph with state persistence (graph.checkpointer is unset
+ * when no database is available, so runs cannot be paused and resumed)
  */
 export async function buildCultiv8AgentWithCheckpointing() {
-  const graph = buildCultiv8Agent();
   const checkpointer = await createCheckpointer();
 
   if (checkpointer) {
     // Compile with checkpointing enabled
-    return graph.compile({ checkpointer });
+    return buildCultiv8Agent({ checkpointer });
   }
 
   // Compile without checkpointing (state won't persist)
   log.warn('Running agent without state persistence');
-  return graph.compile();
+  return buildCultiv8Agent();
 }
-
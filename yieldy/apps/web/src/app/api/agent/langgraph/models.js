@@ -0,0 +1,122 @@
+import path from 'path';
+import { ChatAnthropic } from "@langchain/anthropic";
+import { ChatOpenAI } from "@langchain/openai";
+import { RuleBasedModel } from './ruleBasedModel.js';
+import { FixtureStore, RecordingModel, ReplayModel } from './replayModel.js';
+
+/**
+ * Agent Model Providers
+ * Each LLM node ("analyze", "generate", "plan") gets its model from a
+ * provider chosen per node:
+ *   anthropic / openai - live models (API key required)
+ *   record             - another provider (source, default: the node's live default)
+ *                        with its answers saved as fixtures
+ *   replay             - answers from recorded fixtures, no network
+ *   rules              - deterministic rule-based strategist, no network
+ *
+ * Selection, last wins:
+ *   1. DEFAULT_NODE_MODELS
+ *   2. AGENT_MODEL_PROVIDER, then AGENT_MODEL_PROVIDER_<NODE> ("provider" or "provider:model")
+ *   3. buildCultiv8Agent({ models }) - a spec for every node, or { analyze, generate, plan }
+ *
+ * AGENT_MODEL_FIXTURES sets the fixture directory. AGENT_REPLAY_ON_MISS=error
+ * makes replay fail on an unrecorded prompt instead of answering by rule.
+ */
+
+export const MODEL_PROVIDERS = ['anthropic', 'openai', 'record', 'replay', 'rules'];
+
+export const DEFAULT_NODE_MODELS = {
+  analyze: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', temperature: 0.3 },
+  generate: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', temperature: 0.5 }, // Higher temp for creative strategy generation
+  plan: { provider: 'openai', model: 'gpt-4-turbo-preview', temperature: 0.1 }, // Low temp for precise execution planning
+};
+
+// Model used when a node is switched to a live provider without naming one
+export const PROVIDER_DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  openai: 'gpt-4-turbo-preview',
+};
+
+export const DEFAULT_FIXTURES_DIR = path.join('test', 'fixtures', 'agent-models');
+
+/**
+ * "provider" or "provider:model" (or a spec object) as a spec object
+ */
+function parseSpec(value) {
+  if (!value) return {};
+  let spec = value;
+  if (typeof value === 'string') {
+    const [provider, ...model] = value.split(':');
+    spec = model.length > 0 ? { provider, model: model.join(':') } : { provider };
+  }
+  return spec.provider && !spec.model && PROVIDER_DEFAULT_MODELS[spec.provider]
+    ? { ...spec, model: PROVIDER_DEFAULT_MODELS[spec.provider] }
+    : spec;
+}
+
+/**
+ * Resolved model spec for a node
+ * @param {string} node - "analyze" | "generate" | "plan"
+ * @param {string|object} models - buildCultiv8Agent models option
+ * @returns {object} - { provider, model, temperature, fixturesDir, onMiss, source }
+ */
+export function resolveNodeModelSpec(node, models = {}) {
+  const defaults = DEFAULT_NODE_MODELS[node];
+  if (!defaults) {
+    throw new Error(`Unknown agent node: ${node}`);
+  }
+
+  const override = typeof models === 'string' || models?.provider ? models : models?.[node];
+  const spec = {
+    ...defaults,
+    fixturesDir: process.env.AGENT_MODEL_FIXTURES || DEFAULT_FIXTURES_DIR,
+    onMiss: process.env.AGENT_REPLAY_ON_MISS || 'rules',
+    ...parseSpec(process.env.AGENT_MODEL_PROVIDER),
+    ...parseSpec(process.env[`AGENT_MODEL_PROVIDER_${node.toUpperCase()}`]),
+    ...parseSpec(override),
+  };
+
+  if (!MODEL_PROVIDERS.includes(spec.provider)) {
+    throw new Error(`Unknown model provider "${spec.provider}" for ${node}; expected one of ${MODEL_PROVIDERS.join(', ')}`);
+  }
+  return spec;
+}
+
+function liveModel({ provider, model, temperature }) {
+  if (provider === 'anthropic') {
+    return new ChatAnthropic({ modelName: model, temperature, apiKey: process.env.ANTHROPIC_API_KEY });
+  }
+  return new ChatOpenAI({ modelName: model, temperature, apiKey: process.env.OPENAI_API_KEY });
+}
+
+/**
+ * Model for one node run
+ * @param {string} node - "analyze" | "generate" | "plan"
+ * @param {object} state - Graph state (the rule-based strategist answers from it)
+ * @param {string|object} models - buildCultiv8Agent models option
+ * @returns {object} - { model, label } where label names the provider in reasoning steps
+ */
+export function createNodeModel(node, state, models = {}) {
+  const spec = resolveNodeModelSpec(node, models);
+  const store = new FixtureStore(spec.fixturesDir);
+
+  switch (spec.provider) {
+    case 'rules':
+      return { model: new RuleBasedModel(state), label: 'rules' };
+    case 'replay':
+      return {
+        model: new ReplayModel(store, { fallback: spec.onMiss === 'error' ? null : new RuleBasedModel(state) }),
+        label: 'replay',
+      };
+    case 'record': {
+      const source = { ...DEFAULT_NODE_MODELS[node], ...parseSpec(spec.source) };
+      if (['record', 'replay'].includes(source.provider)) {
+        throw new Error(`Cannot record from the ${source.provider} provider`);
+      }
+      const recorded = createNodeModel(node, state, source);
+      return { model: new RecordingModel(recorded.model, store, recorded.label), label: `record:${recorded.label}` };
+    }
+    default:
+      return { model: liveModel(spec), label: `${spec.provider}:${spec.model}` };
+  }
+}
@@ -1,37 +1,64 @@
-import { ChatAnthropic } from "@langchain/anthropic";
-import { ChatOpenAI } from "@langchain/openai";
 import { fetchAllProtocolData } from '../../protocols/adapters.js';
+import { resolveChains, SUPPORTED_CHAINS } from '../../protocols/chains.js';
 import { log } from '../../utils/logger.js';
+import { MarketAnalysisSchema, StrategyListSchema, StrategySchema, ExecutionPlanDetailsSchema } from '../../schemas/agent.js';
+import { invokeStructured, StructuredOutputError, formatIssues } from './structuredOutput.js';
+import { createNodeModel } from './models.js';
+import { buildStrategyTransactions } from './executionPlanner.js';
+import { packagePlanTransactions, checkAgentLimits, executeWithAgent, executionStatus } from './execution.js';
 
 /**
  * LangGraph Agent Nodes
- * Each node represents a step in the agent's decision-making process
+ * Each node represents a step in the agent's decision-making process.
+ * LLM nodes get schema-validated output through invokeStructured; output that
+ * stays invalid after retries fails the node instead of falling back.
+ *
+ * Nodes take (state, context); buildCultiv8Agent supplies the context:
+ *   models     - model provider per node (see models.js)
+ *   marketData - async () => opportunities, replacing the protocol adapters
+ *   onchain    - adapter / gas / price access for planning (see executionPlanner.js)
+ *                and contract access for execution (see execution.js)
  */
 
+/**
+ * Live opportunities from every configured chain
+ */
+export async function fetchMarketOpportunities() {
+  const chainData = await Promise.all(
+    resolveChains('all').map((chain) => fetchAllProtocolData(chain).catch(() => []))
+  );
+
+  return chainData.flat()
+    .filter(p => p.success && p.apy > 0)
+    .map(p => ({
+      protocol: p.protocol,
+      chain: p.chain,
+      asset: p.asset,
+      apy: p.apy,
+      tvl: p.tvl,
+      // Will add risk scores in next step
+    }));
+}
+
+/**
+ * Log fields for a failed node, with validation issues when the model output was invalid
+ */
+function failureDetails(error) {
+  return error instanceof StructuredOutputError
+    ? { error: error.message, attempts: error.attempts, issues: error.issues }
+    : { error: error.message };
+}
+
 /**
  * Node 1: Analyze Market
- * Uses Claude Sonnet 4.5 for strategic market analysis
+ * Uses Claude Sonnet 4.5 (by default) for strategic market analysis
  */
-export async function analyzeMarket(state) {
+export async function analyzeMarket(state, { models, marketData = fetchMarketOpportunities } = {}) {
   log.info('Agent node: analyzeMarket', { iteration: state.iteration });
   const startTime = Date.now();
 
   try {
-    // Fetch real opportunities from both chains
-    const [ethereumData, baseData] = await Promise.all([
-      fetchAllProtocolData('ethereum').catch(() => []),
-      fetchAllProtocolData('base').catch(() => []),
-    ]);
-
-    const allOpportunities = [...ethereumData, ...baseData]
-      .filter(p => p.success && p.apy > 0)
-      .map(p => ({
-        protocol: p.protocol,
-        chain: p.chain,
-        apy: p.apy,
-        tvl: p.tvl,
-        // Will add risk scores in next step
-      }));
+    const allOpportunities = await marketData();
 
     // Fetch current gas prices
     const gasPrice = {
@@ -40,13 +67,6 @@ export async function analyzeMarket(state) {
       estimatedCost: 15, // USD estimate
     };
 
-    // Use Claude for strategic analysis
-    const claude = new ChatAnthropic({
-      modelName: "claude-sonnet-4-20250514",
-      temperature: 0.3,
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-
     const prompt = `You are a DeFi yield farming strategist analyzing investment opportunities.
 
 Current Portfolio:
@@ -59,7 +79,7 @@ Active Positions:
 ${state.currentPositions.map(p => `  - ${p.blockchain}: $${p.amount} at ${p.expected_apy}% APY`).join('\n') || '  None'}
 
 Available Opportunities:
-${allOpportunities.map(o => `  - ${o.protocol} (${o.chain}): ${o.apy}% APY, TVL: $${(o.tvl / 1e6).toFixed(1)}M`).join('\n')}
+${allOpportunities.map(o => `  - ${o.protocol} ${o.asset} (${o.chain}): ${o.apy}% APY, TVL: ${o.tvl === null || o.tvl === undefined ? 'unknown' : `$${(o.tvl / 1e6).toFixed(1)}M`}`).join('\n')}
 
 Provide a strategic analysis covering:
 1. Best opportunities given risk tolerance of ${state.riskTolerance}/10
@@ -68,9 +88,18 @@ Provide a strategic analysis covering:
 4. Recommended allocation strategy
 5. Market conditions assessment
 
-Be specific and actionable. Focus on maximizing risk-adjusted returns.`;
+Be specific and actionable. Focus on maximizing risk-adjusted returns.
+Answer by calling market_analysis.`;
 
-    const response = await claude.invoke([{ role: "user", content: prompt }]);
+    // Strategic analysis on the state the rule-based provider also reads
+    const analysisState = { ...state, opportunities: allOpportunities, gasPrice };
+    const { model, label } = createNodeModel('analyze', analysisState, models);
+    const { output: analysis, attempts } = await invokeStructured(
+      model,
+      MarketAnalysisSchema,
+      [{ role: "user", content: prompt }],
+      { name: "market_analysis" }
+    );
 
     const duration = Date.now() - startTime;
 
@@ -78,15 +107,16 @@ Be specific and actionable. Focus on maximizing risk-adjusted returns.`;
       ...state,
       opportunities: allOpportunities,
       gasPrice,
-      marketConditions: { gasLevel: 'medium', volatility: 'low' },
-      analysis: response.content,
+      marketConditions: analysis.marketConditions,
+      analysis,
       reasoning: [
         ...state.reasoning,
         {
           step: "market_analysis",
-          model: "claude-sonnet-4",
+          model: label,
           input: { opportunitiesCount: allOpportunities.length, availableFunds: state.availableFunds },
-          output: response.content,
+          output: analysis,
+          attempts,
           timestamp: Date.now(),
           duration,
         },
@@ -94,7 +124,7 @@ Be specific and actionable. Focus on maximizing risk-adjusted returns.`;
       iteration: state.iteration + 1,
     };
   } catch (error) {
-    log.error('analyzeMarket node failed', { error: error.message });
+    log.error('analyzeMarket node failed', failureDetails(error));
     return {
       ...state,
       errors: [...state.errors, `Market analysis failed: ${error.message}`],
@@ -105,69 +135,37 @@ Be specific and actionable. Focus on maximizing risk-adjusted returns.`;
 
 /**
  * Node 2: Generate Strategies
- * Uses Claude to generate 3-5 potential strategies
+ * Uses Claude (by default) to generate 3-5 potential strategies
  */
-export async function generateStrategies(state) {
+export async function generateStrategies(state, { models } = {}) {
   log.info('Agent node: generateStrategies', { iteration: state.iteration });
   const startTime = Date.now();
 
   try {
-    const claude = new ChatAnthropic({
-      modelName: "claude-sonnet-4-20250514",
-      temperature: 0.5, // Higher temp for creative strategy generation
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
+    const { model, label } = createNodeModel('generate', state, models);
 
     const prompt = `Based on this market analysis:
 
-${state.analysis}
-
-Generate 3-5 specific investment strategies as a JSON array. Each strategy should include:
-{
-  "protocol": "protocol name",
-  "blockchain": "ethereum or base",
-  "action": "deposit, withdraw, or rebalance",
-  "amount": dollar amount,
-  "expectedAPY": percentage,
-  "riskScore": 1-10,
-  "rationale": "brief explanation",
-  "confidence": 0-1
-}
+${JSON.stringify(state.analysis, null, 2)}
+
+Propose 3-5 specific investment strategies. Each strategy names the protocol,
+the blockchain (${SUPPORTED_CHAINS.join(', ')}), the action (deposit, withdraw
+or rebalance), the USD amount, the expected APY in percent, a 1-10 risk score,
+a brief rationale and your confidence from 0 to 1.
 
 Available funds: $${state.availableFunds}
 Max per opportunity: $${state.maxInvestmentPerOpp}
 Risk tolerance: ${state.riskTolerance}/10
 
-Return ONLY valid JSON array, no other text.`;
-
-    const response = await claude.invoke([{ role: "user", content: prompt }]);
-
-    // Parse strategies from Claude's response
-    let strategies = [];
-    try {
-      // Extract JSON from response (Claude might wrap it in markdown)
-      const content = response.content;
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        strategies = JSON.parse(jsonMatch[0]);
-      } else {
-        // Fallback parsing
-        strategies = JSON.parse(content);
-      }
-    } catch (parseError) {
-      log.warn('Failed to parse strategies from Claude', { error: parseError.message, content: response.content });
-      // Generate fallback strategy
-      strategies = [{
-        protocol: state.opportunities[0]?.protocol || 'aave',
-        blockchain: state.opportunities[0]?.chain || 'ethereum',
-        action: 'deposit',
-        amount: Math.min(state.availableFunds, state.maxInvestmentPerOpp),
-        expectedAPY: state.opportunities[0]?.apy || 4.0,
-        riskScore: 5,
-        rationale: 'Fallback strategy - Claude parsing failed',
-        confidence: 0.3,
-      }];
-    }
+Answer by calling propose_strategies.`;
+
+    const { output, attempts } = await invokeStructured(
+      model,
+      StrategyListSchema,
+      [{ role: "user", content: prompt }],
+      { name: "propose_strategies" }
+    );
+    const { strategies } = output;
 
     const duration = Date.now() - startTime;
 
@@ -178,20 +176,22 @@ Return ONLY valid JSON array, no other text.`;
         ...state.reasoning,
         {
           step: "strategy_generation",
-          model: "claude-sonnet-4",
+          model: label,
           input: state.analysis,
           output: strategies,
+          attempts,
           timestamp: Date.now(),
           duration,
         },
       ],
     };
   } catch (error) {
-    log.error('generateStrategies node failed', { error: error.message });
+    log.error('generateStrategies node failed', failureDetails(error));
     return {
       ...state,
+      strategies: [],
       errors: [...state.errors, `Strategy generation failed: ${error.message}`],
-      circuitBreakerTripped: true,
+      circuitBreakerTriggered: true,
     };
   }
 }
@@ -242,10 +242,12 @@ export async function selectStrategy(state) {
     const best = scored[0];
 
     // Check if human approval needed
-    const needsApproval =
-      best.amount > state.availableFunds * 0.5 || // >50% of funds
-      best.riskScore > state.riskTolerance + 1 || // Exceeds risk tolerance
-      best.confidence < 0.5; // Low confidence
+    const approvalReasons = [
+      best.amount > state.availableFunds * 0.5 && 'Uses more than 50% of available funds',
+      best.riskScore > state.riskTolerance + 1 && `Risk score ${best.riskScore} exceeds tolerance ${state.riskTolerance}`,
+      best.confidence < 0.5 && `Low confidence (${best.confidence})`,
+    ].filter(Boolean);
+    const needsApproval = approvalReasons.length > 0;
 
     const duration = Date.now() - startTime;
 
@@ -258,7 +260,7 @@ export async function selectStrategy(state) {
         {
           step: "strategy_selection",
           input: scored,
-          output: { selected: best, needsApproval },
+          output: { selected: best, needsApproval, approvalReasons },
           timestamp: Date.now(),
           duration,
         },
@@ -275,9 +277,12 @@ export async function selectStrategy(state) {
 
 /**
  * Node 4: Build Execution Plan
- * Uses GPT-4 for detailed execution planning
+ * Builds the strategy's transactions with its protocol adapter, simulates
+ * and scores them, then uses GPT-4 (by default) to plan around them.
+ * A simulated revert (or a wallet short of the deposit) sets
+ * allSimulationsSucceed to false, which stops the run before execution.
  */
-export async function buildExecutionPlan(state) {
+export async function buildExecutionPlan(state, { models, onchain } = {}) {
   log.info('Agent node: buildExecutionPlan', { strategy: state.selectedStrategy?.protocol });
   const startTime = Date.now();
 
@@ -290,18 +295,37 @@ export async function buildExecutionPlan(state) {
       };
     }
 
-    const gpt4 = new ChatOpenAI({
-      modelName: "gpt-4-turbo-preview",
-      temperature: 0.1, // Low temp for precise execution planning
-      apiKey: process.env.OPENAI_API_KEY,
+    // Same schema SafetyController.validateStrategy applies; a run resumed
+    // from the checkpointer is checked again here
+    const strategyCheck = StrategySchema.safeParse(state.selectedStrategy);
+    if (!strategyCheck.success) {
+      log.warn('Malformed strategy not planned', { issues: strategyCheck.error.issues });
+      return {
+        ...state,
+        executionPlan: null,
+        errors: [...state.errors, `Malformed strategy: ${formatIssues(strategyCheck.error.issues)}`],
+      };
+    }
+
+    const built = await buildStrategyTransactions(strategyCheck.data, {
+      userAddress: state.userAddress,
+      onchain,
     });
 
+    const { model, label } = createNodeModel('plan', state, models);
+
     const prompt = `Create a detailed execution plan for this DeFi strategy:
 
 Strategy:
 ${JSON.stringify(state.selectedStrategy, null, 2)}
 
+Transactions (built and simulated):
+${built.transactions.map((tx, i) => `  ${i + 1}. ${tx.description} - ${tx.simulated ? (tx.willSucceed ? 'simulation succeeded' : 'SIMULATION REVERTED') : tx.reason}`).join('\n')}
+${built.checks.map((check) => `  Check: ${check.message} - ${check.passed ? 'passed' : `FAILED (need ${check.required}, have ${check.available})`}`).join('\n')}
+
 Current Gas Price: ${state.gasPrice?.maxFeePerGas || 'unknown'}
+Estimated Gas Cost: $${built.estimatedGasCost.toFixed(2)}
+MEV Risk: ${built.mevRisk.level}
 Available Funds: $${state.availableFunds}
 
 Create an execution plan including:
@@ -311,42 +335,26 @@ Create an execution plan including:
 4. Risk mitigation steps
 5. Expected outcomes
 
-Return a JSON object with:
-{
-  "steps": ["step 1", "step 2", ...],
-  "gasStrategy": "description",
-  "slippageTolerance": 0.5,
-  "estimatedDuration": "time estimate",
-  "contingencies": ["what if X happens", ...]
-}
-
-Return ONLY valid JSON, no other text.`;
+Slippage tolerance is in percent and may not exceed 5.
+Answer by calling execution_plan.`;
 
-    const response = await gpt4.invoke([{ role: "user", content: prompt }]);
+    const { output: planDetails, attempts } = await invokeStructured(
+      model,
+      ExecutionPlanDetailsSchema,
+      [{ role: "user", content: prompt }],
+      { name: "execution_plan" }
+    );
 
-    // Parse execution plan
-    let planDetails;
-    try {
-      const content = response.content;
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      planDetails = jsonMatch ? JSON.parse(jsonMatch[0]) : { steps: [], gasStrategy: 'standard' };
-    } catch {
-      planDetails = { steps: [], gasStrategy: 'standard' };
-    }
-
-    // Build actual transactions (will be done by backend)
-    // For now, placeholder structure
     const executionPlan = {
-      transactions: [],
-      estimatedGasCost: state.gasPrice?.estimatedCost || 15,
-      mevRisk: {
-        score: 3,
-        level: 'LOW',
-        recommendations: [],
-      },
-      allSimulationsSucceed: true,
+      ...built,
       planDetails,
     };
+    if (!executionPlan.allSimulationsSucceed) {
+      log.warn('Execution plan failed simulation', {
+        transactions: built.transactions.map(({ description, simulated, willSucceed }) => ({ description, simulated, willSucceed })),
+        checks: built.checks,
+      });
+    }
 
     const duration = Date.now() - startTime;
 
@@ -357,29 +365,45 @@ Return ONLY valid JSON, no other text.`;
         ...state.reasoning,
         {
           step: "execution_planning",
-          model: "gpt-4-turbo",
+          model: label,
           input: state.selectedStrategy,
           output: executionPlan,
+          attempts,
           timestamp: Date.now(),
           duration,
         },
       ],
     };
   } catch (error) {
-    log.error('buildExecutionPlan node failed', { error: error.message });
+    log.error('buildExecutionPlan node failed', failureDetails(error));
     return {
       ...state,
+      executionPlan: null,
       errors: [...state.errors, `Execution planning failed: ${error.message}`],
     };
   }
 }
 
+/**
+ * Whether the agent wallet may submit this run's plan itself
+ * Autonomous runs need the SafetyController result the run route records
+ * before resuming into "execute", or a signed human approval.
+ */
+function agentMaySubmit(state) {
+  if (state.mode !== 'autonomous') return { allowed: false, reason: 'Co-pilot mode: the owner signs every transaction' };
+  if (state.safetyValidation?.valid || state.approval?.decision === 'approve') return { allowed: true };
+  return { allowed: false, reason: 'Strategy has not passed safety validation for agent execution' };
+}
+
 /**
  * Node 5: Execute Transactions
- * System node - actually submits transactions (if approved)
+ * System node - packages the plan as EIP-7702 transactions (see execution.js).
+ * Autonomous runs within the owner's on-chain limits are submitted by the
+ * agent wallet; otherwise the run ends awaiting the owner's signature, and
+ * the signed payload is submitted through /api/agent/signatures.
  */
-export async function executeTransactions(state) {
-  log.info('Agent node: executeTransactions', { plan: state.executionPlan ? 'ready' : 'missing' });
+export async function executeTransactions(state, { onchain } = {}) {
+  log.info('Agent node: executeTransactions', { plan: state.executionPlan ? 'ready' : 'missing', mode: state.mode });
   const startTime = Date.now();
 
   try {
@@ -390,25 +414,57 @@ export async function executeTransactions(state) {
       };
     }
 
-    // In production, this would call the actual execution API
-    // For now, simulate execution
-    const results = [{
-      status: 'simulated',
-      strategy: state.selectedStrategy,
-      message: 'Transaction execution ready - requires user signature',
-    }];
+    const plan = state.executionPlan;
+    const packaged = await packagePlanTransactions(plan, state.userAddress, { onchain });
+
+    let execution = {
+      mode: state.mode === 'autonomous' ? 'autonomous' : 'copilot',
+      status: 'awaiting_signature',
+      signer: 'user',
+      packaged,
+      results: [],
+    };
+
+    const permission = agentMaySubmit(state);
+    const limits = permission.allowed
+      ? await checkAgentLimits(plan, state.userAddress, { onchain })
+      : null;
+
+    if (limits?.allowed) {
+      const results = await executeWithAgent(packaged, plan, state.userAddress, { onchain });
+      execution = {
+        ...execution,
+        status: executionStatus(results, packaged.length),
+        signer: 'agent',
+        limits,
+        results,
+      };
+    } else {
+      execution.reason = limits?.reason || permission.reason;
+      if (limits) execution.limits = limits;
+    }
+
+    if (execution.status === 'failed') {
+      log.warn('Agent execution failed', { results: execution.results });
+    }
 
     const duration = Date.now() - startTime;
 
     return {
       ...state,
-      transactions: results,
+      execution,
+      transactions: execution.results,
       reasoning: [
         ...state.reasoning,
         {
           step: "transaction_execution",
-          input: state.executionPlan,
-          output: results,
+          input: { mode: execution.mode, transactions: packaged.length },
+          output: {
+            status: execution.status,
+            signer: execution.signer,
+            reason: execution.reason || null,
+            results: execution.results,
+          },
           timestamp: Date.now(),
           duration,
         },
@@ -418,9 +474,9 @@ export async function executeTransactions(state) {
     log.error('executeTransactions node failed', { error: error.message });
     return {
       ...state,
+      execution: { mode: state.mode, status: 'failed', error: error.message, results: [] },
       errors: [...state.errors, `Transaction execution failed: ${error.message}`],
       transactions: [],
     };
   }
 }
-
@@ -0,0 +1,127 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { rawOutput, toolCallResult } from './structuredOutput.js';
+
+/**
+ * Record / Replay Models
+ * RecordingModel wraps a live chat model and writes each structured-output
+ * answer to a fixture file named by the hash of the tool name and prompt.
+ * ReplayModel answers the same prompts from those files with no network.
+ * Invalid answers are recorded too, so a replay retries the way the
+ * recorded run did.
+ */
+
+/**
+ * Replay found no fixture for a prompt and has no fallback
+ */
+export class ReplayMissError extends Error {
+  constructor(name, hash) {
+    super(`No recorded ${name} answer for prompt ${hash}`);
+    this.name = 'ReplayMissError';
+    this.outputName = name;
+    this.hash = hash;
+  }
+}
+
+/**
+ * Stable hash of a structured-output call
+ * @param {string} name - Tool name
+ * @param {Array<object>} messages - Prompt messages ({ role, content })
+ * @returns {string} - sha256 hex
+ */
+export function promptHash(name, messages) {
+  const prompt = messages.map((m) => ({ role: m.role, content: m.content }));
+  return createHash('sha256').update(JSON.stringify({ name, prompt })).digest('hex');
+}
+
+/**
+ * Fixture directory: one JSON file per prompt hash
+ */
+export class FixtureStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  fileFor(hash) {
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async get(hash) {
+    try {
+      return JSON.parse(await readFile(this.fileFor(hash), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async put(hash, fixture) {
+    await mkdir(this.dir, { recursive: true });
+    await writeFile(this.fileFor(hash), JSON.stringify(fixture, null, 2) + '\n');
+  }
+}
+
+/**
+ * Live model whose answers are written to a fixture store
+ */
+export class RecordingModel {
+  /**
+   * @param {BaseChatModel} model - Live model
+   * @param {FixtureStore} store
+   * @param {string} label - Recorded as the fixture's source
+   */
+  constructor(model, store, label = null) {
+    this.model = model;
+    this.store = store;
+    this.label = label;
+  }
+
+  withStructuredOutput(schema, options = {}) {
+    const structured = this.model.withStructuredOutput(schema, { ...options, includeRaw: true });
+    return {
+      invoke: async (messages) => {
+        const result = await structured.invoke(messages);
+        const hash = promptHash(options.name, messages);
+        await this.store.put(hash, {
+          name: options.name,
+          source: this.label,
+          recordedAt: new Date().toISOString(),
+          messages: messages.map((m) => ({ role: m.role, content: m.content })),
+          output: result.parsed ?? rawOutput(result.raw),
+        });
+        return result;
+      },
+    };
+  }
+}
+
+/**
+ * Model answering from recorded fixtures
+ */
+export class ReplayModel {
+  /**
+   * @param {FixtureStore} store
+   * @param {object} options
+   * @param {object} options.fallback - Model for prompts with no fixture (throws ReplayMissError when null)
+   */
+  constructor(store, { fallback = null } = {}) {
+    this.store = store;
+    this.fallback = fallback;
+  }
+
+  withStructuredOutput(schema, options = {}) {
+    return {
+      invoke: async (messages) => {
+        const hash = promptHash(options.name, messages);
+        const fixture = await this.store.get(hash);
+        if (fixture) return toolCallResult(options.name, fixture.output);
+
+        if (!this.fallback) {
+          throw new ReplayMissError(options.name, hash);
+        }
+        return this.fallback.withStructuredOutput(schema, { ...options, includeRaw: true }).invoke(messages);
+      },
+    };
+  }
+}
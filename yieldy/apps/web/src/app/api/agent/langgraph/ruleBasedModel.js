@@ -0,0 +1,146 @@
+import { SUPPORTED_CHAINS } from '../../protocols/chains.js';
+import { toolCallResult } from './structuredOutput.js';
+
+/**
+ * Rule-Based Strategist
+ * Deterministic stand-in for the LLM nodes: each structured-output call is
+ * answered from the graph state with fixed rules, without a network. Used
+ * by the "rules" model provider, and by the replay provider when a prompt
+ * has no recorded fixture.
+ */
+
+const TOP_OPPORTUNITIES = 3;
+const RULE_CONFIDENCE = 0.6;
+const DEFAULT_SLIPPAGE_PERCENT = 0.5;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Risk score implied by a yield: higher APY, higher risk (1-10)
+ */
+export function riskScoreForApy(apy) {
+  return Math.min(10, Math.max(1, Math.round(1 + Number(apy) / 3)));
+}
+
+function gasLevel(state) {
+  const cost = state.gasPrice?.estimatedCost;
+  if (cost === undefined || cost === null) return 'medium';
+  if (cost < 5) return 'low';
+  return cost < 20 ? 'medium' : 'high';
+}
+
+/**
+ * market_analysis: best-yielding opportunities within the risk tolerance
+ */
+function analyzeMarket(state) {
+  const best = (state.opportunities || [])
+    .filter((o) => SUPPORTED_CHAINS.includes(o.chain) && o.apy > 0)
+    .filter((o) => riskScoreForApy(o.apy) <= state.riskTolerance)
+    .sort((a, b) => b.apy - a.apy || Number(b.tvl || 0) - Number(a.tvl || 0))
+    .slice(0, TOP_OPPORTUNITIES);
+  const bestApy = best[0]?.apy ?? 0;
+  const gas = gasLevel(state);
+
+  return {
+    summary: best.length > 0
+      ? `${best.length} opportunities within risk tolerance ${state.riskTolerance}/10; best is ${best[0].protocol} ${best[0].asset} on ${best[0].chain} at ${best[0].apy}% APY.`
+      : `No opportunities within risk tolerance ${state.riskTolerance}/10.`,
+    bestOpportunities: best.map((o) => ({
+      protocol: o.protocol,
+      blockchain: o.chain,
+      asset: o.asset,
+      apy: o.apy,
+      reason: `${o.apy}% APY with ${(Number(o.tvl || 0) / 1e6).toFixed(1)}M TVL`,
+    })),
+    rebalanceNeeded: (state.currentPositions || []).some((p) => Number(p.expected_apy) < bestApy - 1),
+    risks: [
+      'Smart contract risk in each protocol',
+      'APY falls as pool utilization drops',
+      gas === 'high' && 'High gas erodes returns on small positions',
+    ].filter(Boolean),
+    allocation: `Split available funds across the top ${TOP_OPPORTUNITIES} opportunities, at most $${state.maxInvestmentPerOpp} each`,
+    marketConditions: { gasLevel: gas, volatility: 'low' },
+  };
+}
+
+/**
+ * propose_strategies: an even deposit into each of the analysis' best opportunities
+ */
+function generateStrategies(state) {
+  const best = state.analysis?.bestOpportunities || [];
+  const amount = round(Math.min(state.maxInvestmentPerOpp, state.availableFunds / Math.max(best.length, 1)));
+  if (amount <= 0) return { strategies: [] };
+
+  return {
+    strategies: best.map((o, i) => ({
+      protocol: o.protocol,
+      blockchain: o.blockchain,
+      action: 'deposit',
+      asset: o.asset,
+      amount,
+      expectedAPY: o.apy,
+      riskScore: riskScoreForApy(o.apy),
+      rationale: `Rule-based: #${i + 1} by APY within risk tolerance`,
+      confidence: RULE_CONFIDENCE,
+    })),
+  };
+}
+
+/**
+ * execution_plan: the transaction sequence for the selected strategy's action
+ */
+function buildExecutionPlan(state) {
+  const { protocol, blockchain, action, amount } = state.selectedStrategy;
+  const asset = state.selectedStrategy.asset || 'USDC';
+  const withdraw = `Withdraw $${amount} of ${asset} from ${protocol} on ${blockchain}`;
+  const deposit = [
+    `Approve ${asset} spending by ${protocol}`,
+    `Deposit $${amount} of ${asset} into ${protocol} on ${blockchain}`,
+  ];
+  const steps = {
+    deposit,
+    withdraw: [withdraw],
+    rebalance: [withdraw, ...deposit],
+  }[action];
+
+  return {
+    steps: [...steps, 'Confirm the receipt and record the position'],
+    gasStrategy: gasLevel(state) === 'high'
+      ? 'Defer until the base fee falls, then submit at low priority'
+      : 'Submit at medium priority with EIP-1559 fees',
+    slippageTolerance: DEFAULT_SLIPPAGE_PERCENT,
+    estimatedDuration: `~${steps.length} minute${steps.length === 1 ? '' : 's'}`,
+    contingencies: [
+      'If a transaction reverts, stop and leave funds in the wallet',
+      'If gas rises above the estimate, defer submission',
+    ],
+  };
+}
+
+const RULES = {
+  market_analysis: analyzeMarket,
+  propose_strategies: generateStrategies,
+  execution_plan: buildExecutionPlan,
+};
+
+/**
+ * Chat model stand-in answering the agent's structured-output calls by rule
+ */
+export class RuleBasedModel {
+  /**
+   * @param {object} state - Graph state the node is running on
+   */
+  constructor(state) {
+    this.state = state;
+  }
+
+  withStructuredOutput(schema, { name } = {}) {
+    const rule = RULES[name];
+    if (!rule) {
+      throw new Error(`No rule-based answer for ${name}`);
+    }
+    return {
+      invoke: async () => toolCallResult(name, rule(this.state)),
+    };
+  }
+}
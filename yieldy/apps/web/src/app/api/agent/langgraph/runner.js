@@ -0,0 +1,254 @@
+import sql from '../../utils/sql';
+import { log, logSecurityEvent } from '../../utils/logger.js';
+import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from '../../utils/auditLogger.js';
+import { getUserConfig, normalizeAddress } from '../../utils/userConfig.js';
+import { getUserFundBalances } from '../../utils/userFunds.js';
+import { agentMemory } from '../memory/memory-manager.js';
+import { safetyController } from '../safety/safety-controller.js';
+import { buildCultiv8AgentWithCheckpointing, isAwaitingExecution } from './graph.js';
+import { createInitialState } from './state';
+import { queueApproval } from './approvals.js';
+import { settleExecution } from './signatures.js';
+import { streamAgentGraph } from './streaming.js';
+
+/**
+ * Agent Runs
+ * One run of the agent for a wallet, shared by POST /api/agent/run (one JSON
+ * response at the end) and POST /api/agent/run/stream (Server-Sent Events as
+ * it goes). With persistence the graph pauses before "execute"; the strategy
+ * is safety-validated and recorded, and only a validated run resumes.
+ *
+ * Streamed events, in order:
+ *   run        - { threadId, mode }
+ *   node_start, token, node_end - graph progress (see streaming.js)
+ *   safety     - { checked, valid, riskLevel, violations, needsApproval, approvalQueued, timestamp }
+ *   result     - the POST /api/agent/run response body (sent by the route)
+ *   error      - { error, message } instead of result when the run fails
+ */
+
+/**
+ * Wallet a run targets: body.userAddress (which the caller must own) or the caller's
+ */
+export async function getRunTargetAddress(request) {
+  try {
+    const body = await request.clone().json();
+    return normalizeAddress(body?.userAddress || request.user.address);
+  } catch {
+    return normalizeAddress(request.user.address);
+  }
+}
+
+/**
+ * Run the agent for a wallet through validation and execution
+ * @param {object} params
+ * @param {string} params.userAddress - Wallet to run for
+ * @param {string} params.mode - 'autonomous' | 'copilot' | 'advisory'
+ * @param {Function} params.onEvent - (type, data) => void; when set, progress is streamed to it
+ * @returns {Promise<object>} - { threadId, userAddress, mode, state, approvalQueued, validationResult, signatureQueued }
+ */
+export async function runAgent({ userAddress, mode = 'autonomous', onEvent = null }) {
+  const userId = normalizeAddress(userAddress);
+
+  log.info('Agent execution started', {
+    userAddress: userId,
+    mode,
+    streaming: !!onEvent,
+  });
+
+  // Fetch the wallet's agent configuration
+  const config = await getUserConfig(userId);
+
+  // Get the wallet's available funds
+  const { available: availableFunds } = await getUserFundBalances(userId);
+
+  // Get the wallet's current positions
+  const positions = await sql`
+    SELECT * FROM investments
+    WHERE status IN ('pending', 'confirmed')
+      AND user_address = ${userId}
+    ORDER BY invested_at DESC
+  `;
+
+  // Create initial state
+  const initialState = createInitialState({
+    userAddress: userId,
+    mode: mode === 'autonomous' ? 'autonomous' : 'copilot',
+    availableFunds,
+    riskTolerance: config.max_risk_score,
+    maxInvestmentPerOpp: config.max_investment_per_opportunity,
+    currentPositions: positions || [],
+  });
+
+  // Build and run agent
+  const agent = await buildCultiv8AgentWithCheckpointing();
+
+  // Generate unique thread ID for this execution
+  const threadId = `agent-${userId}-${Date.now()}`;
+
+  // Configure execution with checkpointing
+  const agentConfig = {
+    configurable: {
+      thread_id: threadId,
+    },
+  };
+
+  const invoke = (input) => (onEvent ? streamAgentGraph(agent, input, agentConfig, onEvent) : agent.invoke(input, agentConfig));
+  onEvent?.('run', { threadId, mode });
+
+  log.info('Agent graph execution starting', { threadId });
+
+  // Invoke agent (with persistence it pauses before "execute")
+  let finalState = await invoke(initialState);
+
+  log.info('Agent graph execution completed', {
+    threadId,
+    strategiesGenerated: finalState.strategies?.length || 0,
+    selectedStrategy: finalState.selectedStrategy?.protocol || null,
+    needsApproval: finalState.humanApprovalRequired,
+  });
+
+  // Park the run for a signed decision at /api/agent/approvals (needs the checkpointer to resume)
+  let approvalQueued = false;
+  if (finalState.humanApprovalRequired && finalState.selectedStrategy && !finalState.circuitBreakerTriggered) {
+    if (agent.checkpointer) {
+      try {
+        approvalQueued = !!(await queueApproval(threadId, userId, finalState));
+      } catch (error) {
+        log.error('Failed to queue approval', { threadId, error: error.message });
+      }
+    } else {
+      log.warn('Run needs approval but state is not persisted; it cannot be resumed', { threadId });
+    }
+  }
+
+  // Validate strategy with safety controller
+  let validationResult = { valid: true, violations: [] };
+  if (finalState.selectedStrategy && !finalState.humanApprovalRequired) {
+    validationResult = await safetyController.validateStrategy(
+      finalState.selectedStrategy,
+      {
+        userAddress: userId,
+        maxInvestmentPerOpp: config.max_investment_per_opportunity,
+        availableFunds,
+        riskTolerance: config.max_risk_score,
+        dailyLimit: config.max_total_investment,
+      }
+    );
+
+    if (!validationResult.valid) {
+      logSecurityEvent('STRATEGY_VALIDATION_FAILED', {
+        violations: validationResult.violations,
+        strategy: finalState.selectedStrategy,
+      });
+
+      // Trigger circuit breaker if high-risk violations
+      if (validationResult.riskLevel === 'high') {
+        await safetyController.triggerCircuitBreaker(
+          `Strategy validation failed: ${validationResult.violations[0]?.type}`,
+          { violations: validationResult.violations }
+        );
+      }
+    }
+  }
+
+  if (finalState.selectedStrategy) {
+    onEvent?.('safety', {
+      // Runs awaiting approval are cleared by the signed decision instead
+      checked: !finalState.humanApprovalRequired,
+      valid: validationResult.valid,
+      riskLevel: validationResult.riskLevel || null,
+      violations: validationResult.violations,
+      needsApproval: !!finalState.humanApprovalRequired,
+      approvalQueued,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Store decision in memory system for learning
+  let decisionId = null;
+  if (finalState.selectedStrategy) {
+    decisionId = await agentMemory.storeDecision(userId, {
+      type: mode === 'autonomous' ? 'autonomous_strategy' : 'advisory_strategy',
+      reasoning: finalState.reasoning,
+      strategy: finalState.selectedStrategy,
+      validationResult,
+    });
+  }
+
+  // Execute once validated: the agent submits within limits, or the plan is queued for signing
+  let settled = { signatureQueued: false, outcome: null };
+  if (agent.checkpointer && finalState.selectedStrategy) {
+    // Runs awaiting approval were not validated; the signed approval clears them instead
+    await agent.updateState(
+      agentConfig,
+      { decisionId, safetyValidation: finalState.humanApprovalRequired ? null : validationResult },
+      'plan'
+    );
+
+    if (validationResult.valid && await isAwaitingExecution(agent, agentConfig)) {
+      finalState = await invoke(null);
+    }
+  }
+  if (finalState.execution) {
+    settled = await settleExecution(threadId, userId, finalState, { decisionId });
+  }
+
+  return {
+    threadId,
+    userAddress: userId,
+    mode,
+    state: finalState,
+    approvalQueued,
+    validationResult,
+    signatureQueued: settled.signatureQueued,
+  };
+}
+
+/**
+ * Response body for a finished run
+ * @param {object} run - runAgent result
+ * @returns {object}
+ */
+export function runResponse({ threadId, state, approvalQueued, signatureQueued }) {
+  return {
+    success: true,
+    threadId,
+    strategy: state.selectedStrategy,
+    executionPlan: state.executionPlan,
+    reasoning: state.reasoning,
+    needsApproval: state.humanApprovalRequired,
+    approvalQueued,
+    execution: state.execution,
+    transactions: state.transactions || [],
+    signatureQueued,
+    circuitBreakerTriggered: state.circuitBreakerTriggered,
+    errors: state.errors || [],
+  };
+}
+
+/**
+ * Audit a run, or its failure
+ * @param {Request} request
+ * @param {object} params - { run, error }
+ */
+export async function auditRun(request, { run = null, error = null }) {
+  const state = run?.state;
+  await auditLog({
+    user_id: run?.userAddress || request.user?.id || 'system',
+    action: AUDIT_ACTIONS.STRATEGY_EXECUTED,
+    resource_type: 'agent_execution',
+    metadata: error
+      ? { error: error.message }
+      : {
+          mode: run.mode,
+          threadId: run.threadId,
+          strategiesGenerated: state.strategies?.length || 0,
+          selectedStrategy: state.selectedStrategy?.protocol,
+          needsApproval: state.humanApprovalRequired,
+          executionStatus: state.execution?.status || null,
+        },
+    ip_address: getIPFromRequest(request),
+    request_id: getRequestIDFromRequest(request),
+    success: !error,
+  });
+}
@@ -0,0 +1,251 @@
+import sql from '../../utils/sql';
+import { log } from '../../utils/logger.js';
+import { sendPushNotification } from '../../utils/pushNotifications.js';
+import { agentMemory } from '../memory/memory-manager.js';
+import { buildCultiv8AgentWithCheckpointing } from './graph.js';
+import { submitSignedTransactions, executionStatus, executionOutcome } from './execution.js';
+
+/**
+ * Signature Requests
+ * A run whose "execute" node packaged its plan for the owner to sign ends
+ * with execution.status 'awaiting_signature'. agent_signature_requests keeps
+ * the packaged transactions per wallet, and the owner's devices are notified.
+ * The signed payload is verified against the package and broadcast; results
+ * are written back to the run's graph state (as the "execute" node) and to
+ * the run's agent_decisions outcome.
+ */
+
+/**
+ * Ensure agent_signature_requests exists (mirrors migrations/015_agent_signature_requests.sql)
+ */
+export async function ensureSignatureTables() {
+  try {
+    await sql`
+      CREATE TABLE IF NOT EXISTS agent_signature_requests (
+        id SERIAL PRIMARY KEY,
+        thread_id TEXT NOT NULL UNIQUE,
+        user_address TEXT NOT NULL,
+        chain TEXT NOT NULL,
+        mode TEXT NOT NULL CHECK (mode IN ('autonomous', 'copilot')),
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'confirmed', 'failed')),
+        reason TEXT,
+        strategy JSONB,
+        transactions JSONB NOT NULL,
+        results JSONB,
+        decision_id INTEGER REFERENCES agent_decisions(id) ON DELETE SET NULL,
+        requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        submitted_at TIMESTAMPTZ,
+        completed_at TIMESTAMPTZ,
+        error TEXT
+      )
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_agent_signature_requests_user_status
+        ON agent_signature_requests(user_address, status, requested_at DESC)
+    `;
+  } catch (error) {
+    // Table likely already exists
+    console.debug('Agent signature requests setup:', error.message);
+  }
+}
+
+/**
+ * Queue a run's packaged plan for the owner's signature and notify their devices
+ * @param {string} threadId - Thread of the run
+ * @param {string} userAddress - Wallet that owns the run (lowercase)
+ * @param {object} state - Graph state after "execute"
+ * @param {object} options
+ * @param {number} options.decisionId - agent_decisions row for the outcome
+ * @returns {Promise<object|null>} - Queued row
+ */
+export async function queueSignatureRequest(threadId, userAddress, state, { decisionId = null } = {}) {
+  const { execution, selectedStrategy } = state;
+  await ensureSignatureTables();
+  const rows = await sql`
+    INSERT INTO agent_signature_requests (
+      thread_id, user_address, chain, mode, reason, strategy, transactions, decision_id
+    ) VALUES (
+      ${threadId},
+      ${userAddress},
+      ${execution.packaged[0].chain},
+      ${execution.mode},
+      ${execution.reason || null},
+      ${JSON.stringify(selectedStrategy)}::jsonb,
+      ${JSON.stringify(execution.packaged)}::jsonb,
+      ${decisionId}
+    )
+    ON CONFLICT (thread_id) DO NOTHING
+    RETURNING *
+  `;
+  if (rows.length === 0) return null;
+
+  log.info('Agent run awaiting signature', { threadId, userAddress, reason: execution.reason });
+
+  await sendPushNotification(userAddress, {
+    title: 'Signature needed',
+    body: `Sign to ${selectedStrategy.action} $${selectedStrategy.amount} on ${selectedStrategy.protocol} (${selectedStrategy.blockchain})`,
+    data: { type: 'agent_signature_request', threadId },
+  });
+  return rows[0];
+}
+
+/**
+ * Hand off what "execute" left: queue a signature request, or record the outcome
+ * @param {string} threadId
+ * @param {string} userAddress - Lowercase wallet
+ * @param {object} state - Graph state after "execute"
+ * @param {object} options
+ * @param {number} options.decisionId - agent_decisions row (default: state.decisionId)
+ * @returns {Promise<object>} - { signatureQueued, outcome }
+ */
+export async function settleExecution(threadId, userAddress, state, { decisionId = state.decisionId } = {}) {
+  const execution = state.execution;
+  if (execution?.status === 'awaiting_signature') {
+    try {
+      return { signatureQueued: !!(await queueSignatureRequest(threadId, userAddress, state, { decisionId })), outcome: null };
+    } catch (error) {
+      log.error('Failed to queue signature request', { threadId, error: error.message });
+      return { signatureQueued: false, outcome: null };
+    }
+  }
+
+  const outcome = executionOutcome(execution);
+  if (outcome && decisionId) {
+    await agentMemory.recordOutcome(decisionId, outcome);
+  }
+  return { signatureQueued: false, outcome };
+}
+
+function toRequest(row) {
+  return {
+    threadId: row.thread_id,
+    status: row.status,
+    mode: row.mode,
+    chain: row.chain,
+    reason: row.reason,
+    strategy: row.strategy,
+    transactions: row.transactions,
+    results: row.results || [],
+    requestedAt: row.requested_at,
+    submittedAt: row.submitted_at,
+    completedAt: row.completed_at,
+    error: row.error,
+  };
+}
+
+/**
+ * Signature requests for a wallet, newest first
+ * @param {string} userAddress - Lowercase wallet
+ * @param {object} options - { status: 'pending' | 'submitted' | 'confirmed' | 'failed' | 'all', limit }
+ * @returns {Promise<Array<object>>}
+ */
+export async function listSignatureRequests(userAddress, { status = 'pending', limit = 20 } = {}) {
+  await ensureSignatureTables();
+  const rows = status === 'all'
+    ? await sql`
+        SELECT * FROM agent_signature_requests
+        WHERE user_address = ${userAddress}
+        ORDER BY requested_at DESC
+        LIMIT ${limit}
+      `
+    : await sql`
+        SELECT * FROM agent_signature_requests
+        WHERE user_address = ${userAddress} AND status = ${status}
+        ORDER BY requested_at DESC
+        LIMIT ${limit}
+      `;
+  return rows.map(toRequest);
+}
+
+/**
+ * Load a signature request owned by a wallet
+ * @returns {Promise<object|null>}
+ */
+export async function getSignatureRequest(threadId, userAddress) {
+  await ensureSignatureTables();
+  const rows = await sql`
+    SELECT * FROM agent_signature_requests
+    WHERE thread_id = ${threadId} AND user_address = ${userAddress}
+  `;
+  return rows[0] ? toRequest(rows[0]) : null;
+}
+
+/**
+ * Verify and broadcast the owner's signed transactions, then record the results
+ * @param {object} params
+ * @param {string} params.threadId
+ * @param {string} params.userAddress - Lowercase wallet (must own the request and have signed)
+ * @param {Array<string>} params.signedTransactions - Serialized, in plan order
+ * @returns {Promise<object>} - { request, execution, state } where state is null without persistence
+ */
+export async function submitSignatures({ threadId, userAddress, signedTransactions }) {
+  // Claim the row first so one plan cannot be broadcast twice
+  const claimed = await sql`
+    UPDATE agent_signature_requests
+    SET status = 'submitted', submitted_at = NOW()
+    WHERE thread_id = ${threadId} AND user_address = ${userAddress} AND status = 'pending'
+    RETURNING *
+  `;
+  if (claimed.length === 0) {
+    throw new Error(`Run ${threadId} has no pending signature request`);
+  }
+  const row = claimed[0];
+
+  let results;
+  try {
+    results = await submitSignedTransactions(row.transactions, signedTransactions, userAddress);
+  } catch (error) {
+    // Nothing was broadcast: the owner can sign again
+    await sql`
+      UPDATE agent_signature_requests SET status = 'pending', submitted_at = NULL
+      WHERE id = ${row.id}
+    `;
+    throw error;
+  }
+
+  const status = executionStatus(results, row.transactions.length);
+  const updated = await sql`
+    UPDATE agent_signature_requests
+    SET status = ${status}, results = ${JSON.stringify(results)}::jsonb,
+        completed_at = ${status === 'submitted' ? null : new Date().toISOString()},
+        error = ${results.find((r) => r.error)?.error || null}
+    WHERE id = ${row.id}
+    RETURNING *
+  `;
+
+  log.info('Agent signature request submitted', { threadId, status, hashes: results.map((r) => r.hash) });
+
+  let state = null;
+  let execution = { mode: row.mode, status, signer: 'user', reason: row.reason, packaged: row.transactions, results };
+  const agent = await buildCultiv8AgentWithCheckpointing();
+  if (agent.checkpointer) {
+    const config = { configurable: { thread_id: threadId } };
+    const snapshot = await agent.getState(config);
+    if (snapshot?.values?.execution) {
+      execution = { ...snapshot.values.execution, status, signer: 'user', results };
+      const step = {
+        step: 'signature_submission',
+        input: { transactions: signedTransactions.length },
+        output: { status, results },
+        timestamp: Date.now(),
+      };
+      // Written as "execute", where the results would have come from
+      await agent.updateState(
+        config,
+        { execution, transactions: results, reasoning: [...(snapshot.values.reasoning || []), step] },
+        'execute'
+      );
+      state = (await agent.getState(config)).values;
+    }
+  } else {
+    log.warn('Signed results not written to graph state: persistence unavailable', { threadId });
+  }
+
+  const outcome = executionOutcome(execution);
+  const decisionId = row.decision_id ?? state?.decisionId;
+  if (outcome && decisionId) {
+    await agentMemory.recordOutcome(decisionId, outcome);
+  }
+
+  return { request: toRequest(updated[0]), execution, state };
+}
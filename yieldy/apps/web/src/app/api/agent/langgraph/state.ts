@@ -23,10 +23,12 @@ export interface Opportunity {
   protocol_type: string;
 }
 
+// Strategy and MarketAnalysis mirror the zod schemas in schemas/agent.js
 export interface Strategy {
   protocol: string;
   blockchain: string;
   action: 'deposit' | 'withdraw' | 'rebalance';
+  asset?: string;
   amount: number;
   expectedAPY: number;
   riskScore: number;
@@ -34,23 +36,107 @@ export interface Strategy {
   confidence: number;
 }
 
+export interface MarketAnalysis {
+  summary: string;
+  bestOpportunities: Array<{
+    protocol: string;
+    blockchain: string;
+    asset: string;
+    apy: number;
+    reason: string;
+  }>;
+  rebalanceNeeded: boolean;
+  risks: string[];
+  allocation: string;
+  marketConditions: {
+    gasLevel: 'low' | 'medium' | 'high';
+    volatility: 'low' | 'medium' | 'high';
+  };
+}
+
 export interface ExecutionPlan {
   transactions: Transaction[];
+  checks: PlanCheck[];
+  amount: {
+    usd: number;
+    asset: string;
+    units: number;
+    raw: string; // Base units
+  };
   estimatedGasCost: number;
+  gasPriced: boolean;
   mevRisk: {
     score: number;
     level: string;
     recommendations: string[];
   };
   allSimulationsSucceed: boolean;
+  planDetails?: any;
 }
 
 export interface Transaction {
+  chain: string;
   to: string;
   data: string;
   value: number;
   description: string;
   gasEstimate?: string;
+  maxFeePerGas?: string;
+  maxPriorityFeePerGas?: string;
+  estimatedCost: number | null;
+  mevRisk: any;
+  simulated: boolean; // false when it runs after an approval in the same plan
+  willSucceed: boolean | null;
+  reason?: string;
+}
+
+export interface PlanCheck {
+  check: string;
+  passed: boolean;
+  required: number;
+  available: number;
+  message: string;
+}
+
+export type ExecutionMode = 'autonomous' | 'copilot';
+
+// Plan transaction packaged by EIP7702TransactionBuilder (bigints as strings)
+export interface PackagedTransaction {
+  index: number;
+  chain: string;
+  description: string;
+  to: string;
+  data: string;
+  transaction: any; // Unsigned; type 4 on the first, 2 after
+  authorization: { chainId: number; address: string; nonce: number } | null;
+}
+
+export interface ExecutionResult {
+  index: number;
+  description: string;
+  signer: 'agent' | 'user';
+  hash?: string;
+  status: 'confirmed' | 'failed' | 'pending';
+  blockNumber?: number;
+  gasUsed?: string;
+  error?: string;
+}
+
+export interface Execution {
+  mode: ExecutionMode;
+  status: 'awaiting_signature' | 'submitted' | 'confirmed' | 'failed';
+  signer?: 'agent' | 'user';
+  reason?: string; // Why the owner has to sign
+  limits?: {
+    allowed: boolean;
+    perTransaction: number;
+    charged: number;
+    remaining?: string;
+    reason: string | null;
+  };
+  packaged?: PackagedTransaction[];
+  results: ExecutionResult[];
+  error?: string;
 }
 
 export interface ReasoningStep {
@@ -58,10 +144,18 @@ export interface ReasoningStep {
   model?: string;
   input: any;
   output: any;
+  attempts?: number; // Model calls until the output validated
   timestamp: number;
   duration?: number;
 }
 
+export interface ApprovalDecision {
+  decision: 'approve' | 'reject';
+  decidedBy: string;
+  decidedAt: string;
+  note?: string | null;
+}
+
 export interface GasData {
   maxFeePerGas: string;
   maxPriorityFeePerGas: string;
@@ -75,6 +169,7 @@ export interface GasData {
 export interface AgentState {
   // Input context
   userAddress: string;
+  mode: ExecutionMode;
   availableFunds: number;
   riskTolerance: number;
   maxInvestmentPerOpp: number;
@@ -86,7 +181,7 @@ export interface AgentState {
   marketConditions: any;
 
   // Analysis (populated by analyzeMarket)
-  analysis: string | null;
+  analysis: MarketAnalysis | null;
 
   // Strategy generation (populated by generateStrategies)
   strategies: Strategy[];
@@ -97,14 +192,18 @@ export interface AgentState {
   // Execution planning (populated by buildExecutionPlan)
   executionPlan: ExecutionPlan | null;
 
-  // Results (populated by executeTransactions)
-  transactions: any[];
+  // Results (populated by executeTransactions, and by signature submission)
+  execution: Execution | null;
+  transactions: ExecutionResult[];
 
   // Reasoning chain (accumulated across all nodes)
   reasoning: ReasoningStep[];
 
   // Control flow
   humanApprovalRequired: boolean;
+  approval: ApprovalDecision | null; // Signed decision on a run paused for approval
+  safetyValidation: { valid: boolean; violations: any[]; riskLevel?: string } | null; // Recorded before "execute"
+  decisionId: number | null; // agent_decisions row for the outcome
   circuitBreakerTriggered: boolean;
   iteration: number;
   errors: string[];
@@ -116,6 +215,7 @@ export interface AgentState {
  */
 export function createInitialState(userContext: {
   userAddress: string;
+  mode?: ExecutionMode;
   availableFunds: number;
   riskTolerance: number;
   maxInvestmentPerOpp: number;
@@ -123,6 +223,7 @@ export function createInitialState(userContext: {
 }): AgentState {
   return {
     userAddress: userContext.userAddress,
+    mode: userContext.mode || 'copilot',
     availableFunds: userContext.availableFunds,
     riskTolerance: userContext.riskTolerance,
     maxInvestmentPerOpp: userContext.maxInvestmentPerOpp,
@@ -135,10 +236,14 @@ export function createInitialState(userContext: {
     strategies: [],
     selectedStrategy: null,
     executionPlan: null,
+    execution: null,
     transactions: [],
     reasoning: [],
     
     humanApprovalRequired: false,
+    approval: null,
+    safetyValidation: null,
+    decisionId: null,
     circuitBreakerTriggered: false,
     iteration: 0,
     errors: [],
@@ -0,0 +1,90 @@
+/**
+ * Graph Streaming
+ * Progress of a graph invocation as run events, from LangGraph's
+ * streamEvents (v2):
+ *   node_start - { node, timestamp }
+ *   token      - { node, text } model output as it is generated (TOKEN_NODES)
+ *   node_end   - { node, steps, errors } reasoning steps and errors the node added
+ */
+
+export const STREAMED_NODES = ['analyze', 'generate', 'select', 'plan', 'execute'];
+
+// Nodes whose model tokens are streamed
+export const TOKEN_NODES = ['analyze'];
+
+/**
+ * Text of a streamed model chunk: tool call argument fragments (structured
+ * output answers through a tool call), else plain text
+ * @param {AIMessageChunk} chunk
+ * @returns {string}
+ */
+export function chunkText(chunk) {
+  const args = (chunk?.tool_call_chunks || []).map((call) => call.args || '').join('');
+  if (args) return args;
+  const content = chunk?.content;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map((part) => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return '';
+}
+
+/**
+ * Run event for a LangGraph streamEvents (v2) event, or null for the rest
+ * @param {object} event - { event, name, metadata, data }
+ * @returns {object|null} - { type, data }
+ */
+export function toRunEvent(event) {
+  const node = event.metadata?.langgraph_node;
+
+  if (event.event === 'on_chat_model_stream') {
+    const text = TOKEN_NODES.includes(node) ? chunkText(event.data?.chunk) : '';
+    return text ? { type: 'token', data: { node, text } } : null;
+  }
+
+  // Node runs themselves, not the channel writes and branches inside them
+  if (!STREAMED_NODES.includes(event.name) || node !== event.name) return null;
+
+  if (event.event === 'on_chain_start') {
+    return { type: 'node_start', data: { node, timestamp: Date.now() } };
+  }
+  if (event.event === 'on_chain_end') {
+    const { input = {}, output = {} } = event.data || {};
+    return {
+      type: 'node_end',
+      data: {
+        node,
+        steps: (output.reasoning || []).slice(input.reasoning?.length || 0),
+        errors: (output.errors || []).slice(input.errors?.length || 0),
+      },
+    };
+  }
+  return null;
+}
+
+/**
+ * Invoke the graph, reporting node and token events as they happen
+ * @param {CompiledGraph} agent
+ * @param {object|null} input - Initial state, or null to resume a checkpointed run
+ * @param {object} config - { configurable: { thread_id } }
+ * @param {Function} onEvent - (type, data) => void
+ * @returns {Promise<object>} - State when the graph stops, as invoke() resolves
+ */
+export async function streamAgentGraph(agent, input, config, onEvent) {
+  let rootRunId = null;
+  let finalState = null;
+
+  for await (const event of agent.streamEvents(input, { ...config, version: 'v2' })) {
+    // The graph's own run starts first and ends last
+    rootRunId ??= event.run_id;
+    if (event.run_id === rootRunId) {
+      if (event.event === 'on_chain_end') finalState = event.data.output;
+      continue;
+    }
+
+    const runEvent = toRunEvent(event);
+    if (runEvent) onEvent(runEvent.type, runEvent.data);
+  }
+
+  return finalState;
+}
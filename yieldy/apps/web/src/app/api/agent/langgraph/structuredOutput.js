@@ -0,0 +1,111 @@
+/**
+ * Structured LLM Output
+ * Nodes call models through invokeStructured: the model answers with a tool
+ * call whose arguments follow a zod schema, the arguments are validated, and
+ * an invalid answer is sent back with the validation issues for another try.
+ * When retries run out a StructuredOutputError is thrown instead of falling
+ * back to a default.
+ */
+
+export const STRUCTURED_OUTPUT_ATTEMPTS = 3;
+
+/**
+ * Model output that never matched its schema
+ */
+export class StructuredOutputError extends Error {
+  constructor(name, { issues = [], attempts = 0, raw = null } = {}) {
+    super(`${name} output invalid after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${formatIssues(issues)}`);
+    this.name = 'StructuredOutputError';
+    this.outputName = name;
+    this.issues = issues;
+    this.attempts = attempts;
+    this.raw = raw;
+  }
+}
+
+/**
+ * "path: message" list of zod issues
+ * @param {Array<object>} issues - ZodError issues
+ * @returns {string}
+ */
+export function formatIssues(issues) {
+  if (issues.length === 0) return 'no parsable output';
+  return issues
+    .map((issue) => `${issue.path?.length ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+    .join('; ');
+}
+
+/**
+ * What the model actually answered: tool call arguments, else its text
+ * @param {AIMessage} raw - Unparsed model message
+ * @returns {object|string|null}
+ */
+export function rawOutput(raw) {
+  const args = raw?.tool_calls?.[0]?.args;
+  if (args !== undefined) return args;
+  const content = raw?.content;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map((part) => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return null;
+}
+
+/**
+ * Result in the shape withStructuredOutput(schema, { includeRaw: true }) resolves to,
+ * for offline models answering with tool arguments
+ * @param {string} name - Tool name
+ * @param {object} args - Tool call arguments (validated by invokeStructured)
+ * @returns {object} - { raw, parsed }
+ */
+export function toolCallResult(name, args) {
+  return { raw: { content: '', tool_calls: [{ name, args }] }, parsed: null };
+}
+
+/**
+ * Invoke a chat model for zod-validated output, retrying on invalid answers
+ * @param {BaseChatModel} model - Any LangChain chat model with withStructuredOutput
+ * @param {ZodObject} schema - Output schema (also sent to the model as the tool schema)
+ * @param {Array<object>} messages - Prompt messages
+ * @param {object} options
+ * @param {string} options.name - Tool name the model answers with
+ * @param {number} options.maxAttempts - Calls before giving up (default: STRUCTURED_OUTPUT_ATTEMPTS)
+ * @returns {Promise<object>} - { output, attempts } where output is the schema's parsed data
+ * @throws {StructuredOutputError} - When no attempt produced valid output
+ */
+export async function invokeStructured(model, schema, messages, { name, maxAttempts = STRUCTURED_OUTPUT_ATTEMPTS } = {}) {
+  const structured = model.withStructuredOutput(schema, { name, includeRaw: true });
+
+  let prompt = messages;
+  let issues = [];
+  let raw = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const result = await structured.invoke(prompt);
+    raw = rawOutput(result.raw);
+
+    // parsed is null when the model's own parser rejected the answer
+    const parsed = schema.safeParse(result.parsed ?? raw);
+    if (parsed.success) {
+      return { output: parsed.data, attempts: attempt };
+    }
+
+    issues = parsed.error.issues;
+    prompt = [
+      ...messages,
+      {
+        role: 'user',
+        content: `Your previous answer was not valid ${name} output.
+
+Answer:
+${typeof raw === 'string' ? raw : JSON.stringify(raw, null, 2)}
+
+Problems:
+${issues.map((issue) => `- ${formatIssues([issue])}`).join('\n')}
+
+Call ${name} again with corrected arguments.`,
+      },
+    ];
+  }
+
+  throw new StructuredOutputError(name, { issues, attempts: maxAttempts, raw });
+}
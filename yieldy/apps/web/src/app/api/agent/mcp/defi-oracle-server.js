@@ -1,6 +1,7 @@
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { getProtocolAdapter } from '../../protocols/adapters.js';
+import { SUPPORTED_CHAINS } from '../../protocols/chains.js';
 import { riskEngine } from '../../utils/riskEngine.js';
 import sql from '../../utils/sql.js';
 
@@ -39,14 +40,21 @@ class DeFiOracleServer {
               properties: {
                 protocol: {
                   type: "string",
-                  enum: ["aave", "compound"],
-                  description: "Protocol name",
+                  description: "Protocol registry key (e.g. aave, compound, morpho, spark, yearn)",
                 },
                 chain: {
                   type: "string",
-                  enum: ["ethereum", "base"],
+                  enum: SUPPORTED_CHAINS,
                   description: "Blockchain network",
                 },
+                asset: {
+                  type: "string",
+                  description: "Asset symbol (USDC, USDT, DAI, WETH); defaults to USDC",
+                },
+                depositAmount: {
+                  type: "number",
+                  description: "Optional deposit size in asset units; returns the APY after that deposit dilutes the market",
+                },
               },
               required: ["protocol", "chain"],
             },
@@ -57,8 +65,9 @@ class DeFiOracleServer {
             inputSchema: {
               type: "object",
               properties: {
-                protocol: { type: "string", enum: ["aave", "compound"] },
-                chain: { type: "string", enum: ["ethereum", "base"] },
+                protocol: { type: "string", description: "Protocol registry key" },
+                chain: { type: "string", enum: SUPPORTED_CHAINS },
+                asset: { type: "string", description: "Asset symbol; defaults to USDC" },
               },
               required: ["protocol", "chain"],
             },
@@ -88,6 +97,7 @@ class DeFiOracleServer {
                     properties: {
                       protocol: { type: "string" },
                       chain: { type: "string" },
+                      asset: { type: "string" },
                     },
                   },
                 },
@@ -106,8 +116,10 @@ class DeFiOracleServer {
       try {
         switch (name) {
           case "get_apy": {
-            const adapter = getProtocolAdapter(args.protocol, args.chain);
-            const result = await adapter.getCurrentAPY();
+            const adapter = await getProtocolAdapter(args.protocol, args.chain, args.asset);
+            const result = args.depositAmount
+              ? await adapter.getProjectedAPY(args.depositAmount)
+              : await adapter.getCurrentAPY();
 
             return {
               content: [
@@ -120,7 +132,7 @@ class DeFiOracleServer {
           }
 
           case "get_tvl": {
-            const adapter = getProtocolAdapter(args.protocol, args.chain);
+            const adapter = await getProtocolAdapter(args.protocol, args.chain, args.asset);
             const result = await adapter.getTVL();
 
             return {
@@ -167,8 +179,8 @@ class DeFiOracleServer {
 
           case "compare_protocols": {
             const comparisons = await Promise.all(
-              args.protocols.map(async ({ protocol, chain }) => {
-                const adapter = getProtocolAdapter(protocol, chain);
+              args.protocols.map(async ({ protocol, chain, asset }) => {
+                const adapter = await getProtocolAdapter(protocol, chain, asset);
                 const [apy, tvl] = await Promise.all([
                   adapter.getCurrentAPY(),
                   adapter.getTVL(),
@@ -177,6 +189,7 @@ class DeFiOracleServer {
                 return {
                   protocol,
                   chain,
+                  asset: adapter.getMetadata().assetSymbol,
                   apy: apy.apy,
                   tvl: tvl.tvl,
                 };
@@ -1,7 +1,10 @@
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { ethers } from 'ethers';
 import { GasOptimizer } from '../../utils/gasOptimizer.js';
+import { SUPPORTED_CHAINS, getRpcUrl } from '../../protocols/chains.js';
+import { getProvider } from '../../protocols/rpcPool.js';
+import { getCongestionForecast } from '../../utils/gasHistory.js';
+import { priceOracle } from '../../utils/priceOracle.js';
 
 /**
  * Gas Tracker MCP Server
@@ -21,11 +24,12 @@ class GasTrackerServer {
       }
     );
 
-    // Initialize providers
-    this.providers = {
-      ethereum: new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL),
-      base: new ethers.JsonRpcProvider(process.env.BASE_RPC_URL),
-    };
+    // Initialize providers for every chain with an RPC configured
+    this.providers = Object.fromEntries(
+      SUPPORTED_CHAINS
+        .filter((chain) => getRpcUrl(chain))
+        .map((chain) => [chain, getProvider(chain)])
+    );
 
     this.setupTools();
   }
@@ -40,7 +44,7 @@ class GasTrackerServer {
             inputSchema: {
               type: "object",
               properties: {
-                chain: { type: "string", enum: ["ethereum", "base"] },
+                chain: { type: "string", enum: SUPPORTED_CHAINS },
                 to: { type: "string", description: "Target address" },
                 data: { type: "string", description: "Transaction calldata" },
                 value: { type: "string", default: "0" },
@@ -54,7 +58,7 @@ class GasTrackerServer {
             inputSchema: {
               type: "object",
               properties: {
-                chain: { type: "string", enum: ["ethereum", "base"] },
+                chain: { type: "string", enum: SUPPORTED_CHAINS },
                 priority: {
                   type: "string",
                   enum: ["low", "medium", "high"],
@@ -66,11 +70,12 @@ class GasTrackerServer {
           },
           {
             name: "predict_congestion",
-            description: "Predict network congestion and recommend timing",
+            description: "Forecast gas by hour from sampled fee history and recommend an execution window",
             inputSchema: {
               type: "object",
               properties: {
-                chain: { type: "string", enum: ["ethereum", "base"] },
+                chain: { type: "string", enum: SUPPORTED_CHAINS },
+                horizonHours: { type: "number", default: 24, description: "Hours ahead to forecast" },
               },
               required: ["chain"],
             },
@@ -101,7 +106,7 @@ class GasTrackerServer {
             const feeData = await provider.getFeeData();
             const gasCostWei = estimate * (feeData.maxFeePerGas || 0n);
             const gasCostETH = Number(gasCostWei) / 1e18;
-            const gasCostUSD = gasCostETH * 3000; // Rough ETH price
+            const gasCostUSD = await priceOracle.gasCostUsd(gasCostWei, args.chain);
 
             return {
               content: [
@@ -133,28 +138,17 @@ class GasTrackerServer {
           }
 
           case "predict_congestion": {
-            const feeData = await provider.getFeeData();
-            const baseFee = feeData.gasPrice || 0n;
-
-            // Simple congestion heuristic based on base fee
-            const baseFeeGwei = Number(baseFee) / 1e9;
-            let congestion;
-
-            if (baseFeeGwei < 20) {
-              congestion = { level: 'low', recommendation: 'Good time to transact' };
-            } else if (baseFeeGwei < 50) {
-              congestion = { level: 'medium', recommendation: 'Moderate gas prices' };
-            } else {
-              congestion = { level: 'high', recommendation: 'Consider waiting for lower gas' };
-            }
+            const forecast = await getCongestionForecast(args.chain, {
+              horizonHours: Math.min(Math.max(Number(args.horizonHours) || 24, 1), 168),
+            });
 
             return {
               content: [
                 {
                   type: "text",
                   text: JSON.stringify({
-                    baseFeeGwei,
-                    congestion,
+                    baseFeeGwei: forecast.current.baseFeeGwei,
+                    ...forecast,
                   }, null, 2),
                 },
               ],
@@ -2,6 +2,8 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import sql from '../../utils/sql.js';
 import { portfolioOptimizer } from '../../utils/portfolioOptimizer.js';
+import { getUserConfig } from '../../utils/userConfig.js';
+import { attachApyHistory } from '../../utils/opportunityMetrics.js';
 
 /**
  * Portfolio Tracker MCP Server  
@@ -73,11 +75,14 @@ class PortfolioTrackerServer {
       try {
         switch (name) {
           case "get_positions": {
+            const { userAddress } = args;
+
             const positions = await sql`
               SELECT i.*, o.protocol_name, o.apy as current_apy, o.blockchain
               FROM investments i
               LEFT JOIN cultiv8_opportunities o ON i.opportunity_id = o.id
               WHERE i.status IN ('pending', 'confirmed')
+                AND i.user_address = ${userAddress.toLowerCase()}
               ORDER BY i.invested_at DESC
             `;
 
@@ -101,6 +106,7 @@ class PortfolioTrackerServer {
             const investments = await sql`
               SELECT * FROM investments
               WHERE invested_at > NOW() - INTERVAL '${days} days'
+                AND user_address = ${userAddress.toLowerCase()}
               ORDER BY invested_at DESC
             `;
 
@@ -127,10 +133,11 @@ class PortfolioTrackerServer {
           case "check_rebalance_needed": {
             const { userAddress, threshold } = args;
 
-            // Get current positions
+            // Get the wallet's current positions
             const currentPositions = await sql`
               SELECT * FROM investments
               WHERE status IN ('pending', 'confirmed')
+                AND user_address = ${userAddress.toLowerCase()}
             `;
 
             // Get optimal allocation
@@ -140,22 +147,20 @@ class PortfolioTrackerServer {
               ORDER BY apy DESC
             `;
 
-            const config = await sql`
-              SELECT * FROM agent_config ORDER BY id DESC LIMIT 1
-            `;
+            const config = await getUserConfig(userAddress, { create: false });
 
-            if (!config || config.length === 0) {
-              throw new Error('Agent config not found');
+            if (!config) {
+              throw new Error(`Agent config not found for ${userAddress}`);
             }
 
             const totalFunds = currentPositions?.reduce((sum, p) => sum + Number(p.amount), 0) || 0;
 
             const optimalPlan = portfolioOptimizer.optimizeAllocation(
-              opportunities || [],
+              await attachApyHistory(opportunities || []),
               {
                 maxTotalInvestment: totalFunds,
-                maxRiskScore: config[0].max_risk_score,
-                maxInvestmentPerOpportunity: config[0].max_investment_per_opportunity,
+                maxRiskScore: config.max_risk_score,
+                maxInvestmentPerOpportunity: config.max_investment_per_opportunity,
               }
             );
 
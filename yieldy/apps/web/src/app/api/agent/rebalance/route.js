@@ -0,0 +1,63 @@
+import { z } from 'zod';
+import { rateLimitMiddleware } from '@/app/api/middleware/rateLimit';
+import { authMiddleware } from '@/app/api/middleware/auth';
+import { validateQuery } from '@/app/api/middleware/validation';
+import { getUserConfig } from '@/app/api/utils/userConfig';
+import { buildRebalancePlan } from '@/app/api/utils/rebalancer';
+import { SUPPORTED_CHAINS } from '@/app/api/protocols/chains';
+
+const RebalancePlanQuerySchema = z.object({
+  chain: z.enum(SUPPORTED_CHAINS),
+  horizonDays: z.string()
+    .regex(/^\d+$/)
+    .refine((val) => Number(val) >= 1 && Number(val) <= 365, { message: 'horizonDays must be between 1 and 365' })
+    .optional(),
+  driftThresholdPercent: z.string().regex(/^\d+(\.\d+)?$/).optional(),
+  minNetBenefitUsd: z.string().regex(/^\d+(\.\d+)?$/).optional(),
+});
+
+/**
+ * Rebalance Plan Endpoint
+ * GET /api/agent/rebalance?chain=base
+ * Plans the moves the next scan would make on a chain without executing
+ * anything: per-move net benefit over the horizon after gas and performance
+ * fees, break-even days, and batched steps whose `preview` bodies can be
+ * posted to /api/execute/preview
+ *
+ * Query params:
+ * - chain: chain to plan (required)
+ * - horizonDays: days the yield gain has to pay for the move, 1-365 (default: REBALANCE_HORIZON_DAYS)
+ * - driftThresholdPercent: drift from target before a market is rebalanced (default: 5)
+ * - minNetBenefitUsd: smallest net benefit worth a move (default: 0)
+ */
+export async function GET(request) {
+  // Authentication required - plans the caller's own positions
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
+  // Rate limiting
+  const rateLimitError = await rateLimitMiddleware(request, 'general');
+  if (rateLimitError) return rateLimitError;
+
+  const queryValidationError = await validateQuery(RebalancePlanQuerySchema)(request);
+  if (queryValidationError) return queryValidationError;
+
+  try {
+    const { chain, horizonDays, driftThresholdPercent, minNetBenefitUsd } = request.validatedQuery;
+    const config = await getUserConfig(request.user.address);
+
+    const plan = await buildRebalancePlan(config, chain, {
+      ...(horizonDays && { horizonDays: Number(horizonDays) }),
+      ...(driftThresholdPercent && { driftThresholdPercent: Number(driftThresholdPercent) }),
+      ...(minNetBenefitUsd && { minNetBenefitUsd: Number(minNetBenefitUsd) }),
+    });
+
+    return Response.json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Error building rebalance plan:', error);
+    return Response.json(
+      { success: false, error: 'Failed to build rebalance plan' },
+      { status: 500 }
+    );
+  }
+}
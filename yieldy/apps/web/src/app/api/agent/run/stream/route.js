@@ -0,0 +1,53 @@
+import { rateLimitMiddleware } from '../../../middleware/rateLimit';
+import { requireOwnership } from '../../../middleware/auth';
+import { checkEmergencyPause } from '../../../utils/circuitBreaker';
+import { log } from '../../../utils/logger';
+import { eventStreamResponse } from '../../../utils/serverSentEvents';
+import { runAgent, runResponse, auditRun, getRunTargetAddress } from '../../langgraph/runner.js';
+
+/**
+ * Streaming Agent Execution Endpoint
+ * POST /api/agent/run/stream
+ * { mode: 'autonomous' | 'copilot' | 'advisory' }
+ * Runs the agent like POST /api/agent/run, answering with Server-Sent
+ * Events: node start/finish, analysis model tokens and the safety verdict as
+ * they happen, then a "result" event carrying the /api/agent/run response
+ * (or an "error" event). Auth, pause and rate-limit failures are plain JSON.
+ */
+export async function POST(request) {
+  // Authentication + ownership of the target wallet required
+  const authError = await requireOwnership(getRunTargetAddress)(request);
+  if (authError) return authError;
+
+  // Check emergency pause
+  const pauseError = await checkEmergencyPause(request);
+  if (pauseError) return pauseError;
+
+  // Rate limiting
+  const rateLimitError = await rateLimitMiddleware(request, 'scan');
+  if (rateLimitError) return rateLimitError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return Response.json({ success: false, error: 'Invalid JSON' }, { status: 400 });
+  }
+  const { userAddress, mode = 'autonomous' } = body || {};
+
+  return eventStreamResponse(async (send) => {
+    try {
+      const run = await runAgent({ userAddress: userAddress || request.user.address, mode, onEvent: send });
+
+      await auditRun(request, { run });
+
+      send('result', runResponse(run));
+    } catch (error) {
+      log.error('Streamed agent execution failed', { error: error.message, stack: error.stack });
+
+      await auditRun(request, { error });
+
+      send('error', { success: false, error: 'Agent execution failed', message: error.message, timestamp: Date.now() });
+    }
+  });
+}
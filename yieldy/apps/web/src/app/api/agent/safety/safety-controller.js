@@ -1,6 +1,10 @@
 import sql from '../../utils/sql.js';
 import { circuitBreaker } from '../../utils/circuitBreaker.js';
+import { priceOracle } from '../../utils/priceOracle.js';
 import { log, logSecurityEvent } from '../../utils/logger.js';
+import { isProtocolWhitelisted } from '../../protocols/registry.js';
+import { StrategySchema } from '../../schemas/agent.js';
+import { formatIssues } from '../langgraph/structuredOutput.js';
 
 /**
  * Safety Controller
@@ -19,6 +23,17 @@ export class SafetyController {
    * @returns {Promise<object>} - Validation result with violations
    */
   async validateStrategy(strategy, userContext) {
+    // Shape check first (same schema the agent's strategy generation uses);
+    // limits below assume a well-formed strategy
+    const shapeViolation = this.checkStrategyShape(strategy);
+    if (shapeViolation) {
+      return {
+        valid: false,
+        violations: [shapeViolation],
+        riskLevel: this.assessOverallRisk([shapeViolation]),
+      };
+    }
+
     const violations = [];
 
     // Amount limit checks
@@ -52,6 +67,21 @@ export class SafetyController {
     };
   }
 
+  /**
+   * Check the strategy against StrategySchema
+   */
+  checkStrategyShape(strategy) {
+    const result = StrategySchema.safeParse(strategy);
+    if (result.success) return null;
+
+    return {
+      type: 'MALFORMED_STRATEGY',
+      severity: 'high',
+      issues: result.error.issues.map((issue) => ({ path: issue.path.join('.'), message: issue.message })),
+      message: `Malformed strategy: ${formatIssues(result.error.issues)}`,
+    };
+  }
+
   /**
    * Check amount limits
    */
@@ -98,6 +128,8 @@ export class SafetyController {
 
   /**
    * Check daily spending limit
+   * Today's investments are held in asset units and valued in USD, like the
+   * strategy amount and the limit
    */
   async checkDailyLimit(strategy, userContext) {
     try {
@@ -105,13 +137,19 @@ export class SafetyController {
       todayStart.setHours(0, 0, 0, 0);
 
       const todayInvestments = await sql`
-        SELECT COALESCE(SUM(amount), 0) as spent_today
-        FROM investments
-        WHERE invested_at >= ${todayStart.toISOString()}
-          AND status IN ('pending', 'confirmed')
+        SELECT COALESCE(o.token_symbol, 'USDC') AS symbol, i.blockchain AS chain, SUM(i.amount) AS amount
+        FROM investments i
+        LEFT JOIN cultiv8_opportunities o ON o.id = i.opportunity_id
+        WHERE i.invested_at >= ${todayStart.toISOString()}
+          AND i.status IN ('pending', 'confirmed')
+          AND i.user_address = ${userContext.userAddress?.toLowerCase() || null}
+        GROUP BY 1, 2
       `;
 
-      const spentToday = parseFloat(todayInvestments[0]?.spent_today || 0);
+      const { totalUsd } = await priceOracle.valueHoldings(
+        todayInvestments.map((row) => ({ ...row, amount: parseFloat(row.amount || 0) }))
+      );
+      const spentToday = Math.round(totalUsd * 100) / 100;
       const dailyLimit = userContext.dailyLimit || userContext.maxInvestmentPerOpp * 5;
 
       if (spentToday + strategy.amount > dailyLimit) {
@@ -135,10 +173,10 @@ export class SafetyController {
    * Check protocol whitelist
    */
   async checkProtocolWhitelist(strategy) {
-    // Get whitelisted protocols from config
-    const whitelisted = ['aave', 'compound']; // In production, fetch from database
+    // Whitelist lives in protocol_registry (same source as the adapters)
+    const whitelisted = await isProtocolWhitelisted(strategy.protocol, strategy.blockchain);
 
-    if (!whitelisted.includes(strategy.protocol.toLowerCase())) {
+    if (!whitelisted) {
       return {
         type: 'PROTOCOL_NOT_WHITELISTED',
         severity: 'high',
@@ -2,107 +2,13 @@ import sql from "@/app/api/utils/sql";
 import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
 import { authMiddleware } from "@/app/api/middleware/auth";
 import { checkEmergencyPause, circuitBreaker } from "@/app/api/utils/circuitBreaker";
-
-// ADD: helper to compute available agent funds
-async function getAvailableAgentFunds() {
-  try {
-    await sql(
-      `CREATE TABLE IF NOT EXISTS agent_fund_transactions (id SERIAL PRIMARY KEY, amount NUMERIC(20,2) NOT NULL, type VARCHAR(20) NOT NULL, note TEXT, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)`,
-    );
-  } catch (e) {}
-  const [totals, investedRows] = await sql.transaction((txn) => [
-    txn`SELECT COALESCE(SUM(CASE WHEN type='deposit' THEN amount WHEN type='adjustment' THEN amount WHEN type='withdrawal' THEN -amount ELSE 0 END),0) AS total_funds FROM agent_fund_transactions`,
-    txn`SELECT COALESCE(SUM(amount),0) AS invested FROM investments WHERE status IN ('pending','confirmed')`,
-  ]);
-  const totalFunds = parseFloat(totals[0]?.total_funds || 0);
-  const invested = parseFloat(investedRows[0]?.invested || 0);
-  return Math.max(0, totalFunds - invested);
-}
-
-// NEW: helper to compute accrued simple return based on APY and holding period
-function computeAccruedReturn(amount, apyPct, investedAt, now = new Date()) {
-  try {
-    const amt = Number(amount || 0);
-    const apy = Number(apyPct || 0) / 100;
-    const start = new Date(investedAt);
-    if (!amt || !apy || !start || isNaN(start.getTime())) return 0;
-    const ms = now.getTime() - start.getTime();
-    const years = Math.max(0, ms / (365 * 24 * 60 * 60 * 1000));
-    const accrued = amt * apy * years; // simple interest approximation
-    return Math.round(accrued * 100) / 100;
-  } catch (e) {
-    return 0;
-  }
-}
-
-// NEW: read performance fee percent (defaults to 10%)
-async function getPerformanceFeePercent() {
-  try {
-    await sql(
-      `CREATE TABLE IF NOT EXISTS performance_fee_config (id SERIAL PRIMARY KEY, percent NUMERIC(5,2) NOT NULL DEFAULT 10.00, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)`,
-    );
-    const rows =
-      await sql`SELECT percent FROM performance_fee_config ORDER BY id DESC LIMIT 1`;
-    const pct = parseFloat(rows[0]?.percent || 10);
-    return isNaN(pct) ? 10 : pct;
-  } catch (e) {
-    return 10;
-  }
-}
-
-// NEW: ensure fees ledger exists
-async function ensureFeesLedger() {
-  try {
-    await sql(
-      `CREATE TABLE IF NOT EXISTS performance_fees (id SERIAL PRIMARY KEY, investment_id INTEGER NOT NULL, fee_percent NUMERIC(5,2) NOT NULL, fee_amount NUMERIC(20,2) NOT NULL, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)`,
-    );
-  } catch (e) {}
-}
-
-// NEW: simulate a withdrawal and mark realized return + performance fee
-async function simulateWithdrawal(inv) {
-  const mockHash = "0x" + Math.random().toString(16).slice(2).padEnd(64, "0");
-  const nowIso = new Date().toISOString();
-  const realized = computeAccruedReturn(
-    inv.amount,
-    inv.expected_apy ?? inv.current_apy ?? 0,
-    inv.invested_at,
-    new Date(nowIso),
-  );
-
-  // Calculate performance fee from realized profits
-  const feePercent = await getPerformanceFeePercent();
-  const feeAmount = Math.max(
-    0,
-    Math.round(realized * (feePercent / 100) * 100) / 100,
-  );
-
-  // Update investment realized return (gross) and mark withdrawn
-  await sql`
-    UPDATE investments
-    SET status = 'withdrawn', withdrawn_at = ${nowIso}, withdrawal_hash = ${mockHash}, actual_return = COALESCE(actual_return, 0) + ${realized}
-    WHERE id = ${inv.id}
-  `;
-
-  // Record performance fee: ledger + reduce available funds via withdrawal txn
-  if (feeAmount > 0) {
-    await ensureFeesLedger();
-    try {
-      await sql`INSERT INTO performance_fees (investment_id, fee_percent, fee_amount) VALUES (${inv.id}, ${feePercent}, ${feeAmount})`;
-    } catch (e) {}
-    try {
-      await sql`INSERT INTO agent_fund_transactions (amount, type, note) VALUES (${feeAmount}, 'withdrawal', ${`Performance fee (${feePercent}%) for investment #${inv.id}`})`;
-    } catch (e) {}
-  }
-
-  return {
-    id: inv.id,
-    amount: Number(inv.amount || 0),
-    realized,
-    feePercent,
-    feeAmount,
-  };
-}
+import { getUserConfig } from "@/app/api/utils/userConfig";
+import { getUserFundBalances, getAvailableFunds } from "@/app/api/utils/userFunds";
+import { buildRebalancePlan, executeRebalanceWithdrawals } from "@/app/api/utils/rebalancer";
+import { getGasDeferral } from "@/app/api/utils/gasHistory";
+import { recordOpportunityMetrics, attachApyHistory } from "@/app/api/utils/opportunityMetrics";
+import { getChain, isSupportedChain, resolveChains } from "@/app/api/protocols/chains";
+import { priceOracle } from "@/app/api/utils/priceOracle";
 
 // AI Agent blockchain scanner
 export async function POST(request) {
@@ -116,7 +22,7 @@ export async function POST(request) {
 
   // Check emergency pause (block investments but allow scan-only)
   const body = await request.json();
-  const { blockchain = "both", forceRun = false, scanOnly = false } = body;
+  const { blockchain = "all", forceRun = false, scanOnly = false } = body;
   
   if (!scanOnly) {
     const pauseError = await checkEmergencyPause(request, { allowWithdrawals: false });
@@ -124,222 +30,143 @@ export async function POST(request) {
   }
 
   try {
+    // Scan with the caller's own limits and auto-invest setting
+    const config = await getUserConfig(request.user.address);
+    const result = await runAgentScan(config, { blockchain, forceRun, scanOnly });
 
-    // Get agent configuration (create default if missing)
-    let configResult = await sql`
-      SELECT * FROM agent_config ORDER BY id DESC LIMIT 1
-    `;
-
-    if (!configResult || configResult.length === 0) {
-      const inserted = await sql`
-        INSERT INTO agent_config (
-          max_investment_per_opportunity, max_total_investment, min_apy_threshold, max_risk_score, auto_invest_enabled, scan_interval_minutes, preferred_protocols, blacklisted_protocols
-        ) VALUES (1000, 10000, 5.0, 7, false, 1440, NULL, NULL)
-        RETURNING *
-      `;
-      configResult = inserted;
-    }
-
-    const config = configResult[0];
-
-    // Respect auto-invest for investing paths; but allow scan-only regardless
-    if (!scanOnly && !config.auto_invest_enabled && !forceRun) {
+    if (!result.success) {
       return Response.json(
-        {
-          success: false,
-          error: "Auto-invest is disabled. Use forceRun=true to run manually.",
-        },
+        { success: false, error: result.error },
         { status: 400 },
       );
     }
 
-    // Compute funds and effective cap (allow forceRun to exceed config cap up to available funds)
-    const [invSumRows] = await sql.transaction((txn) => [
-      txn`SELECT COALESCE(SUM(amount), 0) as total FROM investments WHERE status IN ('pending','confirmed')`,
-    ]);
-    const currentTotalInvested = parseFloat(invSumRows[0]?.total || 0);
-    const availableFundsGlobal = await getAvailableAgentFunds();
-    const effectiveMaxTotal = forceRun
-      ? Math.max(
-          config.max_total_investment,
-          currentTotalInvested + availableFundsGlobal,
-        )
-      : config.max_total_investment;
-
-    const blockchainsToScan =
-      blockchain === "both" ? ["ethereum", "base"] : [blockchain];
-    const scanResults = [];
-
-    for (const chain of blockchainsToScan) {
-      // Start scan log
-      const scanLogResult = await sql`
-        INSERT INTO scan_logs (blockchain, status) 
-        VALUES (${chain}, 'running') 
-        RETURNING id
-      `;
-      const scanLogId = scanLogResult[0].id;
-
-      try {
-        // Simulate blockchain scanning and cultiv8 opportunity discovery
-        const opportunities = await scanBlockchainForCultiv8Opportunities(
-          chain,
-          config,
-        );
-
-        // Store discovered opportunities
-        let opportunitiesStored = 0;
-        for (const opportunity of opportunities) {
-          try {
-            // Check if opportunity already exists
-            const existing = await sql`
-              SELECT id FROM cultiv8_opportunities 
-              WHERE pool_address = ${opportunity.pool_address} 
-              AND blockchain = ${chain}
-            `;
+    return Response.json({
+      success: true,
+      scanResults: result.scanResults,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error in agent scan:", error);
+    return Response.json(
+      {
+        success: false,
+        error: "Failed to execute agent scan",
+      },
+      { status: 500 },
+    );
+  }
+}
 
-            if (existing.length === 0) {
-              await sql`
-                INSERT INTO cultiv8_opportunities (
-                  protocol_name, blockchain, pool_address, token_symbol, apy, tvl,
-                  risk_score, protocol_type, minimum_deposit, lock_period, additional_info
-                ) VALUES (
-                  ${opportunity.protocol_name}, ${chain}, ${opportunity.pool_address}, 
-                  ${opportunity.token_symbol}, ${opportunity.apy}, ${opportunity.tvl},
-                  ${opportunity.risk_score}, ${opportunity.protocol_type}, 
-                  ${opportunity.minimum_deposit}, ${opportunity.lock_period}, 
-                  ${JSON.stringify(opportunity.additional_info)}
-                )
-              `;
-              opportunitiesStored++;
-            } else {
-              // Update existing opportunity
-              await sql`
-                UPDATE cultiv8_opportunities 
-                SET apy = ${opportunity.apy}, tvl = ${opportunity.tvl}, 
-                    last_updated = CURRENT_TIMESTAMP
-                WHERE pool_address = ${opportunity.pool_address} AND blockchain = ${chain}
-              `;
-            }
-          } catch (error) {
-            console.error(
-              `Error storing opportunity for ${opportunity.protocol_name}:`,
-              error,
-            );
-          }
-        }
+/**
+ * Run one scan (and optional rebalance/invest pass) for a wallet's config
+ * Shared by POST /api/agent/scan and the scheduler tick
+ * @param {object} config - agent_config row owned by the wallet
+ * @param {object} options - { blockchain ('all' or a chain name), forceRun, scanOnly, deferRebalancesForGas }
+ * @returns {Promise<{success: boolean, error?: string, scanResults?: Array}>}
+ */
+export async function runAgentScan(
+  config,
+  { blockchain = "all", forceRun = false, scanOnly = false, deferRebalancesForGas = false } = {},
+) {
+  // Respect auto-invest for investing paths; but allow scan-only regardless
+  if (!scanOnly && !config.auto_invest_enabled && !forceRun) {
+    return {
+      success: false,
+      error: "Auto-invest is disabled. Use forceRun=true to run manually.",
+    };
+  }
 
-        // If scanOnly, complete log and continue without any portfolio actions
-        if (scanOnly) {
-          await sql`
-            UPDATE scan_logs 
-            SET scan_completed_at = CURRENT_TIMESTAMP, 
-                opportunities_found = ${opportunities.length},
-                status = 'completed'
-            WHERE id = ${scanLogId}
-          `;
+  // Compute funds and effective cap (allow forceRun to exceed config cap up to available funds)
+  const userAddress = config.user_address;
+  const { invested: currentTotalInvested, available: availableFundsUser } =
+    await getUserFundBalances(userAddress);
+  const effectiveMaxTotal = forceRun
+    ? Math.max(
+        config.max_total_investment,
+        currentTotalInvested + availableFundsUser,
+      )
+    : config.max_total_investment;
+
+  const blockchainsToScan = resolveChains(blockchain);
+  const unsupported = blockchainsToScan.find((chain) => !isSupportedChain(chain));
+  if (unsupported) {
+    return { success: false, error: `Unsupported blockchain: ${unsupported}` };
+  }
+  const scanResults = [];
+
+  for (const chain of blockchainsToScan) {
+    // Start scan log
+    const scanLogResult = await sql`
+      INSERT INTO scan_logs (blockchain, status, user_address) 
+      VALUES (${chain}, 'running', ${config.user_address}) 
+      RETURNING id
+    `;
+    const scanLogId = scanLogResult[0].id;
 
-          scanResults.push({
-            blockchain: chain,
-            opportunitiesFound: opportunities.length,
-            opportunitiesStored,
-            investmentsMade: 0,
-            rebalanced: 0,
-            status: "completed",
-          });
-          continue;
-        }
+    try {
+      // Simulate blockchain scanning and cultiv8 opportunity discovery
+      const opportunities = await scanBlockchainForCultiv8Opportunities(
+        chain,
+        config,
+      );
 
-        // NEW: Rebalance step prior to new investments
-        let rebalanced = 0;
+      // Store discovered opportunities; every observation is also appended to the history
+      let opportunitiesStored = 0;
+      const observed = [];
+      for (const opportunity of opportunities) {
         try {
-          // Active investments on this chain
-          const active = await sql`
-            SELECT i.*, y.apy as current_apy, y.risk_score as current_risk, y.is_active as opp_active
-            FROM investments i
-            LEFT JOIN cultiv8_opportunities y ON y.id = i.opportunity_id
-            WHERE i.blockchain = ${chain}
-              AND i.status IN ('pending','confirmed')
-              AND i.withdrawn_at IS NULL
+          // Check if opportunity already exists (Aave reserves share a pool, so match the asset too)
+          const existing = await sql`
+            SELECT id FROM cultiv8_opportunities 
+            WHERE pool_address = ${opportunity.pool_address} 
+            AND blockchain = ${chain}
+            AND token_symbol = ${opportunity.token_symbol}
           `;
-          // Best opp that meets risk/threshold
-          const bestOppRows = await sql`
-            SELECT * FROM cultiv8_opportunities
-            WHERE blockchain = ${chain} AND is_active = true
-              AND risk_score <= ${config.max_risk_score}
-              AND apy >= ${config.min_apy_threshold}
-            ORDER BY apy DESC
-            LIMIT 1
-          `;
-          const bestOpp = bestOppRows[0] || null;
-          const improvementThreshold = 1.0; // absolute % APY improvement required
-
-          for (const inv of active) {
-            const curApy = Number(inv.current_apy ?? inv.expected_apy ?? 0);
-            const shouldExit =
-              inv.opp_active === false ||
-              curApy < Number(config.min_apy_threshold || 0) ||
-              (bestOpp &&
-                Number(bestOpp.apy || 0) - curApy >= improvementThreshold);
-
-            if (shouldExit) {
-              try {
-                await simulateWithdrawal(inv);
-                rebalanced++;
-              } catch (e) {
-                console.error("rebalance withdrawal error", e);
-              }
-            }
-          }
-        } catch (e) {
-          console.error("rebalance step failed", e);
-        }
-
-        // Recompute totals after potential withdrawals
-        const [invAfterRows] = await sql.transaction((txn) => [
-          txn`SELECT COALESCE(SUM(amount), 0) as total FROM investments WHERE status IN ('pending','confirmed')`,
-        ]);
-        const currentTotalInvestedAfter = parseFloat(
-          invAfterRows[0]?.total || 0,
-        );
-
-        // Analyze opportunities and make investment decisions (respect effective cap)
-        const investmentDecisions = await analyzeAndDecideInvestments(
-          chain,
-          config,
-          effectiveMaxTotal,
-          currentTotalInvestedAfter,
-          forceRun,
-        );
-
-        // Execute approved investments
-        let investmentsMade = 0;
-        let availableFunds = await getAvailableAgentFunds();
-        for (const decision of investmentDecisions) {
-          if (!decision.shouldInvest) continue;
-          if (availableFunds <= 0) break;
-          const amount = Math.min(decision.amount, availableFunds);
-          if (amount <= 0) continue;
-          try {
-            // Simulate blockchain transaction
-            const txHash = await simulateInvestment(decision);
 
-            await sql`
-              INSERT INTO investments (
-                opportunity_id, amount, blockchain, transaction_hash, 
-                expected_apy, status
+          if (existing.length === 0) {
+            const inserted = await sql`
+              INSERT INTO cultiv8_opportunities (
+                protocol_name, blockchain, pool_address, token_symbol, apy, tvl,
+                risk_score, protocol_type, minimum_deposit, lock_period, additional_info
               ) VALUES (
-                ${decision.opportunity_id}, ${amount}, ${chain}, 
-                ${txHash}, ${decision.expected_apy}, 'confirmed'
+                ${opportunity.protocol_name}, ${chain}, ${opportunity.pool_address}, 
+                ${opportunity.token_symbol}, ${opportunity.apy}, ${opportunity.tvl},
+                ${opportunity.risk_score}, ${opportunity.protocol_type}, 
+                ${opportunity.minimum_deposit}, ${opportunity.lock_period}, 
+                ${JSON.stringify(opportunity.additional_info)}
               )
+              RETURNING id
             `;
-            availableFunds -= amount;
-            investmentsMade++;
-          } catch (error) {
-            console.error(`Error executing investment:`, error);
+            opportunitiesStored++;
+            observed.push({ opportunityId: inserted[0].id, apy: opportunity.apy, tvl: opportunity.tvl });
+          } else {
+            // Update existing opportunity
+            await sql`
+              UPDATE cultiv8_opportunities 
+              SET apy = ${opportunity.apy}, tvl = ${opportunity.tvl}, 
+                  last_updated = CURRENT_TIMESTAMP
+              WHERE pool_address = ${opportunity.pool_address} AND blockchain = ${chain}
+                AND token_symbol = ${opportunity.token_symbol}
+            `;
+            observed.push({ opportunityId: existing[0].id, apy: opportunity.apy, tvl: opportunity.tvl });
           }
+        } catch (error) {
+          console.error(
+            `Error storing opportunity for ${opportunity.protocol_name}:`,
+            error,
+          );
         }
+      }
 
-        // Complete scan log
+      try {
+        await recordOpportunityMetrics(observed, 'scan');
+      } catch (error) {
+        console.error(`Error recording opportunity history on ${chain}:`, error);
+      }
+
+      // If scanOnly, complete log and continue without any portfolio actions
+      if (scanOnly) {
         await sql`
           UPDATE scan_logs 
           SET scan_completed_at = CURRENT_TIMESTAMP, 
@@ -352,53 +179,172 @@ export async function POST(request) {
           blockchain: chain,
           opportunitiesFound: opportunities.length,
           opportunitiesStored,
-          investmentsMade,
-          rebalanced,
+          investmentsMade: 0,
+          rebalanced: 0,
           status: "completed",
         });
-      } catch (error) {
-        console.error(`Error scanning ${chain}:`, error);
+        continue;
+      }
 
-        // Record failure in circuit breaker
-        await circuitBreaker.recordFailure(`scan:${chain}`, {
-          error: error.message,
-          blockchain: chain,
-        });
+      // Rebalance step prior to new investments: only moves whose extra yield
+      // over the horizon beats gas and the exit's performance fee
+      let rebalanced = 0;
+      let rebalancesDeferred = 0;
+      let gasDeferral = null;
+      let rebalancePlan = null;
+      try {
+        const plan = await buildRebalancePlan(config, chain);
+        rebalancePlan = plan.summary;
+        const moving = new Set(plan.moves.map((m) => m.investmentId));
+
+        // The reason to move went away while waiting for gas; start fresh next time
+        for (const position of plan.positions) {
+          if (position.deferredAt && !moving.has(position.id)) {
+            await sql`UPDATE investments SET rebalance_deferred_at = NULL WHERE id = ${position.id}`;
+          }
+        }
 
-        // Update scan log with error
-        await sql`
-          UPDATE scan_logs 
-          SET scan_completed_at = CURRENT_TIMESTAMP,
-              errors = ${error.message},
-              status = 'failed'
-          WHERE id = ${scanLogId}
-        `;
+        const canExitOnChain = !!process.env.AGENT_PRIVATE_KEY;
+        if (!canExitOnChain && plan.moves.length > 0) {
+          console.warn("AGENT_PRIVATE_KEY not set - skipping rebalance exits");
+        }
 
-        scanResults.push({
-          blockchain: chain,
-          status: "failed",
-          error: error.message,
-        });
+        if (canExitOnChain && plan.moves.length > 0) {
+          // A deactivated opportunity is urgent; other moves can wait
+          // for cheap gas, up to GAS_MAX_DEFER_HOURS from the first hold
+          const held = new Set();
+          const deferredSince = new Map(plan.positions.map((p) => [p.id, p.deferredAt]));
+          for (const move of plan.moves) {
+            if (!deferRebalancesForGas || move.reason === "inactive") continue;
+            gasDeferral ??= await getGasDeferral(chain).catch((e) => ({
+              defer: false,
+              reason: `Gas forecast unavailable: ${e.message}`,
+            }));
+            const deferredAt = deferredSince.get(move.investmentId);
+            const heldHours = deferredAt
+              ? (Date.now() - new Date(deferredAt).getTime()) / 3600000
+              : 0;
+            if (gasDeferral.defer && heldHours < gasDeferral.maxDelayHours) {
+              await sql`
+                UPDATE investments
+                SET rebalance_deferred_at = COALESCE(rebalance_deferred_at, CURRENT_TIMESTAMP)
+                WHERE id = ${move.investmentId}
+              `;
+              held.add(move.investmentId);
+              rebalancesDeferred++;
+            }
+          }
+
+          const { withdrawn } = await executeRebalanceWithdrawals(plan, { exclude: held });
+          rebalanced = withdrawn;
+        }
+      } catch (e) {
+        console.error("rebalance step failed", e);
       }
-    }
 
-    return Response.json({
-      success: true,
-      scanResults,
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error("Error in agent scan:", error);
-    return Response.json(
-      {
-        success: false,
-        error: "Failed to execute agent scan",
-      },
-      { status: 500 },
-    );
+      // Recompute totals after potential withdrawals
+      const { invested: currentTotalInvestedAfter } =
+        await getUserFundBalances(userAddress);
+
+      // Analyze opportunities and make investment decisions (respect effective cap)
+      const investmentDecisions = await analyzeAndDecideInvestments(
+        chain,
+        config,
+        effectiveMaxTotal,
+        currentTotalInvestedAfter,
+        forceRun,
+      );
+
+      // Record approved allocations. The scan moves no funds: rows are
+      // 'simulated', with no transaction, so they never count as open
+      // positions or get withdrawn. Real deposits go through /api/execute.
+      let investmentsMade = 0;
+      let availableFunds = await getAvailableFunds(userAddress);
+      for (const decision of investmentDecisions) {
+        if (!decision.shouldInvest) continue;
+        if (availableFunds <= 0) break;
+        const amount = Math.min(decision.amount, availableFunds);
+        if (amount <= 0) continue;
+        // Decisions are sized in USD; investments.amount is in asset units
+        if (!(decision.price_usd > 0)) {
+          console.warn(`No USD price for ${decision.token_symbol} on ${chain}; allocation skipped`);
+          continue;
+        }
+        try {
+          await sql`
+            INSERT INTO investments (
+              opportunity_id, amount, blockchain, transaction_hash,
+              expected_apy, status, user_address
+            ) VALUES (
+              ${decision.opportunity_id}, ${amount / decision.price_usd}, ${chain},
+              NULL, ${decision.expected_apy}, 'simulated', ${userAddress}
+            )
+          `;
+          availableFunds -= amount;
+          investmentsMade++;
+        } catch (error) {
+          console.error(`Error executing investment:`, error);
+        }
+      }
+
+      // Complete scan log
+      await sql`
+        UPDATE scan_logs 
+        SET scan_completed_at = CURRENT_TIMESTAMP, 
+            opportunities_found = ${opportunities.length},
+            status = 'completed'
+        WHERE id = ${scanLogId}
+      `;
+
+      scanResults.push({
+        blockchain: chain,
+        opportunitiesFound: opportunities.length,
+        opportunitiesStored,
+        investmentsMade,
+        rebalanced,
+        rebalancesDeferred,
+        ...(rebalancePlan && { rebalancePlan }),
+        ...(gasDeferral && { gasDeferral }),
+        status: "completed",
+      });
+    } catch (error) {
+      console.error(`Error scanning ${chain}:`, error);
+
+      // Record failure in circuit breaker
+      await circuitBreaker.recordFailure(`scan:${chain}`, {
+        error: error.message,
+        blockchain: chain,
+      });
+
+      // Update scan log with error
+      await sql`
+        UPDATE scan_logs 
+        SET scan_completed_at = CURRENT_TIMESTAMP,
+            errors = ${error.message},
+            status = 'failed'
+        WHERE id = ${scanLogId}
+      `;
+
+      scanResults.push({
+        blockchain: chain,
+        status: "failed",
+        error: error.message,
+      });
+    }
   }
+
+  return { success: true, scanResults };
 }
 
+// Track record used for risk scoring (years live, completed audits)
+const PROTOCOL_PROFILES = {
+  aave: { ageYears: 4, audits: 8 },
+  compound: { ageYears: 6, audits: 10 },
+  morpho: { ageYears: 2, audits: 6 },
+  spark: { ageYears: 2, audits: 5 },
+  yearn: { ageYears: 5, audits: 6 },
+};
+
 // Scan blockchain for cultiv8 opportunities using real protocol adapters
 async function scanBlockchainForCultiv8Opportunities(blockchain, config) {
   try {
@@ -418,16 +364,16 @@ async function scanBlockchainForCultiv8Opportunities(blockchain, config) {
           const tempOpp = {
             protocol_name: data.protocol.charAt(0).toUpperCase() + data.protocol.slice(1),
             pool_address: data.metadata.poolAddress,
-            token_symbol: 'USDC',
+            token_symbol: data.asset || data.metadata.assetSymbol || 'USDC',
             apy: data.apy,
             tvl: data.tvl,
-            protocol_type: 'lending',
+            protocol_type: data.metadata.type || 'lending',
             minimum_deposit: 1,
             lock_period: 0,
             blockchain,
             // Add metadata for risk scoring
-            protocol_age_years: data.protocol === 'aave' ? 4 : data.protocol === 'compound' ? 6 : 1,
-            audit_count: data.protocol === 'aave' ? 8 : data.protocol === 'compound' ? 10 : 0,
+            protocol_age_years: PROTOCOL_PROFILES[data.protocol]?.ageYears ?? 1,
+            audit_count: PROTOCOL_PROFILES[data.protocol]?.audits ?? 0,
             has_bug_bounty: true,
             governance_type: 'decentralized',
             team_doxxed: true,
@@ -456,15 +402,16 @@ async function scanBlockchainForCultiv8Opportunities(blockchain, config) {
 
 // Fallback opportunities if Web3 calls fail
 function getFallbackOpportunities(blockchain) {
+  const { protocols } = getChain(blockchain);
+  const isL2 = blockchain !== "ethereum";
+
   const base = [
     {
       protocol_name: "Aave",
-      pool_address: blockchain === "ethereum" 
-        ? "0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2"
-        : "0xA238Dd80C259a72e81d7e4664a9801593F98d1c5",
+      pool_address: protocols.aaveV3Pool,
       token_symbol: "USDC",
-      apy: blockchain === "base" ? 4.5 : 4.0,
-      tvl: blockchain === "base" ? 150000000 : 1500000000,
+      apy: isL2 ? 4.5 : 4.0,
+      tvl: isL2 ? 150000000 : 1500000000,
       risk_score: 3,
       protocol_type: "lending",
       minimum_deposit: 1,
@@ -473,12 +420,10 @@ function getFallbackOpportunities(blockchain) {
     },
     {
       protocol_name: "Compound",
-      pool_address: blockchain === "ethereum"
-        ? "0xc3d688B66703497DAA19211EEdff47f25384cdc3"
-        : "0x9c4ec768c28520B50860ea7a15bd7213a9fF58bf",
+      pool_address: protocols.compoundV3Comets.USDC,
       token_symbol: "USDC",
-      apy: blockchain === "base" ? 3.9 : 3.5,
-      tvl: blockchain === "base" ? 80000000 : 800000000,
+      apy: isL2 ? 3.9 : 3.5,
+      tvl: isL2 ? 80000000 : 800000000,
       risk_score: 4,
       protocol_type: "lending",
       minimum_deposit: 1,
@@ -487,7 +432,8 @@ function getFallbackOpportunities(blockchain) {
     },
   ];
 
-  return base;
+  // Not every chain has a USDC Comet
+  return base.filter((opp) => opp.pool_address);
 }
 
 // Helper: ChatGPT request with timeout to avoid long-running scans
@@ -508,6 +454,21 @@ async function requestChatGPTWithTimeout(payload, timeoutMs = 5000) {
   }
 }
 
+// USD price of each asset the opportunities are in (unpriced assets are left out)
+async function loadAssetPrices(opportunities, blockchain) {
+  const { portfolioOptimizer } = await import('../../utils/portfolioOptimizer.js');
+  const prices = new Map();
+  for (const asset of new Set(opportunities.map((o) => portfolioOptimizer.assetOf(o)))) {
+    try {
+      const price = await priceOracle.getUsdPrice(asset, blockchain);
+      if (price > 0) prices.set(asset, price);
+    } catch (error) {
+      console.warn(`No USD price for ${asset} on ${blockchain}:`, error.message);
+    }
+  }
+  return prices;
+}
+
 // AI-powered investment decision making with portfolio optimization
 async function analyzeAndDecideInvestments(
   blockchain,
@@ -536,23 +497,55 @@ async function analyzeAndDecideInvestments(
       return []; // No budget available
     }
 
+    // Each asset is its own market, sized from an even share of the USD budget;
+    // assets the oracle cannot price get none (their amounts can't be converted)
+    const prices = await loadAssetPrices(opportunities, blockchain);
+    const pricedAssets = [...prices.keys()];
+    const assetBudgets = Object.fromEntries(
+      pricedAssets.map((asset) => [asset, availableForNewInvestments / pricedAssets.length]),
+    );
+    const priceOf = (opportunity) => prices.get(portfolioOptimizer.assetOf(opportunity)) ?? null;
+
+    // Score each market on the APY it would pay after a position of this size,
+    // converted from USD into the market's asset units
+    const { projectOpportunityAPYs } = await import('../../protocols/adapters.js');
+    const projectedOpportunities = await projectOpportunityAPYs(opportunities, (opportunity) => {
+      const price = priceOf(opportunity);
+      if (!price) return null;
+      const positionSizeUsd = Math.min(
+        config.max_investment_per_opportunity,
+        assetBudgets[portfolioOptimizer.assetOf(opportunity)],
+      );
+      return positionSizeUsd / price;
+    });
+
+    // Volatility and correlations come from each market's stored APY history
+    let sizedOpportunities = projectedOpportunities;
+    try {
+      sizedOpportunities = await attachApyHistory(projectedOpportunities);
+    } catch (error) {
+      console.error("Error loading APY history for sizing:", error);
+    }
+
     const optimizedPlan = portfolioOptimizer.optimizeAllocation(
-      opportunities,
+      sizedOpportunities,
       {
-        maxTotalInvestment: availableForNewInvestments,
         maxRiskScore: config.max_risk_score,
         maxInvestmentPerOpportunity: config.max_investment_per_opportunity,
+        assetBudgets,
       }
     );
 
-    // Convert optimized allocations to investment decisions
+    // Convert optimized allocations to investment decisions (amounts in USD)
     const decisions = optimizedPlan.allocations.map((alloc) => ({
       opportunity_id: alloc.opportunity.id,
+      token_symbol: alloc.opportunity.asset,
+      price_usd: priceOf(alloc.opportunity),
       shouldInvest: alloc.amount > 0,
       amount: alloc.amount,
       expected_apy: alloc.opportunity.apy,
       confidence: alloc.sharpe || 0.5,
-      reasoning: `Portfolio-optimized allocation: ${alloc.percentage.toFixed(1)}% of budget. Sharpe ratio: ${alloc.sharpe?.toFixed(2) || 'N/A'}`,
+      reasoning: `Portfolio-optimized allocation: ${alloc.percentage.toFixed(1)}% of budget. Sharpe ratio: ${alloc.sharpe?.toFixed(2) || 'N/A'}, Sortino: ${alloc.sortino?.toFixed(2) || 'N/A'} (volatility from ${alloc.opportunity.riskSource === 'history' ? 'APY history' : 'risk score'})`,
       risk_assessment: `Risk score: ${alloc.opportunity.risk_score}/10. Diversified allocation.`,
     }));
 
@@ -581,7 +574,7 @@ async function analyzeAndDecideInvestments(
             },
             {
               role: "user",
-              content: `Analyze this cultiv8 opportunity:\n              \nProtocol: ${opportunity.protocol_name}\nBlockchain: ${opportunity.blockchain}\nAPY: ${opportunity.apy}%\nTVL: $${opportunity.tvl?.toLocaleString() || "Unknown"}\nRisk Score: ${opportunity.risk_score}/10\nProtocol Type: ${opportunity.protocol_type}\nMinimum Deposit: $${opportunity.minimum_deposit}\nLock Period: ${opportunity.lock_period} days\n\nBudget remaining: $${effectiveMaxTotal - plannedTotal}\nMax per opportunity: $${config.max_investment_per_opportunity}\n\nShould I invest? If yes, how much? Provide reasoning.`,
+              content: `Analyze this cultiv8 opportunity:\n              \nProtocol: ${opportunity.protocol_name}\nAsset: ${opportunity.token_symbol}\nBlockchain: ${opportunity.blockchain}\nAPY: ${opportunity.apy}%\nTVL: $${opportunity.tvl?.toLocaleString() || "Unknown"}\nRisk Score: ${opportunity.risk_score}/10\nProtocol Type: ${opportunity.protocol_type}\nMinimum Deposit: $${opportunity.minimum_deposit}\nLock Period: ${opportunity.lock_period} days\n\nBudget remaining: $${effectiveMaxTotal - plannedTotal}\nMax per opportunity: $${config.max_investment_per_opportunity}\n\nShould I invest? If yes, how much? Provide reasoning.`,
             },
           ],
           json_schema: {
@@ -626,6 +619,8 @@ async function analyzeAndDecideInvestments(
 
             decisions.push({
               opportunity_id: opportunity.id,
+              token_symbol: portfolioOptimizer.assetOf(opportunity),
+              price_usd: priceOf(opportunity),
               shouldInvest,
               amount: plannedAmount,
               expected_apy: opportunity.apy,
@@ -650,6 +645,8 @@ async function analyzeAndDecideInvestments(
 
       decisions.push({
         opportunity_id: opportunity.id,
+        token_symbol: portfolioOptimizer.assetOf(opportunity),
+        price_usd: priceOf(opportunity),
         shouldInvest: fallbackShouldInvest,
         amount: fallbackShouldInvest ? recommended : 0,
         expected_apy: opportunity.apy,
@@ -667,15 +664,3 @@ async function analyzeAndDecideInvestments(
     return [];
   }
 }
-
-// Simulate blockchain investment transaction
-async function simulateInvestment(decision) {
-  // In a real implementation, this would interact with Web3 wallets and smart contracts
-  // For demo purposes, return a mock transaction hash
-  const mockTxHash = "0x" + Math.random().toString(16).substr(2, 64);
-
-  // Simulate transaction delay
-  await new Promise((resolve) => setTimeout(resolve, 1000));
-
-  return mockTxHash;
-}
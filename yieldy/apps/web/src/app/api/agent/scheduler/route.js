@@ -1,82 +1,175 @@
 import sql from "@/app/api/utils/sql";
 import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
+import { optionalAuth, checkAdminStatus, isCronRequest } from "@/app/api/middleware/auth";
+import { circuitBreaker } from "@/app/api/utils/circuitBreaker";
+import { getUserConfig, listUserConfigs } from "@/app/api/utils/userConfig";
+import { runAgentScan } from "@/app/api/agent/scan/route";
+import { reconcilePendingInvestments } from "@/app/api/utils/reconciler";
+import { sampleAllChains } from "@/app/api/utils/gasHistory";
+import { snapshotOpenPositions } from "@/app/api/utils/positionSnapshots";
+import { downsampleOpportunityMetrics } from "@/app/api/utils/opportunityMetrics";
 
-// Scheduler endpoint: checks last scan and triggers scans/rebalance when due
+// Scheduler endpoint: checks each wallet's last scan and triggers scans/rebalance when due
+// Signed-in callers tick only their own wallet. Every wallet is ticked only for the
+// cron job (Authorization: Bearer CRON_SECRET) or an admin sending { allWallets: true };
+// those passes can move agent-wallet funds, so anonymous callers are refused. The
+// global passes (gas sampling, metrics downsampling) run only on those full ticks.
 export async function POST(request) {
   // Rate limiting - scan tier for scheduler operations
   const rateLimitError = await rateLimitMiddleware(request, 'scan');
   if (rateLimitError) return rateLimitError;
 
+  await optionalAuth(request);
+
+  // Read optional body but don't require it
+  let body = {};
   try {
-    // Read optional body but don't require it
-    let body = {};
-    try {
-      body = await request.json();
-    } catch (e) {}
+    body = await request.json();
+  } catch (e) {}
+
+  const isCron = isCronRequest(request);
+  const tickAll = isCron || (body?.allWallets === true && !!request.user && (await checkAdminStatus(request.user)));
+  if (!tickAll && !request.user?.address) {
+    return Response.json(
+      { success: false, error: "Unauthorized", message: "Sign in, or send the cron secret to tick every wallet" },
+      { status: 401 }
+    );
+  }
+
+  // Wallet-scoped passes below (reconcile, snapshots) run for every wallet when undefined
+  const scopedAddress = tickAll ? undefined : request.user.address;
 
-    // Get config
-    const configRows = await sql`SELECT * FROM agent_config ORDER BY id DESC LIMIT 1`;
-    if (!configRows || configRows.length === 0) {
+  try {
+    const configs = tickAll
+      ? await listUserConfigs()
+      : [await getUserConfig(scopedAddress)];
+
+    if (!configs || configs.length === 0) {
       return Response.json({ success: false, scheduled: false, reason: "no-config" }, { status: 200 });
     }
-    const config = configRows[0];
-
-    // Determine interval (default 24h)
-    const intervalMinutes = Number(config.scan_interval_minutes || 1440);
-
-    // Find last completed scan time
-    const lastRows = await sql`
-      SELECT scan_completed_at FROM scan_logs
-      WHERE status = 'completed' AND scan_completed_at IS NOT NULL
-      ORDER BY scan_completed_at DESC
-      LIMIT 1
-    `;
-    const now = new Date();
-    let due = false;
-    if (!lastRows || lastRows.length === 0) {
-      due = true;
-    } else {
-      const last = new Date(lastRows[0].scan_completed_at);
-      const diffMs = now.getTime() - last.getTime();
-      const diffMin = diffMs / (60 * 1000);
-      due = diffMin >= intervalMinutes;
+
+    // Settle pending investment receipts first so available funds are accurate
+    let reconciled = null;
+    try {
+      const { results: _rows, ...counts } = await reconcilePendingInvestments({
+        userAddress: scopedAddress,
+      });
+      reconciled = counts;
+    } catch (error) {
+      console.error("reconciliation error", error);
     }
 
-    if (!due) {
-      return Response.json({ success: true, scheduled: false, nextCheckMinutes: Math.max(0, intervalMinutes) }, { status: 200 });
+    // Record gas prices each full tick; the forecast decides whether rebalances wait
+    let gasSampled = null;
+    if (tickAll) {
+      try {
+        gasSampled = await sampleAllChains();
+      } catch (error) {
+        console.error("gas sampling error", error);
+      }
     }
 
-    // First: refresh opportunities quickly regardless of auto-invest setting
+    // Mark confirmed positions to market once a day (pools already marked today are skipped)
+    let snapshotted = null;
     try {
-      const resScanOnly = await fetch("/api/agent/scan", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ blockchain: "both", scanOnly: true }),
-      });
-      // Ignore if fails, we'll continue
-      if (!resScanOnly.ok) {
-        // no-op
+      snapshotted = await snapshotOpenPositions({ userAddress: scopedAddress });
+    } catch (error) {
+      console.error("position snapshot error", error);
+    }
+
+    // Roll aged APY/TVL observations up into hourly/daily rows and drop expired ones (full ticks only)
+    let metricsDownsampled = null;
+    if (tickAll) {
+      try {
+        metricsDownsampled = await downsampleOpportunityMetrics();
+      } catch (error) {
+        console.error("opportunity metrics downsampling error", error);
       }
-    } catch (e) {}
+    }
 
-    // If auto invest enabled, run a fast investing pass with rebalance (forceRun speeds up decisions)
-    let invested = false;
-    if (config.auto_invest_enabled) {
+    const results = [];
+    for (const config of configs) {
       try {
-        const resInvest = await fetch("/api/agent/scan", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ blockchain: "both", forceRun: true }),
-        });
-        invested = resInvest.ok;
-      } catch (e) {
-        invested = false;
+        results.push(await tickUser(config));
+      } catch (error) {
+        console.error(`scheduler error for ${config.user_address}`, error);
+        results.push({ userAddress: config.user_address, scheduled: false, error: error.message });
       }
     }
 
-    return Response.json({ success: true, scheduled: true, invested }, { status: 200 });
+    // Single-wallet ticks keep the original response shape for the dashboard
+    if (results.length === 1) {
+      const { userAddress, ...result } = results[0];
+      return Response.json({ success: !result.error, ...result, reconciled, gasSampled, snapshotted, metricsDownsampled }, { status: 200 });
+    }
+
+    return Response.json({ success: true, results, reconciled, gasSampled, snapshotted, metricsDownsampled }, { status: 200 });
   } catch (error) {
     console.error("scheduler error", error);
     return Response.json({ success: false, error: "scheduler-failed" }, { status: 500 });
   }
 }
+
+// Run one wallet's scan/invest pass if its scan interval has elapsed
+async function tickUser(config) {
+  const userAddress = config.user_address;
+
+  // Determine interval (default 24h)
+  const intervalMinutes = Number(config.scan_interval_minutes || 1440);
+
+  // Find this wallet's last completed scan time
+  const lastRows = await sql`
+    SELECT scan_completed_at FROM scan_logs
+    WHERE status = 'completed' AND scan_completed_at IS NOT NULL
+      AND user_address = ${userAddress}
+    ORDER BY scan_completed_at DESC
+    LIMIT 1
+  `;
+  const now = new Date();
+  let due = false;
+  let minutesSinceLast = null;
+  if (!lastRows || lastRows.length === 0) {
+    due = true;
+  } else {
+    const last = new Date(lastRows[0].scan_completed_at);
+    const diffMs = now.getTime() - last.getTime();
+    minutesSinceLast = diffMs / (60 * 1000);
+    due = minutesSinceLast >= intervalMinutes;
+  }
+
+  if (!due) {
+    return {
+      userAddress,
+      scheduled: false,
+      nextCheckMinutes: Math.max(0, Math.ceil(intervalMinutes - minutesSinceLast)),
+    };
+  }
+
+  // First: refresh opportunities quickly regardless of auto-invest setting
+  try {
+    await runAgentScan(config, { blockchain: "all", scanOnly: true });
+  } catch (e) {
+    // Ignore if fails, we'll continue
+  }
+
+  // If auto invest enabled, run a fast investing pass with rebalance (forceRun speeds up decisions)
+  let invested = false;
+  if (config.auto_invest_enabled) {
+    const pauseStatus = await circuitBreaker.isTripped();
+    if (!pauseStatus.isPaused) {
+      try {
+        // Scheduled passes may hold APY-driven exits until gas is cheap
+        const result = await runAgentScan(config, {
+          blockchain: "all",
+          forceRun: true,
+          deferRebalancesForGas: true,
+        });
+        invested = result.success;
+      } catch (e) {
+        invested = false;
+      }
+    }
+  }
+
+  return { userAddress, scheduled: true, invested };
+}
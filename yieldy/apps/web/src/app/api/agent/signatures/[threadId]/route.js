@@ -0,0 +1,137 @@
+import { z } from 'zod';
+import { rateLimitMiddleware } from '@/app/api/middleware/rateLimit';
+import { authMiddleware } from '@/app/api/middleware/auth';
+import { validateRequest } from '@/app/api/middleware/validation';
+import { checkEmergencyPause, circuitBreaker } from '@/app/api/utils/circuitBreaker';
+import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from '@/app/api/utils/auditLogger';
+import { normalizeAddress } from '@/app/api/utils/userConfig';
+import { getSignatureRequest, submitSignatures } from '@/app/api/agent/langgraph/signatures';
+
+const THREAD_ID_PATTERN = /^agent-0x[0-9a-f]{40}-\d+$/;
+
+const SubmitSchema = z.object({
+  // Serialized signed transactions, one per packaged transaction, in order
+  signedTransactions: z.array(z.string().regex(/^0x[0-9a-fA-F]+$/, { message: 'Invalid signed transaction' })).min(1).max(10),
+});
+
+function invalidThread() {
+  return Response.json({ success: false, error: 'Invalid run id' }, { status: 400 });
+}
+
+/**
+ * Signature Request
+ * GET /api/agent/signatures/:threadId
+ * The unsigned EIP-7702 transactions for the caller to sign, and once
+ * submitted, their results
+ */
+export async function GET(request, { params }) {
+  // Authentication required
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
+  // Rate limiting
+  const rateLimitError = await rateLimitMiddleware(request, 'general');
+  if (rateLimitError) return rateLimitError;
+
+  const { threadId } = params;
+  if (!THREAD_ID_PATTERN.test(threadId)) return invalidThread();
+
+  try {
+    const signatureRequest = await getSignatureRequest(threadId, normalizeAddress(request.user.address));
+    if (!signatureRequest) {
+      return Response.json({ success: false, error: 'Signature request not found' }, { status: 404 });
+    }
+    return Response.json({ success: true, request: signatureRequest });
+  } catch (error) {
+    console.error('Error loading signature request:', error);
+    return Response.json(
+      { success: false, error: 'Failed to load signature request' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Submit Signed Transactions
+ * POST /api/agent/signatures/:threadId
+ * { signedTransactions: ['0x...'] }
+ * Each must be the caller's signature over the matching packaged transaction
+ * (same chain, nonce, target and calldata). Nothing is broadcast unless all
+ * match; results go back to the run's graph state and decision outcome.
+ */
+export async function POST(request, { params }) {
+  // Authentication required
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
+  // Check emergency pause
+  const pauseError = await checkEmergencyPause(request);
+  if (pauseError) return pauseError;
+
+  // Rate limiting - use investment tier for actual executions
+  const rateLimitError = await rateLimitMiddleware(request, 'investment');
+  if (rateLimitError) return rateLimitError;
+
+  const { threadId } = params;
+  if (!THREAD_ID_PATTERN.test(threadId)) return invalidThread();
+
+  const validationError = await validateRequest(SubmitSchema)(request);
+  if (validationError) return validationError;
+
+  const userAddress = normalizeAddress(request.user.address);
+
+  try {
+    const signatureRequest = await getSignatureRequest(threadId, userAddress);
+    if (!signatureRequest) {
+      return Response.json({ success: false, error: 'Signature request not found' }, { status: 404 });
+    }
+    if (signatureRequest.status !== 'pending') {
+      return Response.json(
+        { success: false, error: `Run already ${signatureRequest.status}` },
+        { status: 409 }
+      );
+    }
+
+    const { request: submitted, execution, state } = await submitSignatures({
+      threadId,
+      userAddress,
+      signedTransactions: request.validated.signedTransactions,
+    });
+
+    if (execution.status === 'failed') {
+      await circuitBreaker.recordFailure('transaction_execution', {
+        error: submitted.error,
+        threadId,
+      });
+    }
+
+    await auditLog({
+      user_id: userAddress,
+      action: AUDIT_ACTIONS.STRATEGY_SIGNED,
+      resource_type: 'agent_signature_request',
+      resource_id: threadId,
+      metadata: {
+        status: execution.status,
+        hashes: execution.results.map((r) => r.hash).filter(Boolean),
+      },
+      ip_address: getIPFromRequest(request),
+      request_id: getRequestIDFromRequest(request),
+      success: execution.status !== 'failed',
+    });
+
+    return Response.json({
+      success: true,
+      threadId,
+      status: execution.status,
+      execution,
+      transactions: execution.results,
+      reasoning: state?.reasoning || [],
+    });
+  } catch (error) {
+    console.error('Error submitting signed transactions:', error);
+    return Response.json(
+      { success: false, error: 'Failed to submit signed transactions', message: error.message },
+      { status: 400 }
+    );
+  }
+}
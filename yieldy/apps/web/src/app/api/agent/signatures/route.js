@@ -0,0 +1,43 @@
+import { z } from 'zod';
+import { rateLimitMiddleware } from '@/app/api/middleware/rateLimit';
+import { authMiddleware } from '@/app/api/middleware/auth';
+import { validateQuery } from '@/app/api/middleware/validation';
+import { normalizeAddress } from '@/app/api/utils/userConfig';
+import { listSignatureRequests } from '@/app/api/agent/langgraph/signatures';
+
+const SignaturesQuerySchema = z.object({
+  status: z.enum(['pending', 'submitted', 'confirmed', 'failed', 'all']).optional(),
+});
+
+/**
+ * Agent Signature Requests
+ * GET /api/agent/signatures?status=pending
+ * Lists the caller's agent runs whose execution plan is packaged as unsigned
+ * EIP-7702 transactions waiting for their wallet's signature.
+ * Submit the signed payload at POST /api/agent/signatures/:threadId
+ */
+export async function GET(request) {
+  // Authentication required - lists the caller's own runs
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
+  // Rate limiting
+  const rateLimitError = await rateLimitMiddleware(request, 'general');
+  if (rateLimitError) return rateLimitError;
+
+  const queryValidationError = await validateQuery(SignaturesQuerySchema)(request);
+  if (queryValidationError) return queryValidationError;
+
+  try {
+    const status = request.validatedQuery.status || 'pending';
+    const requests = await listSignatureRequests(normalizeAddress(request.user.address), { status });
+
+    return Response.json({ success: true, status, requests });
+  } catch (error) {
+    console.error('Error listing signature requests:', error);
+    return Response.json(
+      { success: false, error: 'Failed to list signature requests' },
+      { status: 500 }
+    );
+  }
+}
@@ -2,7 +2,7 @@ import { circuitBreaker } from '../../utils/circuitBreaker.js';
 import { agentMemory } from '../memory/memory-manager.js';
 import { rateLimitMiddleware } from '../../middleware/rateLimit.js';
 import { authMiddleware } from '../../middleware/auth.js';
-import sql from '../../utils/sql.js';
+import { getUserConfig } from '../../utils/userConfig.js';
 
 /**
  * Agent Status Endpoint
@@ -25,10 +25,8 @@ export async function GET(request) {
     const cbStatus = await circuitBreaker.isTripped();
     const cbStats = circuitBreaker.getStats();
 
-    // Get agent configuration
-    const config = await sql`
-      SELECT * FROM agent_config ORDER BY id DESC LIMIT 1
-    `;
+    // Get the wallet's agent configuration
+    const config = await getUserConfig(request.user.address, { create: false });
 
     // Get user's performance metrics
     const performance = userAddress 
@@ -43,12 +41,12 @@ export async function GET(request) {
     return Response.json({
       success: true,
       status: {
-        operational: !cbStatus.isPaused && config[0]?.auto_invest_enabled,
+        operational: !cbStatus.isPaused && config?.auto_invest_enabled,
         paused: cbStatus.isPaused,
         pauseReason: cbStatus.reason,
-        autoInvestEnabled: config[0]?.auto_invest_enabled || false,
+        autoInvestEnabled: config?.auto_invest_enabled || false,
       },
-      config: config[0] || null,
+      config: config || null,
       circuitBreaker: {
         tripped: cbStatus.isPaused,
         reason: cbStatus.reason,
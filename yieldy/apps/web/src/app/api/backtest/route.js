@@ -0,0 +1,245 @@
+import { z } from 'zod';
+import { rateLimitMiddleware } from '@/app/api/middleware/rateLimit';
+import { authMiddleware } from '@/app/api/middleware/auth';
+import { validateRequest } from '@/app/api/middleware/validation';
+import { getUserConfig } from '@/app/api/utils/userConfig';
+import { loadGasSamples } from '@/app/api/utils/gasHistory';
+import { loadBacktestHistory } from '@/app/api/utils/opportunityMetrics';
+import { priceOracle } from '@/app/api/utils/priceOracle';
+import { log } from '@/app/api/utils/logger';
+import {
+  parseHistoryCsv,
+  normalizeObservation,
+  runBacktest,
+  backtestWork,
+  STRATEGIES,
+  DEFAULT_GAS_COST_USD,
+} from '@/app/api/utils/backtest';
+import { FEE_TIERS } from '@/utils/feeCalculator';
+
+// Gas units charged per deposit or withdrawal (approve + supply averages out near this)
+const GAS_UNITS_PER_TX = 250000;
+
+// Runs are synchronous, so a request is capped at this many observations and
+// market-steps (e.g. 10 markets daily for ~5 years), counting a compare run
+const MAX_OBSERVATIONS = 20000;
+const MAX_MARKET_STEPS = 20000;
+
+const ObservationSchema = z.object({
+  timestamp: z.string().or(z.number()),
+  protocol_name: z.string().min(1),
+  blockchain: z.string().min(1),
+  token_symbol: z.string().optional(),
+  apy: z.number(),
+  tvl: z.number().nullable().optional(),
+  risk_score: z.number().min(1).max(10).optional(),
+  protocol_type: z.string().optional(),
+  is_active: z.boolean().optional(),
+  id: z.string().or(z.number()).optional(),
+});
+
+// Overrides use agent_config column names; omitted fields come from the caller's config
+const ConfigOverrideSchema = z.object({
+  max_risk_score: z.number().int().min(1).max(10).optional(),
+  min_apy_threshold: z.number().min(0).max(100).optional(),
+  max_investment_per_opportunity: z.number().positive().optional(),
+  max_total_investment: z.number().positive().optional(),
+  user_tier: z.enum(Object.keys(FEE_TIERS)).optional(),
+});
+
+const BacktestSchema = z.object({
+  csv: z.string().max(2_000_000).optional(),
+  series: z.array(ObservationSchema).max(MAX_OBSERVATIONS).optional(),
+  // Stored history (opportunity_metrics) of these opportunities between from and to
+  opportunityIds: z.array(z.number().int().positive()).min(1).max(50).optional(),
+  from: z.string().datetime().optional(),
+  to: z.string().datetime().optional(), // default: now
+  strategy: z.enum(Object.keys(STRATEGIES)).default('scan-rule'),
+  asset: z.string().regex(/^[a-z0-9]+$/i, { message: 'Invalid asset symbol' }).default('USDC'),
+  initialCapital: z.number().positive().optional(), // default: max_total_investment
+  stepHours: z.number().min(1).max(24 * 30).default(24),
+  improvementThreshold: z.number().min(0).max(100).optional(),
+  driftThresholdPercent: z.number().min(0).max(100).optional(),
+  gasCostUsd: z.number().min(0).or(z.record(z.number().min(0))).optional(),
+  config: ConfigOverrideSchema.optional(),
+  // Also run the caller's saved config so the overrides can be compared against it
+  compare: z.boolean().default(false),
+  includeTrades: z.boolean().default(false),
+}).refine((data) => [data.csv, data.series?.length, data.opportunityIds].filter(Boolean).length === 1, {
+  message: 'Provide history as one of csv, series or opportunityIds',
+}).refine((data) => !data.opportunityIds || data.from, {
+  message: 'Stored history needs a from date',
+  path: ['from'],
+}).refine((data) => !data.from || !data.to || Date.parse(data.from) < Date.parse(data.to), {
+  message: 'from must be before to',
+  path: ['from'],
+});
+
+/**
+ * Per-transaction gas cost per chain from stored gas samples
+ * Median base + priority fee over the sampled window, priced with the oracle;
+ * chains with no samples use the modeling default.
+ * @param {Array<string>} chains
+ * @returns {Promise<object>} - { [chain]: usd, default }
+ */
+async function gasCostsFromHistory(chains) {
+  const costs = { ...DEFAULT_GAS_COST_USD };
+
+  for (const chain of chains) {
+    try {
+      const samples = await loadGasSamples(chain);
+      if (samples.length === 0) continue;
+
+      const fees = samples
+        .map((s) => s.baseFeeGwei + (s.priorityFeeGwei.p50 ?? 0))
+        .sort((a, b) => a - b);
+      const medianGwei = fees[Math.floor(fees.length / 2)];
+      const nativeUsd = await priceOracle.getNativeTokenPrice(chain);
+      costs[chain] = GAS_UNITS_PER_TX * medianGwei * 1e-9 * nativeUsd;
+    } catch (error) {
+      log.warn('Backtest gas cost fell back to default', { chain, error: error.message });
+    }
+  }
+
+  return costs;
+}
+
+/**
+ * Engine options from an agent_config row
+ */
+function optionsFromConfig(config) {
+  return {
+    maxRiskScore: Number(config.max_risk_score ?? 10),
+    minApy: Number(config.min_apy_threshold ?? 0),
+    maxInvestmentPerOpportunity: config.max_investment_per_opportunity
+      ? Number(config.max_investment_per_opportunity)
+      : null,
+    tier: config.user_tier || 'community',
+  };
+}
+
+function withoutTrades(result, includeTrades) {
+  if (includeTrades) return result;
+  const { trades, ...rest } = result;
+  return rest;
+}
+
+/**
+ * Backtest Endpoint
+ * POST /api/backtest
+ * Replays an APY/TVL history (CSV text, JSON series, or the stored history of
+ * opportunityIds from/to) through an allocation strategy with the caller's
+ * agent config, gas and fee tier, and returns the equity curve, drawdowns,
+ * turnover and costs
+ */
+export async function POST(request) {
+  // Authentication required - the run uses the caller's config and fee tier
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
+  // Rate limiting
+  const rateLimitError = await rateLimitMiddleware(request, 'scan');
+  if (rateLimitError) return rateLimitError;
+
+  // Input validation
+  const validationError = await validateRequest(BacktestSchema)(request);
+  if (validationError) return validationError;
+
+  try {
+    const body = request.validated;
+
+    let observations;
+    try {
+      if (body.opportunityIds) {
+        // One row past the cap is enough to tell the range is too long
+        const rows = await loadBacktestHistory(body.opportunityIds, {
+          from: body.from,
+          to: body.to ?? new Date().toISOString(),
+          limit: MAX_OBSERVATIONS + 1,
+        });
+        observations = rows.map(normalizeObservation);
+      } else {
+        observations = body.csv
+          ? parseHistoryCsv(body.csv)
+          : body.series.map(normalizeObservation);
+      }
+    } catch (error) {
+      return Response.json({ success: false, error: error.message }, { status: 400 });
+    }
+    if (observations.length > MAX_OBSERVATIONS) {
+      return Response.json(
+        { success: false, error: `History is limited to ${MAX_OBSERVATIONS} observations; narrow the range` },
+        { status: 400 }
+      );
+    }
+
+    const savedConfig = await getUserConfig(request.user.address);
+    const config = { ...savedConfig, ...body.config };
+
+    const asset = body.asset.toUpperCase();
+    const chains = [...new Set(
+      observations.filter((o) => o.token_symbol === asset).map((o) => o.blockchain)
+    )];
+
+    const work = backtestWork(observations, { stepHours: body.stepHours, asset });
+    const runs = body.compare && body.config ? 2 : 1;
+    if (work.marketSteps * runs > MAX_MARKET_STEPS) {
+      return Response.json(
+        {
+          success: false,
+          error: `Backtest too large: ${work.markets} markets over ${work.steps} steps` +
+            `${runs > 1 ? ', run twice to compare' : ''} (limit ${MAX_MARKET_STEPS} market-steps); ` +
+            'use fewer markets, a shorter range or a longer stepHours',
+        },
+        { status: 400 }
+      );
+    }
+
+    const baseOptions = {
+      strategy: body.strategy,
+      asset,
+      initialCapital: body.initialCapital ?? Number(config.max_total_investment ?? 10000),
+      stepHours: body.stepHours,
+      gasCostUsd: body.gasCostUsd ?? (await gasCostsFromHistory(chains)),
+      ...(body.improvementThreshold !== undefined && { improvementThreshold: body.improvementThreshold }),
+      ...(body.driftThresholdPercent !== undefined && { driftThresholdPercent: body.driftThresholdPercent }),
+    };
+
+    let result;
+    let baseline = null;
+    try {
+      result = runBacktest(observations, { ...baseOptions, ...optionsFromConfig(config) });
+      if (body.compare && body.config) {
+        baseline = runBacktest(observations, {
+          ...baseOptions,
+          initialCapital: body.initialCapital ?? Number(savedConfig.max_total_investment ?? 10000),
+          ...optionsFromConfig(savedConfig),
+        });
+      }
+    } catch (error) {
+      return Response.json({ success: false, error: error.message }, { status: 400 });
+    }
+
+    return Response.json({
+      success: true,
+      data: {
+        ...withoutTrades(result, body.includeTrades),
+        ...(baseline && {
+          baseline: withoutTrades(baseline, body.includeTrades),
+          delta: {
+            totalReturnPct: Number((result.summary.totalReturnPct - baseline.summary.totalReturnPct).toFixed(4)),
+            maxDrawdownPct: Number((result.summary.maxDrawdownPct - baseline.summary.maxDrawdownPct).toFixed(4)),
+            turnover: Number((result.summary.turnover - baseline.summary.turnover).toFixed(4)),
+            costs: Number((result.costs.total - baseline.costs.total).toFixed(2)),
+          },
+        }),
+      },
+    });
+  } catch (error) {
+    console.error('Backtest error:', error);
+    return Response.json(
+      { success: false, error: 'Backtest failed' },
+      { status: 500 }
+    );
+  }
+}
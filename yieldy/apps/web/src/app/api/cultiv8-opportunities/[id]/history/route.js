@@ -0,0 +1,62 @@
+import sql from "@/app/api/utils/sql";
+import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
+import { validateQuery } from "@/app/api/middleware/validation";
+import { OpportunityHistoryQuerySchema } from "@/app/api/schemas/opportunity";
+import { cache, cacheKeys } from "@/app/api/utils/cache";
+import { loadOpportunityHistory } from "@/app/api/utils/opportunityMetrics";
+
+/**
+ * GET /api/cultiv8-opportunities/:id/history
+ * APY/TVL history of one opportunity from opportunity_metrics, aggregated per bucket
+ *
+ * Query params:
+ * - days: lookback window, 1-730 (default: 30)
+ * - bucket: 'hour' | 'day' | 'week' (default: 'day')
+ */
+export async function GET(request, { params }) {
+  // Rate limiting - general tier for read operations
+  const rateLimitError = await rateLimitMiddleware(request, 'general');
+  if (rateLimitError) return rateLimitError;
+
+  const queryValidationError = await validateQuery(OpportunityHistoryQuerySchema)(request);
+  if (queryValidationError) return queryValidationError;
+
+  const opportunityId = parseInt(params.id, 10);
+  if (!Number.isInteger(opportunityId)) {
+    return Response.json({ success: false, error: "Invalid opportunity id" }, { status: 400 });
+  }
+
+  try {
+    const days = parseInt(request.validatedQuery.days || '30', 10);
+    const bucket = request.validatedQuery.bucket || 'day';
+
+    const rows = await sql`
+      SELECT id, protocol_name, blockchain, token_symbol, apy, tvl, last_updated
+      FROM cultiv8_opportunities
+      WHERE id = ${opportunityId}
+    `;
+    if (rows.length === 0) {
+      return Response.json({ success: false, error: "Opportunity not found" }, { status: 404 });
+    }
+
+    const points = await cache.wrap(
+      cacheKeys.opportunityHistory(opportunityId, days, bucket),
+      () => loadOpportunityHistory(opportunityId, { days, bucket }),
+      cache.TTL.opportunities
+    );
+
+    return Response.json({
+      success: true,
+      opportunity: rows[0],
+      days,
+      bucket,
+      points,
+    });
+  } catch (error) {
+    console.error('Error fetching opportunity history:', error);
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch opportunity history'
+    }, { status: 500 });
+  }
+}
@@ -2,6 +2,9 @@ import { EIP7702TransactionBuilder } from './transactionBuilder';
 import { ethers } from 'ethers';
 import { rateLimitMiddleware } from '../middleware/rateLimit';
 import { authMiddleware } from '../middleware/auth';
+import { isSupportedChain } from '../protocols/chains';
+import { getProvider } from '../protocols/adapters';
+import { priceOracle } from '../utils/priceOracle';
 
 /**
  * EIP-7702 Transaction Building Endpoint
@@ -20,11 +23,10 @@ export async function POST(request) {
     const { userAddress, strategy, action } = await request.json();
 
     const chain = strategy.blockchain || 'ethereum';
-    const provider = new ethers.JsonRpcProvider(
-      chain === 'ethereum' 
-        ? process.env.ETHEREUM_RPC_URL 
-        : process.env.BASE_RPC_URL
-    );
+    if (!isSupportedChain(chain)) {
+      return Response.json({ error: `Unsupported blockchain: ${chain}` }, { status: 400 });
+    }
+    const provider = getProvider(chain);
 
     const builder = new EIP7702TransactionBuilder(
       provider,
@@ -55,12 +57,13 @@ export async function POST(request) {
         
         const gasCostWei = gasEstimate * (feeData.maxFeePerGas || 0n);
         const gasCostETH = Number(gasCostWei) / 1e18;
+        const gasCostUSD = await priceOracle.gasCostUsd(gasCostWei, chain);
 
         return Response.json({
           success: true,
           gasEstimate: gasEstimate.toString(),
           estimatedCostETH: gasCostETH.toFixed(6),
-          estimatedCostUSD: (gasCostETH * 3000).toFixed(2), // Rough ETH price estimate
+          estimatedCostUSD: gasCostUSD.toFixed(2),
         });
       }
 
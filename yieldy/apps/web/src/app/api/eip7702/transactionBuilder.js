@@ -165,9 +165,11 @@ export class EIP7702TransactionBuilder {
    */
   async estimateGas(strategy) {
     try {
+      // Accepts both strategy ({protocolAddress, calldata}) and
+      // buildDelegatedTransaction params ({targetProtocol, strategyCalldata})
       const estimate = await this.provider.estimateGas({
-        to: strategy.protocolAddress,
-        data: strategy.calldata,
+        to: strategy.protocolAddress || strategy.targetProtocol,
+        data: strategy.calldata || strategy.strategyCalldata,
         from: strategy.userAddress
       });
 
@@ -1,5 +1,9 @@
-import { getProtocolAdapter } from '@/app/api/protocols/adapters';
+import { getProtocolAdapter, getProvider } from '@/app/api/protocols/adapters';
+import { getRegistryEntry } from '@/app/api/protocols/registry';
+import { parseTokenAmount, formatTokenAmount } from '@/app/api/protocols/tokens';
+import { chainNameFor, supportedChainIds } from '@/app/api/protocols/chains';
 import { GasOptimizer } from '@/app/api/utils/gasOptimizer';
+import { priceOracle } from '@/app/api/utils/priceOracle';
 import { ethers } from 'ethers';
 import { rateLimitMiddleware } from '@/app/api/middleware/rateLimit';
 import { authMiddleware } from '@/app/api/middleware/auth';
@@ -9,10 +13,11 @@ import { z } from 'zod';
 // Schema for transaction preview request
 const PreviewSchema = z.object({
   userAddress: z.string().refine(val => ethers.isAddress(val)),
-  protocol: z.enum(['aave', 'compound']),
+  protocol: z.string().regex(/^[a-z0-9_]+$/i, { message: 'Invalid protocol key' }), // protocol_registry key
+  asset: z.string().regex(/^[a-z0-9]+$/i, { message: 'Invalid asset symbol' }).optional(), // token registry symbol (default USDC)
   action: z.enum(['deposit', 'withdraw']),
   amount: z.string().or(z.number()),
-  chainId: z.number().int().refine(val => [1, 8453].includes(val)),
+  chainId: z.number().int().refine(val => supportedChainIds().includes(val), { message: 'Unsupported chainId' }),
   priority: z.enum(['low', 'medium', 'high']).optional(),
 });
 
@@ -35,18 +40,26 @@ export async function POST(request) {
   if (validationError) return validationError;
 
   try {
-    const { userAddress, protocol, action, amount, chainId, priority } = request.validated;
+    const { userAddress, protocol, asset, action, amount, chainId, priority } = request.validated;
 
-    const chain = chainId === 1 ? 'ethereum' : 'base';
-    const provider = new ethers.JsonRpcProvider(
-      chainId === 1 ? process.env.ETHEREUM_RPC_URL : process.env.BASE_RPC_URL
-    );
+    const chain = chainNameFor(chainId);
+    const provider = getProvider(chain);
 
-    // Get protocol adapter
-    const adapter = getProtocolAdapter(protocol, chain);
+    if (!(await getRegistryEntry(protocol, chain, asset))) {
+      return Response.json({
+        success: false,
+        error: `Protocol ${protocol}${asset ? ` ${asset}` : ''} is not available on ${chain}`,
+      }, { status: 400 });
+    }
 
-    // Parse amount
-    const amountBN = ethers.parseUnits(amount.toString(), 6); // USDC decimals
+    // Get protocol adapter for the asset's market
+    const adapter = await getProtocolAdapter(protocol, chain, asset);
+
+    // Parse amount in the market asset's decimals
+    const { assetSymbol, assetDecimals } = adapter.getMetadata();
+    const decimals = assetDecimals ?? 6;
+    const amountBN = parseTokenAmount(amount, decimals);
+    const amountValue = formatTokenAmount(amountBN, decimals);
 
     // Build transactions
     let transactions;
@@ -87,35 +100,49 @@ export async function POST(request) {
         return await gasOptimizer.buildProtectedTransaction(tx, {
           priority: priority || 'medium',
           amount: amountBN,
+          symbol: assetSymbol,
+          decimals,
         });
       })
     );
 
-    // Calculate totals
-    const totalGasCost = optimizedTxs.reduce((sum, tx) => sum + tx.estimatedCost, 0);
+    // Calculate totals; gas stays unpriced (null) when the chain's gas token has no USD price
+    const gasPriced = optimizedTxs.every(tx => tx.estimatedCost !== null);
+    const totalGasCost = gasPriced ? optimizedTxs.reduce((sum, tx) => sum + tx.estimatedCost, 0) : null;
     const highestMEVRisk = Math.max(...optimizedTxs.map(tx => tx.mevRisk.riskScore));
 
-    // Calculate net return after gas
-    const netReturn = action === 'deposit'
+    // The amount is in asset units and gas in USD; both are compared in USD
+    let amountUsd = null;
+    try {
+      amountUsd = await priceOracle.toUsd(amountValue, assetSymbol, chain);
+    } catch (error) {
+      console.warn(`No USD price for ${assetSymbol} on ${chain}:`, error.message);
+    }
+
+    // Calculate net return after gas (USD)
+    const netReturnUsd = action === 'deposit'
       ? 0 // Will accrue over time
-      : Number(amountBN) / 1e6 - totalGasCost;
+      : gasPriced && amountUsd !== null ? amountUsd - totalGasCost : null;
 
     return Response.json({
       success: true,
       preview: {
         protocol,
         action,
-        amount: Number(amountBN) / 1e6,
+        asset: assetSymbol,
+        amount: amountValue, // asset units
+        amountUsd: amountUsd === null ? null : amountUsd.toFixed(2),
         chain,
         transactions: optimizedTxs.map((tx, i) => ({
           description: transactions[i].description,
           to: transactions[i].to,
           estimatedGas: tx.transaction.gasLimit?.toString() || 'N/A',
-          estimatedCost: tx.estimatedCost.toFixed(2),
+          estimatedCost: tx.estimatedCost === null ? null : tx.estimatedCost.toFixed(2),
           mevRisk: tx.mevRisk,
         })),
-        totalGasCost: totalGasCost.toFixed(2),
-        netReturn: netReturn.toFixed(2),
+        gasPriced,
+        totalGasCost: gasPriced ? totalGasCost.toFixed(2) : null,
+        netReturnUsd: netReturnUsd === null ? null : netReturnUsd.toFixed(2),
         mevRisk: {
           score: highestMEVRisk,
           level: highestMEVRisk > 7 ? 'HIGH' : highestMEVRisk > 4 ? 'MEDIUM' : 'LOW',
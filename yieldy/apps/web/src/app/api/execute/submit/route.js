@@ -1,31 +1,54 @@
-import { getProtocolAdapter } from '@/app/api/protocols/adapters';
+import { getProtocolAdapter, getProvider } from '@/app/api/protocols/adapters';
+import { isProtocolWhitelisted } from '@/app/api/protocols/registry';
+import { parseTokenAmount, formatTokenAmount } from '@/app/api/protocols/tokens';
+import { chainNameFor, supportedChainIds } from '@/app/api/protocols/chains';
 import { ethers } from 'ethers';
 import sql from '@/app/api/utils/sql';
 import { rateLimitMiddleware } from '@/app/api/middleware/rateLimit';
-import { authMiddleware } from '@/app/api/middleware/auth';
+import { requireOwnership } from '@/app/api/middleware/auth';
 import { checkEmergencyPause, circuitBreaker } from '@/app/api/utils/circuitBreaker';
 import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from '@/app/api/utils/auditLogger';
 import { validateRequest } from '@/app/api/middleware/validation';
+import { ensureReconciliationColumns, reconcileInvestment } from '@/app/api/utils/reconciler';
+import { getMEVMonitor } from '@/app/api/utils/mevMonitor';
+import { getAvailableFunds } from '@/app/api/utils/userFunds';
+import { normalizeAddress } from '@/app/api/utils/userConfig';
+import { priceOracle } from '@/app/api/utils/priceOracle';
 import { z } from 'zod';
 
 // Schema for execute request
 const ExecuteSchema = z.object({
-  userAddress: z.string().refine(val => ethers.isAddress(val)),
-  protocol: z.enum(['aave', 'compound']),
+  userAddress: z.string().refine(val => ethers.isAddress(val)).optional(), // default: the caller's wallet
+  protocol: z.string().regex(/^[a-z0-9_]+$/i, { message: 'Invalid protocol key' }), // protocol_registry key
+  asset: z.string().regex(/^[a-z0-9]+$/i, { message: 'Invalid asset symbol' }).optional(), // token registry symbol (default USDC)
   action: z.enum(['deposit', 'withdraw']),
   amount: z.string().or(z.number()),
-  chainId: z.number().int().refine(val => [1, 8453].includes(val)),
+  chainId: z.number().int().refine(val => supportedChainIds().includes(val), { message: 'Unsupported chainId' }),
   signedTransaction: z.string().optional(), // Pre-signed by user
 });
 
+/**
+ * Wallet the deposit is charged to: body.userAddress (which the caller must own) or the caller's
+ */
+async function getChargedAddress(request) {
+  try {
+    const body = await request.clone().json();
+    return normalizeAddress(body?.userAddress || request.user.address);
+  } catch {
+    return normalizeAddress(request.user.address);
+  }
+}
+
 /**
  * Transaction Execution Endpoint
  * POST /api/execute/submit
  * Executes real blockchain transactions (admin/backend use only)
+ * Deposits are charged to the caller's wallet (admins may name another) and
+ * limited to its available funds
  */
 export async function POST(request) {
-  // Authentication required
-  const authError = await authMiddleware(request);
+  // Authentication + ownership required - the agent wallet acts for the charged wallet
+  const authError = await requireOwnership(getChargedAddress)(request);
   if (authError) return authError;
 
   // Check emergency pause
@@ -41,9 +64,18 @@ export async function POST(request) {
   if (validationError) return validationError;
 
   try {
-    const { userAddress, protocol, action, amount, chainId, signedTransaction } = request.validated;
+    const { protocol, asset, action, amount, chainId, signedTransaction } = request.validated;
+    const userAddress = await getChargedAddress(request);
+
+    const chain = chainNameFor(chainId);
 
-    const chain = chainId === 1 ? 'ethereum' : 'base';
+    // Any whitelisted protocol_registry market can be executed
+    if (!(await isProtocolWhitelisted(protocol, chain))) {
+      return Response.json({
+        success: false,
+        error: `Protocol ${protocol} is not whitelisted on ${chain}`,
+      }, { status: 400 });
+    }
 
     // For backend execution, need agent private key (SECURE)
     if (!process.env.AGENT_PRIVATE_KEY) {
@@ -53,18 +85,30 @@ export async function POST(request) {
       }, { status: 500 });
     }
 
-    const provider = new ethers.JsonRpcProvider(
-      chainId === 1 ? process.env.ETHEREUM_RPC_URL : process.env.BASE_RPC_URL
-    );
+    const provider = getProvider(chain);
 
     // Create agent wallet (backend signer)
     const agentWallet = new ethers.Wallet(process.env.AGENT_PRIVATE_KEY, provider);
 
-    // Get protocol adapter
-    const adapter = getProtocolAdapter(protocol, chain);
+    // Get protocol adapter for the asset's market
+    const adapter = await getProtocolAdapter(protocol, chain, asset);
+
+    // Parse amount in the market asset's decimals
+    const { assetSymbol, assetAddress, assetDecimals, poolAddress } = adapter.getMetadata();
+    const amountBN = parseTokenAmount(amount, assetDecimals);
+    const amountValue = formatTokenAmount(amountBN, assetDecimals);
 
-    // Parse amount
-    const amountBN = ethers.parseUnits(amount.toString(), 6);
+    // Deposits draw on the charged wallet's available funds (USD; the amount is in asset units)
+    if (action === 'deposit') {
+      const available = await getAvailableFunds(userAddress);
+      const amountUsd = await priceOracle.toUsd(amountValue, assetSymbol, chain);
+      if (amountUsd > available) {
+        return Response.json(
+          { success: false, error: 'Insufficient available agent funds' },
+          { status: 400 }
+        );
+      }
+    }
 
     // Execute transaction
     let result;
@@ -74,28 +118,64 @@ export async function POST(request) {
       result = await adapter.executeWithdraw(agentWallet, amountBN);
     }
 
+    // Check the mined transaction for front-running; withdrawals are quoted at the requested amount
+    const txHash = result.receipts?.[result.receipts.length - 1]?.hash || result.hash;
+    try {
+      const mevMonitor = getMEVMonitor();
+      await mevMonitor.recordTransaction({
+        hash: txHash,
+        from: agentWallet.address,
+        to: poolAddress,
+        value: 0,
+        type: action,
+        chain,
+        ...(action === 'withdraw' && {
+          quotedAmountOut: amountBN,
+          tokenOut: assetAddress,
+          tokenOutDecimals: assetDecimals,
+          recipient: agentWallet.address,
+        }),
+      });
+      await mevMonitor.checkFrontRunning(txHash);
+    } catch (error) {
+      console.warn('MEV check skipped:', error.message);
+    }
+
     // Record in database
     if (action === 'deposit') {
       // Find or create opportunity record
       const opportunity = await sql`
         SELECT id FROM cultiv8_opportunities
-        WHERE protocol_name = ${protocol}
+        WHERE protocol_name ILIKE ${protocol}
         AND blockchain = ${chain}
+        AND token_symbol = ${assetSymbol}
         LIMIT 1
       `;
 
       if (opportunity && opportunity.length > 0) {
-        await sql`
+        // Recorded as pending; the reconciler confirms it and books gas paid
+        await ensureReconciliationColumns();
+        const inserted = await sql`
           INSERT INTO investments (
-            opportunity_id, amount, blockchain, transaction_hash, status
+            opportunity_id, amount, blockchain, transaction_hash, status, user_address, tx_from
           ) VALUES (
             ${opportunity[0].id},
-            ${Number(amountBN) / 1e6},
+            ${amountValue},
             ${chain},
             ${result.receipts?.[result.receipts.length - 1]?.hash || result.hash},
-            'confirmed'
+            'pending',
+            ${userAddress},
+            ${agentWallet.address.toLowerCase()}
           )
+          RETURNING *
         `;
+
+        try {
+          await reconcileInvestment(inserted[0]);
+        } catch (error) {
+          // Left pending for the scheduler's reconciliation pass
+          console.warn('Deferred reconciliation:', error.message);
+        }
       }
     }
 
@@ -105,12 +185,15 @@ export async function POST(request) {
       action: action === 'deposit' ? AUDIT_ACTIONS.INVESTMENT_CREATED : AUDIT_ACTIONS.INVESTMENT_WITHDRAWN,
       resource_type: 'transaction',
       resource_id: result.receipts?.[0]?.hash || result.hash,
-      amount: Number(amountBN) / 1e6,
+      amount: amountValue,
       metadata: {
         protocol,
+        asset: assetSymbol,
         chain,
         action,
         gasUsed: result.totalGasUsed || result.gasUsed,
+        // 'public', 'private' or 'public-fallback' per transaction
+        submission: result.receipts?.map((r) => r.submission) || result.submission,
       },
       ip_address: getIPFromRequest(request),
       request_id: getRequestIDFromRequest(request),
@@ -121,8 +204,9 @@ export async function POST(request) {
       success: true,
       result,
       protocol,
+      asset: assetSymbol,
       action,
-      amount: Number(amountBN) / 1e6,
+      amount: amountValue,
     });
   } catch (error) {
     console.error('Execution error:', error);
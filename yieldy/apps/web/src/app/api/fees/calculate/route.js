@@ -1,5 +1,8 @@
-import sql from "@/app/api/utils/sql";
 import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
+import { authMiddleware } from "@/app/api/middleware/auth";
+import { getUserConfig } from "@/app/api/utils/userConfig";
+import { getOpenPositionsUsd } from "@/app/api/utils/userFunds";
+import { priceOracle } from "@/app/api/utils/priceOracle";
 import {
   calculateMonthlyManagementFee,
   calculateAnnualManagementFee,
@@ -15,9 +18,15 @@ import {
  * Query params:
  * - type: 'management' | 'performance' | 'projection' (default: 'projection')
  * - amount: number (required for performance, uses AUM from DB for management)
+ * - asset: token symbol the amount is denominated in (default: 'USDC')
+ * - chain: chain the asset price is read on (default: 'ethereum')
  * - estimatedReturn: number (optional, default 10.0 for projections)
  */
 export async function GET(request) {
+  // Authentication required - fees are calculated from the caller's tier and AUM
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
   // Rate limiting
   const rateLimitError = await rateLimitMiddleware(request, 'general');
   if (rateLimitError) return rateLimitError;
@@ -29,18 +38,9 @@ export async function GET(request) {
     const estimatedReturn = parseFloat(url.searchParams.get('estimatedReturn') || '10.0');
 
     // Get user's current config and tier
-    const config = await sql`
-      SELECT 
-        user_tier,
-        management_fee_percent,
-        performance_fee_percent,
-        total_aum
-      FROM agent_config 
-      ORDER BY id DESC 
-      LIMIT 1
-    `;
-
-    if (!config || config.length === 0) {
+    const userConfig = await getUserConfig(request.user.address);
+
+    if (!userConfig) {
       return Response.json(
         {
           success: false,
@@ -50,9 +50,15 @@ export async function GET(request) {
       );
     }
 
-    const userConfig = config[0];
     const tier = userConfig.user_tier || 'community';
-    const aum = parseFloat(userConfig.total_aum || 0);
+
+    // AUM is the USD value of open positions; the stored total_aum is only
+    // used when the wallet has nothing deployed
+    const positions = await getOpenPositionsUsd(request.user.address);
+    const aumSource = positions.totalUsd > 0 ? 'positions' : 'config';
+    const aum = aumSource === 'positions'
+      ? positions.totalUsd
+      : parseFloat(userConfig.total_aum || 0);
 
     let result = {};
 
@@ -66,6 +72,7 @@ export async function GET(request) {
           type: 'management',
           tier,
           aum,
+          aumSource,
           monthlyFee,
           annualFee,
           feePercent: FEE_TIERS[tier].managementFeePercent,
@@ -85,15 +92,23 @@ export async function GET(request) {
           );
         }
 
-        const performanceFee = calculatePerformanceFee(amount, tier);
+        const asset = url.searchParams.get('asset') || 'USDC';
+        const profitUsd = await priceOracle.toUsd(
+          amount,
+          asset,
+          url.searchParams.get('chain') || 'ethereum'
+        );
+        const performanceFee = calculatePerformanceFee(profitUsd, tier);
         
         result = {
           type: 'performance',
           tier,
+          asset,
           profitAmount: amount,
+          profitUsd,
           performanceFee,
           feePercent: FEE_TIERS[tier].performanceFeePercent,
-          netProfit: amount - performanceFee,
+          netProfit: profitUsd - performanceFee,
         };
         break;
 
@@ -105,6 +120,7 @@ export async function GET(request) {
         result = {
           type: 'projection',
           ...projection,
+          aumSource,
           tierDetails: FEE_TIERS[tier],
         };
         break;
@@ -1,12 +1,29 @@
 import sql from "@/app/api/utils/sql";
 import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
-import { authMiddleware } from "@/app/api/middleware/auth";
+import {
+  authMiddleware,
+  requireOwnership,
+  checkOwnership,
+  checkAdminStatus,
+} from "@/app/api/middleware/auth";
 import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from "@/app/api/utils/auditLogger";
+import { getUserConfig, normalizeAddress } from "@/app/api/utils/userConfig";
+import { getOpenPositionsUsd } from "@/app/api/utils/userFunds";
 import {
   calculateMonthlyManagementFee,
   calculatePerformanceFee,
 } from "@/utils/feeCalculator";
 
+// Fees are charged against the wallet in the body; only its owner or an admin may collect
+const requireFeeOwnership = requireOwnership(async (request) => {
+  try {
+    const body = await request.clone().json();
+    return body?.userAddress;
+  } catch {
+    return null;
+  }
+});
+
 /**
  * POST /api/fees/collect
  * Collect fees (management or performance)
@@ -21,8 +38,8 @@ import {
  * }
  */
 export async function POST(request) {
-  // Authentication required
-  const authError = await authMiddleware(request);
+  // Authentication + ownership of userAddress required
+  const authError = await requireFeeOwnership(request);
   if (authError) return authError;
 
   // Rate limiting
@@ -33,7 +50,6 @@ export async function POST(request) {
     const body = await request.json();
     const {
       feeType,
-      userAddress,
       amount,
       investmentId,
       period = getCurrentPeriod(),
@@ -50,6 +66,8 @@ export async function POST(request) {
       );
     }
 
+    const userAddress = normalizeAddress(body.userAddress);
+
     if (!userAddress) {
       return Response.json(
         {
@@ -61,18 +79,9 @@ export async function POST(request) {
     }
 
     // Get user's config and tier
-    const config = await sql`
-      SELECT 
-        user_tier,
-        management_fee_percent,
-        performance_fee_percent,
-        total_aum
-      FROM agent_config 
-      ORDER BY id DESC 
-      LIMIT 1
-    `;
-
-    if (!config || config.length === 0) {
+    const userConfig = await getUserConfig(userAddress, { create: false });
+
+    if (!userConfig) {
       return Response.json(
         {
           success: false,
@@ -82,9 +91,12 @@ export async function POST(request) {
       );
     }
 
-    const userConfig = config[0];
     const tier = userConfig.user_tier || 'community';
-    const aum = parseFloat(userConfig.total_aum || 0);
+    // Same AUM basis as /api/fees/calculate: open positions in USD, else the stored total
+    const positions = await getOpenPositionsUsd(userAddress);
+    const aum = positions.totalUsd > 0
+      ? positions.totalUsd
+      : parseFloat(userConfig.total_aum || 0);
 
     let feeRecord;
 
@@ -164,7 +176,7 @@ export async function POST(request) {
       await sql`
         UPDATE agent_config
         SET last_management_fee_collected_at = NOW()
-        WHERE id = (SELECT id FROM agent_config ORDER BY id DESC LIMIT 1)
+        WHERE id = ${userConfig.id}
       `;
 
     } else if (feeType === 'performance') {
@@ -272,14 +284,31 @@ export async function POST(request) {
 /**
  * GET /api/fees/collect
  * Get fee collection history
+ * Non-admins only ever see their own wallet's history
  */
 export async function GET(request) {
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
   const rateLimitError = await rateLimitMiddleware(request, 'general');
   if (rateLimitError) return rateLimitError;
 
   try {
     const url = new URL(request.url);
-    const userAddress = url.searchParams.get('userAddress');
+    let userAddress = normalizeAddress(url.searchParams.get('userAddress'));
+
+    if (!(await checkAdminStatus(request.user))) {
+      if (userAddress && !checkOwnership(request.user.address, userAddress)) {
+        return Response.json(
+          {
+            success: false,
+            error: "You do not have permission to view this fee history",
+          },
+          { status: 403 }
+        );
+      }
+      userAddress = normalizeAddress(request.user.address);
+    }
     const feeType = url.searchParams.get('feeType'); // management | performance
     const limit = parseInt(url.searchParams.get('limit') || '50');
     const offset = parseInt(url.searchParams.get('offset') || '0');
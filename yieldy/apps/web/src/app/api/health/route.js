@@ -1,6 +1,7 @@
 import sql from '@/app/api/utils/sql';
 import Redis from 'ioredis';
-import { ethers } from 'ethers';
+import { SUPPORTED_CHAINS, getRpcUrls } from '@/app/api/protocols/chains';
+import { getEndpointProviders } from '@/app/api/protocols/rpcPool';
 
 /**
  * Health Check Endpoint
@@ -20,12 +21,16 @@ export async function GET(request) {
   // Check Redis
   checks.checks.redis = await checkRedis();
 
-  // Check RPC endpoints
-  checks.checks.ethereum_rpc = await checkRPC(process.env.ETHEREUM_RPC_URL, 'ethereum');
-  checks.checks.base_rpc = await checkRPC(process.env.BASE_RPC_URL, 'base');
+  // Check RPC endpoints for every registered chain
+  for (const chain of SUPPORTED_CHAINS) {
+    checks.checks[`${chain}_rpc`] = await checkRPC(chain);
+  }
 
-  // Overall status
-  const allHealthy = Object.values(checks.checks).every(check => check.status === 'healthy');
+  // Overall status: chains without an RPC are optional, but at least one must be up
+  const rpcChecks = SUPPORTED_CHAINS.map((chain) => checks.checks[`${chain}_rpc`]);
+  const allHealthy =
+    Object.values(checks.checks).every(check => check.status === 'healthy' || check.status === 'unconfigured') &&
+    rpcChecks.some(check => check.status === 'healthy');
   checks.status = allHealthy ? 'healthy' : 'degraded';
 
   const statusCode = allHealthy ? 200 : 503;
@@ -80,32 +85,43 @@ async function checkRedis() {
   }
 }
 
-async function checkRPC(rpcUrl, chain) {
-  if (!rpcUrl) {
+async function checkRPC(chain) {
+  if (getRpcUrls(chain).length === 0) {
     return {
       status: 'unconfigured',
       message: `${chain} RPC URL not configured`,
     };
   }
 
-  try {
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const start = Date.now();
-    const blockNumber = await provider.getBlockNumber();
-    const duration = Date.now() - start;
-
-    return {
-      status: 'healthy',
-      latency: `${duration}ms`,
-      blockNumber,
-      message: `${chain} RPC OK`,
-    };
-  } catch (error) {
+  // Probe every configured endpoint; the chain stays up while any one answers
+  const endpoints = await Promise.all(
+    getEndpointProviders(chain).map(async ({ endpoint, provider }) => {
+      try {
+        const start = Date.now();
+        const blockNumber = await provider.getBlockNumber();
+        return { endpoint: endpoint.label, status: 'healthy', latency: `${Date.now() - start}ms`, blockNumber };
+      } catch (error) {
+        return { endpoint: endpoint.label, status: 'unhealthy', error: error.message };
+      }
+    })
+  );
+
+  const healthy = endpoints.filter((e) => e.status === 'healthy');
+  if (healthy.length === 0) {
     return {
       status: 'unhealthy',
-      error: error.message,
+      endpoints,
       message: `${chain} RPC connection failed`,
     };
   }
-}
 
+  return {
+    status: healthy.length === endpoints.length ? 'healthy' : 'degraded',
+    latency: healthy[0].latency,
+    blockNumber: Math.max(...healthy.map((e) => e.blockNumber)),
+    endpoints,
+    message: healthy.length === endpoints.length
+      ? `${chain} RPC OK`
+      : `${chain} RPC degraded: ${healthy.length}/${endpoints.length} endpoints up`,
+  };
+}
@@ -0,0 +1,162 @@
+import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
+import { requireOwnership } from "@/app/api/middleware/auth";
+import { validateRequest } from "@/app/api/middleware/validation";
+import { checkEmergencyPause, circuitBreaker } from "@/app/api/utils/circuitBreaker";
+import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from "@/app/api/utils/auditLogger";
+import {
+  loadInvestment,
+  executeAgentWithdrawal,
+  buildUserWithdrawal,
+  confirmUserWithdrawal,
+} from "@/app/api/utils/withdrawals";
+import { z } from "zod";
+
+const WithdrawSchema = z.object({
+  // agent: agent wallet signs and submits; user: return EIP-7702 tx for the owner to sign
+  mode: z.enum(["agent", "user"]).default("user"),
+});
+
+const ConfirmSchema = z.object({
+  txHash: z.string().regex(/^0x[a-fA-F0-9]{64}$/, { message: "Invalid transaction hash" }),
+});
+
+// Unsigned transactions carry BigInt fee fields
+function toJSONSafe(value) {
+  return JSON.parse(
+    JSON.stringify(value, (_key, v) => (typeof v === "bigint" ? v.toString() : v)),
+  );
+}
+
+// Auth, ownership, pause and rate-limit checks shared by POST and PUT
+async function guard(request, investmentId) {
+  const ownershipError = await requireOwnership(async () => {
+    const inv = await loadInvestment(investmentId);
+    return inv?.user_address;
+  })(request);
+  if (ownershipError) return ownershipError;
+
+  // Withdrawals stay open during an emergency pause (users can always exit)
+  const pauseError = await checkEmergencyPause(request, { allowWithdrawals: true });
+  if (pauseError) return pauseError;
+
+  return rateLimitMiddleware(request, "withdrawal");
+}
+
+/**
+ * POST /api/investments/:id/withdraw
+ * Start an on-chain withdrawal. Nothing is booked until the receipt confirms:
+ * agent mode books synchronously after the agent wallet's receipt, user mode
+ * returns an unsigned EIP-7702 transaction to confirm later via PUT.
+ */
+export async function POST(request, { params }) {
+  const investmentId = parseInt(params.id, 10);
+  if (!Number.isInteger(investmentId)) {
+    return Response.json({ success: false, error: "Invalid investment id" }, { status: 400 });
+  }
+
+  const guardError = await guard(request, investmentId);
+  if (guardError) return guardError;
+
+  const validationError = await validateRequest(WithdrawSchema)(request);
+  if (validationError) return validationError;
+
+  try {
+    const inv = await loadInvestment(investmentId);
+    if (!inv || inv.status !== "confirmed" || inv.withdrawn_at) {
+      return Response.json(
+        { success: false, error: "Investment is not an open confirmed position" },
+        { status: 400 },
+      );
+    }
+
+    const { mode } = request.validated;
+
+    if (mode === "user") {
+      const unsigned = await buildUserWithdrawal(inv);
+      return Response.json({ success: true, mode, investmentId, ...toJSONSafe(unsigned) });
+    }
+
+    const withdrawal = await executeAgentWithdrawal(inv);
+
+    await auditLog({
+      user_id: request.user?.id || inv.user_address,
+      action: AUDIT_ACTIONS.INVESTMENT_WITHDRAWN,
+      resource_type: "investment",
+      resource_id: investmentId.toString(),
+      amount: withdrawal.redeemed,
+      metadata: { mode, hash: withdrawal.hash, realized: withdrawal.realized, realizedUsd: withdrawal.realizedUsd },
+      ip_address: getIPFromRequest(request),
+      request_id: getRequestIDFromRequest(request),
+      success: true,
+    });
+
+    return Response.json({ success: true, mode, withdrawal });
+  } catch (error) {
+    console.error("Error withdrawing investment:", error);
+
+    await circuitBreaker.recordFailure("withdrawal", {
+      error: error.message,
+      investmentId,
+    });
+
+    return Response.json(
+      { success: false, error: "Failed to withdraw investment", message: error.message },
+      { status: 500 },
+    );
+  }
+}
+
+/**
+ * PUT /api/investments/:id/withdraw
+ * Confirm a user-signed withdrawal by hash; books realized return once mined
+ * Returns 202 while the transaction is still pending
+ */
+export async function PUT(request, { params }) {
+  const investmentId = parseInt(params.id, 10);
+  if (!Number.isInteger(investmentId)) {
+    return Response.json({ success: false, error: "Invalid investment id" }, { status: 400 });
+  }
+
+  const guardError = await guard(request, investmentId);
+  if (guardError) return guardError;
+
+  const validationError = await validateRequest(ConfirmSchema)(request);
+  if (validationError) return validationError;
+
+  try {
+    const inv = await loadInvestment(investmentId);
+    if (!inv || inv.withdrawn_at) {
+      return Response.json(
+        { success: false, error: "Investment is not an open position" },
+        { status: 400 },
+      );
+    }
+
+    const { txHash } = request.validated;
+    const withdrawal = await confirmUserWithdrawal(inv, txHash);
+
+    if (withdrawal.pending) {
+      return Response.json({ success: true, pending: true, hash: txHash }, { status: 202 });
+    }
+
+    await auditLog({
+      user_id: request.user?.id || inv.user_address,
+      action: AUDIT_ACTIONS.INVESTMENT_WITHDRAWN,
+      resource_type: "investment",
+      resource_id: investmentId.toString(),
+      amount: withdrawal.redeemed,
+      metadata: { mode: "user", hash: txHash, realized: withdrawal.realized },
+      ip_address: getIPFromRequest(request),
+      request_id: getRequestIDFromRequest(request),
+      success: true,
+    });
+
+    return Response.json({ success: true, withdrawal });
+  } catch (error) {
+    console.error("Error confirming withdrawal:", error);
+    return Response.json(
+      { success: false, error: "Failed to confirm withdrawal", message: error.message },
+      { status: 400 },
+    );
+  }
+}
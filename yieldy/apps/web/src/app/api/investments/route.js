@@ -5,25 +5,16 @@ import { InvestmentSchema } from "@/app/api/schemas/investment";
 import { authMiddleware } from "@/app/api/middleware/auth";
 import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from "@/app/api/utils/auditLogger";
 import { checkEmergencyPause, circuitBreaker } from "@/app/api/utils/circuitBreaker";
+import { normalizeAddress } from "@/app/api/utils/userConfig";
+import { ensureLedgerOwnership, getAvailableFunds } from "@/app/api/utils/userFunds";
+import { priceOracle } from "@/app/api/utils/priceOracle";
 
-// ADD: helper to compute available funds
-async function getAvailableAgentFunds() {
-  try {
-    await sql(
-      `CREATE TABLE IF NOT EXISTS agent_fund_transactions (id SERIAL PRIMARY KEY, amount NUMERIC(20,2) NOT NULL, type VARCHAR(20) NOT NULL, note TEXT, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)`,
-    );
-  } catch (e) {}
-  const [totals, investedRows] = await sql.transaction((txn) => [
-    txn`SELECT COALESCE(SUM(CASE WHEN type='deposit' THEN amount WHEN type='adjustment' THEN amount WHEN type='withdrawal' THEN -amount ELSE 0 END),0) AS total_funds FROM agent_fund_transactions`,
-    txn`SELECT COALESCE(SUM(amount),0) AS invested FROM investments WHERE status IN ('pending','confirmed')`,
-  ]);
-  const totalFunds = parseFloat(totals[0]?.total_funds || 0);
-  const invested = parseFloat(investedRows[0]?.invested || 0);
-  return Math.max(0, totalFunds - invested);
-}
-
-// Get all investments with filtering
+// Get the caller's investments with filtering
 export async function GET(request) {
+  // Authentication required - positions are per wallet
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
   // Rate limiting - general tier for read operations
   const rateLimitError = await rateLimitMiddleware(request, 'general');
   if (rateLimitError) return rateLimitError;
@@ -34,14 +25,16 @@ export async function GET(request) {
     const blockchain = searchParams.get("blockchain");
     const limit = searchParams.get("limit") || "50";
 
+    await ensureLedgerOwnership();
+
     let query = `
       SELECT i.*, yo.protocol_name, yo.apy as current_apy, yo.protocol_type
       FROM investments i
-      LEFT JOIN yield_opportunities yo ON i.opportunity_id = yo.id
-      WHERE 1=1
+      LEFT JOIN cultiv8_opportunities yo ON i.opportunity_id = yo.id
+      WHERE i.user_address = $1
     `;
-    let params = [];
-    let paramCount = 0;
+    let params = [normalizeAddress(request.user.address)];
+    let paramCount = 1;
 
     if (status) {
       paramCount++;
@@ -109,7 +102,7 @@ export async function POST(request) {
 
     // Verify the opportunity exists and is active
     const opportunity = await sql`
-      SELECT * FROM yield_opportunities WHERE id = ${opportunity_id} AND is_active = true
+      SELECT * FROM cultiv8_opportunities WHERE id = ${opportunity_id} AND is_active = true
     `;
     if (!opportunity || opportunity.length === 0) {
       return Response.json(
@@ -118,9 +111,11 @@ export async function POST(request) {
       );
     }
 
-    // NEW: enforce agent funds availability
-    const available = await getAvailableAgentFunds();
-    if (amt > available) {
+    // Enforce the caller's own available funds (USD; the amount is in asset units)
+    const userAddress = normalizeAddress(request.user.address);
+    const available = await getAvailableFunds(userAddress);
+    const amtUsd = await priceOracle.toUsd(amt, opportunity[0].token_symbol || "USDC", blockchain);
+    if (amtUsd > available) {
       return Response.json(
         { success: false, error: "Insufficient available agent funds" },
         { status: 400 },
@@ -129,10 +124,10 @@ export async function POST(request) {
 
     const result = await sql`
       INSERT INTO investments (
-        opportunity_id, amount, blockchain, transaction_hash, expected_apy, status
+        opportunity_id, amount, blockchain, transaction_hash, expected_apy, status, user_address
       ) VALUES (
         ${opportunity_id}, ${amt}, ${blockchain}, ${transaction_hash || null}, 
-        ${expected_apy || opportunity[0].apy}, 'pending'
+        ${expected_apy || opportunity[0].apy}, 'pending', ${userAddress}
       ) RETURNING *
     `;
 
@@ -59,6 +59,32 @@ function formatPrometheus(metrics) {
   lines.push(`cultiv8_api_response_time_seconds{quantile="0.95"} ${(metrics.responseTimes.p95 / 1000).toFixed(3)}`);
   lines.push(`cultiv8_api_response_time_seconds{quantile="0.99"} ${(metrics.responseTimes.p99 / 1000).toFixed(3)}`);
 
+  // Upstream RPC endpoints
+  const rpcLabels = (e) => `chain="${e.chain}",endpoint="${e.endpoint}"`;
+
+  lines.push('# HELP cultiv8_rpc_requests_total JSON-RPC requests per upstream endpoint');
+  lines.push('# TYPE cultiv8_rpc_requests_total counter');
+  metrics.rpc.endpoints.forEach((e) => lines.push(`cultiv8_rpc_requests_total{${rpcLabels(e)}} ${e.requests}`));
+
+  lines.push('# HELP cultiv8_rpc_errors_total Failed JSON-RPC requests per upstream endpoint');
+  lines.push('# TYPE cultiv8_rpc_errors_total counter');
+  metrics.rpc.endpoints.forEach((e) => lines.push(`cultiv8_rpc_errors_total{${rpcLabels(e)}} ${e.errors}`));
+
+  lines.push('# HELP cultiv8_rpc_latency_seconds Average JSON-RPC latency per upstream endpoint');
+  lines.push('# TYPE cultiv8_rpc_latency_seconds gauge');
+  metrics.rpc.endpoints.forEach((e) => lines.push(`cultiv8_rpc_latency_seconds{${rpcLabels(e)}} ${(e.avgLatency / 1000).toFixed(3)}`));
+
+  lines.push('# HELP cultiv8_rpc_health_score Endpoint health score (0-1)');
+  lines.push('# TYPE cultiv8_rpc_health_score gauge');
+  metrics.rpc.endpoints.forEach((e) => lines.push(`cultiv8_rpc_health_score{${rpcLabels(e)}} ${e.score.toFixed(3)}`));
+
+  lines.push('# HELP cultiv8_rpc_quorum_total Quorum reads by outcome');
+  lines.push('# TYPE cultiv8_rpc_quorum_total counter');
+  Object.entries(metrics.rpc.quorum).forEach(([chain, q]) => {
+    lines.push(`cultiv8_rpc_quorum_total{chain="${chain}",outcome="met"} ${q.met}`);
+    lines.push(`cultiv8_rpc_quorum_total{chain="${chain}",outcome="failed"} ${q.failed}`);
+  });
+
   return lines.join('\n');
 }
 
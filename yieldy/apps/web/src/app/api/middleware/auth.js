@@ -1,3 +1,4 @@
+import { timingSafeEqual } from 'crypto';
 import { getToken } from '@auth/core/jwt';
 
 /**
@@ -91,7 +92,7 @@ export async function requireAdmin(request) {
  * @param {object} user - User object from token
  * @returns {Promise<boolean>} - True if user is admin
  */
-async function checkAdminStatus(user) {
+export async function checkAdminStatus(user) {
   // TODO: Implement proper admin role checking
   // For now, check against environment variable or database
   
@@ -108,6 +109,23 @@ async function checkAdminStatus(user) {
   return false;
 }
 
+/**
+ * Check if a request comes from the scheduled job runner
+ * The cron job sends "Authorization: Bearer <CRON_SECRET>"; without
+ * CRON_SECRET configured no request qualifies.
+ * @param {Request} request
+ * @returns {boolean}
+ */
+export function isCronRequest(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const header = request.headers.get('authorization') || '';
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(header);
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
 /**
  * Optional authentication middleware
  * Attaches user context if authenticated, but doesn't require it
@@ -141,17 +159,20 @@ export async function optionalAuth(request) {
 
 /**
  * Check if user owns the resource they're trying to access
- * @param {string} userId - User ID from token
- * @param {string} resourceUserId - User ID who owns the resource
+ * Wallet addresses are compared case-insensitively
+ * @param {string} userId - User ID or wallet address from token
+ * @param {string} resourceUserId - User ID or wallet address that owns the resource
  * @returns {boolean} - True if user owns resource
  */
 export function checkOwnership(userId, resourceUserId) {
-  return userId === resourceUserId;
+  if (!userId || !resourceUserId) return false;
+  return String(userId).toLowerCase() === String(resourceUserId).toLowerCase();
 }
 
 /**
  * Middleware to check resource ownership
- * @param {Function} getResourceUserId - Function that extracts resource owner ID from request
+ * Admins (ADMIN_ADDRESSES) may act on any resource
+ * @param {Function} getResourceUserId - Function that extracts resource owner address from request
  * @returns {Function} Middleware function
  */
 export function requireOwnership(getResourceUserId) {
@@ -160,8 +181,9 @@ export function requireOwnership(getResourceUserId) {
     if (authError) return authError;
 
     const resourceUserId = await getResourceUserId(request);
+    const userId = request.user.address || request.user.id;
 
-    if (!checkOwnership(request.user.id, resourceUserId)) {
+    if (!checkOwnership(userId, resourceUserId) && !(await checkAdminStatus(request.user))) {
       return new Response(
         JSON.stringify({
           error: 'Forbidden',
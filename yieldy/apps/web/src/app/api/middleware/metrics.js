@@ -1,4 +1,4 @@
-import { logPerformance } from '../utils/logger';
+import { logPerformance } from '../utils/logger.js';
 
 /**
  * Metrics Collection Middleware
@@ -11,6 +11,8 @@ class MetricsCollector {
     this.requests = new Map();
     this.responseTimes = [];
     this.errors = new Map();
+    this.rpc = new Map(); // `${chain} ${endpoint}` -> RPC endpoint stats
+    this.rpcQuorum = new Map(); // chain -> { met, failed }
     this.maxSamples = 1000; // Keep last 1000 requests
   }
 
@@ -33,6 +35,38 @@ class MetricsCollector {
     }
   }
 
+  /**
+   * Record one JSON-RPC round trip to an upstream endpoint
+   * @param {string} chain
+   * @param {string} endpoint - Redacted endpoint label (no API keys)
+   * @param {object} sample - { duration, success, score }
+   */
+  recordRpcCall(chain, endpoint, { duration, success, score }) {
+    const key = `${chain} ${endpoint}`;
+    const stats = this.rpc.get(key) || {
+      chain, endpoint, requests: 0, errors: 0, totalDuration: 0, score: 1,
+    };
+
+    stats.requests++;
+    stats.totalDuration += duration;
+    if (!success) stats.errors++;
+    if (score !== undefined) stats.score = score;
+
+    this.rpc.set(key, stats);
+  }
+
+  /**
+   * Record whether a quorum read reached agreement
+   * @param {string} chain
+   * @param {boolean} met
+   */
+  recordRpcQuorum(chain, met) {
+    const stats = this.rpcQuorum.get(chain) || { met: 0, failed: 0 };
+    if (met) stats.met++;
+    else stats.failed++;
+    this.rpcQuorum.set(chain, stats);
+  }
+
   getMetrics() {
     return {
       totalRequests: Array.from(this.requests.values()).reduce((sum, count) => sum + count, 0),
@@ -40,6 +74,17 @@ class MetricsCollector {
       errorRate: this.calculateErrorRate(),
       responseTimes: this.calculatePercentiles(),
       errors: Object.fromEntries(this.errors),
+      rpc: {
+        endpoints: Array.from(this.rpc.values()).map((stats) => ({
+          chain: stats.chain,
+          endpoint: stats.endpoint,
+          requests: stats.requests,
+          errors: stats.errors,
+          avgLatency: stats.requests > 0 ? stats.totalDuration / stats.requests : 0,
+          score: stats.score,
+        })),
+        quorum: Object.fromEntries(this.rpcQuorum),
+      },
     };
   }
 
@@ -67,6 +112,8 @@ class MetricsCollector {
     this.requests.clear();
     this.responseTimes = [];
     this.errors.clear();
+    this.rpc.clear();
+    this.rpcQuorum.clear();
   }
 }
 
@@ -1,4 +1,5 @@
 import { ZodError } from 'zod';
+import { SUPPORTED_CHAINS } from '../protocols/chains.js';
 
 /**
  * Validation middleware factory
@@ -230,7 +231,7 @@ export function validateNumber(value, options = {}) {
  * @throws {Error} If invalid
  */
 export function validateBlockchain(blockchain) {
-  const valid = ['ethereum', 'base'];
+  const valid = SUPPORTED_CHAINS;
   
   if (!valid.includes(blockchain?.toLowerCase())) {
     throw new Error(`Invalid blockchain. Must be one of: ${valid.join(', ')}`);
@@ -1,8 +1,24 @@
 import sql from "@/app/api/utils/sql";
 import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
+import { authMiddleware } from "@/app/api/middleware/auth";
 import { cache, cacheKeys } from "@/app/api/utils/cache";
+import { normalizeAddress } from "@/app/api/utils/userConfig";
+import { ensureLedgerOwnership } from "@/app/api/utils/userFunds";
+import { priceOracle } from "@/app/api/utils/priceOracle";
+import { loadPositionHistory } from "@/app/api/utils/positionSnapshots";
+import {
+  toDay,
+  buildValuationSeries,
+  timeWeightedReturn,
+  moneyWeightedReturn,
+  seriesCashFlows,
+} from "@/app/api/utils/returns";
 
 export async function GET(request) {
+  // Authentication required - KPIs are computed from the caller's positions
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
   // Rate limiting - general tier
   const rateLimitError = await rateLimitMiddleware(request, 'general');
   if (rateLimitError) return rateLimitError;
@@ -10,9 +26,10 @@ export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
     const days = parseInt(searchParams.get("days") || "90", 10);
+    const userAddress = normalizeAddress(request.user.address);
 
     // Try cache first
-    const cacheKey = cacheKeys.performance(days);
+    const cacheKey = cacheKeys.performance(days, userAddress);
     const cached = await cache.get(cacheKey);
     if (cached) {
       return Response.json({
@@ -36,49 +53,63 @@ export async function GET(request) {
           ? "month"
           : "day";
 
+    await ensureLedgerOwnership();
+
+    const minDays = Number.isFinite(days) && days > 0 ? days : 90;
+    const windowEnd = toDay(new Date());
+    const windowStart = toDay(Date.now() - (minDays - 1) * 24 * 60 * 60 * 1000);
+
     // Compute KPIs
+    // Amounts are in each position's asset; sums are grouped by asset and
+    // valued in USD at current oracle prices
     // Total capital currently at work: pending + confirmed
-    const [capitalAtWork, realizedRows, realizedBaseRows, openPositions] =
+    const [capitalAtWork, realizedRows, realizedBaseRows] =
       await sql.transaction((txn) => [
-        txn`SELECT COALESCE(SUM(amount),0) AS total_invested FROM investments WHERE status IN ('pending','confirmed')`,
-        txn`SELECT COALESCE(SUM(actual_return),0) AS realized_return FROM investments WHERE withdrawn_at IS NOT NULL AND actual_return IS NOT NULL`,
-        txn`SELECT COALESCE(SUM(amount),0) AS realized_invested FROM investments WHERE withdrawn_at IS NOT NULL`,
-        // Open positions to compute accrued (unrealized) PnL pro‑rata by expected_apy
-        txn`SELECT amount, expected_apy, invested_at FROM investments WHERE withdrawn_at IS NULL AND status IN ('pending','confirmed')`,
+        txn`SELECT COALESCE(o.token_symbol, 'USDC') AS token_symbol, i.blockchain, COALESCE(SUM(i.amount),0) AS total_invested FROM investments i LEFT JOIN cultiv8_opportunities o ON o.id = i.opportunity_id WHERE i.status IN ('pending','confirmed') AND i.user_address = ${userAddress} GROUP BY 1, 2`,
+        txn`SELECT COALESCE(o.token_symbol, 'USDC') AS token_symbol, i.blockchain, COALESCE(SUM(i.actual_return),0) AS realized_return FROM investments i LEFT JOIN cultiv8_opportunities o ON o.id = i.opportunity_id WHERE i.withdrawn_at IS NOT NULL AND i.actual_return IS NOT NULL AND i.user_address = ${userAddress} GROUP BY 1, 2`,
+        txn`SELECT COALESCE(o.token_symbol, 'USDC') AS token_symbol, i.blockchain, COALESCE(SUM(i.amount),0) AS realized_invested FROM investments i LEFT JOIN cultiv8_opportunities o ON o.id = i.opportunity_id WHERE i.withdrawn_at IS NOT NULL AND i.user_address = ${userAddress} GROUP BY 1, 2`,
       ]);
 
-    const totalInvested = parseFloat(capitalAtWork[0]?.total_invested || 0);
-    const realizedReturnOnly = parseFloat(
-      realizedRows[0]?.realized_return || 0,
-    );
-    const realizedInvestedOnly = parseFloat(
-      realizedBaseRows[0]?.realized_invested || 0,
-    );
+    const usdTotal = async (rows, field) =>
+      (await priceOracle.valueHoldings(
+        rows.map((row) => ({ amount: parseFloat(row[field] || 0), symbol: row.token_symbol, chain: row.blockchain })),
+      )).totalUsd;
 
-    // Accrued PnL for open positions (simple pro‑rata of APY by days held)
-    let accruedReturn = 0;
+    const totalInvested = await usdTotal(capitalAtWork, "total_invested");
+    const realizedReturnOnly = await usdTotal(realizedRows, "realized_return");
+    const realizedInvestedOnly = await usdTotal(realizedBaseRows, "realized_invested");
+
+    // Unrealized PnL: accrued interest in each open position's latest daily
+    // mark. Positions not marked yet (pending, or opened since the last
+    // snapshot run) count at principal.
+    const positions = await loadPositionHistory(userAddress, { start: windowStart });
+    const openPositions = positions.filter((position) => !position.withdrawnAt);
+    let unrealizedReturn = 0;
     let openPrincipal = 0;
-    const now = Date.now();
-    for (const row of openPositions) {
-      const amt = Number(row.amount || 0);
-      const apy = Number(row.expected_apy || 0); // percent
-      const investedAt = row.invested_at
-        ? new Date(row.invested_at).getTime()
-        : now;
-      const daysHeld = Math.max(0, (now - investedAt) / (1000 * 60 * 60 * 24));
-      const prorated = amt * (apy / 100) * (daysHeld / 365);
-      accruedReturn += isFinite(prorated) ? prorated : 0;
-      openPrincipal += isFinite(amt) ? amt : 0;
+    let lastMarkedDay = null;
+    for (const position of openPositions) {
+      openPrincipal += position.principal * position.priceUsd;
+      if (position.latestMark) {
+        unrealizedReturn += position.latestMark.accrued * position.priceUsd;
+        if (!lastMarkedDay || position.latestMark.day > lastMarkedDay) {
+          lastMarkedDay = position.latestMark.day;
+        }
+      }
     }
 
-    // Combine realized + accrued for dynamic KPIs the user expects to move while holding
-    const combinedReturn = realizedReturnOnly + accruedReturn;
+    // Time-weighted (strips out deposit/withdrawal timing) and money-weighted
+    // (annualized IRR of the wallet's own flows) returns over the window
+    const valuation = buildValuationSeries(positions, { start: windowStart, end: windowEnd });
+    const twr = timeWeightedReturn(valuation);
+    const mwr = moneyWeightedReturn(seriesCashFlows(valuation));
+
+    // Combine realized + unrealized for KPIs that move while holding
+    const combinedReturn = realizedReturnOnly + unrealizedReturn;
     const combinedInvested = realizedInvestedOnly + openPrincipal;
     const nominalRoiPct =
       combinedInvested > 0 ? (combinedReturn / combinedInvested) * 100 : 0;
 
     // Inflation adjustment (real ROI)
-    const minDays = Number.isFinite(days) && days > 0 ? days : 90;
     let annualInflationPct = 3.0; // default fallback
 
     // Optional: read an env override for inflation if provided
@@ -139,27 +170,54 @@ export async function GET(request) {
         FROM bounds b
       ),
       invested AS (
-        SELECT date_trunc('${dateTrunc}', invested_at)::date AS period_start, SUM(amount) AS invested
-        FROM investments
-        WHERE invested_at >= (SELECT start_day FROM bounds)
-        GROUP BY 1
+        SELECT date_trunc('${dateTrunc}', i.invested_at)::date AS period_start,
+               COALESCE(o.token_symbol, 'USDC') AS token_symbol, i.blockchain, SUM(i.amount) AS invested
+        FROM investments i
+        LEFT JOIN cultiv8_opportunities o ON o.id = i.opportunity_id
+        WHERE i.invested_at >= (SELECT start_day FROM bounds) AND i.user_address = $2
+        GROUP BY 1, 2, 3
       ),
       realized AS (
-        SELECT date_trunc('${dateTrunc}', withdrawn_at)::date AS period_start, SUM(actual_return) AS realized
-        FROM investments
-        WHERE withdrawn_at IS NOT NULL AND actual_return IS NOT NULL AND withdrawn_at >= (SELECT start_day FROM bounds)
-        GROUP BY 1
+        SELECT date_trunc('${dateTrunc}', i.withdrawn_at)::date AS period_start,
+               COALESCE(o.token_symbol, 'USDC') AS token_symbol, i.blockchain, SUM(i.actual_return) AS realized
+        FROM investments i
+        LEFT JOIN cultiv8_opportunities o ON o.id = i.opportunity_id
+        WHERE i.withdrawn_at IS NOT NULL AND i.actual_return IS NOT NULL AND i.withdrawn_at >= (SELECT start_day FROM bounds) AND i.user_address = $2
+        GROUP BY 1, 2, 3
+      ),
+      activity AS (
+        SELECT period_start, token_symbol, blockchain, invested, 0 AS realized FROM invested
+        UNION ALL
+        SELECT period_start, token_symbol, blockchain, 0 AS invested, realized FROM realized
       )
-      SELECT p.period_start AS day,
-             COALESCE(i.invested, 0) AS invested,
-             COALESCE(r.realized, 0) AS realized
+      SELECT p.period_start AS day, a.token_symbol, a.blockchain,
+             COALESCE(a.invested, 0) AS invested,
+             COALESCE(a.realized, 0) AS realized
       FROM periods p
-      LEFT JOIN invested i ON i.period_start = p.period_start
-      LEFT JOIN realized r ON r.period_start = p.period_start
+      LEFT JOIN activity a ON a.period_start = p.period_start
       ORDER BY p.period_start ASC
     `;
 
-    const series = await sql(seriesQuery, [minDays]);
+    // One row per period and asset; fold into USD per period
+    const activityRows = await sql(seriesQuery, [minDays, userAddress]);
+    const { holdings: pricedActivity } = await priceOracle.valueHoldings(
+      activityRows.map((row) => ({ ...row, amount: 1, symbol: row.token_symbol || "USDC", chain: row.blockchain || "ethereum" })),
+    );
+    const seriesByDay = new Map();
+    for (const row of pricedActivity) {
+      const key = String(row.day);
+      const point = seriesByDay.get(key) || { day: row.day, invested: 0, realized: 0 };
+      point.invested += Number(row.invested || 0) * row.priceUsd;
+      point.realized += Number(row.realized || 0) * row.priceUsd;
+      seriesByDay.set(key, point);
+    }
+
+    // Mark-to-market value at the close of each period
+    const series = [...seriesByDay.values()].map((point, i, points) => {
+      const nextStart = points[i + 1] ? toDay(points[i + 1].day) : null;
+      const close = valuation.filter((v) => !nextStart || v.day < nextStart).pop();
+      return { ...point, value: close ? close.value : 0 };
+    });
 
     // FX comparison (optional)
     let fx = null;
@@ -202,7 +260,11 @@ export async function GET(request) {
       success: true,
       kpis: {
         totalInvested, // capital at work (pending + confirmed)
-        realizedReturn: combinedReturn, // realized + accrued PnL for live feedback
+        realizedReturn: realizedReturnOnly, // booked on withdrawal
+        unrealizedReturn, // accrued in open positions, from daily snapshots
+        totalReturn: combinedReturn,
+        twr: twr === null ? null : twr * 100, // time-weighted, over the window
+        mwr: mwr === null ? null : mwr * 100, // money-weighted, annualized
         roi: nominalRoiPct, // ROI nominal
         realRoi: realRoiPct, // ROI adjusted for inflation over the window
         totalTrades: series.reduce((acc, _row) => acc, 0), // kept for compatibility; not used here
@@ -214,6 +276,11 @@ export async function GET(request) {
         baseCurrency,
         compareCurrency,
         inflationPctForWindow,
+        valuation: {
+          markedPositions: openPositions.filter((position) => position.latestMark).length,
+          unmarkedPositions: openPositions.filter((position) => !position.latestMark).length,
+          lastSnapshot: lastMarkedDay,
+        },
       },
       fx,
     });
@@ -1,63 +1,69 @@
 import { ethers, Contract } from 'ethers';
 import { BaseAdapter } from './BaseAdapter.js';
+import { getToken } from './tokens.js';
+import { getChain } from './chains.js';
+import {
+  aprToApy,
+  rayToDecimal,
+  utilizationAfterDeposit,
+  kinkedSupplyRate,
+  anchorProjectedApr,
+} from './rates.js';
 
 /**
  * Aave V3 Protocol Adapter
- * Fetches real on-chain data from Aave V3 lending pools
+ * Fetches real on-chain data from one Aave V3 reserve (USDC, USDT, DAI, WETH...)
  */
 export class AaveV3Adapter extends BaseAdapter {
-  constructor(provider, chainId) {
+  /**
+   * @param {Provider} provider
+   * @param {number} chainId
+   * @param {string} asset - Reserve asset symbol from the token registry (default USDC)
+   */
+  constructor(provider, chainId, asset = 'USDC') {
     super(provider, chainId);
     this.protocolName = 'Aave V3';
 
-    // Aave V3 Pool addresses by chain
-    this.poolAddresses = {
-      1: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2', // Ethereum Mainnet
-      8453: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5', // Base
-    };
-
-    // USDC addresses by chain
-    this.usdcAddresses = {
-      1: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',     // Ethereum
-      8453: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', // Base
-    };
-
-    this.poolAddress = this.poolAddresses[chainId];
-    this.usdcAddress = this.usdcAddresses[chainId];
+    // Aave V3 Pool address from the chain registry
+    this.chain = getChain(chainId);
+    this.poolAddress = this.chain?.protocols.aaveV3Pool;
+    const token = getToken(asset, chainId);
 
-    if (!this.poolAddress || !this.usdcAddress) {
-      throw new Error(`Aave V3 not supported on chain ID ${chainId}`);
+    if (!this.poolAddress || !token) {
+      throw new Error(`Aave V3 ${asset} not supported on chain ID ${chainId}`);
     }
 
+    this.assetSymbol = token.symbol;
+    this.assetAddress = token.address;
+    this.assetDecimals = token.decimals;
+
     // Initialize contract interfaces
     this.pool = new Contract(this.poolAddress, AAVE_POOL_ABI, provider);
-    this.usdc = new Contract(this.usdcAddress, ERC20_ABI, provider);
+    this.asset = new Contract(this.assetAddress, ERC20_ABI, provider);
   }
 
   /**
-   * Get current supply APY for USDC
+   * Get current supply APY for the reserve asset
    * @returns {Promise<object>}
    */
   async getCurrentAPY() {
     try {
-      const reserveData = await this.pool.getReserveData(this.usdcAddress);
+      const reserveData = await this.pool.getReserveData(this.assetAddress);
 
       // Aave stores rates as "ray" (27 decimals, 1e27 = 100%)
       // currentLiquidityRate is the supply APR in ray
-      const supplyRateRay = reserveData.currentLiquidityRate;
-      const supplyAPR = Number(supplyRateRay) / 1e27;
+      const supplyAPR = rayToDecimal(reserveData.currentLiquidityRate);
 
-      // Convert APR to APY using compound interest formula
-      // APY = (1 + APR/365)^365 - 1, but for simplicity we approximate
-      const supplyAPY = supplyAPR * 100; // Convert to percentage
+      // Supplier balances compound per second: APY = (1 + APR/s)^s - 1
+      const supplyAPY = aprToApy(supplyAPR);
 
       return {
-        apy: Number(supplyAPY.toFixed(4)),
-        apr: Number(supplyAPR.toFixed(4)) * 100,
+        apy: Number((supplyAPY * 100).toFixed(4)),
+        apr: Number((supplyAPR * 100).toFixed(4)),
         source: 'on-chain',
         timestamp: Date.now(),
         protocol: 'Aave V3',
-        chain: this.chainId === 1 ? 'ethereum' : 'base',
+        chain: this.chain.key,
       };
     } catch (error) {
       console.error('Error fetching Aave APY:', error);
@@ -71,26 +77,130 @@ export class AaveV3Adapter extends BaseAdapter {
   }
 
   /**
-   * Get Total Value Locked in USDC pool
+   * Project the supply APY after our deposit
+   * The deposit lowers utilization, which moves the rate down the reserve's
+   * kinked curve; the reserve factor comes off what suppliers earn.
+   * @param {number} depositAmount - Amount in asset units (e.g. 10000 for 10k USDC)
+   * @returns {Promise<object>}
+   */
+  async getProjectedAPY(depositAmount) {
+    try {
+      const reserveData = await this.pool.getReserveData(this.assetAddress);
+      const aToken = new Contract(reserveData.aTokenAddress, ERC20_ABI, this.provider);
+
+      const [suppliedRaw, borrowedRaw, model] = await Promise.all([
+        aToken.totalSupply(),
+        this.getTotalDebt(reserveData),
+        this.getRateModel(reserveData.interestRateStrategyAddress),
+      ]);
+
+      const supplied = Number(ethers.formatUnits(suppliedRaw, this.assetDecimals));
+      const borrowed = Number(ethers.formatUnits(borrowedRaw, this.assetDecimals));
+      const deposit = Number(depositAmount) || 0;
+
+      // Reserve factor: bits 64-79 of the reserve configuration, in bps
+      const reserveFactor = Number((BigInt(reserveData.configuration) >> 64n) & 0xFFFFn) / 10000;
+
+      const utilization = utilizationAfterDeposit(borrowed, supplied);
+      const projectedUtilization = utilizationAfterDeposit(borrowed, supplied, deposit);
+
+      const currentAPR = rayToDecimal(reserveData.currentLiquidityRate);
+      const projectedAPR = anchorProjectedApr(
+        currentAPR,
+        kinkedSupplyRate(model, utilization, reserveFactor),
+        kinkedSupplyRate(model, projectedUtilization, reserveFactor)
+      );
+
+      const currentApy = aprToApy(currentAPR) * 100;
+      const apy = aprToApy(projectedAPR) * 100;
+
+      return {
+        apy: Number(apy.toFixed(4)),
+        currentApy: Number(currentApy.toFixed(4)),
+        dilution: Number((currentApy - apy).toFixed(4)),
+        depositAmount: deposit,
+        utilization: Number(utilization.toFixed(4)),
+        projectedUtilization: Number(projectedUtilization.toFixed(4)),
+        optimalUtilization: model.optimalUsageRatio,
+        reserveFactor,
+        model: 'aave-kinked',
+        source: 'on-chain',
+        timestamp: Date.now(),
+      };
+    } catch (error) {
+      console.error('Error projecting Aave APY:', error);
+      return {
+        apy: 0,
+        source: 'error',
+        error: error.message,
+        timestamp: Date.now(),
+      };
+    }
+  }
+
+  /**
+   * Total borrowed from the reserve (variable plus any legacy stable debt)
+   * @param {object} reserveData - Pool.getReserveData result
+   * @returns {Promise<BigInt>}
+   */
+  async getTotalDebt(reserveData) {
+    const debtTokens = [reserveData.variableDebtTokenAddress, reserveData.stableDebtTokenAddress]
+      .filter((address) => address && address !== ethers.ZeroAddress);
+
+    const supplies = await Promise.all(
+      debtTokens.map((address) => new Contract(address, ERC20_ABI, this.provider).totalSupply())
+    );
+    return supplies.reduce((sum, supply) => sum + supply, 0n);
+  }
+
+  /**
+   * Read the reserve's interest rate curve as decimals
+   * Aave 3.2+ strategies hold per-reserve parameters; earlier ones are
+   * deployed per reserve with immutable getters.
+   * @param {string} strategyAddress
+   * @returns {Promise<object>} - { optimalUsageRatio, baseVariableBorrowRate, variableRateSlope1, variableRateSlope2 }
+   */
+  async getRateModel(strategyAddress) {
+    const strategy = new Contract(strategyAddress, AAVE_RATE_STRATEGY_ABI, this.provider);
+
+    let params;
+    try {
+      const data = await strategy.getInterestRateData(this.assetAddress);
+      params = [data.optimalUsageRatio, data.baseVariableBorrowRate, data.variableRateSlope1, data.variableRateSlope2];
+    } catch (error) {
+      params = await Promise.all([
+        strategy.OPTIMAL_USAGE_RATIO(),
+        strategy.getBaseVariableBorrowRate(),
+        strategy.getVariableRateSlope1(),
+        strategy.getVariableRateSlope2(),
+      ]);
+    }
+
+    const [optimalUsageRatio, baseVariableBorrowRate, variableRateSlope1, variableRateSlope2] = params.map(rayToDecimal);
+    return { optimalUsageRatio, baseVariableBorrowRate, variableRateSlope1, variableRateSlope2 };
+  }
+
+  /**
+   * Get Total Value Locked in the reserve
    * @returns {Promise<object>}
    */
   async getTVL() {
     try {
-      const reserveData = await this.pool.getReserveData(this.usdcAddress);
+      const reserveData = await this.pool.getReserveData(this.assetAddress);
 
-      // Get aToken address (aUSDC)
+      // Get aToken address (e.g. aUSDC)
       const aTokenAddress = reserveData.aTokenAddress;
       const aToken = new Contract(aTokenAddress, ERC20_ABI, this.provider);
 
       // Total supply of aTokens = TVL
       const totalSupply = await aToken.totalSupply();
 
-      // USDC has 6 decimals
-      const tvlUSDC = Number(totalSupply) / 1e6;
+      // aTokens share the underlying asset's decimals; TVL is in asset units
+      const tvl = Number(ethers.formatUnits(totalSupply, this.assetDecimals));
 
       return {
-        tvl: tvlUSDC,
-        tvlFormatted: `$${tvlUSDC.toLocaleString()}`,
+        tvl,
+        tvlFormatted: `${tvl.toLocaleString()} ${this.assetSymbol}`,
         source: 'on-chain',
         timestamp: Date.now(),
         aTokenAddress,
@@ -109,25 +219,25 @@ export class AaveV3Adapter extends BaseAdapter {
   /**
    * Build deposit transaction(s)
    * @param {string} userAddress
-   * @param {BigInt} amount - Amount in USDC base units (6 decimals)
+   * @param {BigInt} amount - Amount in asset base units
    * @returns {Promise<Array>} - Array of transactions
    */
   async buildDepositTransaction(userAddress, amount) {
     const transactions = [];
 
     // Check current allowance
-    const currentAllowance = await this.usdc.allowance(userAddress, this.poolAddress);
+    const currentAllowance = await this.asset.allowance(userAddress, this.poolAddress);
 
     // Add approval transaction if needed
     if (currentAllowance < amount) {
       transactions.push({
-        to: this.usdcAddress,
-        data: this.usdc.interface.encodeFunctionData('approve', [
+        to: this.assetAddress,
+        data: this.asset.interface.encodeFunctionData('approve', [
           this.poolAddress,
           amount,
         ]),
         value: 0,
-        description: 'Approve USDC for Aave',
+        description: `Approve ${this.assetSymbol} for Aave`,
       });
     }
 
@@ -135,13 +245,13 @@ export class AaveV3Adapter extends BaseAdapter {
     transactions.push({
       to: this.poolAddress,
       data: this.pool.interface.encodeFunctionData('supply', [
-        this.usdcAddress, // asset
+        this.assetAddress, // asset
         amount,           // amount
         userAddress,      // onBehalfOf
         0,                // referralCode
       ]),
       value: 0,
-      description: `Deposit ${Number(amount) / 1e6} USDC to Aave`,
+      description: `Deposit ${ethers.formatUnits(amount, this.assetDecimals)} ${this.assetSymbol} to Aave`,
     });
 
     return transactions;
@@ -157,12 +267,12 @@ export class AaveV3Adapter extends BaseAdapter {
     return {
       to: this.poolAddress,
       data: this.pool.interface.encodeFunctionData('withdraw', [
-        this.usdcAddress, // asset
+        this.assetAddress, // asset
         amount,           // amount
         userAddress,      // to
       ]),
       value: 0,
-      description: `Withdraw ${amount === ethers.MaxUint256 ? 'all' : Number(amount) / 1e6} USDC from Aave`,
+      description: `Withdraw ${amount === ethers.MaxUint256 ? 'all' : ethers.formatUnits(amount, this.assetDecimals)} ${this.assetSymbol} from Aave`,
     };
   }
 
@@ -175,18 +285,18 @@ export class AaveV3Adapter extends BaseAdapter {
   async estimateDepositGas(userAddress, amount) {
     try {
       // Check if approval needed
-      const currentAllowance = await this.usdc.allowance(userAddress, this.poolAddress);
+      const currentAllowance = await this.asset.allowance(userAddress, this.poolAddress);
       let totalGas = 0n;
 
       if (currentAllowance < amount) {
         // Estimate approval gas
-        const approvalGas = await this.usdc.approve.estimateGas(this.poolAddress, amount);
+        const approvalGas = await this.asset.approve.estimateGas(this.poolAddress, amount);
         totalGas += approvalGas;
       }
 
       // Estimate supply gas
       const supplyGas = await this.pool.supply.estimateGas(
-        this.usdcAddress,
+        this.assetAddress,
         amount,
         userAddress,
         0
@@ -210,7 +320,7 @@ export class AaveV3Adapter extends BaseAdapter {
   async estimateWithdrawGas(userAddress, amount) {
     try {
       const estimate = await this.pool.withdraw.estimateGas(
-        this.usdcAddress,
+        this.assetAddress,
         amount,
         userAddress
       );
@@ -222,7 +332,7 @@ export class AaveV3Adapter extends BaseAdapter {
   }
 
   /**
-   * Get user's current position (aUSDC balance)
+   * Get user's current position (aToken balance)
    * @param {string} userAddress
    * @returns {Promise<object>}
    */
@@ -231,13 +341,16 @@ export class AaveV3Adapter extends BaseAdapter {
       const accountData = await this.pool.getUserAccountData(userAddress);
       
       // Get aToken balance
-      const reserveData = await this.pool.getReserveData(this.usdcAddress);
+      const reserveData = await this.pool.getReserveData(this.assetAddress);
       const aToken = new Contract(reserveData.aTokenAddress, ERC20_ABI, this.provider);
       const balance = await aToken.balanceOf(userAddress);
 
       return {
-        balance: Number(balance) / 1e6,
+        balance: Number(ethers.formatUnits(balance, this.assetDecimals)),
         balanceRaw: balance.toString(),
+        asset: this.assetSymbol,
+        // aTokens rebase; the liquidity index is the underlying per scaled unit
+        sharePrice: Number(reserveData.liquidityIndex) / 1e27,
         totalCollateral: Number(accountData.totalCollateralBase) / 1e8,
         totalDebt: Number(accountData.totalDebtBase) / 1e8,
         availableBorrows: Number(accountData.availableBorrowsBase) / 1e8,
@@ -252,6 +365,22 @@ export class AaveV3Adapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Get raw aToken balance (asset decimals) at a given block
+   * @param {string} userAddress
+   * @param {string|number} blockTag
+   * @returns {Promise<BigInt>}
+   */
+  async getPositionBalance(userAddress, blockTag = 'latest') {
+    if (!this.aTokenAddress) {
+      const reserveData = await this.pool.getReserveData(this.assetAddress);
+      this.aTokenAddress = reserveData.aTokenAddress;
+    }
+
+    const aToken = new Contract(this.aTokenAddress, ERC20_ABI, this.provider);
+    return aToken.balanceOf(userAddress, { blockTag });
+  }
+
   /**
    * Get protocol metadata
    * @returns {object}
@@ -261,7 +390,9 @@ export class AaveV3Adapter extends BaseAdapter {
       protocolName: this.protocolName,
       chainId: this.chainId,
       poolAddress: this.poolAddress,
-      usdcAddress: this.usdcAddress,
+      assetAddress: this.assetAddress,
+      assetSymbol: this.assetSymbol,
+      assetDecimals: this.assetDecimals,
       type: 'lending',
     };
   }
@@ -275,6 +406,15 @@ const AAVE_POOL_ABI = [
   'function getUserAccountData(address user) view returns (uint256 totalCollateralBase, uint256 totalDebtBase, uint256 availableBorrowsBase, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)',
 ];
 
+// Interest rate strategy: 3.2+ (per-reserve data) and 3.0/3.1 (immutable getters)
+const AAVE_RATE_STRATEGY_ABI = [
+  'function getInterestRateData(address reserve) view returns (tuple(uint256 optimalUsageRatio, uint256 baseVariableBorrowRate, uint256 variableRateSlope1, uint256 variableRateSlope2))',
+  'function OPTIMAL_USAGE_RATIO() view returns (uint256)',
+  'function getBaseVariableBorrowRate() view returns (uint256)',
+  'function getVariableRateSlope1() view returns (uint256)',
+  'function getVariableRateSlope2() view returns (uint256)',
+];
+
 // Standard ERC20 ABI
 const ERC20_ABI = [
   'function approve(address spender, uint256 amount) returns (bool)',
@@ -284,5 +424,5 @@ const ERC20_ABI = [
   'function decimals() view returns (uint8)',
 ];
 
-export { AAVE_POOL_ABI, ERC20_ABI };
+export { AAVE_POOL_ABI, AAVE_RATE_STRATEGY_ABI, ERC20_ABI };
 
@@ -1,3 +1,6 @@
+import { chainNameFor } from './chains.js';
+import { sendWithMEVProtection } from '../utils/privateRelay.js';
+
 /**
  * Base Protocol Adapter
  * Abstract class defining standard interface for all protocol adapters
@@ -23,12 +26,31 @@ export class BaseAdapter {
 
   /**
    * Get Total Value Locked
-   * @returns {Promise<object>} - { tvl, source, timestamp }
+   * @returns {Promise<object>} - { tvl (asset units), source, timestamp }
    */
   async getTVL() {
     throw new Error('getTVL() must be implemented by subclass');
   }
 
+  /**
+   * Project the APY after depositing depositAmount
+   * Adapters with an interest rate model override this to show how the
+   * deposit dilutes the yield; the default assumes the rate does not move
+   * with supply (savings rates, vault share price).
+   * @param {number} depositAmount - Amount in asset units
+   * @returns {Promise<object>} - { apy, currentApy, dilution, model, source, timestamp }
+   */
+  async getProjectedAPY(depositAmount) {
+    const current = await this.getCurrentAPY();
+    return {
+      ...current,
+      currentApy: current.apy,
+      dilution: 0,
+      depositAmount: Number(depositAmount) || 0,
+      model: 'none',
+    };
+  }
+
   /**
    * Build deposit transaction(s)
    * @param {string} userAddress - User depositing
@@ -91,12 +113,24 @@ export class BaseAdapter {
   /**
    * Get user's current position in this protocol
    * @param {string} userAddress
-   * @returns {Promise<object>} - Position details
+   * @returns {Promise<object>} - Position details: { balance, balanceRaw, asset,
+   *   sharePrice (underlying per share or index unit) }, or { balance: 0, error }
    */
   async getUserPosition(userAddress) {
     throw new Error('getUserPosition() must be implemented by subclass');
   }
 
+  /**
+   * Get raw position balance (aToken / Comet balance) in underlying base units
+   * Used to measure realized amounts from the balance delta around a receipt
+   * @param {string} userAddress - Position holder
+   * @param {string|number} blockTag - Block to read at (default latest)
+   * @returns {Promise<BigInt>}
+   */
+  async getPositionBalance(userAddress, blockTag = 'latest') {
+    throw new Error('getPositionBalance() must be implemented by subclass');
+  }
+
   /**
    * Execute deposit transaction(s)
    * @param {Wallet} signer - Wallet to sign transactions
@@ -110,8 +144,8 @@ export class BaseAdapter {
     const receipts = [];
 
     for (const tx of transactions) {
-      // Sign and send transaction
-      const response = await signer.sendTransaction(tx);
+      // Sign and send, privately when the MEV risk is high
+      const { response, route } = await this.sendTransaction(signer, tx, amount);
       const receipt = await response.wait();
       
       receipts.push({
@@ -120,6 +154,7 @@ export class BaseAdapter {
         gasUsed: receipt.gasUsed.toString(),
         status: receipt.status,
         description: tx.description,
+        submission: route.path,
       });
     }
 
@@ -140,8 +175,8 @@ export class BaseAdapter {
     const userAddress = await signer.getAddress();
     const tx = await this.buildWithdrawTransaction(userAddress, amount);
 
-    // Sign and send transaction
-    const response = await signer.sendTransaction(tx);
+    // Sign and send, privately when the MEV risk is high
+    const { response, route } = await this.sendTransaction(signer, tx, amount);
     const receipt = await response.wait();
 
     return {
@@ -151,9 +186,28 @@ export class BaseAdapter {
       gasUsed: receipt.gasUsed.toString(),
       status: receipt.status,
       description: tx.description,
+      submission: route.path,
     };
   }
 
+  /**
+   * Send one transaction, routed through the private relay when
+   * GasOptimizer.assessMEVRisk rates it high
+   * @param {Wallet} signer
+   * @param {object} tx - Transaction request
+   * @param {BigInt} amount - Asset amount the transaction moves
+   * @returns {Promise<{ response: TransactionResponse, route: object }>}
+   */
+  async sendTransaction(signer, tx, amount) {
+    const { assetSymbol, assetDecimals } = this.getMetadata();
+    return sendWithMEVProtection(signer, tx, {
+      chain: chainNameFor(this.chainId),
+      amount,
+      symbol: assetSymbol,
+      decimals: assetDecimals ?? 6,
+    });
+  }
+
   /**
    * Helper to add buffer to gas estimates
    * @param {BigInt} estimate
@@ -163,5 +217,17 @@ export class BaseAdapter {
   addGasBuffer(estimate, bufferPercent = 20) {
     return (estimate * BigInt(100 + bufferPercent)) / 100n;
   }
+
+  /**
+   * Get protocol metadata
+   * @returns {object}
+   */
+  getMetadata() {
+    return {
+      protocolName: this.protocolName,
+      chainId: this.chainId,
+      type: 'lending',
+    };
+  }
 }
 
@@ -1,37 +1,40 @@
 import { ethers, Contract } from 'ethers';
 import { BaseAdapter } from './BaseAdapter.js';
+import { getToken } from './tokens.js';
+import { getChain } from './chains.js';
+import { ratePerSecondToApy, utilizationAfterDeposit } from './rates.js';
 
 /**
  * Compound V3 (Comet) Protocol Adapter
- * Fetches real on-chain data from Compound V3 USDC markets
+ * Fetches real on-chain data from a Compound V3 market. Each Comet has a
+ * single base asset, so the asset picks the market.
  */
 export class CompoundV3Adapter extends BaseAdapter {
-  constructor(provider, chainId) {
+  /**
+   * @param {Provider} provider
+   * @param {number} chainId
+   * @param {string} asset - Base asset symbol from the token registry (default USDC)
+   */
+  constructor(provider, chainId, asset = 'USDC') {
     super(provider, chainId);
     this.protocolName = 'Compound V3';
 
-    // Compound V3 Comet (USDC) addresses by chain
-    this.cometAddresses = {
-      1: '0xc3d688B66703497DAA19211EEdff47f25384cdc3', // Ethereum cUSDCv3
-      8453: '0x9c4ec768c28520B50860ea7a15bd7213a9fF58bf', // Base cUSDbC
-    };
-
-    // USDC addresses
-    this.usdcAddresses = {
-      1: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-      8453: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-    };
-
-    this.cometAddress = this.cometAddresses[chainId];
-    this.usdcAddress = this.usdcAddresses[chainId];
+    // Comet for the base asset from the chain registry
+    this.chain = getChain(chainId);
+    const token = getToken(asset, chainId);
+    this.cometAddress = token && this.chain?.protocols.compoundV3Comets?.[token.symbol];
 
     if (!this.cometAddress) {
-      throw new Error(`Compound V3 not supported on chain ID ${chainId}`);
+      throw new Error(`Compound V3 ${asset} market not supported on chain ID ${chainId}`);
     }
 
+    this.assetSymbol = token.symbol;
+    this.assetAddress = token.address;
+    this.assetDecimals = token.decimals;
+
     // Initialize contract interface
     this.comet = new Contract(this.cometAddress, COMET_ABI, provider);
-    this.usdc = new Contract(this.usdcAddress, ERC20_ABI, provider);
+    this.asset = new Contract(this.assetAddress, ERC20_ABI, provider);
   }
 
   /**
@@ -48,11 +51,7 @@ export class CompoundV3Adapter extends BaseAdapter {
 
       // Compound uses per-second rates, need to annualize
       // APY = (1 + ratePerSecond)^secondsPerYear - 1
-      const secondsPerYear = 365.25 * 24 * 60 * 60;
-      const ratePerSecond = Number(supplyRate) / 1e18;
-      
-      // For small rates, approximate: APY ≈ ratePerSecond * secondsPerYear
-      const apy = ratePerSecond * secondsPerYear * 100;
+      const apy = ratePerSecondToApy(Number(supplyRate) / 1e18) * 100;
 
       return {
         apy: Number(apy.toFixed(4)),
@@ -60,7 +59,7 @@ export class CompoundV3Adapter extends BaseAdapter {
         source: 'on-chain',
         timestamp: Date.now(),
         protocol: 'Compound V3',
-        chain: this.chainId === 1 ? 'ethereum' : 'base',
+        chain: this.chain.key,
       };
     } catch (error) {
       console.error('Error fetching Compound APY:', error);
@@ -73,6 +72,57 @@ export class CompoundV3Adapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Project the supply APY after our deposit
+   * Comet prices any utilization through getSupplyRate, so the projection
+   * reads the market's own kinked curve (reserve share included) at the
+   * utilization our deposit leaves behind.
+   * @param {number} depositAmount - Amount in asset units (e.g. 10000 for 10k USDC)
+   * @returns {Promise<object>}
+   */
+  async getProjectedAPY(depositAmount) {
+    try {
+      const [suppliedRaw, borrowedRaw, utilizationRaw] = await Promise.all([
+        this.comet.totalSupply(),
+        this.comet.totalBorrow(),
+        this.comet.getUtilization(),
+      ]);
+
+      const supplied = Number(ethers.formatUnits(suppliedRaw, this.assetDecimals));
+      const borrowed = Number(ethers.formatUnits(borrowedRaw, this.assetDecimals));
+      const deposit = Number(depositAmount) || 0;
+      const projectedUtilization = utilizationAfterDeposit(borrowed, supplied, deposit);
+
+      const [currentRate, projectedRate] = await Promise.all([
+        this.comet.getSupplyRate(utilizationRaw),
+        this.comet.getSupplyRate(ethers.parseUnits(projectedUtilization.toFixed(18), 18)),
+      ]);
+
+      const currentApy = ratePerSecondToApy(Number(currentRate) / 1e18) * 100;
+      const apy = ratePerSecondToApy(Number(projectedRate) / 1e18) * 100;
+
+      return {
+        apy: Number(apy.toFixed(4)),
+        currentApy: Number(currentApy.toFixed(4)),
+        dilution: Number((currentApy - apy).toFixed(4)),
+        depositAmount: deposit,
+        utilization: Number((Number(utilizationRaw) / 1e18).toFixed(4)),
+        projectedUtilization: Number(projectedUtilization.toFixed(4)),
+        model: 'comet-kinked',
+        source: 'on-chain',
+        timestamp: Date.now(),
+      };
+    } catch (error) {
+      console.error('Error projecting Compound APY:', error);
+      return {
+        apy: 0,
+        source: 'error',
+        error: error.message,
+        timestamp: Date.now(),
+      };
+    }
+  }
+
   /**
    * Get TVL (total supply in Comet)
    * @returns {Promise<object>}
@@ -82,12 +132,12 @@ export class CompoundV3Adapter extends BaseAdapter {
       // Total supply is the TVL in Compound V3
       const totalSupply = await this.comet.totalSupply();
 
-      // Compound V3 uses same decimals as base asset (6 for USDC)
-      const tvl = Number(totalSupply) / 1e6;
+      // Compound V3 uses same decimals as the base asset
+      const tvl = Number(ethers.formatUnits(totalSupply, this.assetDecimals));
 
       return {
         tvl,
-        tvlFormatted: `$${tvl.toLocaleString()}`,
+        tvlFormatted: `${tvl.toLocaleString()} ${this.assetSymbol}`,
         source: 'on-chain',
         timestamp: Date.now(),
       };
@@ -112,18 +162,18 @@ export class CompoundV3Adapter extends BaseAdapter {
     const transactions = [];
 
     // Check allowance
-    const currentAllowance = await this.usdc.allowance(userAddress, this.cometAddress);
+    const currentAllowance = await this.asset.allowance(userAddress, this.cometAddress);
 
     // Approval if needed
     if (currentAllowance < amount) {
       transactions.push({
-        to: this.usdcAddress,
-        data: this.usdc.interface.encodeFunctionData('approve', [
+        to: this.assetAddress,
+        data: this.asset.interface.encodeFunctionData('approve', [
           this.cometAddress,
           amount,
         ]),
         value: 0,
-        description: 'Approve USDC for Compound',
+        description: `Approve ${this.assetSymbol} for Compound`,
       });
     }
 
@@ -131,11 +181,11 @@ export class CompoundV3Adapter extends BaseAdapter {
     transactions.push({
       to: this.cometAddress,
       data: this.comet.interface.encodeFunctionData('supply', [
-        this.usdcAddress,
+        this.assetAddress,
         amount,
       ]),
       value: 0,
-      description: `Deposit ${Number(amount) / 1e6} USDC to Compound`,
+      description: `Deposit ${ethers.formatUnits(amount, this.assetDecimals)} ${this.assetSymbol} to Compound`,
     });
 
     return transactions;
@@ -144,18 +194,18 @@ export class CompoundV3Adapter extends BaseAdapter {
   /**
    * Build withdrawal transaction
    * @param {string} userAddress
-   * @param {BigInt} amount
+   * @param {BigInt} amount - Amount to withdraw (ethers.MaxUint256 withdraws the full base balance)
    * @returns {Promise<object>}
    */
   async buildWithdrawTransaction(userAddress, amount) {
     return {
       to: this.cometAddress,
       data: this.comet.interface.encodeFunctionData('withdraw', [
-        this.usdcAddress,
+        this.assetAddress,
         amount,
       ]),
       value: 0,
-      description: `Withdraw ${Number(amount) / 1e6} USDC from Compound`,
+      description: `Withdraw ${amount === ethers.MaxUint256 ? 'all' : ethers.formatUnits(amount, this.assetDecimals)} ${this.assetSymbol} from Compound`,
     };
   }
 
@@ -167,15 +217,15 @@ export class CompoundV3Adapter extends BaseAdapter {
    */
   async estimateDepositGas(userAddress, amount) {
     try {
-      const currentAllowance = await this.usdc.allowance(userAddress, this.cometAddress);
+      const currentAllowance = await this.asset.allowance(userAddress, this.cometAddress);
       let totalGas = 0n;
 
       if (currentAllowance < amount) {
-        const approvalGas = await this.usdc.approve.estimateGas(this.cometAddress, amount);
+        const approvalGas = await this.asset.approve.estimateGas(this.cometAddress, amount);
         totalGas += approvalGas;
       }
 
-      const supplyGas = await this.comet.supply.estimateGas(this.usdcAddress, amount);
+      const supplyGas = await this.comet.supply.estimateGas(this.assetAddress, amount);
       totalGas += supplyGas;
 
       return this.addGasBuffer(totalGas, 20);
@@ -193,7 +243,7 @@ export class CompoundV3Adapter extends BaseAdapter {
    */
   async estimateWithdrawGas(userAddress, amount) {
     try {
-      const estimate = await this.comet.withdraw.estimateGas(this.usdcAddress, amount);
+      const estimate = await this.comet.withdraw.estimateGas(this.assetAddress, amount);
       return this.addGasBuffer(estimate, 20);
     } catch (error) {
       console.error('Withdrawal gas estimation failed:', error);
@@ -211,12 +261,16 @@ export class CompoundV3Adapter extends BaseAdapter {
       // In Compound V3, user balance is tracked in the Comet contract
       const balance = await this.comet.balanceOf(userAddress);
       const borrowBalance = await this.comet.borrowBalanceOf(userAddress);
+      const totals = await this.comet.totalsBasic();
 
       return {
-        balance: Number(balance) / 1e6,
+        balance: Number(ethers.formatUnits(balance, this.assetDecimals)),
         balanceRaw: balance.toString(),
-        borrowed: Number(borrowBalance) / 1e6,
-        net: (Number(balance) - Number(borrowBalance)) / 1e6,
+        borrowed: Number(ethers.formatUnits(borrowBalance, this.assetDecimals)),
+        net: Number(ethers.formatUnits(balance - borrowBalance, this.assetDecimals)),
+        asset: this.assetSymbol,
+        // Base supply index (BASE_INDEX_SCALE 1e15): underlying per principal unit
+        sharePrice: Number(totals.baseSupplyIndex) / 1e15,
       };
     } catch (error) {
       console.error('Error fetching Compound position:', error);
@@ -226,6 +280,32 @@ export class CompoundV3Adapter extends BaseAdapter {
       };
     }
   }
+
+  /**
+   * Get raw Comet base balance (asset decimals, includes accrued interest) at a given block
+   * @param {string} userAddress
+   * @param {string|number} blockTag
+   * @returns {Promise<BigInt>}
+   */
+  async getPositionBalance(userAddress, blockTag = 'latest') {
+    return this.comet.balanceOf(userAddress, { blockTag });
+  }
+
+  /**
+   * Get protocol metadata
+   * @returns {object}
+   */
+  getMetadata() {
+    return {
+      protocolName: this.protocolName,
+      chainId: this.chainId,
+      poolAddress: this.cometAddress,
+      assetAddress: this.assetAddress,
+      assetSymbol: this.assetSymbol,
+      assetDecimals: this.assetDecimals,
+      type: 'lending',
+    };
+  }
 }
 
 // Compound V3 Comet ABI (minimal interface)
@@ -235,8 +315,10 @@ const COMET_ABI = [
   'function balanceOf(address account) view returns (uint256)',
   'function borrowBalanceOf(address account) view returns (uint256)',
   'function totalSupply() view returns (uint256)',
+  'function totalBorrow() view returns (uint256)',
   'function getSupplyRate(uint256 utilization) view returns (uint256)',
   'function getUtilization() view returns (uint256)',
+  'function totalsBasic() view returns (tuple(uint64 baseSupplyIndex, uint64 baseBorrowIndex, uint64 trackingSupplyIndex, uint64 trackingBorrowIndex, uint104 totalSupplyBase, uint104 totalBorrowBase, uint40 lastAccrualTime, uint8 pauseFlags))',
 ];
 
 const ERC20_ABI = [
@@ -0,0 +1,362 @@
+import { ethers, Contract } from 'ethers';
+import { BaseAdapter } from './BaseAdapter.js';
+import { blocksPerDay, chainNameFor } from './chains.js';
+import { priceOracle } from '../utils/priceOracle.js';
+
+/**
+ * ERC-4626 Vault Adapter
+ * Generic adapter for any tokenized vault described by a protocol_registry row:
+ * deposits go through deposit(assets, receiver), positions are vault shares
+ * valued with convertToAssets, and APY is measured from share-price growth.
+ */
+export class ERC4626Adapter extends BaseAdapter {
+  /**
+   * @param {Provider} provider
+   * @param {number} chainId
+   * @param {object} entry - protocol_registry row (vault_address, asset_address,
+   *   asset_symbol, asset_decimals, display_name, apy_window_days)
+   */
+  constructor(provider, chainId, entry) {
+    super(provider, chainId);
+
+    if (!entry?.vault_address || !entry?.asset_address) {
+      throw new Error(`ERC-4626 vault not configured on chain ID ${chainId}`);
+    }
+
+    this.protocolName = entry.display_name;
+    this.protocolKey = entry.protocol_key;
+    this.vaultAddress = entry.vault_address;
+    this.vaultName = entry.display_name;
+    this.assetAddress = entry.asset_address;
+    this.assetSymbol = entry.asset_symbol || 'USDC';
+    this.assetDecimals = Number(entry.asset_decimals ?? 6);
+
+    // APY sampling window (blocks per day by chain)
+    this.blocksPerDay = blocksPerDay(chainId);
+    this.apyWindowDays = Number(entry.apy_window_days || 7);
+    this.apySamples = 4;
+
+    // Initialize contract interfaces
+    this.vault = new Contract(this.vaultAddress, ERC4626_ABI, provider);
+    this.asset = new Contract(this.assetAddress, ERC20_ABI, provider);
+  }
+
+  /**
+   * Current APY from share-price growth over the sampled window
+   * Samples convertToAssets(1 share) at evenly spaced blocks and fits the
+   * log growth rate, so one stale or jumpy sample does not dominate.
+   * Needs an RPC that serves historical state; unavailable samples are skipped.
+   * @returns {Promise<object>}
+   */
+  async getCurrentAPY() {
+    try {
+      const oneShare = 10n ** BigInt(await this.vault.decimals());
+      const latestBlock = await this.provider.getBlockNumber();
+      const windowBlocks = this.blocksPerDay * this.apyWindowDays;
+
+      const points = await Promise.all(
+        Array.from({ length: this.apySamples + 1 }, async (_, i) => {
+          const blocksAgo = Math.round((windowBlocks * (this.apySamples - i)) / this.apySamples);
+          const blockTag = Math.max(0, latestBlock - blocksAgo);
+          try {
+            const assets = await this.vault.convertToAssets(oneShare, { blockTag });
+            return assets > 0n
+              ? { days: (blockTag - latestBlock) / this.blocksPerDay, logPrice: Math.log(Number(assets)) }
+              : null;
+          } catch (error) {
+            return null;
+          }
+        })
+      );
+
+      const samples = points.filter(Boolean);
+      if (samples.length < 2) {
+        throw new Error('Not enough historical share price samples');
+      }
+
+      // Least-squares slope of ln(sharePrice) per day
+      const meanX = samples.reduce((sum, p) => sum + p.days, 0) / samples.length;
+      const meanY = samples.reduce((sum, p) => sum + p.logPrice, 0) / samples.length;
+      const covariance = samples.reduce((sum, p) => sum + (p.days - meanX) * (p.logPrice - meanY), 0);
+      const variance = samples.reduce((sum, p) => sum + (p.days - meanX) ** 2, 0);
+      const dailyLogGrowth = variance > 0 ? covariance / variance : 0;
+
+      // APY = e^(daily log growth * 365) - 1
+      const apy = (Math.exp(dailyLogGrowth * 365) - 1) * 100;
+
+      return {
+        apy: Number(apy.toFixed(4)),
+        source: 'on-chain',
+        method: 'share-price',
+        windowDays: this.apyWindowDays,
+        samples: samples.length,
+        timestamp: Date.now(),
+        protocol: this.protocolName,
+        chain: chainNameFor(this.chainId),
+      };
+    } catch (error) {
+      console.error(`Error fetching ${this.protocolName} APY:`, error);
+      return {
+        apy: 0,
+        source: 'error',
+        error: error.message,
+        timestamp: Date.now(),
+      };
+    }
+  }
+
+  /**
+   * USD value of an amount of the vault's asset at the oracle price
+   * @param {number} amount - Asset units
+   * @returns {Promise<number|null>} - null when the asset cannot be priced
+   */
+  async valueInUsd(amount) {
+    try {
+      return await priceOracle.toUsd(amount, this.assetSymbol, chainNameFor(this.chainId));
+    } catch (error) {
+      console.warn(`No USD price for ${this.assetSymbol} (${this.protocolName}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get TVL (total assets managed by the vault)
+   * @returns {Promise<object>} - { tvl (asset units), tvlUsd, ... }
+   */
+  async getTVL() {
+    try {
+      const totalAssets = await this.vault.totalAssets();
+
+      // TVL is in the vault asset's units; registry vaults need not hold stablecoins
+      const tvl = Number(ethers.formatUnits(totalAssets, this.assetDecimals));
+      const tvlUsd = await this.valueInUsd(tvl);
+
+      return {
+        tvl,
+        tvlUsd,
+        tvlFormatted: `${tvl.toLocaleString()} ${this.assetSymbol}`
+          + (tvlUsd === null ? '' : ` ($${Math.round(tvlUsd).toLocaleString()})`),
+        source: 'on-chain',
+        timestamp: Date.now(),
+      };
+    } catch (error) {
+      console.error(`Error fetching ${this.protocolName} TVL:`, error);
+      return {
+        tvl: 0,
+        source: 'error',
+        error: error.message,
+        timestamp: Date.now(),
+      };
+    }
+  }
+
+  /**
+   * Build deposit transaction(s)
+   * @param {string} userAddress
+   * @param {BigInt} amount - Assets to deposit (asset decimals)
+   * @returns {Promise<Array>}
+   */
+  async buildDepositTransaction(userAddress, amount) {
+    const transactions = [];
+    const display = ethers.formatUnits(amount, this.assetDecimals);
+
+    // Check allowance
+    const currentAllowance = await this.asset.allowance(userAddress, this.vaultAddress);
+
+    // Approval if needed
+    if (currentAllowance < amount) {
+      transactions.push({
+        to: this.assetAddress,
+        data: this.asset.interface.encodeFunctionData('approve', [
+          this.vaultAddress,
+          amount,
+        ]),
+        value: 0,
+        description: `Approve ${this.assetSymbol} for ${this.vaultName}`,
+      });
+    }
+
+    // Deposit transaction (shares minted to the depositor)
+    transactions.push({
+      to: this.vaultAddress,
+      data: this.vault.interface.encodeFunctionData('deposit', [
+        amount,
+        userAddress,
+      ]),
+      value: 0,
+      description: `Deposit ${display} ${this.assetSymbol} to ${this.vaultName}`,
+    });
+
+    return transactions;
+  }
+
+  /**
+   * Build withdrawal transaction
+   * @param {string} userAddress
+   * @param {BigInt} amount - Assets to withdraw (ethers.MaxUint256 redeems all shares)
+   * @returns {Promise<object>}
+   */
+  async buildWithdrawTransaction(userAddress, amount) {
+    // Redeeming shares avoids dust left behind by rounding on a max withdraw
+    if (amount === ethers.MaxUint256) {
+      const shares = await this.vault.balanceOf(userAddress);
+      return {
+        to: this.vaultAddress,
+        data: this.vault.interface.encodeFunctionData('redeem', [
+          shares,
+          userAddress,
+          userAddress,
+        ]),
+        value: 0,
+        description: `Withdraw all ${this.assetSymbol} from ${this.vaultName}`,
+      };
+    }
+
+    return {
+      to: this.vaultAddress,
+      data: this.vault.interface.encodeFunctionData('withdraw', [
+        amount,
+        userAddress,
+        userAddress,
+      ]),
+      value: 0,
+      description: `Withdraw ${ethers.formatUnits(amount, this.assetDecimals)} ${this.assetSymbol} from ${this.vaultName}`,
+    };
+  }
+
+  /**
+   * Estimate deposit gas
+   * @param {string} userAddress
+   * @param {BigInt} amount
+   * @returns {Promise<BigInt>}
+   */
+  async estimateDepositGas(userAddress, amount) {
+    try {
+      const currentAllowance = await this.asset.allowance(userAddress, this.vaultAddress);
+      let totalGas = 0n;
+
+      if (currentAllowance < amount) {
+        const approvalGas = await this.asset.approve.estimateGas(this.vaultAddress, amount, {
+          from: userAddress,
+        });
+        totalGas += approvalGas;
+      }
+
+      const depositGas = await this.vault.deposit.estimateGas(amount, userAddress, {
+        from: userAddress,
+      });
+      totalGas += depositGas;
+
+      return this.addGasBuffer(totalGas, 20);
+    } catch (error) {
+      console.error(`${this.protocolName} gas estimation failed:`, error);
+      return this.defaultDepositGas;
+    }
+  }
+
+  /**
+   * Estimate withdrawal gas
+   * @param {string} userAddress
+   * @param {BigInt} amount
+   * @returns {Promise<BigInt>}
+   */
+  async estimateWithdrawGas(userAddress, amount) {
+    try {
+      const tx = await this.buildWithdrawTransaction(userAddress, amount);
+      const estimate = await this.provider.estimateGas({ ...tx, from: userAddress });
+      return this.addGasBuffer(estimate, 20);
+    } catch (error) {
+      console.error(`${this.protocolName} withdrawal gas estimation failed:`, error);
+      return this.defaultWithdrawGas;
+    }
+  }
+
+  // Fallback estimates when simulation is unavailable; sized for multi-market vaults
+  get defaultDepositGas() {
+    return 400000n;
+  }
+
+  get defaultWithdrawGas() {
+    return 450000n;
+  }
+
+  /**
+   * Get user position
+   * @param {string} userAddress
+   * @returns {Promise<object>}
+   */
+  async getUserPosition(userAddress) {
+    try {
+      const shares = await this.vault.balanceOf(userAddress);
+      const assets = shares > 0n ? await this.vault.convertToAssets(shares) : 0n;
+      const oneShare = 10n ** BigInt(await this.vault.decimals());
+      const assetsPerShare = await this.vault.convertToAssets(oneShare);
+
+      return {
+        balance: Number(ethers.formatUnits(assets, this.assetDecimals)),
+        balanceRaw: assets.toString(),
+        shares: shares.toString(),
+        asset: this.assetSymbol,
+        sharePrice: Number(ethers.formatUnits(assetsPerShare, this.assetDecimals)),
+      };
+    } catch (error) {
+      console.error(`Error fetching ${this.protocolName} position:`, error);
+      return {
+        balance: 0,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get position value in underlying base units (shares converted at that block)
+   * @param {string} userAddress
+   * @param {string|number} blockTag
+   * @returns {Promise<BigInt>}
+   */
+  async getPositionBalance(userAddress, blockTag = 'latest') {
+    const shares = await this.vault.balanceOf(userAddress, { blockTag });
+    if (shares === 0n) return 0n;
+    return this.vault.convertToAssets(shares, { blockTag });
+  }
+
+  /**
+   * Get protocol metadata
+   * @returns {object}
+   */
+  getMetadata() {
+    return {
+      protocolName: this.protocolName,
+      protocolKey: this.protocolKey,
+      chainId: this.chainId,
+      poolAddress: this.vaultAddress,
+      vaultName: this.vaultName,
+      assetAddress: this.assetAddress,
+      assetSymbol: this.assetSymbol,
+      assetDecimals: this.assetDecimals,
+      type: 'vault',
+    };
+  }
+}
+
+// ERC-4626 Tokenized Vault ABI (minimal interface)
+const ERC4626_ABI = [
+  'function asset() view returns (address)',
+  'function decimals() view returns (uint8)',
+  'function totalAssets() view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function convertToAssets(uint256 shares) view returns (uint256)',
+  'function convertToShares(uint256 assets) view returns (uint256)',
+  'function maxWithdraw(address owner) view returns (uint256)',
+  'function deposit(uint256 assets, address receiver) returns (uint256)',
+  'function withdraw(uint256 assets, address receiver, address owner) returns (uint256)',
+  'function redeem(uint256 shares, address receiver, address owner) returns (uint256)',
+];
+
+const ERC20_ABI = [
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+];
+
+export { ERC4626_ABI };
@@ -0,0 +1,64 @@
+import { Contract } from 'ethers';
+import { ERC4626Adapter } from './ERC4626Adapter.js';
+import { chainNameFor } from './chains.js';
+import { rayGrowthToApy } from './rates.js';
+
+/**
+ * Spark Savings Adapter
+ * ERC-4626 savings vaults (sUSDS, sDAI) whose APY comes from the per-second
+ * savings rate, so no historical state is needed.
+ * Registry rows use adapter_type 'spark_savings'.
+ */
+export class SparkSavingsAdapter extends ERC4626Adapter {
+  /**
+   * Current APY from the savings rate (per-second ray, compounded yearly)
+   * sUSDS exposes ssr(); sDAI reads dsr() from its Pot
+   * @returns {Promise<object>}
+   */
+  async getCurrentAPY() {
+    try {
+      let rateRay;
+      let method = 'ssr';
+      try {
+        rateRay = await new Contract(this.vaultAddress, SUSDS_ABI, this.provider).ssr();
+      } catch (error) {
+        const potAddress = await new Contract(this.vaultAddress, SDAI_ABI, this.provider).pot();
+        rateRay = await new Contract(potAddress, POT_ABI, this.provider).dsr();
+        method = 'dsr';
+      }
+
+      // APY = (rate per second)^secondsPerYear - 1
+      const apy = rayGrowthToApy(rateRay) * 100;
+
+      return {
+        apy: Number(apy.toFixed(4)),
+        source: 'on-chain',
+        method,
+        timestamp: Date.now(),
+        protocol: this.protocolName,
+        chain: chainNameFor(this.chainId),
+      };
+    } catch (error) {
+      console.error(`Error fetching ${this.protocolName} APY:`, error);
+      return {
+        apy: 0,
+        source: 'error',
+        error: error.message,
+        timestamp: Date.now(),
+      };
+    }
+  }
+
+  // Single-contract savings vaults are cheaper than multi-market vaults
+  get defaultDepositGas() {
+    return 200000n;
+  }
+
+  get defaultWithdrawGas() {
+    return 150000n;
+  }
+}
+
+const SUSDS_ABI = ['function ssr() view returns (uint256)'];
+const SDAI_ABI = ['function pot() view returns (address)'];
+const POT_ABI = ['function dsr() view returns (uint256)'];
@@ -1,110 +1,148 @@
-import { ethers } from 'ethers';
 import { AaveV3Adapter } from './AaveV3Adapter.js';
 import { CompoundV3Adapter } from './CompoundV3Adapter.js';
+import { ERC4626Adapter } from './ERC4626Adapter.js';
+import { SparkSavingsAdapter } from './SparkSavingsAdapter.js';
+import { getRegistryEntry, listRegistryEntries } from './registry.js';
+import { getChain } from './chains.js';
+import { getProvider, readWithQuorum } from './rpcPool.js';
+import { priceOracle } from '../utils/priceOracle.js';
 
 /**
  * Protocol Adapter Registry
  * Central point for accessing protocol adapters
  */
 
-// Cache providers to avoid creating multiple instances
-const providers = new Map();
+// Providers (with failover across the chain's RPC URLs) live in the RPC pool
+export { getProvider };
 
 /**
- * Get or create RPC provider for a chain
- * @param {string} chain - 'ethereum' or 'base'
- * @returns {JsonRpcProvider}
+ * Build an adapter for a protocol_registry row
+ * @param {object} entry - Registry row
+ * @param {Provider} provider
+ * @param {number} chainId
+ * @returns {BaseAdapter}
  */
-function getProvider(chain) {
-  if (providers.has(chain)) {
-    return providers.get(chain);
-  }
+export function createAdapter(entry, provider, chainId) {
+  switch (entry.adapter_type) {
+    case 'aave_v3':
+      return new AaveV3Adapter(provider, chainId, entry.asset_symbol || 'USDC');
 
-  const rpcUrl = chain === 'ethereum' 
-    ? process.env.ETHEREUM_RPC_URL 
-    : process.env.BASE_RPC_URL;
+    case 'compound_v3':
+      return new CompoundV3Adapter(provider, chainId, entry.asset_symbol || 'USDC');
 
-  if (!rpcUrl) {
-    throw new Error(`RPC URL not configured for chain: ${chain}`);
-  }
+    case 'erc4626':
+      return new ERC4626Adapter(provider, chainId, entry);
 
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
-  providers.set(chain, provider);
+    case 'spark_savings':
+      return new SparkSavingsAdapter(provider, chainId, entry);
 
-  return provider;
+    default:
+      throw new Error(`Unsupported adapter type: ${entry.adapter_type}`);
+  }
 }
 
 /**
  * Get protocol adapter instance
- * @param {string} protocol - Protocol name ('aave', 'compound')
- * @param {string} chain - Chain name ('ethereum', 'base')
- * @returns {BaseAdapter} - Protocol adapter instance
+ * Looks the protocol up in the protocol registry, so vaults onboarded by
+ * admins resolve without code changes. Inactive entries still resolve so
+ * open positions can be withdrawn.
+ * @param {string} protocol - Registry key or alias ('aave', 'compound', 'morpho', 'spark', 'yearn', ...)
+ * @param {string} chain - Chain registry name ('ethereum', 'base', 'arbitrum', ...)
+ * @param {string} asset - Optional asset symbol; the USDC market when omitted
+ * @returns {Promise<BaseAdapter>} - Protocol adapter instance
  */
-export function getProtocolAdapter(protocol, chain) {
+export async function getProtocolAdapter(protocol, chain, asset) {
   const provider = getProvider(chain);
-  const chainId = chain === 'ethereum' ? 1 : 8453;
+  const { chainId } = getChain(chain);
 
-  const protocolLower = protocol.toLowerCase();
+  const entry = await getRegistryEntry(protocol, chain, asset);
+  if (!entry) {
+    throw new Error(`Unsupported protocol: ${protocol}${asset ? ` ${asset}` : ''} on ${chain}`);
+  }
 
-  switch (protocolLower) {
-    case 'aave':
-    case 'aave_v3':
-      return new AaveV3Adapter(provider, chainId);
+  return createAdapter(entry, provider, chainId);
+}
 
-    case 'compound':
-    case 'compound_v3':
-      return new CompoundV3Adapter(provider, chainId);
+/**
+ * Get all active protocols for a chain
+ * @param {string} chain - Chain name
+ * @returns {Promise<Array<string>>} - Array of registry keys
+ */
+export async function getSupportedProtocols(chain) {
+  const entries = await listRegistryEntries(chain);
+  return [...new Set(entries.map((entry) => entry.protocol_key))];
+}
 
-    default:
-      throw new Error(`Unsupported protocol: ${protocol}`);
+async function tvlToUsd(tvlAssets, symbol, chain) {
+  try {
+    return await priceOracle.toUsd(tvlAssets, symbol, chain);
+  } catch (error) {
+    console.warn(`No USD price for ${symbol} on ${chain}; TVL left unknown:`, error.message);
+    return null;
   }
 }
 
 /**
- * Get all supported protocols for a chain
- * @param {string} chain - Chain name
- * @returns {Array<string>} - Array of supported protocol names
+ * Read APY and TVL for a registry row
+ * When the chain has several RPC URLs, a majority of them must agree.
+ * Adapters report TVL in asset units; it is valued in USD at the oracle price
+ * of the market's asset (null when the asset cannot be priced).
+ * @param {object} entry - Registry row
+ * @param {string} chain
+ * @returns {Promise<{apy: number, tvl: number|null, tvlAssets: number}>} - tvl in USD
  */
-export function getSupportedProtocols(chain) {
-  const protocols = {
-    ethereum: ['aave', 'compound'],
-    base: ['aave', 'compound'],
-  };
+async function readMarketData(entry, chain) {
+  const { chainId } = getChain(chain);
+
+  const { apy, tvl: tvlAssets } = await readWithQuorum(chain, async (provider) => {
+    const adapter = createAdapter(entry, provider, chainId);
+    const [apyData, tvlData] = await Promise.all([
+      adapter.getCurrentAPY(),
+      adapter.getTVL(),
+    ]);
+    return { apy: apyData.apy, tvl: tvlData.tvl };
+  });
 
-  return protocols[chain] || [];
+  return { apy, tvl: await tvlToUsd(tvlAssets, entry.asset_symbol || 'USDC', chain), tvlAssets };
 }
 
 /**
- * Fetch live data for all supported protocols on a chain
+ * Fetch live data for every active protocol market on a chain
+ * One result per registry row, so a protocol with several assets
+ * (Aave USDC, Aave WETH, ...) yields one result per asset. tvl is in USD,
+ * tvlAssets in the market's asset units.
  * @param {string} chain - Chain name
  * @returns {Promise<Array>} - Array of protocol data
  */
 export async function fetchAllProtocolData(chain) {
-  const protocols = getSupportedProtocols(chain);
+  const entries = await listRegistryEntries(chain);
+  const chainId = getChain(chain)?.chainId;
 
   const results = await Promise.all(
-    protocols.map(async (protocol) => {
+    entries.map(async (entry) => {
+      const protocol = entry.protocol_key;
+      const asset = entry.asset_symbol;
       try {
-        const adapter = getProtocolAdapter(protocol, chain);
-        const [apyData, tvlData] = await Promise.all([
-          adapter.getCurrentAPY(),
-          adapter.getTVL(),
-        ]);
+        const adapter = createAdapter(entry, getProvider(chain), chainId);
+        const { apy, tvl, tvlAssets } = await readMarketData(entry, chain);
 
         return {
           protocol,
           chain,
-          apy: apyData.apy,
-          tvl: tvlData.tvl,
+          asset,
+          apy,
+          tvl,
+          tvlAssets,
           metadata: adapter.getMetadata(),
           lastUpdated: new Date().toISOString(),
           success: true,
         };
       } catch (error) {
-        console.error(`Error fetching data for ${protocol} on ${chain}:`, error);
+        console.error(`Error fetching data for ${protocol} ${asset} on ${chain}:`, error);
         return {
           protocol,
           chain,
+          asset,
           apy: 0,
           tvl: 0,
           success: false,
@@ -117,9 +155,38 @@ export async function fetchAllProtocolData(chain) {
   return results;
 }
 
+/**
+ * Attach the APY each opportunity would pay after a deposit of the given size
+ * Opportunities whose adapter cannot project, or with no deposit size, keep
+ * their spot APY.
+ * @param {Array} opportunities - cultiv8_opportunities rows
+ * @param {number|Function} depositAmount - Candidate position size in asset units,
+ *   or (opportunity) => size for markets in different assets (null to skip)
+ * @returns {Promise<Array>} - Rows with projected_apy and apy_dilution added
+ */
+export async function projectOpportunityAPYs(opportunities, depositAmount) {
+  return Promise.all(
+    opportunities.map(async (opp) => {
+      const size = typeof depositAmount === 'function' ? depositAmount(opp) : depositAmount;
+      if (!(size > 0)) return opp;
+
+      try {
+        const adapter = await getProtocolAdapter(opp.protocol_name, opp.blockchain, opp.token_symbol);
+        const projection = await adapter.getProjectedAPY(size);
+        if (projection.source === 'error') return opp;
+
+        return { ...opp, projected_apy: projection.apy, apy_dilution: projection.dilution };
+      } catch (error) {
+        console.warn(`Could not project APY for ${opp.protocol_name} on ${opp.blockchain}:`, error.message);
+        return opp;
+      }
+    })
+  );
+}
+
 /**
  * Refresh opportunity data from on-chain sources
- * Updates database with latest APY and TVL
+ * Updates database with latest APY and TVL and appends them to its history
  * @param {number} opportunityId - Opportunity to refresh
  * @returns {Promise<object>} - Updated opportunity
  */
@@ -138,29 +205,32 @@ export async function refreshOpportunityData(opportunityId) {
 
     const opportunity = opp[0];
 
-    // Get adapter
-    const adapter = getProtocolAdapter(
+    const entry = await getRegistryEntry(
       opportunity.protocol_name,
-      opportunity.blockchain
+      opportunity.blockchain,
+      opportunity.token_symbol
     );
+    if (!entry) {
+      throw new Error(`Unsupported protocol: ${opportunity.protocol_name} on ${opportunity.blockchain}`);
+    }
 
     // Fetch fresh data
-    const [apyData, tvlData] = await Promise.all([
-      adapter.getCurrentAPY(),
-      adapter.getTVL(),
-    ]);
+    const { apy, tvl } = await readMarketData(entry, opportunity.blockchain);
 
     // Update database
     const updated = await sql`
       UPDATE cultiv8_opportunities
       SET 
-        apy = ${apyData.apy},
-        tvl = ${tvlData.tvl},
+        apy = ${apy},
+        tvl = ${tvl},
         last_updated = NOW()
       WHERE id = ${opportunityId}
       RETURNING *
     `;
 
+    const { recordOpportunityMetrics } = await import('../utils/opportunityMetrics');
+    await recordOpportunityMetrics([{ opportunityId, apy, tvl }], 'refresh');
+
     return updated[0];
   } catch (error) {
     console.error('Error refreshing opportunity data:', error);
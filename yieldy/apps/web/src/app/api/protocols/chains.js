@@ -0,0 +1,207 @@
+/**
+ * Chain Registry
+ * Every network the agent can scan and transact on: chain ID, RPC env var,
+ * native token, explorer and the lending protocol deployments the built-in
+ * adapters use. Routes, schemas and the scan loop read the supported chain
+ * list from here, so adding a network is a single entry.
+ */
+
+export const CHAINS = {
+  ethereum: {
+    key: 'ethereum',
+    name: 'Ethereum',
+    chainId: 1,
+    rpcEnv: 'ETHEREUM_RPC_URL',
+    nativeToken: { symbol: 'ETH', decimals: 18 },
+    explorerUrl: 'https://etherscan.io',
+    blockTimeSeconds: 12,
+    protocols: {
+      aaveV3Pool: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
+      compoundV3Comets: {
+        USDC: '0xc3d688B66703497DAA19211EEdff47f25384cdc3', // cUSDCv3
+        USDT: '0x3Afdc9BCA9213A35503b5B4a4eE6e35C0E6FEB3A', // cUSDTv3
+        WETH: '0xA17581A9E3356d9A858b789D68B4d866e593aE94', // cWETHv3
+      },
+    },
+  },
+  base: {
+    key: 'base',
+    name: 'Base',
+    chainId: 8453,
+    rpcEnv: 'BASE_RPC_URL',
+    nativeToken: { symbol: 'ETH', decimals: 18 },
+    explorerUrl: 'https://basescan.org',
+    blockTimeSeconds: 2,
+    protocols: {
+      aaveV3Pool: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5',
+      compoundV3Comets: {
+        USDC: '0xb125E6687d4313864e53df431d5425969c15Eb2F', // cUSDCv3
+        WETH: '0x46e6b214b524310239732D51387075E0e70970bf', // cWETHv3
+      },
+    },
+  },
+  arbitrum: {
+    key: 'arbitrum',
+    name: 'Arbitrum One',
+    chainId: 42161,
+    rpcEnv: 'ARBITRUM_RPC_URL',
+    nativeToken: { symbol: 'ETH', decimals: 18 },
+    explorerUrl: 'https://arbiscan.io',
+    blockTimeSeconds: 0.25,
+    protocols: {
+      aaveV3Pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+      compoundV3Comets: {
+        USDC: '0x9c4ec768c28520B50860ea7a15bd7213a9fF58bf', // cUSDCv3
+        USDT: '0xd98Be00b5D27fc98112BDe293e487f8D4cA57d07', // cUSDTv3
+        WETH: '0x6f7D514bbD4aFf3BcD1140B7344b32f063dEe486', // cWETHv3
+      },
+    },
+  },
+  optimism: {
+    key: 'optimism',
+    name: 'OP Mainnet',
+    chainId: 10,
+    rpcEnv: 'OPTIMISM_RPC_URL',
+    nativeToken: { symbol: 'ETH', decimals: 18 },
+    explorerUrl: 'https://optimistic.etherscan.io',
+    blockTimeSeconds: 2,
+    protocols: {
+      aaveV3Pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+      compoundV3Comets: {
+        USDC: '0x2e44e174f7D53F0212823acC11C01A11d58c5bCB', // cUSDCv3
+        USDT: '0x995E394b8B2437aC8Ce61Ee0bC610D617962B214', // cUSDTv3
+        WETH: '0xE36A30D249f7761327fd973001A32010b521b6Fd', // cWETHv3
+      },
+    },
+  },
+  polygon: {
+    key: 'polygon',
+    name: 'Polygon PoS',
+    chainId: 137,
+    rpcEnv: 'POLYGON_RPC_URL',
+    nativeToken: { symbol: 'POL', decimals: 18 },
+    explorerUrl: 'https://polygonscan.com',
+    blockTimeSeconds: 2,
+    protocols: {
+      aaveV3Pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+      compoundV3Comets: {
+        // Polygon's cUSDCv3 is based on bridged USDC.e, not native USDC
+        USDT: '0xaeB318360f27748Acb200CE616E389A6C9409a07', // cUSDTv3
+      },
+    },
+  },
+};
+
+export const SUPPORTED_CHAINS = Object.keys(CHAINS);
+
+/**
+ * Whether a chain name is in the registry
+ * @param {string} chain
+ * @returns {boolean}
+ */
+export function isSupportedChain(chain) {
+  return Object.prototype.hasOwnProperty.call(CHAINS, String(chain || '').toLowerCase());
+}
+
+/**
+ * Look up a chain by name or chain ID
+ * @param {string|number} chain - 'arbitrum' or 42161
+ * @returns {object|null}
+ */
+export function getChain(chain) {
+  if (typeof chain === 'number') {
+    return Object.values(CHAINS).find((c) => c.chainId === chain) || null;
+  }
+  return CHAINS[String(chain || '').toLowerCase()] || null;
+}
+
+/**
+ * Chain name for a chain ID
+ * @param {number} chainId
+ * @returns {string|null}
+ */
+export function chainNameFor(chainId) {
+  return getChain(Number(chainId))?.key || null;
+}
+
+/**
+ * Chain ID for a chain name
+ * @param {string} chain
+ * @returns {number|null}
+ */
+export function chainIdFor(chain) {
+  return getChain(chain)?.chainId ?? null;
+}
+
+/**
+ * Supported chain IDs
+ * @returns {Array<number>}
+ */
+export function supportedChainIds() {
+  return Object.values(CHAINS).map((c) => c.chainId);
+}
+
+/**
+ * RPC URLs configured for a chain, in preference order
+ * The env var may hold a comma-separated list; `<RPC_ENV>_BACKUP` is
+ * appended when set.
+ * @param {string|number} chain
+ * @returns {Array<string>}
+ */
+export function getRpcUrls(chain) {
+  const config = getChain(chain);
+  if (!config) return [];
+
+  const urls = [process.env[config.rpcEnv], process.env[`${config.rpcEnv}_BACKUP`]]
+    .filter(Boolean)
+    .flatMap((value) => value.split(','))
+    .map((url) => url.trim())
+    .filter(Boolean);
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Primary RPC URL for a chain (undefined when none is configured)
+ * @param {string|number} chain
+ * @returns {string|undefined}
+ */
+export function getRpcUrl(chain) {
+  return getRpcUrls(chain)[0];
+}
+
+/**
+ * Approximate blocks per day, used to turn day windows into block ranges
+ * @param {string|number} chain
+ * @returns {number}
+ */
+export function blocksPerDay(chain) {
+  const config = getChain(chain);
+  return Math.round((24 * 60 * 60) / (config?.blockTimeSeconds || 12));
+}
+
+/**
+ * Explorer link for a transaction
+ * @param {string|number} chain
+ * @param {string} txHash
+ * @returns {string|null}
+ */
+export function explorerTxUrl(chain, txHash) {
+  const config = getChain(chain);
+  return config ? `${config.explorerUrl}/tx/${txHash}` : null;
+}
+
+/**
+ * Expand a scan target into chain names
+ * 'all' (and the legacy 'both') means every chain with an RPC configured,
+ * or every registered chain when none is configured.
+ * @param {string} target - 'all', 'both' or a chain name
+ * @returns {Array<string>}
+ */
+export function resolveChains(target) {
+  if (!target || target === 'all' || target === 'both') {
+    const configured = SUPPORTED_CHAINS.filter((chain) => getRpcUrl(chain));
+    return configured.length > 0 ? configured : [...SUPPORTED_CHAINS];
+  }
+  return [String(target).toLowerCase()];
+}
@@ -0,0 +1,127 @@
+/**
+ * Price Feed Registry
+ * Chainlink USD aggregators and Uniswap v3 fallback pools per chain, plus the
+ * pure math PriceOracle uses to validate rounds and turn tick cumulatives into
+ * a TWAP. ETH and WETH share a feed; POL is Polygon's native token.
+ */
+
+// heartbeat: seconds between forced updates on the aggregator
+export const CHAINLINK_FEEDS = {
+  ethereum: {
+    ETH: { address: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419', heartbeat: 3600 },
+    USDC: { address: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6', heartbeat: 86400 },
+    USDT: { address: '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D', heartbeat: 86400 },
+    DAI: { address: '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9', heartbeat: 3600 },
+  },
+  base: {
+    ETH: { address: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70', heartbeat: 1200 },
+    USDC: { address: '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B', heartbeat: 86400 },
+    DAI: { address: '0x591e79239a7d679378eC8c847e5038150364C78F', heartbeat: 86400 },
+  },
+  arbitrum: {
+    ETH: { address: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612', heartbeat: 86400 },
+    USDC: { address: '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3', heartbeat: 86400 },
+    USDT: { address: '0x3f3f5dF88dC9F13eac63DF89EC16ef6e7E25DdE7', heartbeat: 86400 },
+    DAI: { address: '0xc5C8E77B397E531B8EC06BFb0048328B30E9eCfB', heartbeat: 86400 },
+  },
+  optimism: {
+    ETH: { address: '0x13e3Ee699D1909E989722E753853AE30b17e08c5', heartbeat: 1200 },
+    USDC: { address: '0x16a9FA2FDa030272Ce99B29CF780dFA30361E0f3', heartbeat: 86400 },
+    USDT: { address: '0xECef79E109e997bCA29c1c0897ec9d7b03647F5E', heartbeat: 86400 },
+    DAI: { address: '0x8dBa75e83DA73cc766A7e5a0ee71F656BAb470d6', heartbeat: 86400 },
+  },
+  polygon: {
+    ETH: { address: '0xF9680D99D6C9589e2a93a78A04A279e509205945', heartbeat: 3600 },
+    POL: { address: '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0', heartbeat: 3600 },
+    USDC: { address: '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7', heartbeat: 86400 },
+    USDT: { address: '0x0A6513e40db6EB1b165753AD52E80663aeA50545', heartbeat: 86400 },
+    DAI: { address: '0x4746DeC9e833A82EC7C2C1356372CcF2cfcD2F3D', heartbeat: 86400 },
+  },
+};
+
+// WETH/USDC 0.05% pools; the USDC leg is taken as $1
+export const UNISWAP_V3_POOLS = {
+  ethereum: {
+    ETH: '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640',
+  },
+  base: {
+    ETH: '0xd0b53D9277642d899DF5C87A3966A349A798F224',
+  },
+  arbitrum: {
+    ETH: '0xC6962004f452bE9203591991D15f6b388e09E8D0',
+  },
+};
+
+// Extra staleness allowance on top of the heartbeat (seconds)
+export const HEARTBEAT_GRACE_SECONDS = 600;
+
+const SYMBOL_ALIASES = {
+  WETH: 'ETH',
+  MATIC: 'POL',
+  WPOL: 'POL',
+  WMATIC: 'POL',
+};
+
+/**
+ * Feed symbol for a token ('WETH' -> 'ETH')
+ * @param {string} symbol
+ * @returns {string}
+ */
+export function priceSymbol(symbol) {
+  const key = String(symbol || '').trim().toUpperCase();
+  return SYMBOL_ALIASES[key] || key;
+}
+
+/**
+ * Check a Chainlink latestRoundData result
+ * @param {object} round - { roundId, answer, updatedAt, answeredInRound }
+ * @param {number} decimals - Aggregator decimals
+ * @param {object} options - { heartbeat, now (seconds) }
+ * @returns {{ price: number, updatedAt: number }}
+ * @throws when the answer is non-positive, incomplete or stale
+ */
+export function validateChainlinkRound(round, decimals, { heartbeat, now = Math.floor(Date.now() / 1000) }) {
+  const answer = BigInt(round.answer);
+  const updatedAt = Number(round.updatedAt);
+
+  if (answer <= 0n) {
+    throw new Error(`Chainlink answer is not positive (${answer})`);
+  }
+  if (updatedAt === 0 || BigInt(round.answeredInRound) < BigInt(round.roundId)) {
+    throw new Error('Chainlink round is incomplete');
+  }
+
+  const age = now - updatedAt;
+  if (age > heartbeat + HEARTBEAT_GRACE_SECONDS) {
+    throw new Error(`Chainlink price is stale (${age}s old, heartbeat ${heartbeat}s)`);
+  }
+
+  return { price: Number(answer) / 10 ** decimals, updatedAt };
+}
+
+/**
+ * Arithmetic mean tick over a window from Uniswap v3 observe() output
+ * Rounds toward negative infinity, as the v3 OracleLibrary does.
+ * @param {Array<BigInt>} tickCumulatives - [at secondsAgo, now]
+ * @param {number} secondsAgo - Window length
+ * @returns {number}
+ */
+export function meanTick(tickCumulatives, secondsAgo) {
+  const delta = BigInt(tickCumulatives[1]) - BigInt(tickCumulatives[0]);
+  const window = BigInt(secondsAgo);
+  let tick = delta / window;
+  if (delta < 0n && delta % window !== 0n) tick--;
+  return Number(tick);
+}
+
+/**
+ * Price of one base token in quote tokens at a tick
+ * @param {number} tick
+ * @param {object} pool - { baseIsToken0, decimals0, decimals1 }
+ * @returns {number}
+ */
+export function tickToPrice(tick, { baseIsToken0, decimals0, decimals1 }) {
+  // token1 per token0, adjusted from raw units
+  const price1Per0 = 1.0001 ** tick * 10 ** (decimals0 - decimals1);
+  return baseIsToken0 ? price1Per0 : 1 / price1Per0;
+}
@@ -0,0 +1,118 @@
+/**
+ * Interest Rate Math
+ * Exact APR/APY conversions and the lending rate models the adapters use to
+ * project how a deposit moves a market's supply rate. Rates are decimals
+ * (0.05 = 5%) unless a name says otherwise.
+ */
+
+// Aave and Compound both annualize over a 365-day year of seconds
+export const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+const RAY = 10n ** 27n;
+
+/**
+ * Convert a nominal APR to APY with compounding n times a year
+ * Uses expm1/log1p so small per-period rates keep their precision.
+ * @param {number} apr - e.g. 0.05
+ * @param {number} periodsPerYear - Compounding periods (default per second)
+ * @returns {number} - APY as a decimal
+ */
+export function aprToApy(apr, periodsPerYear = SECONDS_PER_YEAR) {
+  if (!Number.isFinite(apr) || apr === 0) return 0;
+  return Math.expm1(periodsPerYear * Math.log1p(apr / periodsPerYear));
+}
+
+/**
+ * Convert an APY back to the nominal APR compounding n times a year
+ * @param {number} apy - e.g. 0.0513
+ * @param {number} periodsPerYear
+ * @returns {number} - APR as a decimal
+ */
+export function apyToApr(apy, periodsPerYear = SECONDS_PER_YEAR) {
+  if (!Number.isFinite(apy) || apy === 0) return 0;
+  return periodsPerYear * Math.expm1(Math.log1p(apy) / periodsPerYear);
+}
+
+/**
+ * APY from a per-second rate (Compound's getSupplyRate scaled by 1e18)
+ * @param {number} ratePerSecond - e.g. 1.5e-9
+ * @returns {number} - APY as a decimal
+ */
+export function ratePerSecondToApy(ratePerSecond) {
+  return aprToApy(ratePerSecond * SECONDS_PER_YEAR);
+}
+
+/**
+ * APY from a ray-scaled per-second growth factor (Maker pot.dsr, sUSDS.ssr)
+ * The excess over 1.0 is taken in BigInt before converting, since the factor
+ * itself is too close to 1 for a double.
+ * @param {BigInt} rateRay - e.g. 1000000001547125957863212448n
+ * @returns {number} - APY as a decimal
+ */
+export function rayGrowthToApy(rateRay) {
+  return ratePerSecondToApy(Number(BigInt(rateRay) - RAY) / 1e27);
+}
+
+/**
+ * Ray (1e27) fixed-point value to a decimal
+ * @param {BigInt} ray
+ * @returns {number}
+ */
+export function rayToDecimal(ray) {
+  return Number(BigInt(ray)) / 1e27;
+}
+
+/**
+ * Utilization after adding a deposit to a market
+ * @param {number} borrowed - Total borrowed, asset units
+ * @param {number} supplied - Total supplied, asset units
+ * @param {number} deposit - Our deposit, asset units
+ * @returns {number} - Utilization 0-1
+ */
+export function utilizationAfterDeposit(borrowed, supplied, deposit = 0) {
+  const total = supplied + deposit;
+  return total > 0 ? Math.min(1, Math.max(0, borrowed / total)) : 0;
+}
+
+/**
+ * Variable borrow rate on Aave's two-slope (kink) curve
+ * @param {object} model - { optimalUsageRatio, baseVariableBorrowRate, variableRateSlope1, variableRateSlope2 } as decimals
+ * @param {number} utilization - 0-1
+ * @returns {number} - Borrow APR as a decimal
+ */
+export function kinkedBorrowRate(model, utilization) {
+  const { optimalUsageRatio, baseVariableBorrowRate, variableRateSlope1, variableRateSlope2 } = model;
+
+  if (utilization <= optimalUsageRatio) {
+    return baseVariableBorrowRate + variableRateSlope1 * (utilization / optimalUsageRatio);
+  }
+
+  const excess = (utilization - optimalUsageRatio) / (1 - optimalUsageRatio);
+  return baseVariableBorrowRate + variableRateSlope1 + variableRateSlope2 * excess;
+}
+
+/**
+ * Supply APR on an Aave-style market: borrowers' interest net of the
+ * reserve factor, spread across all suppliers
+ * @param {object} model - Kink parameters (see kinkedBorrowRate)
+ * @param {number} utilization - 0-1
+ * @param {number} reserveFactor - Share of interest kept by the protocol, 0-1
+ * @returns {number} - Supply APR as a decimal
+ */
+export function kinkedSupplyRate(model, utilization, reserveFactor) {
+  return kinkedBorrowRate(model, utilization) * utilization * (1 - reserveFactor);
+}
+
+/**
+ * Scale the live supply APR by the rate model's response to a deposit
+ * The on-chain rate stays the anchor, so rounding in the model (unbacked
+ * supply, accrued treasury) does not show up as dilution.
+ * @param {number} currentApr - Live supply APR
+ * @param {number} modelCurrentApr - Model APR at current utilization
+ * @param {number} modelProjectedApr - Model APR after the deposit
+ * @returns {number} - Projected APR
+ */
+export function anchorProjectedApr(currentApr, modelCurrentApr, modelProjectedApr) {
+  if (modelCurrentApr <= 0) return modelProjectedApr;
+  return currentApr * (modelProjectedApr / modelCurrentApr);
+}
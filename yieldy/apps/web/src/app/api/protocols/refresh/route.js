@@ -1,9 +1,12 @@
 import { fetchAllProtocolData } from '../adapters';
+import { isSupportedChain, SUPPORTED_CHAINS } from '../chains';
 import { rateLimitMiddleware } from '@/app/api/middleware/rateLimit';
 import { authMiddleware } from '@/app/api/middleware/auth';
+import { recordProtocolMetrics } from '@/app/api/utils/opportunityMetrics';
 
 /**
  * Refresh protocol data from on-chain sources
+ * Readings for markets with a stored opportunity are appended to opportunity_metrics
  * GET /api/protocols/refresh?chain=ethereum
  */
 export async function GET(request) {
@@ -19,19 +22,28 @@ export async function GET(request) {
     const { searchParams } = new URL(request.url);
     const chain = searchParams.get('chain') || 'ethereum';
 
-    if (!['ethereum', 'base'].includes(chain)) {
+    if (!isSupportedChain(chain)) {
       return Response.json(
-        { error: 'Invalid chain. Must be ethereum or base' },
+        { error: `Invalid chain. Must be one of: ${SUPPORTED_CHAINS.join(', ')}` },
         { status: 400 }
       );
     }
 
     const data = await fetchAllProtocolData(chain);
 
+    // Append the readings to each opportunity's APY/TVL history
+    let recorded = 0;
+    try {
+      recorded = await recordProtocolMetrics(chain, data);
+    } catch (error) {
+      console.error('Error recording protocol metrics:', error);
+    }
+
     return Response.json({
       success: true,
       chain,
       protocols: data,
+      recorded,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -0,0 +1,212 @@
+import sql from '../utils/sql.js';
+import { log } from '../utils/logger.js';
+import { TOKENS, DEFAULT_ASSET, normalizeAssetSymbol } from './tokens.js';
+
+/**
+ * Protocol Registry
+ * Which protocols/vaults exist on each chain, how to build their adapter and
+ * whether the agent may use them. One row per protocol, chain and asset.
+ * Backed by the protocol_registry table; DEFAULT_REGISTRY (mirrors
+ * migrations 008-010) is used when the database is unavailable.
+ */
+
+const USDC = {
+  ethereum: TOKENS.ethereum.USDC.address,
+  base: TOKENS.base.USDC.address,
+};
+
+// Aave reserve / Compound market row for a token registry asset
+const lendingRow = (protocol_key, display_name, adapter_type, blockchain, symbol) => ({
+  protocol_key, blockchain, display_name, adapter_type, vault_address: null,
+  asset_address: TOKENS[blockchain][symbol].address, asset_symbol: symbol,
+  asset_decimals: TOKENS[blockchain][symbol].decimals, apy_window_days: 7, is_active: true, is_whitelisted: true,
+});
+
+export const ADAPTER_TYPES = ['aave_v3', 'compound_v3', 'erc4626', 'spark_savings'];
+
+export const DEFAULT_REGISTRY = [
+  { protocol_key: 'aave', blockchain: 'ethereum', display_name: 'Aave V3', adapter_type: 'aave_v3', vault_address: null, asset_address: USDC.ethereum, asset_symbol: 'USDC', asset_decimals: 6, apy_window_days: 7, is_active: true, is_whitelisted: true },
+  { protocol_key: 'aave', blockchain: 'base', display_name: 'Aave V3', adapter_type: 'aave_v3', vault_address: null, asset_address: USDC.base, asset_symbol: 'USDC', asset_decimals: 6, apy_window_days: 7, is_active: true, is_whitelisted: true },
+  { protocol_key: 'compound', blockchain: 'ethereum', display_name: 'Compound V3', adapter_type: 'compound_v3', vault_address: null, asset_address: USDC.ethereum, asset_symbol: 'USDC', asset_decimals: 6, apy_window_days: 7, is_active: true, is_whitelisted: true },
+  { protocol_key: 'compound', blockchain: 'base', display_name: 'Compound V3', adapter_type: 'compound_v3', vault_address: null, asset_address: USDC.base, asset_symbol: 'USDC', asset_decimals: 6, apy_window_days: 7, is_active: true, is_whitelisted: true },
+  { protocol_key: 'morpho', blockchain: 'ethereum', display_name: 'Steakhouse USDC', adapter_type: 'erc4626', vault_address: '0xBEEF01735c132Ada46AA9aA4c54623cAA92A64CB', asset_address: USDC.ethereum, asset_symbol: 'USDC', asset_decimals: 6, apy_window_days: 7, is_active: true, is_whitelisted: true },
+  { protocol_key: 'morpho', blockchain: 'base', display_name: 'Steakhouse USDC', adapter_type: 'erc4626', vault_address: '0xbeeF010f9cb27031ad51e3333f9aF9C6B1228183', asset_address: USDC.base, asset_symbol: 'USDC', asset_decimals: 6, apy_window_days: 7, is_active: true, is_whitelisted: true },
+  { protocol_key: 'spark', blockchain: 'ethereum', display_name: 'Spark sUSDS', adapter_type: 'spark_savings', vault_address: '0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD', asset_address: '0xdC035D45d973E3EC169d2276DDab16f1e407384F', asset_symbol: 'USDS', asset_decimals: 18, apy_window_days: 7, is_active: true, is_whitelisted: true },
+  { protocol_key: 'spark_sdai', blockchain: 'ethereum', display_name: 'Spark sDAI', adapter_type: 'spark_savings', vault_address: '0x83F20F44975D03b1b09e64809B757c47f942BEeA', asset_address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', asset_symbol: 'DAI', asset_decimals: 18, apy_window_days: 7, is_active: false, is_whitelisted: true },
+  { protocol_key: 'yearn', blockchain: 'ethereum', display_name: 'Yearn USDC-1', adapter_type: 'erc4626', vault_address: '0xBe53A109B494E5c9f97b9Cd39Fe969BE68BF6204', asset_address: USDC.ethereum, asset_symbol: 'USDC', asset_decimals: 6, apy_window_days: 7, is_active: true, is_whitelisted: true },
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'ethereum', 'USDT'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'ethereum', 'DAI'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'ethereum', 'WETH'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'base', 'WETH'),
+  lendingRow('compound', 'Compound V3', 'compound_v3', 'ethereum', 'USDT'),
+  lendingRow('compound', 'Compound V3', 'compound_v3', 'ethereum', 'WETH'),
+  lendingRow('compound', 'Compound V3', 'compound_v3', 'base', 'WETH'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'arbitrum', 'USDC'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'arbitrum', 'USDT'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'arbitrum', 'WETH'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'optimism', 'USDC'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'optimism', 'USDT'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'optimism', 'WETH'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'polygon', 'USDC'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'polygon', 'USDT'),
+  lendingRow('aave', 'Aave V3', 'aave_v3', 'polygon', 'WETH'),
+  lendingRow('compound', 'Compound V3', 'compound_v3', 'arbitrum', 'USDC'),
+  lendingRow('compound', 'Compound V3', 'compound_v3', 'arbitrum', 'USDT'),
+  lendingRow('compound', 'Compound V3', 'compound_v3', 'arbitrum', 'WETH'),
+  lendingRow('compound', 'Compound V3', 'compound_v3', 'optimism', 'USDC'),
+  lendingRow('compound', 'Compound V3', 'compound_v3', 'optimism', 'USDT'),
+  lendingRow('compound', 'Compound V3', 'compound_v3', 'optimism', 'WETH'),
+  lendingRow('compound', 'Compound V3', 'compound_v3', 'polygon', 'USDT'),
+];
+
+// Historical names accepted by getProtocolAdapter
+const PROTOCOL_ALIASES = {
+  aave_v3: 'aave',
+  compound_v3: 'compound',
+  morpho_blue: 'morpho',
+  spark_susds: 'spark',
+  sdai: 'spark_sdai',
+  yearn_v3: 'yearn',
+};
+
+// In-process cache; admin writes call invalidateProtocolRegistry()
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Normalize a protocol name to its registry key
+ * @param {string} protocol - e.g. 'Morpho', 'aave_v3'
+ * @returns {string}
+ */
+export function normalizeProtocolKey(protocol) {
+  const key = String(protocol || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return PROTOCOL_ALIASES[key] || key;
+}
+
+/**
+ * Ensure the registry table exists and holds the built-in protocols
+ */
+export async function ensureProtocolRegistry() {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS protocol_registry (
+        id SERIAL PRIMARY KEY,
+        protocol_key TEXT NOT NULL,
+        blockchain TEXT NOT NULL,
+        display_name TEXT NOT NULL,
+        adapter_type TEXT NOT NULL DEFAULT 'erc4626'
+          CHECK (adapter_type IN ('aave_v3', 'compound_v3', 'erc4626', 'spark_savings')),
+        vault_address TEXT,
+        asset_address TEXT,
+        asset_symbol TEXT,
+        asset_decimals INTEGER,
+        apy_window_days INTEGER DEFAULT 7,
+        is_active BOOLEAN DEFAULT true,
+        is_whitelisted BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (protocol_key, blockchain, asset_symbol)
+      )
+    `);
+
+    const existing = await sql`SELECT COUNT(*)::int AS count FROM protocol_registry`;
+    if (existing[0]?.count > 0) return;
+
+    for (const row of DEFAULT_REGISTRY) {
+      await sql`
+        INSERT INTO protocol_registry (
+          protocol_key, blockchain, display_name, adapter_type, vault_address,
+          asset_address, asset_symbol, asset_decimals, apy_window_days, is_active, is_whitelisted
+        ) VALUES (
+          ${row.protocol_key}, ${row.blockchain}, ${row.display_name}, ${row.adapter_type}, ${row.vault_address},
+          ${row.asset_address}, ${row.asset_symbol}, ${row.asset_decimals}, ${row.apy_window_days}, ${row.is_active}, ${row.is_whitelisted}
+        )
+        ON CONFLICT (protocol_key, blockchain, asset_symbol) DO NOTHING
+      `;
+    }
+  } catch (error) {
+    // Table likely already exists
+    console.debug('Protocol registry setup:', error.message);
+  }
+}
+
+/**
+ * Load every registry row (cached for a minute)
+ * @param {object} options
+ * @param {boolean} options.force - Bypass the cache
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadProtocolRegistry({ force = false } = {}) {
+  if (!force && cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  try {
+    await ensureProtocolRegistry();
+    const rows = await sql`SELECT * FROM protocol_registry ORDER BY id ASC`;
+    cached = rows.length > 0 ? rows : DEFAULT_REGISTRY;
+  } catch (error) {
+    log.warn('Protocol registry unavailable, using built-in defaults', { error: error.message });
+    cached = DEFAULT_REGISTRY;
+  }
+
+  cachedAt = Date.now();
+  return cached;
+}
+
+/**
+ * Drop the cached registry so the next lookup re-reads the table
+ */
+export function invalidateProtocolRegistry() {
+  cached = null;
+  cachedAt = 0;
+}
+
+/**
+ * Find the registry row for a protocol on a chain
+ * Without an asset, the USDC market is preferred (then the first row), which
+ * keeps single-asset vaults and older USDC-only callers resolving.
+ * @param {string} protocol - Protocol key or alias
+ * @param {string} chain - Chain registry name
+ * @param {string} asset - Optional asset symbol ('USDC', 'WETH', ...)
+ * @returns {Promise<object|null>}
+ */
+export async function getRegistryEntry(protocol, chain, asset) {
+  const key = normalizeProtocolKey(protocol);
+  const rows = await loadProtocolRegistry();
+  const matches = rows.filter((r) => r.protocol_key === key && r.blockchain === chain);
+
+  if (asset) {
+    const symbol = normalizeAssetSymbol(asset);
+    return matches.find((r) => normalizeAssetSymbol(r.asset_symbol) === symbol) || null;
+  }
+
+  return matches.find((r) => r.asset_symbol === DEFAULT_ASSET) || matches[0] || null;
+}
+
+/**
+ * Registry rows for a chain
+ * @param {string} chain
+ * @param {object} options
+ * @param {boolean} options.activeOnly - Only rows enabled for scanning (default true)
+ * @returns {Promise<Array<object>>}
+ */
+export async function listRegistryEntries(chain, { activeOnly = true } = {}) {
+  const rows = await loadProtocolRegistry();
+  return rows.filter((r) => (!chain || r.blockchain === chain) && (!activeOnly || r.is_active));
+}
+
+/**
+ * Whether the agent may invest in a protocol
+ * @param {string} protocol - Protocol key or alias
+ * @param {string} chain - Optional chain; any chain when omitted
+ * @returns {Promise<boolean>}
+ */
+export async function isProtocolWhitelisted(protocol, chain) {
+  const key = normalizeProtocolKey(protocol);
+  const rows = await loadProtocolRegistry();
+  return rows.some(
+    (r) => r.protocol_key === key && r.is_whitelisted && (!chain || r.blockchain === chain)
+  );
+}
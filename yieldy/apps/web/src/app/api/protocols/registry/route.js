@@ -0,0 +1,198 @@
+import sql from "@/app/api/utils/sql";
+import { Contract } from "ethers";
+import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
+import { authMiddleware, requireAdmin } from "@/app/api/middleware/auth";
+import { validateRequest } from "@/app/api/middleware/validation";
+import { VaultRegistrationSchema, RegistryUpdateSchema } from "@/app/api/schemas/protocol";
+import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from "@/app/api/utils/auditLogger";
+import { getProvider } from "@/app/api/protocols/adapters";
+import { ERC4626_ABI } from "@/app/api/protocols/ERC4626Adapter";
+import {
+  ensureProtocolRegistry,
+  invalidateProtocolRegistry,
+  loadProtocolRegistry,
+} from "@/app/api/protocols/registry.js";
+
+const ERC20_METADATA_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+/**
+ * GET /api/protocols/registry?chain=ethereum
+ * List registry entries (active and inactive)
+ */
+export async function GET(request) {
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
+  const rateLimitError = await rateLimitMiddleware(request, "general");
+  if (rateLimitError) return rateLimitError;
+
+  try {
+    const chain = new URL(request.url).searchParams.get("chain");
+    const rows = await loadProtocolRegistry({ force: true });
+
+    return Response.json({
+      success: true,
+      protocols: chain ? rows.filter((r) => r.blockchain === chain) : rows,
+    });
+  } catch (error) {
+    console.error("Error loading protocol registry:", error);
+    return Response.json({ success: false, error: "Failed to load protocol registry" }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/protocols/registry
+ * Onboard an ERC-4626 vault (admin only). The vault is read on-chain to
+ * confirm it is a live ERC-4626 and to fill in the underlying asset.
+ */
+export async function POST(request) {
+  const adminError = await requireAdmin(request);
+  if (adminError) return adminError;
+
+  const rateLimitError = await rateLimitMiddleware(request, "general");
+  if (rateLimitError) return rateLimitError;
+
+  const validationError = await validateRequest(VaultRegistrationSchema)(request);
+  if (validationError) return validationError;
+
+  const input = request.validated;
+
+  // Verify the vault on-chain before it can be scanned or invested in
+  let asset;
+  try {
+    const provider = getProvider(input.blockchain);
+    const vault = new Contract(input.vaultAddress, ERC4626_ABI, provider);
+    const [assetAddress] = await Promise.all([vault.asset(), vault.totalAssets()]);
+
+    if (input.assetAddress && assetAddress.toLowerCase() !== input.assetAddress.toLowerCase()) {
+      return Response.json(
+        { success: false, error: `Vault asset is ${assetAddress}, not ${input.assetAddress}` },
+        { status: 400 },
+      );
+    }
+
+    const token = new Contract(assetAddress, ERC20_METADATA_ABI, provider);
+    const [symbol, decimals] = await Promise.all([
+      input.assetSymbol ?? token.symbol(),
+      input.assetDecimals ?? token.decimals(),
+    ]);
+    asset = { address: assetAddress, symbol, decimals: Number(decimals) };
+  } catch (error) {
+    return Response.json(
+      { success: false, error: "Address is not a readable ERC-4626 vault", message: error.message },
+      { status: 400 },
+    );
+  }
+
+  try {
+    await ensureProtocolRegistry();
+
+    const inserted = await sql`
+      INSERT INTO protocol_registry (
+        protocol_key, blockchain, display_name, adapter_type, vault_address,
+        asset_address, asset_symbol, asset_decimals, apy_window_days, is_active, is_whitelisted
+      ) VALUES (
+        ${input.protocolKey}, ${input.blockchain}, ${input.displayName}, ${input.adapterType}, ${input.vaultAddress},
+        ${asset.address}, ${asset.symbol}, ${asset.decimals}, ${input.apyWindowDays}, ${input.isActive}, ${input.isWhitelisted}
+      )
+      ON CONFLICT (protocol_key, blockchain, asset_symbol) DO NOTHING
+      RETURNING *
+    `;
+
+    if (inserted.length === 0) {
+      return Response.json(
+        { success: false, error: `${input.protocolKey} ${asset.symbol} is already registered on ${input.blockchain}` },
+        { status: 409 },
+      );
+    }
+
+    invalidateProtocolRegistry();
+
+    await auditLog({
+      user_id: request.user?.id || "admin",
+      action: input.isWhitelisted ? AUDIT_ACTIONS.PROTOCOL_WHITELISTED : AUDIT_ACTIONS.CONFIG_UPDATED,
+      resource_type: "protocol_registry",
+      resource_id: inserted[0].id.toString(),
+      metadata: {
+        protocolKey: input.protocolKey,
+        blockchain: input.blockchain,
+        vaultAddress: input.vaultAddress,
+        asset: asset.symbol,
+      },
+      ip_address: getIPFromRequest(request),
+      request_id: getRequestIDFromRequest(request),
+      success: true,
+    });
+
+    return Response.json({ success: true, protocol: inserted[0] }, { status: 201 });
+  } catch (error) {
+    console.error("Error registering vault:", error);
+    return Response.json({ success: false, error: "Failed to register vault" }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/protocols/registry
+ * Enable/disable scanning or whitelisting for an entry (admin only)
+ */
+export async function PATCH(request) {
+  const adminError = await requireAdmin(request);
+  if (adminError) return adminError;
+
+  const rateLimitError = await rateLimitMiddleware(request, "general");
+  if (rateLimitError) return rateLimitError;
+
+  const validationError = await validateRequest(RegistryUpdateSchema)(request);
+  if (validationError) return validationError;
+
+  const { protocolKey, blockchain, assetSymbol, isActive, isWhitelisted, apyWindowDays } = request.validated;
+
+  try {
+    await ensureProtocolRegistry();
+
+    const updated = await sql`
+      UPDATE protocol_registry
+      SET is_active = COALESCE(${isActive ?? null}, is_active),
+          is_whitelisted = COALESCE(${isWhitelisted ?? null}, is_whitelisted),
+          apy_window_days = COALESCE(${apyWindowDays ?? null}, apy_window_days),
+          updated_at = NOW()
+      WHERE protocol_key = ${protocolKey} AND blockchain = ${blockchain}
+        AND (${assetSymbol ?? null}::text IS NULL OR asset_symbol = ${assetSymbol ?? null})
+      RETURNING *
+    `;
+
+    if (updated.length === 0) {
+      return Response.json(
+        { success: false, error: `${protocolKey}${assetSymbol ? ` ${assetSymbol}` : ''} is not registered on ${blockchain}` },
+        { status: 404 },
+      );
+    }
+
+    invalidateProtocolRegistry();
+
+    const action = isWhitelisted === true
+      ? AUDIT_ACTIONS.PROTOCOL_WHITELISTED
+      : isWhitelisted === false
+        ? AUDIT_ACTIONS.PROTOCOL_BLACKLISTED
+        : AUDIT_ACTIONS.CONFIG_UPDATED;
+
+    await auditLog({
+      user_id: request.user?.id || "admin",
+      action,
+      resource_type: "protocol_registry",
+      resource_id: updated[0].id.toString(),
+      metadata: { protocolKey, blockchain, assetSymbol, isActive, isWhitelisted, apyWindowDays },
+      ip_address: getIPFromRequest(request),
+      request_id: getRequestIDFromRequest(request),
+      success: true,
+    });
+
+    return Response.json({ success: true, protocol: updated[0], protocols: updated });
+  } catch (error) {
+    console.error("Error updating protocol registry:", error);
+    return Response.json({ success: false, error: "Failed to update protocol registry" }, { status: 500 });
+  }
+}
@@ -0,0 +1,364 @@
+import { ethers } from 'ethers';
+import { getChain, getRpcUrls } from './chains.js';
+import { metricsCollector } from '../middleware/metrics.js';
+
+/**
+ * RPC Provider Pool
+ * A chain's RPC env var may list several comma-separated URLs. They are
+ * served behind an ethers FallbackProvider so one flaky endpoint no longer
+ * fails a scan. Each endpoint is scored on error rate and latency; the score
+ * sets its priority, and endpoints that keep failing sit out a cooldown.
+ * APY/TVL reads can additionally require a majority of endpoints to agree.
+ */
+
+const MAX_CONSECUTIVE_ERRORS = parseInt(process.env.RPC_MAX_CONSECUTIVE_ERRORS) || 3;
+const COOLDOWN_MS = parseInt(process.env.RPC_COOLDOWN_MS) || 60000;
+const STALL_TIMEOUT_MS = parseInt(process.env.RPC_STALL_TIMEOUT_MS) || 1500;
+const QUORUM_TIMEOUT_MS = parseInt(process.env.RPC_QUORUM_TIMEOUT_MS) || 10000;
+// FallbackProvider drops a backend for good after a failed sync, so rebuild
+// periodically, and sooner once a member has failed since the last build
+const REBUILD_INTERVAL_MS = 5 * 60 * 1000;
+const MIN_REBUILD_INTERVAL_MS = 5000;
+
+// Default agreement tolerance for quorum reads (relative difference)
+const DEFAULT_TOLERANCE = 0.01;
+
+/**
+ * Label an endpoint for logs and metrics without leaking API keys in the path
+ * @param {string} url
+ * @returns {string}
+ */
+export function redactRpcUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * Health state for one upstream RPC URL
+ */
+export class RpcEndpoint {
+  constructor(chain, url, label = redactRpcUrl(url)) {
+    this.chain = chain;
+    this.url = url;
+    this.label = label;
+    this.requests = 0;
+    this.errors = 0;
+    this.consecutiveErrors = 0;
+    this.latencyMs = null; // EWMA
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.benchedUntil = 0;
+  }
+
+  recordSuccess(duration) {
+    this.requests++;
+    this.consecutiveErrors = 0;
+    this.updateLatency(duration);
+    this.report(duration, true);
+  }
+
+  recordFailure(error, duration) {
+    this.requests++;
+    this.errors++;
+    this.consecutiveErrors++;
+    this.lastError = error?.message || String(error);
+    this.lastErrorAt = Date.now();
+    this.updateLatency(duration);
+
+    if (this.consecutiveErrors >= MAX_CONSECUTIVE_ERRORS && !this.isBenched()) {
+      this.benchedUntil = Date.now() + COOLDOWN_MS;
+      console.warn(`RPC endpoint ${this.label} (${this.chain}) benched for ${COOLDOWN_MS}ms: ${this.lastError}`);
+    }
+
+    this.report(duration, false);
+  }
+
+  updateLatency(duration) {
+    this.latencyMs = this.latencyMs === null ? duration : 0.8 * this.latencyMs + 0.2 * duration;
+  }
+
+  report(duration, success) {
+    metricsCollector.recordRpcCall(this.chain, this.label, { duration, success, score: this.score });
+  }
+
+  /**
+   * Health score in [0, 1]: smoothed success rate scaled down by latency
+   */
+  get score() {
+    const successRate = (this.requests - this.errors + 1) / (this.requests + 2);
+    const latencyFactor = 1 / (1 + (this.latencyMs ?? 0) / 1000);
+    return successRate * latencyFactor;
+  }
+
+  isBenched(now = Date.now()) {
+    return this.benchedUntil > now;
+  }
+
+  toJSON() {
+    return {
+      endpoint: this.label,
+      score: Number(this.score.toFixed(3)),
+      requests: this.requests,
+      errors: this.errors,
+      latencyMs: this.latencyMs === null ? null : Math.round(this.latencyMs),
+      benched: this.isBenched(),
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt ? new Date(this.lastErrorAt).toISOString() : null,
+    };
+  }
+}
+
+/**
+ * JsonRpcProvider that reports transport outcomes to its RpcEndpoint.
+ * JSON-RPC level errors (reverts) come back as payloads and are not counted
+ * against the endpoint.
+ */
+class MonitoredJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(endpoint) {
+    super(endpoint.url);
+    this.endpoint = endpoint;
+  }
+
+  async _send(payload) {
+    const start = Date.now();
+    try {
+      const result = await super._send(payload);
+      this.endpoint.recordSuccess(Date.now() - start);
+      return result;
+    } catch (error) {
+      this.endpoint.recordFailure(error, Date.now() - start);
+      throw error;
+    }
+  }
+}
+
+// chain -> { endpoints, members, provider, activeKey, builtAt }
+const pools = new Map();
+
+function getPool(chain) {
+  if (pools.has(chain)) {
+    return pools.get(chain);
+  }
+
+  const config = getChain(chain);
+  if (!config) {
+    throw new Error(`Unsupported chain: ${chain}`);
+  }
+
+  const urls = getRpcUrls(chain);
+  if (urls.length === 0) {
+    throw new Error(`RPC URL not configured for chain: ${chain} (set ${config.rpcEnv})`);
+  }
+
+  const labels = urls.map(redactRpcUrl);
+  const endpoints = urls.map((url, i) => {
+    // Two keys on the same provider share a host; keep their metrics apart
+    const duplicate = labels.indexOf(labels[i]) !== labels.lastIndexOf(labels[i]);
+    return new RpcEndpoint(config.key, url, duplicate ? `${labels[i]}#${i + 1}` : labels[i]);
+  });
+
+  const pool = {
+    endpoints,
+    members: endpoints.map((endpoint) => new MonitoredJsonRpcProvider(endpoint)),
+    provider: null,
+    activeKey: null,
+    builtAt: 0,
+  };
+  pools.set(chain, pool);
+  return pool;
+}
+
+/**
+ * Endpoints not in cooldown, best score first (all of them if every one is benched)
+ */
+function rankMembers(pool) {
+  const now = Date.now();
+  const ranked = pool.members
+    .filter((member) => !member.endpoint.isBenched(now))
+    .sort((a, b) => b.endpoint.score - a.endpoint.score);
+
+  return ranked.length > 0 ? ranked : [...pool.members];
+}
+
+/**
+ * Get the failover provider for a chain
+ * A single configured URL is returned as a plain JsonRpcProvider.
+ * @param {string} chain - Chain registry name
+ * @returns {Provider}
+ */
+export function getProvider(chain) {
+  const pool = getPool(chain);
+
+  if (pool.members.length === 1) {
+    return pool.members[0];
+  }
+
+  const ranked = rankMembers(pool);
+  const activeKey = ranked.map((member) => member.endpoint.url).sort().join(',');
+  const age = Date.now() - pool.builtAt;
+  const failedSinceBuild = ranked.some((member) => member.endpoint.lastErrorAt > pool.builtAt);
+
+  const stale = !pool.provider
+    || pool.activeKey !== activeKey
+    || age >= REBUILD_INTERVAL_MS
+    || (failedSinceBuild && age >= MIN_REBUILD_INTERVAL_MS);
+
+  if (!stale) {
+    return pool.provider;
+  }
+
+  pool.provider = new ethers.FallbackProvider(
+    ranked.map((member, i) => ({
+      provider: member,
+      priority: i + 1,
+      weight: 1,
+      stallTimeout: STALL_TIMEOUT_MS,
+    })),
+    undefined,
+    { quorum: 1 }
+  );
+  pool.activeKey = activeKey;
+  pool.builtAt = Date.now();
+
+  return pool.provider;
+}
+
+/**
+ * Whether two read results agree within tolerance
+ * Numeric fields are compared relatively; everything else must match exactly.
+ * @param {any} a
+ * @param {any} b
+ * @param {number} tolerance - Relative tolerance for numbers
+ * @returns {boolean}
+ */
+export function resultsAgree(a, b, tolerance = DEFAULT_TOLERANCE) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    const scale = Math.max(Math.abs(a), Math.abs(b));
+    return scale === 0 || Math.abs(a - b) / scale <= tolerance;
+  }
+  if (typeof a === 'bigint' && typeof b === 'bigint') {
+    return resultsAgree(Number(a), Number(b), tolerance);
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every((key) => resultsAgree(a[key], b[key], tolerance));
+  }
+  return a === b;
+}
+
+/**
+ * Pick the result a majority of endpoints agree on
+ * @param {Array<any>} results - Successful results, best endpoint first
+ * @param {number} quorum - Agreeing results required
+ * @param {number} tolerance
+ * @returns {{ value: any, agreeing: number }|null} - null when quorum is not met
+ */
+export function selectQuorumResult(results, quorum, tolerance = DEFAULT_TOLERANCE) {
+  let best = null;
+
+  results.forEach((candidate) => {
+    const agreeing = results.filter((other) => resultsAgree(candidate, other, tolerance)).length;
+    if (!best || agreeing > best.agreeing) {
+      best = { value: candidate, agreeing };
+    }
+  });
+
+  return best && best.agreeing >= quorum ? best : null;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`RPC read timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a read against every healthy endpoint and return the majority result
+ * Used for APY/TVL, where a lagging or misbehaving node would otherwise
+ * feed bad numbers into allocation. Quorum is a strict majority of the
+ * endpoints that answered (at least RPC_QUORUM_MIN), so a dead endpoint
+ * degrades to failover instead of failing the read.
+ * @param {string} chain - Chain registry name
+ * @param {Function} read - async (provider) => result
+ * @param {object} options - { tolerance, minQuorum }
+ * @returns {Promise<any>}
+ */
+export async function readWithQuorum(chain, read, options = {}) {
+  const pool = getPool(chain);
+  const ranked = rankMembers(pool);
+
+  if (ranked.length === 1) {
+    return read(ranked[0]);
+  }
+
+  const {
+    tolerance = DEFAULT_TOLERANCE,
+    minQuorum = parseInt(process.env.RPC_QUORUM_MIN) || 1,
+  } = options;
+
+  const settled = await Promise.allSettled(
+    ranked.map((member) => withTimeout(read(member), QUORUM_TIMEOUT_MS))
+  );
+
+  const results = settled.filter((s) => s.status === 'fulfilled').map((s) => s.value);
+  if (results.length === 0) {
+    metricsCollector.recordRpcQuorum(chain, false);
+    throw settled[0].reason;
+  }
+
+  const quorum = Math.min(ranked.length, Math.max(minQuorum, Math.floor(results.length / 2) + 1));
+  const selected = selectQuorumResult(results, quorum, tolerance);
+
+  metricsCollector.recordRpcQuorum(chain, Boolean(selected));
+
+  if (!selected) {
+    throw new Error(`RPC quorum not met on ${chain}: ${results.length} endpoints answered, ${quorum} must agree`);
+  }
+
+  return selected.value;
+}
+
+/**
+ * Raw JSON-RPC call against the best healthy endpoint, moving down the
+ * ranking on failure. For methods FallbackProvider does not expose, such as
+ * eth_feeHistory.
+ * @param {string} chain - Chain registry name
+ * @param {string} method
+ * @param {Array} params
+ * @returns {Promise<any>}
+ */
+export async function sendWithFailover(chain, method, params) {
+  let lastError;
+  for (const member of rankMembers(getPool(chain))) {
+    try {
+      return await member.send(method, params);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Health snapshot of every endpoint configured for a chain
+ * @param {string} chain
+ * @returns {Array<object>}
+ */
+export function getRpcHealth(chain) {
+  if (getRpcUrls(chain).length === 0) return [];
+  return getPool(chain).endpoints.map((endpoint) => endpoint.toJSON());
+}
+
+/**
+ * Per-endpoint providers for a chain, e.g. for probing each URL directly
+ * @param {string} chain
+ * @returns {Array<{ endpoint: RpcEndpoint, provider: Provider }>}
+ */
+export function getEndpointProviders(chain) {
+  return getPool(chain).members.map((member) => ({ endpoint: member.endpoint, provider: member }));
+}
@@ -0,0 +1,111 @@
+import { ethers } from 'ethers';
+import { chainNameFor } from './chains.js';
+
+/**
+ * Token Registry
+ * Assets the agent can hold and deploy, with their address and decimals on
+ * each chain. Adapters and routes resolve amounts through here instead of
+ * assuming USDC's 6 decimals.
+ */
+
+export const TOKENS = {
+  ethereum: {
+    USDC: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6, stable: true },
+    USDT: { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6, stable: true },
+    DAI: { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18, stable: true },
+    USDS: { address: '0xdC035D45d973E3EC169d2276DDab16f1e407384F', decimals: 18, stable: true },
+    WETH: { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18, stable: false },
+  },
+  base: {
+    USDC: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6, stable: true },
+    USDT: { address: '0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2', decimals: 6, stable: true },
+    DAI: { address: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb', decimals: 18, stable: true },
+    WETH: { address: '0x4200000000000000000000000000000000000006', decimals: 18, stable: false },
+  },
+  arbitrum: {
+    USDC: { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6, stable: true },
+    USDT: { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', decimals: 6, stable: true },
+    DAI: { address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', decimals: 18, stable: true },
+    WETH: { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18, stable: false },
+  },
+  optimism: {
+    USDC: { address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', decimals: 6, stable: true },
+    USDT: { address: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58', decimals: 6, stable: true },
+    DAI: { address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', decimals: 18, stable: true },
+    WETH: { address: '0x4200000000000000000000000000000000000006', decimals: 18, stable: false },
+  },
+  polygon: {
+    USDC: { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6, stable: true },
+    USDT: { address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', decimals: 6, stable: true },
+    DAI: { address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', decimals: 18, stable: true },
+    WETH: { address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', decimals: 18, stable: false },
+  },
+};
+
+export const DEFAULT_ASSET = 'USDC';
+
+/**
+ * Normalize an asset symbol ('usdc' -> 'USDC'); defaults to USDC
+ * @param {string} symbol
+ * @returns {string}
+ */
+export function normalizeAssetSymbol(symbol) {
+  return String(symbol || DEFAULT_ASSET).trim().toUpperCase();
+}
+
+/**
+ * Look up a token on a chain
+ * @param {string} symbol - e.g. 'USDC', 'weth'
+ * @param {string|number} chain - Chain name or chain ID
+ * @returns {{symbol: string, address: string, decimals: number, stable: boolean}|null}
+ */
+export function getToken(symbol, chain) {
+  const chainName = typeof chain === 'number' ? chainNameFor(chain) : chain;
+  const key = normalizeAssetSymbol(symbol);
+  const token = TOKENS[chainName]?.[key];
+  return token ? { symbol: key, ...token } : null;
+}
+
+/**
+ * Look up a token by contract address
+ * @param {string} address
+ * @param {string|number} chain - Chain name or chain ID
+ * @returns {{symbol: string, address: string, decimals: number, stable: boolean}|null}
+ */
+export function getTokenByAddress(address, chain) {
+  const chainName = typeof chain === 'number' ? chainNameFor(chain) : chain;
+  const match = Object.entries(TOKENS[chainName] || {})
+    .find(([, token]) => token.address.toLowerCase() === String(address).toLowerCase());
+  return match ? { symbol: match[0], ...match[1] } : null;
+}
+
+/**
+ * Symbols supported on a chain
+ * @param {string} chain
+ * @returns {Array<string>}
+ */
+export function listTokens(chain) {
+  return Object.keys(TOKENS[chain] || {});
+}
+
+/**
+ * Parse a human amount into token base units
+ * @param {string|number} amount - e.g. '100.5'
+ * @param {number} decimals
+ * @returns {BigInt}
+ */
+export function parseTokenAmount(amount, decimals) {
+  // toFixed keeps numbers like 1e-7 out of parseUnits and trims extra precision
+  const value = typeof amount === 'number' ? amount.toFixed(decimals) : String(amount);
+  return ethers.parseUnits(value, decimals);
+}
+
+/**
+ * Format token base units as a number
+ * @param {BigInt} raw
+ * @param {number} decimals
+ * @returns {number}
+ */
+export function formatTokenAmount(raw, decimals) {
+  return Number(ethers.formatUnits(raw, decimals));
+}
@@ -0,0 +1,71 @@
+import { z } from 'zod';
+import { SUPPORTED_CHAINS } from '../protocols/chains.js';
+
+// Agent (LangGraph) model output schemas
+// Each LLM node asks for one of these through tool calling; SafetyController
+// validates strategies against the same StrategySchema before execution.
+
+// Market analysis (analyzeMarket)
+export const MarketAnalysisSchema = z.object({
+  summary: z.string().min(1).describe('Two or three sentence assessment of the market'),
+  bestOpportunities: z.array(z.object({
+    protocol: z.string().min(1),
+    blockchain: z.enum(SUPPORTED_CHAINS),
+    asset: z.string().min(1),
+    apy: z.number().min(0).describe('Percent'),
+    reason: z.string(),
+  })).max(5).describe('Best opportunities for the risk tolerance, best first'),
+  rebalanceNeeded: z.boolean().describe('Whether current positions should be moved'),
+  risks: z.array(z.string()).describe('Key risks to consider'),
+  allocation: z.string().describe('Recommended allocation strategy'),
+  marketConditions: z.object({
+    gasLevel: z.enum(['low', 'medium', 'high']),
+    volatility: z.enum(['low', 'medium', 'high']),
+  }),
+});
+
+// A single strategy (generateStrategies -> selectStrategy -> buildExecutionPlan)
+export const StrategySchema = z.object({
+  protocol: z.string().min(1, { message: "Protocol is required" }),
+  blockchain: z.enum(SUPPORTED_CHAINS, {
+    errorMap: () => ({ message: `Blockchain must be one of: ${SUPPORTED_CHAINS.join(', ')}` })
+  }),
+  action: z.enum(['deposit', 'withdraw', 'rebalance']),
+  asset: z.string().min(1).optional(),
+  amount: z.number()
+    .positive({ message: "Amount must be positive" })
+    .refine((val) => Number.isFinite(val), { message: "Amount must be a finite number" })
+    .describe('USD amount'),
+  expectedAPY: z.number()
+    .min(0, { message: "APY cannot be negative" })
+    .max(1000, { message: "APY exceeds reasonable maximum of 1000%" })
+    .describe('Percent'),
+  riskScore: z.number()
+    .min(1, { message: "Risk score must be between 1 and 10" })
+    .max(10, { message: "Risk score must be between 1 and 10" }),
+  rationale: z.string().min(1).max(1000),
+  confidence: z.number()
+    .min(0, { message: "Confidence must be between 0 and 1" })
+    .max(1, { message: "Confidence must be between 0 and 1" }),
+});
+
+// Strategy generation output (tool arguments must be an object, so the list is wrapped)
+export const StrategyListSchema = z.object({
+  strategies: z.array(StrategySchema)
+    .min(1, { message: "Must propose at least one strategy" })
+    .max(5, { message: "Cannot propose more than 5 strategies" })
+});
+
+// Execution plan details (buildExecutionPlan)
+export const ExecutionPlanDetailsSchema = z.object({
+  steps: z.array(z.string().min(1))
+    .min(1, { message: "Plan must have at least one step" })
+    .describe('Transaction sequence (approvals, deposits, etc.)'),
+  gasStrategy: z.string().min(1),
+  slippageTolerance: z.number()
+    .min(0)
+    .max(5, { message: "Slippage tolerance above 5% is not allowed" })
+    .describe('Percent'),
+  estimatedDuration: z.string(),
+  contingencies: z.array(z.string()),
+});
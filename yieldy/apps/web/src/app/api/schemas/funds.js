@@ -1,4 +1,17 @@
 import { z } from 'zod';
+import { isAddress } from 'ethers';
+
+// Wallet whose ledger an operation applies to (stored lowercased)
+const WalletAddress = z.string().refine(
+  (val) => {
+    try {
+      return isAddress(val);
+    } catch {
+      return false;
+    }
+  },
+  { message: "Invalid Ethereum address" }
+).transform((val) => val.toLowerCase());
 
 // Fund transaction types
 const FundTransactionType = z.enum(['deposit', 'withdrawal', 'adjustment'], {
@@ -26,7 +39,10 @@ export const FundOperationSchema = z.object({
   
   note: z.string()
     .max(1000, { message: "Note cannot exceed 1000 characters" })
-    .optional()
+    .optional(),
+
+  // Defaults to the caller's own wallet
+  userAddress: WalletAddress.optional()
 }).refine(
   (data) => {
     // For withdrawals over $100k, require a note
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import { isAddress, getAddress } from 'ethers';
+import { SUPPORTED_CHAINS } from '../protocols/chains.js';
 
 // Custom Ethereum address validator with checksum
 const EthereumAddress = z.string().refine(
@@ -31,8 +32,8 @@ export const InvestmentSchema = z.object({
       (val) => Number.isFinite(val) && val > 0,
       { message: "Amount must be a valid positive number" }
     ),
-  blockchain: z.enum(['ethereum', 'base'], {
-    errorMap: () => ({ message: "Blockchain must be 'ethereum' or 'base'" })
+  blockchain: z.enum(SUPPORTED_CHAINS, {
+    errorMap: () => ({ message: `Blockchain must be one of: ${SUPPORTED_CHAINS.join(', ')}` })
   }),
   transaction_hash: EthereumAddress.optional(),
   expected_apy: z.number()
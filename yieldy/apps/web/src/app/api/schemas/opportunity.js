@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import { isAddress, getAddress } from 'ethers';
+import { SUPPORTED_CHAINS } from '../protocols/chains.js';
 
 // Ethereum address validator
 const EthereumAddress = z.string().refine(
@@ -33,7 +34,7 @@ export const OpportunityCreateSchema = z.object({
     .min(1, { message: "Protocol name is required" })
     .max(100, { message: "Protocol name too long" }),
   
-  blockchain: z.enum(['ethereum', 'base']),
+  blockchain: z.enum(SUPPORTED_CHAINS),
   
   pool_address: EthereumAddress,
   
@@ -72,10 +73,19 @@ export const OpportunityCreateSchema = z.object({
 
 // Opportunity query/filter schema
 export const OpportunityQuerySchema = z.object({
-  blockchain: z.enum(['ethereum', 'base']).optional(),
+  blockchain: z.enum(SUPPORTED_CHAINS).optional(),
   minApy: z.string().regex(/^\d+(\.\d+)?$/).optional(),
   maxRisk: z.string().regex(/^\d+$/).optional(),
   protocolType: ProtocolType.optional(),
   isActive: z.enum(['true', 'false']).optional()
 });
 
+// Opportunity APY/TVL history query schema
+export const OpportunityHistoryQuerySchema = z.object({
+  days: z.string()
+    .regex(/^\d+$/)
+    .refine((val) => Number(val) >= 1 && Number(val) <= 730, { message: "days must be between 1 and 730" })
+    .optional(),
+  bucket: z.enum(['hour', 'day', 'week']).optional()
+});
+
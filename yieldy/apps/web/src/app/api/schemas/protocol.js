@@ -0,0 +1,55 @@
+import { z } from 'zod';
+import { isAddress, getAddress } from 'ethers';
+import { SUPPORTED_CHAINS } from '../protocols/chains.js';
+
+// Contract address validator (stored checksummed)
+const ContractAddress = z.string().refine(
+  (val) => {
+    try {
+      return isAddress(val);
+    } catch {
+      return false;
+    }
+  },
+  { message: "Invalid Ethereum address" }
+).transform((val) => getAddress(val));
+
+// Registry key: lowercase, used as protocol_name and in getProtocolAdapter
+const ProtocolKey = z.string()
+  .min(2, { message: "Protocol key must be at least 2 characters" })
+  .max(40, { message: "Protocol key must be at most 40 characters" })
+  .regex(/^[a-z0-9_]+$/, { message: "Protocol key may only contain lowercase letters, digits and underscores" });
+
+const Blockchain = z.enum(SUPPORTED_CHAINS, {
+  errorMap: () => ({ message: `Blockchain must be one of: ${SUPPORTED_CHAINS.join(', ')}` })
+});
+
+// Onboard an ERC-4626 vault into protocol_registry
+export const VaultRegistrationSchema = z.object({
+  protocolKey: ProtocolKey,
+  blockchain: Blockchain,
+  displayName: z.string().min(2).max(80),
+  adapterType: z.enum(['erc4626', 'spark_savings']).default('erc4626'),
+  vaultAddress: ContractAddress,
+  // Read from the vault when omitted; must match vault.asset() when given
+  assetAddress: ContractAddress.optional(),
+  assetSymbol: z.string().min(1).max(12).optional(),
+  assetDecimals: z.number().int().min(0).max(36).optional(),
+  apyWindowDays: z.number().int().min(1).max(90).default(7),
+  isActive: z.boolean().default(true),
+  isWhitelisted: z.boolean().default(false),
+});
+
+// Toggle scanning / whitelist status for an existing entry
+export const RegistryUpdateSchema = z.object({
+  protocolKey: ProtocolKey,
+  blockchain: Blockchain,
+  // Limit the update to one asset market; all of the protocol's markets when omitted
+  assetSymbol: z.string().min(1).max(12).transform((val) => val.toUpperCase()).optional(),
+  isActive: z.boolean().optional(),
+  isWhitelisted: z.boolean().optional(),
+  apyWindowDays: z.number().int().min(1).max(90).optional(),
+}).refine(
+  (data) => data.isActive !== undefined || data.isWhitelisted !== undefined || data.apyWindowDays !== undefined,
+  { message: "Provide at least one of isActive, isWhitelisted or apyWindowDays" }
+);
@@ -0,0 +1,58 @@
+import { z } from "zod";
+import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
+import { authMiddleware } from "@/app/api/middleware/auth";
+import { validateRequest } from "@/app/api/middleware/validation";
+import { normalizeAddress } from "@/app/api/utils/userConfig";
+import { isExpoPushToken, registerPushToken, removePushToken } from "@/app/api/utils/pushNotifications";
+
+const PushTokenSchema = z.object({
+  token: z.string().refine(isExpoPushToken, { message: "Invalid Expo push token" }),
+  platform: z.enum(["ios", "android", "web"]).optional(),
+});
+
+// Auth and rate-limit checks shared by POST and DELETE
+async function guard(request) {
+  const authError = await authMiddleware(request);
+  if (authError) return authError;
+
+  const rateLimitError = await rateLimitMiddleware(request, "general");
+  if (rateLimitError) return rateLimitError;
+
+  return validateRequest(PushTokenSchema)(request);
+}
+
+/**
+ * POST /api/user/push-tokens
+ * Register this device for the caller's notifications (e.g. agent runs
+ * waiting for a signature)
+ */
+export async function POST(request) {
+  const guardError = await guard(request);
+  if (guardError) return guardError;
+
+  try {
+    const { token, platform } = request.validated;
+    await registerPushToken(normalizeAddress(request.user.address), token, platform || null);
+    return Response.json({ success: true });
+  } catch (error) {
+    console.error("Error registering push token:", error);
+    return Response.json({ success: false, error: "Failed to register push token" }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/user/push-tokens
+ * Stop notifying this device (e.g. on sign out)
+ */
+export async function DELETE(request) {
+  const guardError = await guard(request);
+  if (guardError) return guardError;
+
+  try {
+    await removePushToken(normalizeAddress(request.user.address), request.validated.token);
+    return Response.json({ success: true });
+  } catch (error) {
+    console.error("Error removing push token:", error);
+    return Response.json({ success: false, error: "Failed to remove push token" }, { status: 500 });
+  }
+}
@@ -1,7 +1,8 @@
 import sql from "@/app/api/utils/sql";
 import { rateLimitMiddleware } from "@/app/api/middleware/rateLimit";
-import { authMiddleware } from "@/app/api/middleware/auth";
+import { requireOwnership, checkAdminStatus } from "@/app/api/middleware/auth";
 import { auditLog, AUDIT_ACTIONS, getIPFromRequest, getRequestIDFromRequest } from "@/app/api/utils/auditLogger";
+import { getUserConfig, normalizeAddress } from "@/app/api/utils/userConfig";
 import {
   determineTier,
   checkTierUpgradeEligibility,
@@ -9,28 +10,45 @@ import {
 } from "@/utils/feeCalculator";
 
 /**
- * GET /api/user/tier
- * Get current user tier and eligibility info
+ * Resolve the wallet a tier request targets
+ * Explicit userAddress (query or body) falls back to the caller's own wallet
+ */
+async function getTargetAddress(request) {
+  const url = new URL(request.url);
+  let address = url.searchParams.get('userAddress');
+
+  if (!address && request.method !== 'GET') {
+    try {
+      const body = await request.clone().json();
+      address = body?.userAddress;
+    } catch {
+      // No JSON body - use the caller's wallet
+    }
+  }
+
+  return normalizeAddress(address || request.user.address);
+}
+
+const requireTierOwnership = requireOwnership(getTargetAddress);
+
+/**
+ * GET /api/user/tier?userAddress=0x...
+ * Get current user tier and eligibility info (defaults to the caller's wallet)
  */
 export async function GET(request) {
+  const authError = await requireTierOwnership(request);
+  if (authError) return authError;
+
   const rateLimitError = await rateLimitMiddleware(request, 'general');
   if (rateLimitError) return rateLimitError;
 
   try {
-    // Get current config
-    const config = await sql`
-      SELECT 
-        user_tier,
-        management_fee_percent,
-        performance_fee_percent,
-        total_aum,
-        tier_upgraded_at
-      FROM agent_config 
-      ORDER BY id DESC 
-      LIMIT 1
-    `;
+    const userAddress = await getTargetAddress(request);
+
+    // Get the wallet's config
+    const userConfig = await getUserConfig(userAddress, { create: false });
 
-    if (!config || config.length === 0) {
+    if (!userConfig) {
       return Response.json(
         {
           success: false,
@@ -40,7 +58,6 @@ export async function GET(request) {
       );
     }
 
-    const userConfig = config[0];
     const currentTier = userConfig.user_tier || 'community';
     const currentAUM = parseFloat(userConfig.total_aum || 0);
 
@@ -53,6 +70,7 @@ export async function GET(request) {
     // Get upgrade history
     const history = await sql`
       SELECT * FROM tier_upgrade_history
+      WHERE LOWER(user_address) = ${userAddress}
       ORDER BY upgraded_at DESC
       LIMIT 10
     `;
@@ -88,14 +106,14 @@ export async function GET(request) {
  * 
  * Body:
  * {
- *   userAddress: string,
+ *   userAddress?: string (defaults to the caller's wallet),
  *   newAUM?: number (optional - triggers auto-upgrade check),
  *   forceTier?: string (admin only - force specific tier)
  * }
  */
 export async function POST(request) {
-  // Authentication required
-  const authError = await authMiddleware(request);
+  // Authentication required - caller must own the wallet (or be admin)
+  const authError = await requireTierOwnership(request);
   if (authError) return authError;
 
   const rateLimitError = await rateLimitMiddleware(request, 'config');
@@ -103,42 +121,21 @@ export async function POST(request) {
 
   try {
     const body = await request.json();
-    const { userAddress, newAUM, forceTier } = body;
+    const { newAUM, forceTier } = body;
+    const userAddress = normalizeAddress(body.userAddress || request.user.address);
 
-    if (!userAddress) {
+    if (forceTier && !(await checkAdminStatus(request.user))) {
       return Response.json(
         {
           success: false,
-          error: "userAddress is required",
+          error: "forceTier requires admin access",
         },
-        { status: 400 }
+        { status: 403 }
       );
     }
 
-    // Get current config
-    const config = await sql`
-      SELECT 
-        id,
-        user_tier,
-        management_fee_percent,
-        performance_fee_percent,
-        total_aum
-      FROM agent_config 
-      ORDER BY id DESC 
-      LIMIT 1
-    `;
-
-    if (!config || config.length === 0) {
-      return Response.json(
-        {
-          success: false,
-          error: "Configuration not found",
-        },
-        { status: 404 }
-      );
-    }
-
-    const userConfig = config[0];
+    // Get the wallet's config
+    const userConfig = await getUserConfig(userAddress);
     const currentTier = userConfig.user_tier || 'community';
     let currentAUM = parseFloat(userConfig.total_aum || 0);
 
@@ -280,12 +277,12 @@ export async function POST(request) {
  * 
  * Body:
  * {
- *   userAddress: string,
+ *   userAddress?: string (defaults to the caller's wallet),
  *   aum: number
  * }
  */
 export async function PUT(request) {
-  const authError = await authMiddleware(request);
+  const authError = await requireTierOwnership(request);
   if (authError) return authError;
 
   const rateLimitError = await rateLimitMiddleware(request, 'general');
@@ -293,40 +290,21 @@ export async function PUT(request) {
 
   try {
     const body = await request.json();
-    const { userAddress, aum } = body;
+    const { aum } = body;
+    const userAddress = normalizeAddress(body.userAddress || request.user.address);
 
-    if (!userAddress || aum === undefined) {
+    if (aum === undefined) {
       return Response.json(
         {
           success: false,
-          error: "userAddress and aum are required",
+          error: "aum is required",
         },
         { status: 400 }
       );
     }
 
-    // Get current config
-    const config = await sql`
-      SELECT 
-        id,
-        user_tier,
-        total_aum
-      FROM agent_config 
-      ORDER BY id DESC 
-      LIMIT 1
-    `;
-
-    if (!config || config.length === 0) {
-      return Response.json(
-        {
-          success: false,
-          error: "Configuration not found",
-        },
-        { status: 404 }
-      );
-    }
-
-    const userConfig = config[0];
+    // Get the wallet's config
+    const userConfig = await getUserConfig(userAddress);
     const currentTier = userConfig.user_tier || 'community';
     const newAUM = parseFloat(aum);
 
@@ -0,0 +1,109 @@
+/**
+ * APY History Statistics
+ * Volatility, downside deviation and pairwise correlation estimated from
+ * daily APY history (opportunity_metrics, or a backtest's replayed series).
+ * For a variable-rate position the uncertain part of next year's return is
+ * the rate itself, so the dispersion of observed APY stands in for return
+ * volatility. Pure functions; PortfolioOptimizer consumes them.
+ */
+
+// Fewest daily points before history replaces the risk-score estimate
+export const MIN_HISTORY_POINTS = 7;
+
+// Fewest overlapping daily APY changes before a correlation is trusted
+export const MIN_CORRELATION_OVERLAP = 10;
+
+/**
+ * One APY per UTC day (the last observation of each day), oldest first
+ * @param {Array<{ bucket: string|Date, apy: number }>} points - APY in percent
+ * @returns {Array<{ day: string, apy: number }>} - APY as a decimal
+ */
+export function dailyApySeries(points = []) {
+  const byDay = new Map();
+  const sorted = [...points].sort((a, b) => new Date(a.bucket) - new Date(b.bucket));
+  for (const point of sorted) {
+    const apy = Number(point.apy);
+    if (!Number.isFinite(apy)) continue;
+    byDay.set(new Date(point.bucket).toISOString().slice(0, 10), apy / 100);
+  }
+  return [...byDay].map(([day, apy]) => ({ day, apy }));
+}
+
+/**
+ * Mean, volatility and downside deviation of an APY history
+ * Downside deviation only counts days the APY sat below the minimum
+ * acceptable return (the risk-free rate for the Sortino ratio).
+ * @param {Array<object>} points - History points ({ bucket, apy } in percent)
+ * @param {object} options - { minAcceptableReturn (decimal, default 0), minPoints }
+ * @returns {object|null} - { mean, volatility, downsideDeviation, observations } as decimals;
+ *   null with fewer than minPoints days
+ */
+export function apyStats(points, { minAcceptableReturn = 0, minPoints = MIN_HISTORY_POINTS } = {}) {
+  const series = dailyApySeries(points);
+  if (series.length < minPoints) return null;
+
+  const values = series.map((p) => p.apy);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  const downside = values.reduce((sum, v) => sum + Math.min(0, v - minAcceptableReturn) ** 2, 0) / values.length;
+
+  return {
+    mean,
+    volatility: Math.sqrt(variance),
+    downsideDeviation: Math.sqrt(downside),
+    observations: values.length,
+  };
+}
+
+/**
+ * Pearson correlation of two equal-length samples
+ * @returns {number|null} - null when either sample is constant
+ */
+export function pearson(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+}
+
+/**
+ * Correlation of two APY histories
+ * Uses day-over-day APY changes on the days both markets were observed, so
+ * two rates that merely trend the same way are not counted as correlated.
+ * @param {Array<object>} a - History points
+ * @param {Array<object>} b - History points
+ * @param {object} options - { minOverlap }
+ * @returns {number|null} - null without enough overlap
+ */
+export function apyCorrelation(a, b, { minOverlap = MIN_CORRELATION_OVERLAP } = {}) {
+  const seriesA = new Map(dailyApySeries(a).map((p) => [p.day, p.apy]));
+  const days = dailyApySeries(b).filter((p) => seriesA.has(p.day));
+
+  const xs = [];
+  const ys = [];
+  for (let i = 1; i < days.length; i++) {
+    xs.push(seriesA.get(days[i].day) - seriesA.get(days[i - 1].day));
+    ys.push(days[i].apy - days[i - 1].apy);
+  }
+  if (xs.length < minOverlap) return null;
+  return pearson(xs, ys);
+}
+
+/**
+ * Covariance matrix from volatilities and a correlation matrix
+ * @param {Array<number>} volatilities
+ * @param {Array<Array<number>>} correlation
+ * @returns {Array<Array<number>>}
+ */
+export function covarianceMatrix(volatilities, correlation) {
+  return volatilities.map((si, i) => volatilities.map((sj, j) => correlation[i][j] * si * sj));
+}
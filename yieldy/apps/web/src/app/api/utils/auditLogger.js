@@ -277,6 +277,9 @@ export const AUDIT_ACTIONS = {
   SCAN_EXECUTED: 'scan_executed',
   REBALANCE_EXECUTED: 'rebalance_executed',
   STRATEGY_EXECUTED: 'strategy_executed',
+  STRATEGY_APPROVED: 'strategy_approved',
+  STRATEGY_REJECTED: 'strategy_rejected',
+  STRATEGY_SIGNED: 'strategy_signed',
 
   // Security actions
   AUTH_SUCCESS: 'auth_success',
@@ -0,0 +1,537 @@
+import { PortfolioOptimizer } from './portfolioOptimizer.js';
+import {
+  calculateMonthlyManagementFee,
+  calculatePerformanceFee,
+  determineTier,
+} from '../../../utils/feeCalculator.js';
+
+/**
+ * Allocation Backtester
+ * Replays an APY/TVL history through an allocation strategy, charging gas on
+ * every entry and exit, the tier's monthly management fee and the
+ * performance fee on realized profit. Reports the equity curve, drawdowns
+ * and turnover. Strategies only see the APY history up to the current step.
+ * Pure: the CLI (scripts/backtest.js) and POST /api/backtest load the
+ * history and gas inputs (the endpoint caps a run with backtestWork).
+ *
+ * One asset market is replayed at a time, so no price conversion is needed.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const YEAR_MS = 365 * 24 * HOUR_MS;
+
+// Trailing APY history the optimizer sees at each step (no lookahead)
+const HISTORY_WINDOW_MS = 90 * 24 * HOUR_MS;
+
+// Modeling default per transaction when no gas price data is supplied (USD)
+export const DEFAULT_GAS_COST_USD = { ethereum: 5, default: 0.05 };
+
+export const DEFAULT_BACKTEST_OPTIONS = {
+  strategy: 'scan-rule',
+  asset: 'USDC',
+  initialCapital: 10000,
+  stepHours: 24,
+  maxRiskScore: 10,
+  minApy: 0,
+  maxInvestmentPerOpportunity: null,
+  // scan-rule: absolute APY points a better market must pay to move
+  improvementThreshold: 1.0,
+  // optimizer / risk-parity: drift from target that triggers a rebalance
+  driftThresholdPercent: 5,
+  tier: null, // fee tier; derived from initial capital when omitted
+  gasCostUsd: DEFAULT_GAS_COST_USD,
+};
+
+const REQUIRED_COLUMNS = ['timestamp', 'protocol_name', 'blockchain', 'apy'];
+
+/**
+ * Split one CSV line, honoring double-quoted fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Key identifying one market across observations
+ * @param {object} obs
+ * @returns {string}
+ */
+export function marketKey(obs) {
+  return obs.id !== undefined && obs.id !== null && obs.id !== ''
+    ? String(obs.id)
+    : `${obs.protocol_name}:${obs.blockchain}:${String(obs.token_symbol || 'USDC').toUpperCase()}`;
+}
+
+/**
+ * Normalize an observation row (CSV or JSON)
+ * @param {object} row
+ * @returns {object} - { key, time, protocol_name, blockchain, token_symbol, apy, tvl, risk_score, is_active }
+ */
+export function normalizeObservation(row) {
+  const time = new Date(row.timestamp).getTime();
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid timestamp: ${row.timestamp}`);
+  }
+  const apy = Number(row.apy);
+  if (!Number.isFinite(apy)) {
+    throw new Error(`Invalid apy for ${row.protocol_name} at ${row.timestamp}`);
+  }
+
+  const obs = {
+    protocol_name: row.protocol_name,
+    blockchain: row.blockchain,
+    token_symbol: String(row.token_symbol || 'USDC').toUpperCase(),
+    apy,
+    tvl: row.tvl === undefined || row.tvl === '' ? null : Number(row.tvl),
+    risk_score: row.risk_score === undefined || row.risk_score === '' ? 5 : Number(row.risk_score),
+    protocol_type: row.protocol_type || 'lending',
+    is_active: !(row.is_active === false || row.is_active === 'false' || row.is_active === '0'),
+    time,
+  };
+  return { ...obs, key: marketKey({ ...obs, id: row.id }) };
+}
+
+/**
+ * Parse an APY/TVL history CSV
+ * Header must include timestamp, protocol_name, blockchain and apy; token_symbol,
+ * tvl, risk_score, protocol_type, is_active and id are optional.
+ * @param {string} text
+ * @returns {Array<object>} - Normalized observations
+ */
+export function parseHistoryCsv(text) {
+  const lines = String(text).split(/\r?\n/).filter((line) => line.trim() && !line.startsWith('#'));
+  if (lines.length < 2) {
+    throw new Error('CSV needs a header and at least one row');
+  }
+
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter((col) => !header.includes(col));
+  if (missing.length > 0) {
+    throw new Error(`CSV is missing columns: ${missing.join(', ')}`);
+  }
+
+  return lines.slice(1).map((line, i) => {
+    const values = splitCsvLine(line);
+    const row = Object.fromEntries(header.map((col, j) => [col, values[j]]));
+    try {
+      return normalizeObservation(row);
+    } catch (error) {
+      throw new Error(`CSV line ${i + 2}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Market state at fixed steps, forward-filling each market's last observation
+ * @param {Array<object>} observations - Normalized observations
+ * @param {object} options - { stepHours, asset }
+ * @returns {Array<{ time: number, markets: Map<string, object> }>}
+ */
+export function buildTimeline(observations, { stepHours = 24, asset } = {}) {
+  const rows = observations
+    .filter((obs) => !asset || obs.token_symbol === asset.toUpperCase())
+    .sort((a, b) => a.time - b.time);
+  if (rows.length === 0) return [];
+
+  const stepMs = stepHours * HOUR_MS;
+  const end = rows[rows.length - 1].time;
+  const timeline = [];
+  const latest = new Map();
+  let next = 0;
+
+  for (let time = rows[0].time; time <= end; time += stepMs) {
+    while (next < rows.length && rows[next].time <= time) {
+      latest.set(rows[next].key, rows[next]);
+      next++;
+    }
+    timeline.push({ time, markets: new Map(latest) });
+  }
+
+  return timeline;
+}
+
+/**
+ * Size of a replay, without building its timeline
+ * Every step forward-fills and re-sizes each market, so steps × markets
+ * bounds the work runBacktest does.
+ * @param {Array<object>} observations - Normalized observations
+ * @param {object} options - { stepHours, asset }
+ * @returns {object} - { steps, markets, marketSteps }
+ */
+export function backtestWork(observations, { stepHours = 24, asset } = {}) {
+  let start = Infinity;
+  let end = -Infinity;
+  const markets = new Set();
+  for (const obs of observations) {
+    if (asset && obs.token_symbol !== asset.toUpperCase()) continue;
+    start = Math.min(start, obs.time);
+    end = Math.max(end, obs.time);
+    markets.add(obs.key);
+  }
+  if (markets.size === 0) return { steps: 0, markets: 0, marketSteps: 0 };
+
+  const steps = Math.floor((end - start) / (stepHours * HOUR_MS)) + 1;
+  return { steps, markets: markets.size, marketSteps: steps * markets.size };
+}
+
+function eligibleMarkets(markets, options) {
+  return [...markets.values()]
+    .filter((m) => m.is_active && m.risk_score <= options.maxRiskScore && m.apy >= options.minApy)
+    .map((m) => ({ ...m, id: m.key }));
+}
+
+function sumValues(map) {
+  let total = 0;
+  for (const value of map.values()) total += value;
+  return total;
+}
+
+/**
+ * Allocation strategies
+ * Each returns target amounts per market key, or null to keep positions as they are.
+ * (state: { positions: Map<key, amount>, cash, equity }, markets, options, optimizer)
+ */
+export const STRATEGIES = {
+  /**
+   * The scan route's rule: exit a position when its market is inactive, falls
+   * under the minimum APY, or trails the best market by improvementThreshold;
+   * idle capital is sized by PortfolioOptimizer.optimizeAllocation
+   */
+  'scan-rule'(state, markets, options, optimizer) {
+    const eligible = eligibleMarkets(markets, options);
+    const best = eligible.reduce((top, m) => (!top || m.apy > top.apy ? m : top), null);
+
+    const targets = new Map(state.positions);
+    let idle = state.cash;
+    for (const [key, amount] of state.positions) {
+      const market = markets.get(key);
+      const exit = !market
+        || !market.is_active
+        || market.apy < options.minApy
+        || (best && best.apy - market.apy >= options.improvementThreshold);
+      if (exit) {
+        targets.set(key, 0);
+        idle += amount;
+      }
+    }
+
+    if (idle >= optimizer.minPositionSize && eligible.length > 0) {
+      const plan = optimizer.optimizeAllocation(eligible, {
+        maxTotalInvestment: idle,
+        maxRiskScore: options.maxRiskScore,
+        maxInvestmentPerOpportunity: options.maxInvestmentPerOpportunity,
+      });
+      for (const alloc of plan.allocations) {
+        targets.set(alloc.opportunity.key, (targets.get(alloc.opportunity.key) || 0) + alloc.amount);
+      }
+    }
+
+    return targets;
+  },
+
+  /**
+   * Re-run optimizeAllocation on total equity; move only when needsRebalancing
+   * reports drift beyond driftThresholdPercent or a held market drops out
+   */
+  optimizer(state, markets, options, optimizer) {
+    const eligible = eligibleMarkets(markets, options);
+    const plan = optimizer.optimizeAllocation(eligible, {
+      maxTotalInvestment: state.equity,
+      maxRiskScore: options.maxRiskScore,
+      maxInvestmentPerOpportunity: options.maxInvestmentPerOpportunity,
+    });
+    return rebalanceTo(state, plan.allocations, options, optimizer);
+  },
+
+  /**
+   * calculateRiskParity across eligible markets, with the same drift trigger
+   */
+  'risk-parity'(state, markets, options, optimizer) {
+    const eligible = eligibleMarkets(markets, options).map((m) => ({ ...m, risk: m.risk_score }));
+    if (eligible.length < 2) {
+      return STRATEGIES.optimizer(state, markets, options, optimizer);
+    }
+    const allocations = optimizer.calculateRiskParity(eligible, state.equity);
+    return rebalanceTo(state, allocations, options, optimizer);
+  },
+};
+
+function rebalanceTo(state, allocations, options, optimizer) {
+  const targetKeys = new Set(allocations.map((alloc) => alloc.opportunity.key));
+  const current = [...state.positions].map(([key, amount]) => ({ opportunity_id: key, amount }));
+  const strayPosition = current.some((p) => p.amount > 0 && !targetKeys.has(p.opportunity_id));
+  const { needsRebalance } = allocations.length > 0
+    ? optimizer.needsRebalancing(current, allocations, options.driftThresholdPercent)
+    : { needsRebalance: false };
+
+  if (!needsRebalance && !strayPosition) return null;
+
+  const targets = new Map([...state.positions.keys()].map((key) => [key, 0]));
+  for (const alloc of allocations) {
+    targets.set(alloc.opportunity.key, alloc.amount);
+  }
+  return targets;
+}
+
+/**
+ * Gas cost of one transaction on a chain (USD)
+ * @param {object|number} gasCostUsd - Flat cost, or { [chain]: cost, default }
+ * @param {string} chain
+ * @returns {number}
+ */
+export function gasCostFor(gasCostUsd, chain) {
+  if (typeof gasCostUsd === 'number') return gasCostUsd;
+  return Number(gasCostUsd?.[chain] ?? gasCostUsd?.default ?? DEFAULT_GAS_COST_USD.default);
+}
+
+/**
+ * Drawdown series and summary from an equity curve
+ * @param {Array<{ time: number, equity: number }>} curve
+ * @returns {{ series: Array<object>, maxDrawdownPct: number, maxDrawdownAt: string|null, longestDrawdownDays: number }}
+ */
+export function computeDrawdowns(curve) {
+  let peak = -Infinity;
+  let peakTime = null;
+  let maxDrawdownPct = 0;
+  let maxDrawdownAt = null;
+  let longestMs = 0;
+
+  const series = curve.map((point) => {
+    if (point.equity >= peak) {
+      peak = point.equity;
+      peakTime = point.time;
+    }
+    const drawdownPct = peak > 0 ? ((peak - point.equity) / peak) * 100 : 0;
+    if (drawdownPct > maxDrawdownPct) {
+      maxDrawdownPct = drawdownPct;
+      maxDrawdownAt = new Date(point.time).toISOString();
+    }
+    if (drawdownPct > 0) {
+      longestMs = Math.max(longestMs, point.time - peakTime);
+    }
+    return { time: new Date(point.time).toISOString(), drawdownPct: Number(drawdownPct.toFixed(4)) };
+  });
+
+  return {
+    series,
+    maxDrawdownPct: Number(maxDrawdownPct.toFixed(4)),
+    maxDrawdownAt,
+    longestDrawdownDays: Number((longestMs / (24 * HOUR_MS)).toFixed(2)),
+  };
+}
+
+/**
+ * Replay a history through a strategy
+ * @param {Array<object>} observations - Normalized observations (parseHistoryCsv / normalizeObservation)
+ * @param {object} overrides - See DEFAULT_BACKTEST_OPTIONS
+ * @returns {object} - { options, summary, costs, equityCurve, drawdowns, trades }
+ */
+export function runBacktest(observations, overrides = {}) {
+  const options = { ...DEFAULT_BACKTEST_OPTIONS, ...overrides };
+  const strategy = STRATEGIES[options.strategy];
+  if (!strategy) {
+    throw new Error(`Unknown strategy: ${options.strategy} (use ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+
+  const timeline = buildTimeline(observations, options);
+  if (timeline.length < 2) {
+    throw new Error(`Not enough ${options.asset} history to backtest (need two or more steps)`);
+  }
+
+  const tier = options.tier || determineTier(options.initialCapital);
+  const optimizer = new PortfolioOptimizer();
+
+  const positions = new Map(); // key -> current value
+  const costBasis = new Map(); // key -> principal still in the position
+  let cash = options.initialCapital;
+  const costs = { gas: 0, managementFees: 0, performanceFees: 0 };
+  const trades = [];
+  let traded = 0;
+  let rebalances = 0;
+  const equityCurve = [];
+  const apyHistory = new Map(); // key -> [{ bucket, apy }] seen so far
+
+  const equityNow = () => cash + sumValues(positions);
+
+  const sell = (key, amount, time, market) => {
+    const held = positions.get(key) || 0;
+    const sold = Math.min(amount, held);
+    const basis = (costBasis.get(key) || 0) * (held > 0 ? sold / held : 0);
+    const performanceFee = calculatePerformanceFee(sold - basis, tier);
+    const gas = gasCostFor(options.gasCostUsd, market?.blockchain);
+
+    positions.set(key, held - sold);
+    costBasis.set(key, (costBasis.get(key) || 0) - basis);
+    if (positions.get(key) <= 1e-9) {
+      positions.delete(key);
+      costBasis.delete(key);
+    }
+
+    cash += sold - performanceFee - gas;
+    costs.performanceFees += performanceFee;
+    costs.gas += gas;
+    traded += sold;
+    trades.push({ time: new Date(time).toISOString(), market: key, side: 'sell', amount: sold, gas, performanceFee });
+  };
+
+  const buy = (key, amount, time, market) => {
+    const gas = gasCostFor(options.gasCostUsd, market.blockchain);
+    const spend = Math.min(amount, cash - gas);
+    if (spend < optimizer.minPositionSize) return;
+
+    positions.set(key, (positions.get(key) || 0) + spend);
+    costBasis.set(key, (costBasis.get(key) || 0) + spend);
+    cash -= spend + gas;
+    costs.gas += gas;
+    traded += spend;
+    trades.push({ time: new Date(time).toISOString(), market: key, side: 'buy', amount: spend, gas });
+  };
+
+  let previous = null;
+  for (const step of timeline) {
+    if (previous) {
+      // Accrue at the APY observed at the start of the step
+      const years = (step.time - previous.time) / YEAR_MS;
+      for (const [key, value] of positions) {
+        const apy = previous.markets.get(key)?.apy ?? 0;
+        positions.set(key, value * (1 + apy / 100) ** years);
+      }
+
+      // Management fee at each month boundary, from cash first
+      const prevMonth = new Date(previous.time).getUTCMonth();
+      if (new Date(step.time).getUTCMonth() !== prevMonth) {
+        let fee = calculateMonthlyManagementFee(equityNow(), tier);
+        costs.managementFees += fee;
+        const fromCash = Math.min(cash, fee);
+        cash -= fromCash;
+        fee -= fromCash;
+        const invested = sumValues(positions);
+        if (fee > 0 && invested > 0) {
+          for (const [key, value] of positions) {
+            const share = value / invested;
+            positions.set(key, value - fee * share);
+            costBasis.set(key, (costBasis.get(key) || 0) * (1 - (fee * share) / value));
+          }
+        }
+      }
+    }
+
+    for (const [key, market] of step.markets) {
+      if (!apyHistory.has(key)) apyHistory.set(key, []);
+      const history = apyHistory.get(key);
+      history.push({ bucket: new Date(step.time).toISOString(), apy: market.apy });
+      while (step.time - Date.parse(history[0].bucket) > HISTORY_WINDOW_MS) history.shift();
+    }
+    const markets = new Map(
+      [...step.markets].map(([key, market]) => [key, { ...market, apy_history: [...apyHistory.get(key)] }])
+    );
+
+    const state = { positions: new Map(positions), cash, equity: equityNow() };
+    const targets = strategy(state, markets, options, optimizer);
+
+    if (targets) {
+      let moved = false;
+      // Sells first so their proceeds fund the buys
+      for (const [key, target] of targets) {
+        const held = positions.get(key) || 0;
+        if (held - target >= optimizer.minPositionSize || (target === 0 && held > 0)) {
+          sell(key, held - target, step.time, step.markets.get(key));
+          moved = true;
+        }
+      }
+      for (const [key, target] of targets) {
+        const held = positions.get(key) || 0;
+        const market = step.markets.get(key);
+        if (market && target - held >= optimizer.minPositionSize) {
+          const before = trades.length;
+          buy(key, target - held, step.time, market);
+          moved = moved || trades.length > before;
+        }
+      }
+      if (moved) rebalances++;
+    }
+
+    equityCurve.push({
+      time: step.time,
+      equity: equityNow(),
+      cash,
+      invested: sumValues(positions),
+    });
+    previous = step;
+  }
+
+  const first = equityCurve[0];
+  const last = equityCurve[equityCurve.length - 1];
+  const years = (last.time - first.time) / YEAR_MS;
+  const totalReturn = last.equity / options.initialCapital - 1;
+  const averageEquity = equityCurve.reduce((sum, p) => sum + p.equity, 0) / equityCurve.length;
+
+  // Volatility of step returns, annualized
+  const stepReturns = equityCurve.slice(1).map((p, i) => p.equity / equityCurve[i].equity - 1);
+  const meanStep = stepReturns.reduce((a, b) => a + b, 0) / (stepReturns.length || 1);
+  const variance = stepReturns.reduce((sum, r) => sum + (r - meanStep) ** 2, 0) / (stepReturns.length || 1);
+  const stepsPerYear = YEAR_MS / (options.stepHours * HOUR_MS);
+  const volatility = Math.sqrt(variance * stepsPerYear);
+  const annualizedReturn = years > 0 ? (1 + totalReturn) ** (1 / years) - 1 : 0;
+
+  const drawdowns = computeDrawdowns(equityCurve);
+
+  return {
+    options: { ...options, tier },
+    summary: {
+      start: new Date(first.time).toISOString(),
+      end: new Date(last.time).toISOString(),
+      steps: equityCurve.length,
+      markets: new Set(observations.filter((o) => o.token_symbol === options.asset.toUpperCase()).map((o) => o.key)).size,
+      initialCapital: options.initialCapital,
+      finalEquity: Number(last.equity.toFixed(2)),
+      totalReturnPct: Number((totalReturn * 100).toFixed(4)),
+      annualizedReturnPct: Number((annualizedReturn * 100).toFixed(4)),
+      volatilityPct: Number((volatility * 100).toFixed(4)),
+      sharpeRatio: Number(optimizer.calculateSharpeRatio(annualizedReturn, volatility).toFixed(4)),
+      maxDrawdownPct: drawdowns.maxDrawdownPct,
+      trades: trades.length,
+      rebalances,
+      turnover: Number((traded / averageEquity).toFixed(4)),
+      annualizedTurnover: years > 0 ? Number((traded / averageEquity / years).toFixed(4)) : null,
+    },
+    costs: {
+      gas: Number(costs.gas.toFixed(2)),
+      managementFees: Number(costs.managementFees.toFixed(2)),
+      performanceFees: Number(costs.performanceFees.toFixed(2)),
+      total: Number((costs.gas + costs.managementFees + costs.performanceFees).toFixed(2)),
+    },
+    equityCurve: equityCurve.map((p) => ({
+      time: new Date(p.time).toISOString(),
+      equity: Number(p.equity.toFixed(2)),
+      cash: Number(p.cash.toFixed(2)),
+      invested: Number(p.invested.toFixed(2)),
+    })),
+    drawdowns,
+    trades,
+  };
+}
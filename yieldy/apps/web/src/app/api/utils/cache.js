@@ -142,10 +142,11 @@ class CacheManager {
     log.info('Warming cache...');
 
     try {
-      // Cache active opportunities for both chains
+      // Cache active opportunities for every configured chain
       const { fetchAllProtocolData } = await import('../protocols/adapters');
+      const { resolveChains } = await import('../protocols/chains');
       
-      for (const chain of ['ethereum', 'base']) {
+      for (const chain of resolveChains('all')) {
         const data = await fetchAllProtocolData(chain);
         await this.set(`protocol_data:${chain}`, data, this.TTL.protocolData);
       }
@@ -186,8 +187,9 @@ export const cache = new CacheManager();
 // Cache key builders (consistent naming)
 export const cacheKeys = {
   opportunities: (blockchain) => `opportunities:${blockchain}`,
+  opportunityHistory: (id, days, bucket) => `opportunity-history:${id}:${days}d:${bucket}`,
   risk: (opportunityId) => `risk:${opportunityId}`,
-  performance: (days) => `performance:${days}d`,
+  performance: (days, address) => `performance:${address}:${days}d`,
   protocolData: (protocol, chain) => `protocol:${protocol}:${chain}`,
   userPosition: (address, protocol) => `position:${address}:${protocol}`,
   config: () => 'config:agent',
@@ -95,10 +95,13 @@ export class CircuitBreaker {
    */
   async isTripped() {
     try {
+      // The pause is global: trip() flags every wallet's config row, but rows
+      // created afterwards start unpaused, so look for any paused row
       const result = await sql`
         SELECT emergency_pause, pause_reason, paused_at
         FROM agent_config
-        ORDER BY id DESC
+        WHERE emergency_pause = true
+        ORDER BY paused_at DESC NULLS LAST
         LIMIT 1
       `;
 
@@ -0,0 +1,227 @@
+import { ethers } from 'ethers';
+
+/**
+ * Gas Congestion Forecasting
+ * Turns stored base fee / priority fee samples into an hour-of-week profile
+ * and picks the cheapest upcoming execution window. Pure functions; the
+ * sampler and database access live in gasHistory.js.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Samples a weekday-hour bucket needs before it is trusted over the plain hour-of-day profile
+const MIN_BUCKET_SAMPLES = 3;
+
+// History required before forecasts are used to delay transactions
+export const MIN_HISTORY_SAMPLES = 24;
+
+// Priority fee percentiles requested from eth_feeHistory
+export const FEE_PERCENTILES = [25, 50, 75];
+
+function toGwei(wei) {
+  return Number(ethers.formatUnits(BigInt(wei ?? 0), 'gwei'));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Per-block samples from an eth_feeHistory response
+ * Block timestamps are extrapolated back from the newest block.
+ * @param {object} feeHistory - { oldestBlock, baseFeePerGas, gasUsedRatio, reward }
+ * @param {object} newest - { timestamp (seconds), blockTimeSeconds }
+ * @returns {Array<object>} - [{ blockNumber, timestamp, baseFeeGwei, priorityFeeGwei: { p25, p50, p75 }, gasUsedRatio }]
+ */
+export function parseFeeHistory(feeHistory, { timestamp, blockTimeSeconds }) {
+  const oldest = Number(feeHistory.oldestBlock);
+  // baseFeePerGas has one extra entry: the next block's base fee
+  const count = feeHistory.gasUsedRatio.length;
+  const newestBlock = oldest + count - 1;
+
+  return feeHistory.gasUsedRatio.map((ratio, i) => {
+    const blockNumber = oldest + i;
+    const rewards = feeHistory.reward?.[i] || [];
+    return {
+      blockNumber,
+      timestamp: new Date((timestamp - (newestBlock - blockNumber) * blockTimeSeconds) * 1000),
+      baseFeeGwei: toGwei(feeHistory.baseFeePerGas[i]),
+      priorityFeeGwei: Object.fromEntries(
+        FEE_PERCENTILES.map((p, j) => [`p${p}`, rewards[j] !== undefined ? toGwei(rewards[j]) : null])
+      ),
+      gasUsedRatio: Number(ratio),
+    };
+  });
+}
+
+function bucketStats(samples) {
+  return {
+    baseFeeGwei: median(samples.map((s) => s.baseFeeGwei)),
+    priorityFeeGwei: median(samples.map((s) => s.priorityFeeGwei?.p50).filter((v) => v !== null && v !== undefined)) ?? 0,
+    samples: samples.length,
+  };
+}
+
+/**
+ * Median fees per weekday-hour and per hour of day (UTC)
+ * @param {Array<object>} samples - Rows from parseFeeHistory / gas_samples
+ * @returns {{ weekly: Map, daily: Map, overall: object }}
+ */
+export function buildFeeProfile(samples) {
+  const weekly = new Map();
+  const daily = new Map();
+
+  for (const sample of samples) {
+    const at = new Date(sample.timestamp);
+    const hour = at.getUTCHours();
+    const weekKey = at.getUTCDay() * 24 + hour;
+    if (!weekly.has(weekKey)) weekly.set(weekKey, []);
+    if (!daily.has(hour)) daily.set(hour, []);
+    weekly.get(weekKey).push(sample);
+    daily.get(hour).push(sample);
+  }
+
+  const summarize = (buckets) => new Map([...buckets].map(([key, rows]) => [key, bucketStats(rows)]));
+  return {
+    weekly: summarize(weekly),
+    daily: summarize(daily),
+    overall: bucketStats(samples),
+  };
+}
+
+/**
+ * Expected fees for the hour starting at `at`
+ * Prefers the weekday-hour bucket, then the hour-of-day bucket, then the overall median.
+ * @param {object} profile - buildFeeProfile result
+ * @param {Date} at
+ * @returns {object} - { baseFeeGwei, priorityFeeGwei, samples, source }
+ */
+export function expectedFeesAt(profile, at) {
+  const hour = at.getUTCHours();
+  const weekly = profile.weekly.get(at.getUTCDay() * 24 + hour);
+  if (weekly && weekly.samples >= MIN_BUCKET_SAMPLES) {
+    return { ...weekly, source: 'day-of-week' };
+  }
+  const daily = profile.daily.get(hour);
+  if (daily) {
+    return { ...daily, source: 'hour-of-day' };
+  }
+  return { ...profile.overall, source: 'overall' };
+}
+
+/**
+ * Congestion level of the current base fee against history
+ * Without history, falls back to fixed mainnet thresholds.
+ * @param {number} baseFeeGwei
+ * @param {Array<object>} samples
+ * @returns {{ level: string, percentile: number|null }}
+ */
+export function classifyCongestion(baseFeeGwei, samples) {
+  if (samples.length < MIN_HISTORY_SAMPLES) {
+    const level = baseFeeGwei < 20 ? 'low' : baseFeeGwei < 50 ? 'medium' : 'high';
+    return { level, percentile: null };
+  }
+
+  const below = samples.filter((s) => s.baseFeeGwei <= baseFeeGwei).length;
+  const percentile = Math.round((below / samples.length) * 100);
+  const level = percentile <= 33 ? 'low' : percentile <= 66 ? 'medium' : 'high';
+  return { level, percentile };
+}
+
+/**
+ * Hourly fee forecast with a recommended execution window
+ * @param {Array<object>} samples - Historical samples
+ * @param {object} current - { baseFeeGwei, priorityFeeGwei }
+ * @param {object} options - { now, horizonHours }
+ * @returns {object} - { current, congestion, hourly, recommendedWindow, recommendation, sampleCount }
+ */
+export function buildCongestionForecast(samples, current, options = {}) {
+  const { now = new Date(), horizonHours = 24 } = options;
+  const congestion = classifyCongestion(current.baseFeeGwei, samples);
+  const currentTotal = current.baseFeeGwei + (current.priorityFeeGwei || 0);
+
+  if (samples.length < MIN_HISTORY_SAMPLES) {
+    return {
+      current,
+      congestion,
+      hourly: [],
+      recommendedWindow: null,
+      recommendation: congestion.level === 'high' ? 'Consider waiting for lower gas' : 'Good time to transact',
+      sampleCount: samples.length,
+    };
+  }
+
+  const profile = buildFeeProfile(samples);
+  const hourStart = Math.floor(now.getTime() / HOUR_MS) * HOUR_MS;
+
+  const hourly = Array.from({ length: horizonHours }, (_, i) => {
+    const start = new Date(hourStart + i * HOUR_MS);
+    const expected = expectedFeesAt(profile, start);
+    return {
+      start: start.toISOString(),
+      waitHours: i,
+      expectedBaseFeeGwei: Number(expected.baseFeeGwei.toFixed(4)),
+      expectedPriorityFeeGwei: Number(expected.priorityFeeGwei.toFixed(4)),
+      samples: expected.samples,
+      source: expected.source,
+    };
+  });
+
+  // The current hour is judged by what we can pay right now, not its history
+  const costOf = (slot) => (slot.waitHours === 0
+    ? currentTotal
+    : slot.expectedBaseFeeGwei + slot.expectedPriorityFeeGwei);
+  const cheapest = hourly.reduce((best, slot) => (costOf(slot) < costOf(best) ? slot : best));
+
+  const savingsPct = currentTotal > 0 ? (currentTotal - costOf(cheapest)) / currentTotal : 0;
+  const recommendedWindow = {
+    start: cheapest.waitHours === 0 ? now.toISOString() : cheapest.start,
+    end: new Date(Date.parse(cheapest.start) + HOUR_MS).toISOString(),
+    waitHours: cheapest.waitHours,
+    expectedBaseFeeGwei: cheapest.waitHours === 0 ? current.baseFeeGwei : cheapest.expectedBaseFeeGwei,
+    savingsPct: Number((Math.max(0, savingsPct) * 100).toFixed(1)),
+  };
+
+  return {
+    current,
+    congestion,
+    hourly,
+    recommendedWindow,
+    recommendation: cheapest.waitHours === 0
+      ? 'Good time to transact'
+      : `Gas expected ~${recommendedWindow.savingsPct}% cheaper in ${cheapest.waitHours}h`,
+    sampleCount: samples.length,
+  };
+}
+
+/**
+ * Whether a non-urgent transaction should wait for cheaper gas
+ * @param {object} forecast - buildCongestionForecast result
+ * @param {object} options - { maxDelayHours, minSavingsPct }
+ * @returns {{ defer: boolean, until: string|null, reason: string }}
+ */
+export function planGasDeferral(forecast, { maxDelayHours = 12, minSavingsPct = 20 } = {}) {
+  const window = forecast.recommendedWindow;
+
+  if (!window) {
+    return { defer: false, until: null, reason: `Insufficient gas history (${forecast.sampleCount} samples)` };
+  }
+  if (window.waitHours === 0) {
+    return { defer: false, until: null, reason: 'Gas is at its forecast low' };
+  }
+  if (window.waitHours > maxDelayHours) {
+    return { defer: false, until: null, reason: `Cheapest window is ${window.waitHours}h away (max ${maxDelayHours}h)` };
+  }
+  if (window.savingsPct < minSavingsPct) {
+    return { defer: false, until: null, reason: `Waiting saves only ${window.savingsPct}%` };
+  }
+
+  return {
+    defer: true,
+    until: window.start,
+    reason: `Gas expected ${window.savingsPct}% cheaper in ${window.waitHours}h`,
+  };
+}
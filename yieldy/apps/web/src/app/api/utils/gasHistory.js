@@ -0,0 +1,200 @@
+import { ethers } from 'ethers';
+import sql from './sql';
+import { log } from './logger';
+import { SUPPORTED_CHAINS, getChain, getRpcUrl } from '../protocols/chains.js';
+import { getProvider, sendWithFailover } from '../protocols/rpcPool.js';
+import {
+  FEE_PERCENTILES,
+  parseFeeHistory,
+  buildCongestionForecast,
+  planGasDeferral,
+} from './gasForecast.js';
+
+/**
+ * Gas Price History
+ * Samples base fee and priority fee percentiles per block into gas_samples
+ * (on each scheduler tick and predict_congestion call) and serves the
+ * congestion forecast built from them.
+ */
+
+const SAMPLE_BLOCKS = parseInt(process.env.GAS_SAMPLE_BLOCKS) || 20;
+const HISTORY_DAYS = parseInt(process.env.GAS_HISTORY_DAYS) || 28;
+const RETENTION_DAYS = 90;
+
+/**
+ * Ensure gas_samples exists, plus the column tracking deferred rebalances
+ */
+export async function ensureGasHistoryTables() {
+  try {
+    await sql`
+      CREATE TABLE IF NOT EXISTS gas_samples (
+        id SERIAL PRIMARY KEY,
+        blockchain TEXT NOT NULL,
+        block_number BIGINT NOT NULL,
+        block_timestamp TIMESTAMP NOT NULL,
+        base_fee_gwei NUMERIC(20,9) NOT NULL,
+        priority_fee_p25_gwei NUMERIC(20,9),
+        priority_fee_p50_gwei NUMERIC(20,9),
+        priority_fee_p75_gwei NUMERIC(20,9),
+        gas_used_ratio NUMERIC(6,4),
+        sampled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (blockchain, block_number)
+      )
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_gas_samples_chain_time
+        ON gas_samples(blockchain, block_timestamp DESC)
+    `;
+    await sql`
+      ALTER TABLE investments
+      ADD COLUMN IF NOT EXISTS rebalance_deferred_at TIMESTAMP
+    `;
+  } catch (error) {
+    // Table likely already exists
+    console.debug('Gas history setup:', error.message);
+  }
+}
+
+/**
+ * Read the latest blocks' fees from the chain and store them
+ * @param {string} chain - Chain registry name
+ * @param {object} options - { blocks }
+ * @returns {Promise<Array<object>>} - Samples read (already-stored blocks are skipped on insert)
+ */
+export async function sampleGasHistory(chain, { blocks = SAMPLE_BLOCKS } = {}) {
+  const feeHistory = await sendWithFailover(chain, 'eth_feeHistory', [
+    ethers.toQuantity(blocks),
+    'latest',
+    FEE_PERCENTILES,
+  ]);
+
+  const newestBlock = Number(feeHistory.oldestBlock) + feeHistory.gasUsedRatio.length - 1;
+  const newest = await getProvider(chain).getBlock(newestBlock);
+  const samples = parseFeeHistory(feeHistory, {
+    timestamp: newest.timestamp,
+    blockTimeSeconds: getChain(chain).blockTimeSeconds,
+  });
+
+  await ensureGasHistoryTables();
+  for (const sample of samples) {
+    await sql`
+      INSERT INTO gas_samples (
+        blockchain, block_number, block_timestamp, base_fee_gwei,
+        priority_fee_p25_gwei, priority_fee_p50_gwei, priority_fee_p75_gwei, gas_used_ratio
+      ) VALUES (
+        ${chain}, ${sample.blockNumber}, ${sample.timestamp}, ${sample.baseFeeGwei},
+        ${sample.priorityFeeGwei.p25}, ${sample.priorityFeeGwei.p50}, ${sample.priorityFeeGwei.p75}, ${sample.gasUsedRatio}
+      )
+      ON CONFLICT (blockchain, block_number) DO NOTHING
+    `;
+  }
+
+  return samples;
+}
+
+/**
+ * Sample every chain with an RPC configured and prune old rows
+ * Failures are logged per chain so one bad RPC does not stop the rest.
+ * @returns {Promise<object>} - { chain: samplesRead | { error } }
+ */
+export async function sampleAllChains() {
+  const results = {};
+
+  for (const chain of SUPPORTED_CHAINS.filter((c) => getRpcUrl(c))) {
+    try {
+      results[chain] = (await sampleGasHistory(chain)).length;
+    } catch (error) {
+      log.warn('Gas sampling failed', { chain, error: error.message });
+      results[chain] = { error: error.message };
+    }
+  }
+
+  try {
+    await sql`
+      DELETE FROM gas_samples
+      WHERE block_timestamp < NOW() - make_interval(days => ${RETENTION_DAYS}::int)
+    `;
+  } catch (error) {
+    console.debug('Gas history prune:', error.message);
+  }
+
+  return results;
+}
+
+/**
+ * Stored samples for a chain, oldest first
+ * @param {string} chain
+ * @param {number} days - Lookback (default GAS_HISTORY_DAYS)
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadGasSamples(chain, days = HISTORY_DAYS) {
+  await ensureGasHistoryTables();
+  const rows = await sql`
+    SELECT block_number, block_timestamp, base_fee_gwei, priority_fee_p50_gwei, gas_used_ratio
+    FROM gas_samples
+    WHERE blockchain = ${chain}
+      AND block_timestamp >= NOW() - make_interval(days => ${days}::int)
+    ORDER BY block_timestamp ASC
+  `;
+
+  return rows.map((row) => ({
+    blockNumber: Number(row.block_number),
+    timestamp: new Date(row.block_timestamp),
+    baseFeeGwei: Number(row.base_fee_gwei),
+    priorityFeeGwei: { p50: row.priority_fee_p50_gwei === null ? null : Number(row.priority_fee_p50_gwei) },
+    gasUsedRatio: Number(row.gas_used_ratio),
+  }));
+}
+
+/**
+ * Congestion forecast for a chain from stored history and the current block
+ * @param {string} chain
+ * @param {object} options - { horizonHours, sample (store the latest blocks first, default true) }
+ * @returns {Promise<object>} - buildCongestionForecast result plus chain
+ */
+export async function getCongestionForecast(chain, { horizonHours = 24, sample = true } = {}) {
+  let latest = [];
+  if (sample) {
+    try {
+      latest = await sampleGasHistory(chain);
+    } catch (error) {
+      log.warn('Gas sampling failed', { chain, error: error.message });
+    }
+  }
+
+  const history = await loadGasSamples(chain);
+  const newest = latest[latest.length - 1] || history[history.length - 1];
+
+  let current;
+  if (newest) {
+    current = { baseFeeGwei: newest.baseFeeGwei, priorityFeeGwei: newest.priorityFeeGwei?.p50 ?? 0 };
+  } else {
+    const feeData = await getProvider(chain).getFeeData();
+    current = {
+      baseFeeGwei: Number(ethers.formatUnits(feeData.gasPrice || 0n, 'gwei')),
+      priorityFeeGwei: Number(ethers.formatUnits(feeData.maxPriorityFeePerGas || 0n, 'gwei')),
+    };
+  }
+
+  return { chain, ...buildCongestionForecast(history, current, { horizonHours }) };
+}
+
+/**
+ * Whether non-urgent transactions on a chain should wait for cheaper gas
+ * @param {string} chain
+ * @param {object} options - { maxDelayHours, minSavingsPct }
+ * @returns {Promise<object>} - planGasDeferral result plus the forecast window
+ */
+export async function getGasDeferral(chain, options = {}) {
+  const {
+    maxDelayHours = parseInt(process.env.GAS_MAX_DEFER_HOURS) || 12,
+    minSavingsPct = parseInt(process.env.GAS_DEFER_MIN_SAVINGS_PCT) || 20,
+  } = options;
+
+  const forecast = await getCongestionForecast(chain, { sample: false });
+  return {
+    ...planGasDeferral(forecast, { maxDelayHours, minSavingsPct }),
+    maxDelayHours,
+    window: forecast.recommendedWindow,
+  };
+}
@@ -1,12 +1,19 @@
 import { ethers } from 'ethers';
+import { chainNameFor } from '../protocols/chains.js';
+import { priceOracle } from './priceOracle.js';
 
 /**
  * Gas Optimization and MEV Protection Utilities
  * Optimizes gas prices and protects against MEV attacks
  */
 export class GasOptimizer {
-  constructor(provider) {
+  /**
+   * @param {Provider} provider
+   * @param {object} options - { oracle: price source with toUsd and gasCostUsd (default priceOracle) }
+   */
+  constructor(provider, { oracle = priceOracle } = {}) {
     this.provider = provider;
+    this.oracle = oracle;
   }
 
   /**
@@ -33,19 +40,37 @@ export class GasOptimizer {
     };
   }
 
+  /**
+   * USD value of the asset amount a transaction moves
+   * @param {BigInt} amount - Asset base units
+   * @param {object} asset - { symbol (default 'USDC'), decimals (default 6) }
+   * @returns {Promise<number|null>} - null when the asset cannot be priced
+   */
+  async valueInUsd(amount, { symbol = 'USDC', decimals = 6 } = {}) {
+    if (!amount) return 0;
+    try {
+      return await this.oracle.toUsd(ethers.formatUnits(amount, decimals), symbol, await this.getChainName());
+    } catch (error) {
+      console.warn(`No USD price for ${symbol}; MEV risk assumes a large value:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Assess MEV risk for a transaction
    * @param {object} transaction - Transaction to assess
-   * @param {BigInt} amount - Amount involved
+   * @param {number|null} amountUSD - USD value involved (valueInUsd); null when unpriced
    * @returns {object} - MEV risk assessment
    */
-  assessMEVRisk(transaction, amount) {
+  assessMEVRisk(transaction, amountUSD) {
     const risks = [];
     let riskScore = 0;
 
-    // Large value transactions are MEV targets
-    const amountUSD = Number(amount) / 1e6; // Assuming USDC 6 decimals
-    if (amountUSD > 100000) {
+    // Large value transactions are MEV targets; an unpriced amount is assumed large
+    if (amountUSD === null || amountUSD === undefined) {
+      risks.push('Transaction value not priced - assumed large');
+      riskScore += 4;
+    } else if (amountUSD > 100000) {
       risks.push('Large value transaction (>$100k)');
       riskScore += 4;
     } else if (amountUSD > 50000) {
@@ -102,7 +127,9 @@ export class GasOptimizer {
    * @param {object} options - Options
    * @param {string} options.priority - Gas priority
    * @param {boolean} options.useFlashbots - Use Flashbots for MEV protection
-   * @param {BigInt} options.amount - Amount for MEV risk assessment
+   * @param {BigInt} options.amount - Amount for MEV risk assessment (asset base units)
+   * @param {string} options.symbol - The amount's asset (default 'USDC')
+   * @param {number} options.decimals - Decimals of the amount's asset (default 6)
    * @returns {Promise<object>} - Protected transaction with metadata
    */
   async buildProtectedTransaction(transaction, options = {}) {
@@ -110,13 +137,15 @@ export class GasOptimizer {
       priority = 'medium',
       useFlashbots = false,
       amount = 0n,
+      symbol = 'USDC',
+      decimals = 6,
     } = options;
 
     // Get optimal gas prices
     const gasPrice = await this.getOptimalGasPrice(priority);
 
-    // Assess MEV risk
-    const mevRisk = this.assessMEVRisk(transaction, amount);
+    // Assess MEV risk on the amount's USD value
+    const mevRisk = this.assessMEVRisk(transaction, await this.valueInUsd(amount, { symbol, decimals }));
 
     // Build protected transaction
     const protectedTx = {
@@ -150,19 +179,19 @@ export class GasOptimizer {
   /**
    * Estimate total transaction cost in USD
    * @param {object} transaction - Transaction with gas parameters
-   * @returns {Promise<number>} - Cost in USD
+   * @returns {Promise<number|null>} - Cost in USD (null when no gas token price is available)
    */
   async estimateTotalCost(transaction) {
     const gasLimit = transaction.gasLimit || 300000n;
     const maxFeePerGas = transaction.maxFeePerGas || 0n;
     const gasCostWei = gasLimit * maxFeePerGas;
-    const gasCostEth = Number(gasCostWei) / 1e18;
-
-    // Get ETH price (in production, use Chainlink or price oracle)
-    // For now, fetch from a simple source or use estimate
-    const ethPrice = await this.getETHPrice();
 
-    return gasCostEth * ethPrice;
+    try {
+      return await this.oracle.gasCostUsd(gasCostWei, await this.getChainName());
+    } catch (error) {
+      console.warn('Gas cost not priced:', error.message);
+      return null;
+    }
   }
 
   /**
@@ -170,9 +199,16 @@ export class GasOptimizer {
    * @returns {Promise<number>} - ETH price in USD
    */
   async getETHPrice() {
-    // TODO: Integrate with Chainlink price feed or reliable oracle
-    // For now, return conservative estimate
-    return 3000; // $3000 per ETH
+    return this.oracle.getUsdPrice('ETH', await this.getChainName());
+  }
+
+  /**
+   * Chain registry name of the connected network (default 'ethereum')
+   * @returns {Promise<string>}
+   */
+  async getChainName() {
+    const { chainId } = await this.provider.getNetwork();
+    return chainNameFor(chainId) || 'ethereum';
   }
 
   /**
@@ -0,0 +1,206 @@
+import { ethers } from 'ethers';
+
+/**
+ * MEV Detection
+ * Looks for front-running and sandwich patterns around a mined transaction
+ * from RPC state alone (no Redis or database access), and estimates what
+ * was extracted by comparing the amount received against the quote.
+ */
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const APPROVAL_TOPIC = ethers.id('Approval(address,address,uint256)');
+
+// Swap events that identify the pool a trade went through
+export const SWAP_TOPICS = {
+  [ethers.id('Swap(address,uint256,uint256,uint256,uint256,address)')]: 'uniswap-v2',
+  [ethers.id('Swap(address,address,int256,int256,uint160,uint128,int24)')]: 'uniswap-v3',
+  [ethers.id('TokenExchange(address,int128,uint256,int128,uint256)')]: 'curve',
+  [ethers.id('Swap(bytes32,address,address,uint256,uint256)')]: 'balancer-v2',
+};
+
+// How many transactions either side of ours to inspect
+const DEFAULT_WINDOW = 3;
+
+/**
+ * Pools a transaction interacted with
+ * Swap events identify pools directly (Balancer pools by vault and pool ID).
+ * Without swaps, any contract that emitted a non-token event counts, which
+ * covers lending pools (Aave Supply, Comet Supply).
+ * @param {TransactionReceipt} receipt
+ * @returns {Set<string>} - Lowercased pool identifiers
+ */
+export function getTouchedPools(receipt) {
+  const swaps = new Set();
+  const contracts = new Set();
+
+  for (const log of receipt?.logs || []) {
+    const topic = log.topics?.[0];
+    const address = log.address.toLowerCase();
+
+    if (SWAP_TOPICS[topic] === 'balancer-v2') {
+      swaps.add(`${address}:${log.topics[1].toLowerCase()}`);
+    } else if (SWAP_TOPICS[topic]) {
+      swaps.add(address);
+    } else if (topic !== TRANSFER_TOPIC && topic !== APPROVAL_TOPIC) {
+      contracts.add(address);
+    }
+  }
+
+  return swaps.size > 0 ? swaps : contracts;
+}
+
+/**
+ * Amount of a token a recipient received in a transaction (net of outflows)
+ * @param {TransactionReceipt} receipt
+ * @param {string} token - ERC-20 address
+ * @param {string} recipient
+ * @returns {BigInt}
+ */
+export function getTokenInflow(receipt, token, recipient) {
+  const tokenAddress = token.toLowerCase();
+  const holder = ethers.zeroPadValue(recipient.toLowerCase(), 32).toLowerCase();
+
+  return (receipt?.logs || []).reduce((net, log) => {
+    if (log.address.toLowerCase() !== tokenAddress || log.topics?.[0] !== TRANSFER_TOPIC) {
+      return net;
+    }
+    const amount = BigInt(log.data);
+    if (log.topics[2]?.toLowerCase() === holder) return net + amount;
+    if (log.topics[1]?.toLowerCase() === holder) return net - amount;
+    return net;
+  }, 0n);
+}
+
+/**
+ * Effective slippage against the quoted output
+ * @param {BigInt} quoted - Amount the quote promised
+ * @param {BigInt} actual - Amount received
+ * @returns {number} - Basis points short of the quote (negative when better)
+ */
+export function computeSlippageBps(quoted, actual) {
+  if (quoted <= 0n) return 0;
+  return Number(((quoted - actual) * 1000000n) / quoted) / 100;
+}
+
+function sharesPool(a, b) {
+  for (const pool of a) {
+    if (b.has(pool)) return true;
+  }
+  return false;
+}
+
+/**
+ * Classify the same-pool transactions around ours
+ * A sandwich is a same-pool transaction directly before and after ours sent
+ * by the same account or through the same bot contract.
+ * @param {object} ours - { index, from, pools: Set }
+ * @param {Array<object>} neighbours - [{ index, hash, from, to, pools: Set, priorityFee }]
+ * @returns {object} - { frontRun, backRun, sandwiched, attacker }
+ */
+export function findSandwich(ours, neighbours) {
+  const sender = ours.from?.toLowerCase();
+  const candidates = neighbours
+    .filter((n) => n.from?.toLowerCase() !== sender && sharesPool(ours.pools, n.pools));
+
+  // Closest same-pool transaction on each side
+  const frontRun = candidates
+    .filter((n) => n.index < ours.index)
+    .sort((a, b) => b.index - a.index)[0] || null;
+  const backRun = candidates
+    .filter((n) => n.index > ours.index)
+    .sort((a, b) => a.index - b.index)[0] || null;
+
+  const sameActor = Boolean(frontRun && backRun) && (
+    frontRun.from?.toLowerCase() === backRun.from?.toLowerCase() ||
+    (frontRun.to && frontRun.to.toLowerCase() === backRun.to?.toLowerCase())
+  );
+
+  return {
+    frontRun,
+    backRun,
+    sandwiched: sameActor,
+    attacker: sameActor ? frontRun.to || frontRun.from : null,
+  };
+}
+
+/**
+ * Value lost to MEV in token base units
+ * Only counted when a front-run was found; a shortfall with no attacker
+ * around us is ordinary price movement.
+ * @param {object} params - { quoted, actual, frontRun }
+ * @returns {BigInt}
+ */
+export function estimateMEVLoss({ quoted, actual, frontRun }) {
+  if (!frontRun || quoted === undefined || actual === undefined) return 0n;
+  return quoted > actual ? quoted - actual : 0n;
+}
+
+/**
+ * Analyze a mined transaction for front-running and sandwiching
+ * @param {Provider} provider - ethers provider for the transaction's chain
+ * @param {object} recorded - What MEVMonitor stored for the transaction
+ * @param {string} recorded.hash
+ * @param {string} recorded.quotedAmountOut - Expected output in base units (optional)
+ * @param {string} recorded.tokenOut - Token the quote is denominated in (optional)
+ * @param {string} recorded.recipient - Who receives tokenOut (default sender)
+ * @param {object} options - { window }
+ * @returns {Promise<object|null>} - null while the transaction is unmined
+ */
+export async function analyzeTransactionMEV(provider, recorded, options = {}) {
+  const { window = DEFAULT_WINDOW } = options;
+
+  const receipt = await provider.getTransactionReceipt(recorded.hash);
+  if (!receipt) return null;
+
+  const block = await provider.getBlock(receipt.blockNumber, true);
+  const ourIndex = receipt.index;
+  const pools = getTouchedPools(receipt);
+
+  const nearby = block.prefetchedTransactions.filter(
+    (tx) => tx.index !== ourIndex && Math.abs(tx.index - ourIndex) <= window
+  );
+
+  const neighbours = await Promise.all(
+    nearby.map(async (tx) => {
+      const neighbourReceipt = await provider.getTransactionReceipt(tx.hash);
+      return {
+        index: tx.index,
+        hash: tx.hash,
+        from: tx.from,
+        to: tx.to,
+        priorityFee: (tx.maxPriorityFeePerGas ?? tx.gasPrice ?? 0n).toString(),
+        pools: getTouchedPools(neighbourReceipt),
+      };
+    })
+  );
+
+  const { frontRun, backRun, sandwiched, attacker } = findSandwich(
+    { index: ourIndex, from: receipt.from, pools },
+    neighbours
+  );
+
+  let quoted;
+  let actual;
+  if (recorded.quotedAmountOut && recorded.tokenOut) {
+    quoted = BigInt(recorded.quotedAmountOut);
+    actual = getTokenInflow(receipt, recorded.tokenOut, recorded.recipient || receipt.from);
+  }
+  const loss = estimateMEVLoss({ quoted, actual, frontRun });
+
+  const summarize = (n) => n && { hash: n.hash, index: n.index, from: n.from, to: n.to, priorityFee: n.priorityFee };
+
+  return {
+    detected: Boolean(frontRun) && (sandwiched || loss > 0n),
+    type: sandwiched ? 'sandwich' : frontRun && loss > 0n ? 'front-run' : null,
+    blockNumber: receipt.blockNumber,
+    index: ourIndex,
+    pools: [...pools],
+    frontRunTx: summarize(frontRun),
+    backRunTx: summarize(backRun),
+    attacker,
+    quotedAmountOut: quoted?.toString() ?? null,
+    actualAmountOut: actual?.toString() ?? null,
+    slippageBps: quoted !== undefined ? computeSlippageBps(quoted, actual) : null,
+    lossAmount: loss.toString(),
+  };
+}
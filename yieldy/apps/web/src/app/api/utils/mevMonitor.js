@@ -3,7 +3,21 @@
  * Tracks transaction execution and detects potential MEV attacks
  */
 
+import { ethers } from 'ethers';
 import { getRedis } from '../../../../lib/redis.js';
+import { getProvider } from '../protocols/rpcPool.js';
+import { getRpcUrl } from '../protocols/chains.js';
+import { getTokenByAddress } from '../protocols/tokens.js';
+import { analyzeTransactionMEV } from './mevDetection.js';
+import { priceOracle } from './priceOracle.js';
+import { getPrivateRelay } from './privateRelay.js';
+
+const TTL_SECONDS = 604800; // 7 days
+
+// Upstash deserializes JSON on read; the memory fallback returns the raw string
+function parseStored(data) {
+  return typeof data === 'string' ? JSON.parse(data) : data;
+}
 
 /**
  * Transaction monitoring data structure
@@ -15,7 +29,15 @@ class MEVMonitor {
 
   /**
    * Record transaction for MEV monitoring
+   * Pass the quote (expected tokenOut amount) to have slippage and MEV loss
+   * measured once the transaction is mined.
    * @param {object} tx - Transaction details
+   * @param {string} tx.chain - Chain registry name (default 'ethereum')
+   * @param {BigInt|string} tx.quotedAmountOut - Expected output in tokenOut base units
+   * @param {string} tx.tokenOut - Token the quote is denominated in
+   * @param {number} tx.tokenOutDecimals - Decimals of tokenOut
+   * @param {number} tx.tokenOutPriceUsd - USD price of tokenOut (default from the price oracle)
+   * @param {string} tx.recipient - Receiver of tokenOut (default sender)
    * @returns {Promise<void>}
    */
   async recordTransaction(tx) {
@@ -28,6 +50,12 @@ class MEVMonitor {
       maxPriorityFeePerGas,
       timestamp = Date.now(),
       type, // 'swap', 'deposit', 'withdraw', etc.
+      chain = 'ethereum',
+      quotedAmountOut,
+      tokenOut,
+      tokenOutDecimals,
+      tokenOutPriceUsd,
+      recipient,
     } = tx;
 
     const key = `mev:tx:${hash}`;
@@ -35,17 +63,23 @@ class MEVMonitor {
       hash,
       from,
       to,
-      value: value.toString(),
+      value: (value ?? 0).toString(),
       gasPrice: gasPrice?.toString(),
       maxPriorityFeePerGas: maxPriorityFeePerGas?.toString(),
       timestamp,
       type,
+      chain,
+      quotedAmountOut: quotedAmountOut?.toString(),
+      tokenOut,
+      tokenOutDecimals,
+      tokenOutPriceUsd,
+      recipient,
       monitored: true,
     };
 
     try {
       // Store for 7 days
-      await this.redis?.set(key, JSON.stringify(data), { ex: 604800 });
+      await this.redis?.set(key, JSON.stringify(data), { ex: TTL_SECONDS });
       
       // Add to user's transaction list
       await this.redis?.lpush(`mev:user:${from}`, hash);
@@ -56,9 +90,12 @@ class MEVMonitor {
   }
 
   /**
-   * Check if transaction was front-run
+   * Check if transaction was front-run or sandwiched
+   * Reads the block around the transaction for same-pool trades directly
+   * before and after it, measures slippage against the recorded quote and
+   * books the estimated loss. Results are cached per transaction.
    * @param {string} hash - Transaction hash
-   * @param {number} blockNumber - Block number
+   * @param {number} blockNumber - Block number (read from the receipt)
    * @returns {Promise<object>} Analysis result
    */
   async checkFrontRunning(hash, blockNumber) {
@@ -70,28 +107,77 @@ class MEVMonitor {
         return { detected: false, reason: 'Transaction not monitored' };
       }
 
-      const tx = JSON.parse(data);
-      
-      // Check for suspicious patterns:
-      // 1. Transaction in same block with higher gas price
-      // 2. Sandwich attack pattern
-      // 3. Unusual slippage
+      const tx = parseStored(data);
 
-      // For now, return basic monitoring status
-      return {
-        detected: false,
+      const cached = await this.redis?.get(`mev:analysis:${hash}`);
+      if (cached) {
+        return parseStored(cached);
+      }
+
+      const analysis = await analyzeTransactionMEV(getProvider(tx.chain || 'ethereum'), tx);
+      if (!analysis) {
+        return { detected: false, hash, blockNumber, reason: 'Transaction not mined yet', monitored: true };
+      }
+
+      const lossUsd = await this.valueLossUsd(tx, analysis.lossAmount);
+      const result = {
+        ...analysis,
         hash,
-        blockNumber,
+        chain: tx.chain || 'ethereum',
+        lossFormatted: tx.tokenOutDecimals !== undefined
+          ? Number(ethers.formatUnits(analysis.lossAmount, tx.tokenOutDecimals))
+          : null,
+        lossUsd,
         gasPrice: tx.gasPrice,
         monitored: true,
         timestamp: tx.timestamp,
+        analyzedAt: Date.now(),
       };
+
+      await this.redis?.set(`mev:analysis:${hash}`, JSON.stringify(result), { ex: TTL_SECONDS });
+
+      if (result.detected) {
+        await this.redis?.incr('mev:stats:detected');
+        await this.redis?.incr(`mev:user:${tx.from}:detected`);
+        if (lossUsd) {
+          await this.redis?.incrbyfloat('mev:stats:extracted_usd', lossUsd);
+          await this.redis?.incrbyfloat(`mev:user:${tx.from}:extracted_usd`, lossUsd);
+        }
+      }
+
+      return result;
     } catch (error) {
       console.error('Failed to check front-running:', error);
       return { detected: false, error: error.message };
     }
   }
 
+  /**
+   * USD value of a loss in tokenOut base units
+   * @param {object} tx - Recorded transaction
+   * @param {string} lossAmount - Base units
+   * @returns {Promise<number|null>} - null when tokenOut has no known price
+   */
+  async valueLossUsd(tx, lossAmount) {
+    if (!tx.tokenOut || tx.tokenOutDecimals === undefined) return null;
+
+    const loss = Number(ethers.formatUnits(lossAmount, tx.tokenOutDecimals));
+    if (tx.tokenOutPriceUsd !== undefined && tx.tokenOutPriceUsd !== null) {
+      return loss * tx.tokenOutPriceUsd;
+    }
+
+    const chain = tx.chain || 'ethereum';
+    const token = getTokenByAddress(tx.tokenOut, chain);
+    if (!token) return null;
+
+    try {
+      return await priceOracle.toUsd(loss, token.symbol, chain);
+    } catch (error) {
+      console.warn('MEV loss not priced:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Get MEV statistics for a user
    * @param {string} address - User address
@@ -103,16 +189,26 @@ class MEVMonitor {
       
       const transactions = await Promise.all(
         txHashes.slice(0, 10).map(async (hash) => {
-          const data = await this.redis?.get(`mev:tx:${hash}`);
-          return data ? JSON.parse(data) : null;
+          const [data, analysis] = await Promise.all([
+            this.redis?.get(`mev:tx:${hash}`),
+            this.redis?.get(`mev:analysis:${hash}`),
+          ]);
+          return data ? { ...parseStored(data), analysis: analysis ? parseStored(analysis) : null } : null;
         })
       );
 
+      const [detected, extractedUsd] = await Promise.all([
+        this.redis?.get(`mev:user:${address}:detected`),
+        this.redis?.get(`mev:user:${address}:extracted_usd`),
+      ]);
+
       return {
         totalTransactions: txHashes.length,
         recentTransactions: transactions.filter(Boolean),
-        mevDetected: 0, // TODO: Implement detection logic
-        potentialSavings: 0,
+        mevDetected: Number(detected || 0),
+        extractedValueUsd: Number(Number(extractedUsd || 0).toFixed(2)),
+        // What routing those trades privately would have kept
+        potentialSavings: Number(Number(extractedUsd || 0).toFixed(2)),
       };
     } catch (error) {
       console.error('Failed to get MEV stats:', error);
@@ -134,6 +230,7 @@ class MEVMonitor {
       'flashbots.net',
       'rpc.flashbots.net',
       'relay.flashbots.net',
+      'protect.flashbots.net',
       'builder0x69',
     ];
 
@@ -142,24 +239,27 @@ class MEVMonitor {
 
   /**
    * Get recommended RPC based on transaction type
+   * Agent transactions are routed by sendWithMEVProtection; this answers the
+   * same question for callers that send on their own.
    * @param {string} txType - Transaction type ('swap', 'deposit', etc.)
    * @param {number} value - Transaction value in wei
+   * @param {string} chain - Chain registry name (default 'ethereum')
    * @returns {string} Recommended RPC URL
    */
-  getRecommendedRPC(txType, value) {
+  getRecommendedRPC(txType, value, chain = 'ethereum') {
     const enableMEV = process.env.ENABLE_MEV_PROTECTION === 'true';
-    const flashbotsRPC = process.env.FLASHBOTS_RPC_URL;
+    const relay = getPrivateRelay(chain);
 
-    // Use Flashbots for swaps and high-value transactions
+    // Use the private relay for swaps and high-value transactions
     const mevProneTxTypes = ['swap', 'exchange', 'trade'];
     const isHighValue = value > 1000 * 1e6; // > $1000
 
-    if (enableMEV && flashbotsRPC && (mevProneTxTypes.includes(txType) || isHighValue)) {
-      return flashbotsRPC;
+    if (enableMEV && relay?.url && (mevProneTxTypes.includes(txType) || isHighValue)) {
+      return relay.url;
     }
 
     // Default to public RPC for simple transactions
-    return process.env.ETHEREUM_RPC_URL || process.env.BASE_RPC_URL;
+    return getRpcUrl(chain);
   }
 
   /**
@@ -173,6 +273,10 @@ class MEVMonitor {
       rpcUsed,
       protectionEnabled,
       reason,
+      path, // 'public', 'private' or 'public-fallback'
+      relay,
+      attempts,
+      riskScore,
       timestamp = Date.now(),
     } = decision;
 
@@ -180,8 +284,8 @@ class MEVMonitor {
       const key = `mev:decision:${transactionHash}`;
       await this.redis?.set(
         key,
-        JSON.stringify({ rpcUsed, protectionEnabled, reason, timestamp }),
-        { ex: 604800 } // 7 days
+        JSON.stringify({ rpcUsed, protectionEnabled, reason, path, relay, attempts, riskScore, timestamp }),
+        { ex: TTL_SECONDS }
       );
 
       // Increment counters for analytics
@@ -190,6 +294,9 @@ class MEVMonitor {
       } else {
         await this.redis?.incr('mev:stats:unprotected');
       }
+      if (path === 'public-fallback') {
+        await this.redis?.incr('mev:stats:relay_fallback');
+      }
     } catch (error) {
       console.error('Failed to log MEV decision:', error);
     }
@@ -201,15 +308,22 @@ class MEVMonitor {
    */
   async getProtectionStats() {
     try {
-      const protected = await this.redis?.get('mev:stats:protected') || 0;
-      const unprotected = await this.redis?.get('mev:stats:unprotected') || 0;
-      const total = Number(protected) + Number(unprotected);
+      const protectedCount = await this.redis?.get('mev:stats:protected') || 0;
+      const unprotectedCount = await this.redis?.get('mev:stats:unprotected') || 0;
+      const relayFallbacks = Number(await this.redis?.get('mev:stats:relay_fallback') || 0);
+      const detected = Number(await this.redis?.get('mev:stats:detected') || 0);
+      const extractedUsd = Number(await this.redis?.get('mev:stats:extracted_usd') || 0);
+      const total = Number(protectedCount) + Number(unprotectedCount);
 
       return {
         totalTransactions: total,
-        protectedTransactions: Number(protected),
-        unprotectedTransactions: Number(unprotected),
-        protectionRate: total > 0 ? ((Number(protected) / total) * 100).toFixed(2) : 0,
+        protectedTransactions: Number(protectedCount),
+        unprotectedTransactions: Number(unprotectedCount),
+        protectionRate: total > 0 ? ((Number(protectedCount) / total) * 100).toFixed(2) : 0,
+        relayFallbacks,
+        mevDetected: detected,
+        extractedValueUsd: Number(extractedUsd.toFixed(2)),
+        avgLossPerAttackUsd: detected > 0 ? Number((extractedUsd / detected).toFixed(2)) : 0,
       };
     } catch (error) {
       console.error('Failed to get protection stats:', error);
@@ -218,6 +332,8 @@ class MEVMonitor {
         protectedTransactions: 0,
         unprotectedTransactions: 0,
         protectionRate: 0,
+        mevDetected: 0,
+        extractedValueUsd: 0,
         error: error.message,
       };
     }
@@ -0,0 +1,275 @@
+import sql from './sql';
+import { log } from './logger';
+
+/**
+ * Opportunity Metrics History
+ * Append-only APY/TVL observations for every cultiv8_opportunities row,
+ * written on each scan and protocol refresh. Raw rows are rolled up into
+ * hourly, then daily, averages as they age, and daily rows past the
+ * retention window are dropped.
+ */
+
+const RAW_DAYS = parseInt(process.env.OPPORTUNITY_METRICS_RAW_DAYS) || 7;
+const HOURLY_DAYS = parseInt(process.env.OPPORTUNITY_METRICS_HOURLY_DAYS) || 90;
+const RETENTION_DAYS = parseInt(process.env.OPPORTUNITY_METRICS_RETENTION_DAYS) || 730;
+
+export const HISTORY_BUCKETS = ['hour', 'day', 'week'];
+
+/**
+ * Ensure opportunity_metrics exists (mirrors migrations/013_opportunity_metrics.sql)
+ */
+export async function ensureOpportunityMetricsTables() {
+  try {
+    await sql`
+      CREATE TABLE IF NOT EXISTS opportunity_metrics (
+        id BIGSERIAL PRIMARY KEY,
+        opportunity_id INTEGER NOT NULL REFERENCES cultiv8_opportunities(id) ON DELETE CASCADE,
+        recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        resolution TEXT NOT NULL DEFAULT 'raw' CHECK (resolution IN ('raw', 'hour', 'day')),
+        samples INTEGER NOT NULL DEFAULT 1,
+        apy NUMERIC(12,6) NOT NULL,
+        apy_min NUMERIC(12,6),
+        apy_max NUMERIC(12,6),
+        tvl NUMERIC(30,2),
+        source TEXT
+      )
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_opportunity_metrics_opp_time
+        ON opportunity_metrics(opportunity_id, recorded_at DESC)
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_opportunity_metrics_resolution_time
+        ON opportunity_metrics(resolution, recorded_at)
+    `;
+  } catch (error) {
+    // Table likely already exists
+    console.debug('Opportunity metrics setup:', error.message);
+  }
+}
+
+/**
+ * Append one observation per opportunity
+ * @param {Array<object>} observations - [{ opportunityId, apy, tvl }]
+ * @param {string} source - 'scan' | 'refresh'
+ * @returns {Promise<number>} - Rows written
+ */
+export async function recordOpportunityMetrics(observations, source) {
+  const rows = observations.filter((o) => o.opportunityId && Number.isFinite(Number(o.apy)));
+  if (rows.length === 0) return 0;
+
+  await ensureOpportunityMetricsTables();
+  const inserted = await sql`
+    INSERT INTO opportunity_metrics (opportunity_id, apy, apy_min, apy_max, tvl, source)
+    SELECT m.opportunity_id, m.apy, m.apy, m.apy, m.tvl, ${source}
+    FROM UNNEST(
+      ${rows.map((o) => o.opportunityId)}::int[],
+      ${rows.map((o) => Number(o.apy))}::numeric[],
+      ${rows.map((o) => (o.tvl === null || o.tvl === undefined ? null : Number(o.tvl)))}::numeric[]
+    ) AS m(opportunity_id, apy, tvl)
+    RETURNING id
+  `;
+  return inserted.length;
+}
+
+/**
+ * Record fetchAllProtocolData results against their opportunities
+ * Markets are matched on pool address and asset; markets never stored by a
+ * scan have no opportunity row and are skipped.
+ * @param {string} chain
+ * @param {Array<object>} results - fetchAllProtocolData output
+ * @returns {Promise<number>} - Rows written
+ */
+export async function recordProtocolMetrics(chain, results) {
+  const opportunities = await sql`
+    SELECT id, pool_address, token_symbol FROM cultiv8_opportunities WHERE blockchain = ${chain}
+  `;
+  const idFor = new Map(
+    opportunities.map((o) => [`${o.pool_address?.toLowerCase()}:${o.token_symbol}`, o.id])
+  );
+
+  const observations = results
+    .filter((r) => r.success && r.metadata?.poolAddress)
+    .map((r) => ({
+      opportunityId: idFor.get(`${r.metadata.poolAddress.toLowerCase()}:${r.asset || 'USDC'}`),
+      apy: r.apy,
+      tvl: r.tvl,
+    }));
+
+  return recordOpportunityMetrics(observations, 'refresh');
+}
+
+/**
+ * Roll rows of one resolution up into the next, then delete them
+ * Cutoffs are truncated to the target bucket so no bucket is split.
+ */
+function rollupQueries(txn, from, to, olderThanDays) {
+  return [
+    txn`
+      INSERT INTO opportunity_metrics (
+        opportunity_id, recorded_at, resolution, samples, apy, apy_min, apy_max, tvl, source
+      )
+      SELECT opportunity_id,
+             date_trunc(${to}, recorded_at),
+             ${to},
+             SUM(samples),
+             SUM(apy * samples) / SUM(samples),
+             MIN(COALESCE(apy_min, apy)),
+             MAX(COALESCE(apy_max, apy)),
+             SUM(tvl * samples) FILTER (WHERE tvl IS NOT NULL)
+               / NULLIF(SUM(samples) FILTER (WHERE tvl IS NOT NULL), 0),
+             'rollup'
+      FROM opportunity_metrics
+      WHERE resolution = ${from}
+        AND recorded_at < date_trunc(${to}, NOW() - make_interval(days => ${olderThanDays}::int))
+      GROUP BY 1, 2
+      RETURNING id
+    `,
+    txn`
+      DELETE FROM opportunity_metrics
+      WHERE resolution = ${from}
+        AND recorded_at < date_trunc(${to}, NOW() - make_interval(days => ${olderThanDays}::int))
+    `,
+  ];
+}
+
+/**
+ * Downsample aged rows and enforce retention
+ * Raw rows older than OPPORTUNITY_METRICS_RAW_DAYS become hourly averages,
+ * hourly rows older than OPPORTUNITY_METRICS_HOURLY_DAYS become daily ones,
+ * and daily rows older than OPPORTUNITY_METRICS_RETENTION_DAYS are deleted.
+ * Averages are weighted by the samples each row stands for.
+ * @returns {Promise<object>} - Row counts { hourly, daily, pruned }
+ */
+export async function downsampleOpportunityMetrics() {
+  await ensureOpportunityMetricsTables();
+
+  const results = await sql.transaction((txn) => [
+    ...rollupQueries(txn, 'raw', 'hour', RAW_DAYS),
+    ...rollupQueries(txn, 'hour', 'day', HOURLY_DAYS),
+    txn`
+      DELETE FROM opportunity_metrics
+      WHERE recorded_at < NOW() - make_interval(days => ${RETENTION_DAYS}::int)
+      RETURNING id
+    `,
+  ]);
+
+  const summary = {
+    hourly: results[0].length,
+    daily: results[2].length,
+    pruned: results[4].length,
+  };
+  if (summary.hourly || summary.daily || summary.pruned) {
+    log.info('Opportunity metrics downsampled', summary);
+  }
+  return summary;
+}
+
+/**
+ * APY/TVL history of one opportunity, aggregated into buckets
+ * @param {number} opportunityId
+ * @param {object} options - { days (default 30), bucket: 'hour' | 'day' | 'week' (default 'day') }
+ * @returns {Promise<Array<object>>} - Oldest first: { bucket, apy, apyMin, apyMax, apyClose, tvl, samples }
+ */
+export async function loadOpportunityHistory(opportunityId, { days = 30, bucket = 'day' } = {}) {
+  if (!HISTORY_BUCKETS.includes(bucket)) {
+    throw new Error(`Unsupported bucket: ${bucket}`);
+  }
+
+  await ensureOpportunityMetricsTables();
+  const rows = await sql`
+    SELECT date_trunc(${bucket}, recorded_at) AS bucket,
+           SUM(apy * samples) / SUM(samples) AS apy,
+           MIN(COALESCE(apy_min, apy)) AS apy_min,
+           MAX(COALESCE(apy_max, apy)) AS apy_max,
+           (ARRAY_AGG(apy ORDER BY recorded_at DESC))[1] AS apy_close,
+           SUM(tvl * samples) FILTER (WHERE tvl IS NOT NULL)
+             / NULLIF(SUM(samples) FILTER (WHERE tvl IS NOT NULL), 0) AS tvl,
+           SUM(samples) AS samples
+    FROM opportunity_metrics
+    WHERE opportunity_id = ${opportunityId}
+      AND recorded_at >= NOW() - make_interval(days => ${days}::int)
+    GROUP BY 1
+    ORDER BY 1 ASC
+  `;
+
+  return rows.map((row) => ({
+    bucket: new Date(row.bucket).toISOString(),
+    apy: Number(row.apy),
+    apyMin: Number(row.apy_min),
+    apyMax: Number(row.apy_max),
+    apyClose: Number(row.apy_close),
+    tvl: row.tvl === null ? null : Number(row.tvl),
+    samples: Number(row.samples),
+  }));
+}
+
+/**
+ * Attach daily APY history to opportunities for the optimizer
+ * One query for every opportunity; rows without history get an empty list.
+ * @param {Array<object>} opportunities - cultiv8_opportunities rows
+ * @param {object} options - { days (default 90) }
+ * @returns {Promise<Array<object>>} - Rows with apy_history: [{ bucket, apy }], oldest first
+ */
+export async function attachApyHistory(opportunities, { days = 90 } = {}) {
+  const ids = [...new Set(opportunities.map((o) => o.id).filter(Boolean))];
+  if (ids.length === 0) return opportunities;
+
+  await ensureOpportunityMetricsTables();
+  const rows = await sql`
+    SELECT opportunity_id,
+           date_trunc('day', recorded_at) AS bucket,
+           SUM(apy * samples) / SUM(samples) AS apy
+    FROM opportunity_metrics
+    WHERE opportunity_id = ANY(${ids}::int[])
+      AND recorded_at >= NOW() - make_interval(days => ${days}::int)
+    GROUP BY 1, 2
+    ORDER BY 1, 2 ASC
+  `;
+
+  const historyFor = new Map();
+  for (const row of rows) {
+    if (!historyFor.has(row.opportunity_id)) historyFor.set(row.opportunity_id, []);
+    historyFor.get(row.opportunity_id).push({ bucket: new Date(row.bucket).toISOString(), apy: Number(row.apy) });
+  }
+
+  return opportunities.map((opp) => ({ ...opp, apy_history: historyFor.get(opp.id) || [] }));
+}
+
+/**
+ * Stored history of some opportunities as backtest observations
+ * Rows of every resolution are returned as recorded (rollups carry their
+ * bucket's average). Risk score and type are the opportunity's current ones;
+ * a market is taken as active while it was being recorded.
+ * @param {Array<number>} opportunityIds
+ * @param {object} options - { from, to (ISO strings), limit (max rows) }
+ * @returns {Promise<Array<object>>} - Oldest first, in normalizeObservation's shape:
+ *   { id, timestamp, protocol_name, blockchain, token_symbol, apy, tvl, risk_score, protocol_type }
+ */
+export async function loadBacktestHistory(opportunityIds, { from, to, limit }) {
+  await ensureOpportunityMetricsTables();
+  const rows = await sql`
+    SELECT m.opportunity_id, m.recorded_at, m.apy, m.tvl,
+           o.protocol_name, o.blockchain, COALESCE(o.token_symbol, 'USDC') AS token_symbol,
+           o.risk_score, o.protocol_type
+    FROM opportunity_metrics m
+    JOIN cultiv8_opportunities o ON o.id = m.opportunity_id
+    WHERE m.opportunity_id = ANY(${opportunityIds}::int[])
+      AND m.recorded_at >= ${from}
+      AND m.recorded_at <= ${to}
+    ORDER BY m.recorded_at ASC
+    LIMIT ${limit}
+  `;
+
+  return rows.map((row) => ({
+    id: row.opportunity_id,
+    timestamp: new Date(row.recorded_at).toISOString(),
+    protocol_name: row.protocol_name,
+    blockchain: row.blockchain,
+    token_symbol: row.token_symbol,
+    apy: Number(row.apy),
+    tvl: row.tvl === null ? null : Number(row.tvl),
+    ...(row.risk_score !== null && { risk_score: Number(row.risk_score) }),
+    ...(row.protocol_type && { protocol_type: row.protocol_type }),
+  }));
+}
@@ -1,13 +1,21 @@
+import { apyStats, apyCorrelation, covarianceMatrix } from './apyStats.js';
+
 /**
  * Portfolio Optimization Engine
  * Implements Modern Portfolio Theory (MPT) for yield farming allocation
- * Calculates risk-adjusted returns and optimal position sizing
+ * Calculates risk-adjusted returns and mean-variance position sizing.
+ * Volatility, downside deviation and correlations come from each
+ * opportunity's apy_history when it has enough of it (see apyStats.js),
+ * otherwise from its risk score.
  */
 export class PortfolioOptimizer {
   constructor(riskFreeRate = 0.04) {
     this.riskFreeRate = riskFreeRate; // 4% baseline (e.g., T-bills)
     this.maxProtocolAllocation = 0.40; // Max 40% in any single protocol
+    this.maxChainAllocation = 1.0; // Max share of a budget on one chain (uncapped by default)
     this.minPositionSize = 100; // Minimum $100 position
+    this.riskAversion = 4; // Mean-variance lambda: return given up per unit of variance
+    this.allocationStep = 0.005; // Budget share added per optimizer step
   }
 
   /**
@@ -48,18 +56,61 @@ export class PortfolioOptimizer {
     return bounded;
   }
 
+  /**
+   * Asset an opportunity is denominated in (its market)
+   * @param {object} opp
+   * @returns {string}
+   */
+  assetOf(opp) {
+    return String(opp.token_symbol || opp.asset || 'USDC').toUpperCase();
+  }
+
+  /**
+   * Volatility and downside deviation of an opportunity's APY
+   * From apy_history ([{ bucket, apy }], daily) when it has enough points,
+   * with the risk-free rate as the downside threshold; otherwise an explicit
+   * volatility field, or risk * 0.15 with downside taken equal to it.
+   * @param {object} opp
+   * @param {number} risk - Risk score normalized to 0-1
+   * @returns {{ volatility: number, downsideDeviation: number, riskSource: string }}
+   */
+  estimateRisk(opp, risk) {
+    const stats = opp.apy_history
+      ? apyStats(opp.apy_history, { minAcceptableReturn: this.riskFreeRate })
+      : null;
+    if (stats) {
+      return { volatility: stats.volatility, downsideDeviation: stats.downsideDeviation, riskSource: 'history' };
+    }
+
+    const volatility = opp.volatility || risk * 0.15; // Estimate if not available
+    return { volatility, downsideDeviation: opp.downsideDeviation || volatility, riskSource: 'estimate' };
+  }
+
   /**
    * Optimize portfolio allocation across opportunities
+   * Each asset (USDC, USDT, DAI, WETH...) is its own market: protocol caps
+   * apply per protocol and asset, and when assetBudgets is given each market
+   * is sized only from the capital held in that asset.
    * @param {Array} opportunities - Available opportunities
    * @param {object} constraints - Investment constraints
-   * @returns {object} - Optimized allocation plan
+   * @param {number} constraints.maxTotalInvestment - Shared budget when assetBudgets is omitted
+   * @param {object} constraints.assetBudgets - Optional budget per asset symbol
+   * @param {number} constraints.maxChainAllocation - Max budget share on one chain (default this.maxChainAllocation)
+   * @param {object} constraints.chainCaps - Optional per-chain share overrides ({ base: 0.5 })
+   * @param {number} constraints.riskAversion - Mean-variance lambda (default this.riskAversion)
+   * @returns {object} - Optimized allocation plan (with a per-asset `markets` breakdown)
    */
   optimizeAllocation(opportunities, constraints) {
     const {
       maxTotalInvestment,
       maxRiskScore,
       maxInvestmentPerOpportunity,
+      assetBudgets,
+      maxChainAllocation = this.maxChainAllocation,
+      chainCaps = {},
+      riskAversion = this.riskAversion,
     } = constraints;
+    const sizing = { maxInvestmentPerOpportunity, maxChainAllocation, chainCaps, riskAversion };
 
     // Filter by risk tolerance
     const eligible = opportunities.filter(
@@ -73,25 +124,32 @@ export class PortfolioOptimizer {
         expectedReturn: 0,
         portfolioRisk: 0,
         sharpeRatio: 0,
+        markets: {},
       };
     }
 
     // Calculate risk-adjusted scores for each opportunity
     const scored = eligible.map((opp) => {
-      const apy = Number(opp.apy || 0) / 100; // Convert to decimal
+      // Size on the post-deposit APY when the adapter could project it
+      const apy = Number(opp.projected_apy ?? opp.apy ?? 0) / 100; // Convert to decimal
       const risk = (opp.riskScore || opp.risk_score || 5) / 10; // Normalize to 0-1
-      const volatility = opp.volatility || risk * 0.15; // Estimate if not available
+      const { volatility, downsideDeviation, riskSource } = this.estimateRisk(opp, risk);
 
       // Calculate metrics
       const sharpe = this.calculateSharpeRatio(apy, volatility);
+      const sortino = this.calculateSortinoRatio(apy, downsideDeviation);
       const riskAdjustedReturn = apy / (1 + risk); // Simple risk adjustment
 
       return {
         ...opp,
+        asset: this.assetOf(opp),
         apy,
         risk,
         volatility,
+        downsideDeviation,
+        riskSource,
         sharpe,
+        sortino,
         riskAdjustedReturn,
         score: sharpe * 100 + riskAdjustedReturn * 50, // Combined score
       };
@@ -100,60 +158,166 @@ export class PortfolioOptimizer {
     // Sort by composite score (Sharpe + risk-adjusted return)
     scored.sort((a, b) => b.score - a.score);
 
-    // Allocate capital with diversification constraints
-    const allocations = [];
-    let remaining = maxTotalInvestment;
-    const protocolAllocations = new Map(); // Track per-protocol allocation
-
-    for (const opp of scored) {
-      if (remaining < this.minPositionSize) break;
-
-      // Calculate maximum we can allocate to this opportunity
-      const protocolName = opp.protocol_name;
-      const currentProtocolTotal = protocolAllocations.get(protocolName) || 0;
-      const maxForProtocol = maxTotalInvestment * this.maxProtocolAllocation;
-
-      // Available for this protocol
-      const protocolCapacity = maxForProtocol - currentProtocolTotal;
-      if (protocolCapacity < this.minPositionSize) continue;
-
-      // Kelly-based sizing with safety margin
-      const kellySize = this.kellyFraction(0.7, 2, 0.25); // Conservative estimate
-      const rawAllocation = Math.min(
-        remaining,
-        maxInvestmentPerOpportunity || Infinity,
-        protocolCapacity,
-        remaining * kellySize
-      );
-
-      // Round down to avoid fractional shares
-      const allocation = Math.floor(rawAllocation);
-
-      if (allocation >= this.minPositionSize) {
-        allocations.push({
-          opportunity: opp,
-          amount: allocation,
-          percentage: (allocation / maxTotalInvestment) * 100,
-          sharpe: opp.sharpe,
-          riskAdjustedReturn: opp.riskAdjustedReturn,
-        });
-
-        remaining -= allocation;
-        protocolAllocations.set(protocolName, currentProtocolTotal + allocation);
+    let allocations;
+    let totalBudget;
+    if (assetBudgets) {
+      // Each market is sized from its own budget
+      allocations = [];
+      totalBudget = 0;
+      for (const [asset, budget] of Object.entries(assetBudgets)) {
+        const market = scored.filter((opp) => opp.asset === asset.toUpperCase());
+        allocations.push(...this.allocateMarket(market, Number(budget) || 0, sizing));
+        totalBudget += Number(budget) || 0;
       }
+    } else {
+      allocations = this.allocateMarket(scored, maxTotalInvestment, sizing);
+      totalBudget = maxTotalInvestment;
     }
 
+    const totalAllocated = allocations.reduce((sum, a) => sum + a.amount, 0);
+
     // Calculate portfolio-level metrics
-    const portfolioMetrics = this.calculatePortfolioMetrics(allocations, maxTotalInvestment);
+    const portfolioMetrics = this.calculatePortfolioMetrics(allocations, totalBudget);
+
+    // Per-asset breakdown
+    const markets = {};
+    for (const alloc of allocations) {
+      const asset = alloc.opportunity.asset;
+      markets[asset] = markets[asset] || [];
+      markets[asset].push(alloc);
+    }
+    for (const [asset, marketAllocations] of Object.entries(markets)) {
+      const budget = assetBudgets ? Number(assetBudgets[asset]) || 0 : totalBudget;
+      markets[asset] = {
+        allocations: marketAllocations.length,
+        totalAllocated: marketAllocations.reduce((sum, a) => sum + a.amount, 0),
+        ...this.calculatePortfolioMetrics(marketAllocations, budget),
+      };
+    }
 
     return {
       allocations,
-      totalAllocated: maxTotalInvestment - remaining,
-      remaining,
+      totalAllocated,
+      remaining: totalBudget - totalAllocated,
       ...portfolioMetrics,
+      markets,
     };
   }
 
+  /**
+   * Allocate a budget across scored opportunities by mean-variance
+   * Budget is added in small steps to the market with the best marginal
+   * utility, apy - riskAversion * (covariance x weights), until no market
+   * improves the portfolio or every cap is full. Caps: maxProtocolAllocation
+   * per protocol and asset (Aave USDC and Aave WETH are separate markets),
+   * the per-chain share, and maxInvestmentPerOpportunity. A market that would
+   * end below minPositionSize is dropped and the rest re-solved.
+   * @param {Array} scored - Opportunities sorted by score (best first)
+   * @param {number} budget
+   * @param {object} sizing - { maxInvestmentPerOpportunity, maxChainAllocation, chainCaps, riskAversion }
+   * @returns {Array} - Allocations, largest first
+   */
+  allocateMarket(scored, budget, sizing = {}) {
+    if (!(budget >= this.minPositionSize) || scored.length === 0) return [];
+
+    const {
+      maxInvestmentPerOpportunity,
+      maxChainAllocation = this.maxChainAllocation,
+      chainCaps = {},
+      riskAversion = this.riskAversion,
+    } = sizing;
+
+    const covariance = covarianceMatrix(
+      scored.map((opp) => opp.volatility),
+      this.calculateCorrelationMatrix(scored)
+    );
+    const oppCap = Math.min(1, (maxInvestmentPerOpportunity || Infinity) / budget);
+    const protocolKey = (opp) => `${opp.protocol_name}:${opp.asset}`;
+    const chainCap = (opp) => Math.min(1, chainCaps[opp.blockchain] ?? maxChainAllocation);
+
+    let candidates = scored.map((_, i) => i);
+    for (;;) {
+      const weights = this.solveMeanVariance(scored, candidates, covariance, {
+        riskAversion,
+        oppCap,
+        protocolKey,
+        chainCap,
+      });
+
+      // Round down to avoid fractional shares (the epsilon absorbs float error at the caps)
+      const amounts = weights.map((w) => Math.floor(w * budget + 1e-6));
+      const undersized = candidates
+        .filter((i) => amounts[i] > 0 && amounts[i] < this.minPositionSize)
+        .sort((a, b) => amounts[a] - amounts[b]);
+
+      if (undersized.length > 0) {
+        candidates = candidates.filter((i) => i !== undersized[0]);
+        continue;
+      }
+
+      return candidates
+        .filter((i) => amounts[i] >= this.minPositionSize)
+        .map((i) => ({
+          opportunity: scored[i],
+          asset: scored[i].asset,
+          amount: amounts[i],
+          percentage: (amounts[i] / budget) * 100,
+          sharpe: scored[i].sharpe,
+          sortino: scored[i].sortino,
+          riskAdjustedReturn: scored[i].riskAdjustedReturn,
+        }))
+        .sort((a, b) => b.amount - a.amount || b.opportunity.apy - a.opportunity.apy);
+    }
+  }
+
+  /**
+   * Greedy mean-variance weights over a set of candidate markets
+   * @param {Array} scored
+   * @param {Array<number>} candidates - Indexes into scored that may receive weight
+   * @param {Array<Array<number>>} covariance
+   * @param {object} limits - { riskAversion, oppCap, protocolKey(opp), chainCap(opp) }
+   * @returns {Array<number>} - Budget share per scored index (sums to at most 1)
+   */
+  solveMeanVariance(scored, candidates, covariance, { riskAversion, oppCap, protocolKey, chainCap }) {
+    const weights = scored.map(() => 0);
+    const protocolUsed = new Map();
+    const chainUsed = new Map();
+    let invested = 0;
+
+    const headroom = (i) => {
+      const opp = scored[i];
+      return Math.min(
+        oppCap - weights[i],
+        this.maxProtocolAllocation - (protocolUsed.get(protocolKey(opp)) || 0),
+        chainCap(opp) - (chainUsed.get(opp.blockchain) || 0),
+        1 - invested
+      );
+    };
+
+    const EPSILON = 1e-9;
+    for (;;) {
+      let best = -1;
+      let bestUtility = 0;
+      for (const i of candidates) {
+        if (headroom(i) <= EPSILON) continue;
+        const risk = covariance[i].reduce((sum, c, j) => sum + c * weights[j], 0);
+        const utility = scored[i].apy - riskAversion * risk;
+        if (utility > bestUtility) {
+          best = i;
+          bestUtility = utility;
+        }
+      }
+      if (best < 0) return weights;
+
+      const step = Math.min(this.allocationStep, headroom(best));
+      const opp = scored[best];
+      weights[best] += step;
+      protocolUsed.set(protocolKey(opp), (protocolUsed.get(protocolKey(opp)) || 0) + step);
+      chainUsed.set(opp.blockchain, (chainUsed.get(opp.blockchain) || 0) + step);
+      invested += step;
+    }
+  }
+
   /**
    * Calculate portfolio-level metrics
    * @param {Array} allocations
@@ -184,13 +348,15 @@ export class PortfolioOptimizer {
       return sum + weight * a.opportunity.risk;
     }, 0);
 
-    // Portfolio volatility (simplified - assumes uncorrelated for now)
-    const portfolioVolatility = Math.sqrt(
-      allocations.reduce((sum, a) => {
-        const weight = a.amount / totalAllocated;
-        return sum + Math.pow(weight * a.opportunity.volatility, 2);
-      }, 0)
+    // Portfolio volatility: sqrt(w' * covariance * w)
+    const weights = allocations.map((a) => a.amount / totalAllocated);
+    const covariance = covarianceMatrix(
+      allocations.map((a) => a.opportunity.volatility),
+      this.calculateCorrelationMatrix(allocations.map((a) => a.opportunity))
     );
+    const portfolioVolatility = Math.sqrt(Math.max(0,
+      weights.reduce((sum, wi, i) => sum + weights.reduce((inner, wj, j) => inner + wi * wj * covariance[i][j], 0), 0)
+    ));
 
     // Portfolio Sharpe ratio
     const sharpeRatio = this.calculateSharpeRatio(expectedReturn, portfolioVolatility);
@@ -209,24 +375,33 @@ export class PortfolioOptimizer {
 
   /**
    * Calculate correlation matrix between opportunities
-   * @param {Array} opportunities - Opportunities with historical data
+   * Pairs with enough overlapping apy_history use the correlation of their
+   * daily APY changes. Other pairs fall back to a structural guess: lending
+   * markets in the same asset are moderately correlated (0.6), different
+   * types less so (0.3), and different assets are separate markets (0.1).
+   * @param {Array} opportunities - Opportunities, optionally with apy_history
    * @returns {Array<Array<number>>} - Correlation matrix
    */
   calculateCorrelationMatrix(opportunities) {
-    // Placeholder - would need historical APY data
-    // For now, assume lending protocols are moderately correlated (0.6)
-    // and different types are less correlated (0.3)
     const n = opportunities.length;
     const matrix = Array(n).fill(null).map(() => Array(n).fill(0));
 
     for (let i = 0; i < n; i++) {
-      for (let j = 0; j < n; j++) {
-        if (i === j) {
-          matrix[i][j] = 1.0; // Perfect self-correlation
-        } else {
-          const sameType = opportunities[i].protocol_type === opportunities[j].protocol_type;
-          matrix[i][j] = sameType ? 0.6 : 0.3;
+      matrix[i][i] = 1.0; // Perfect self-correlation
+      for (let j = 0; j < i; j++) {
+        const a = opportunities[i];
+        const b = opportunities[j];
+        let rho = a.apy_history && b.apy_history ? apyCorrelation(a.apy_history, b.apy_history) : null;
+
+        if (rho === null) {
+          if (this.assetOf(a) !== this.assetOf(b)) {
+            rho = 0.1;
+          } else {
+            rho = a.protocol_type === b.protocol_type ? 0.6 : 0.3;
+          }
         }
+        matrix[i][j] = rho;
+        matrix[j][i] = rho;
       }
     }
 
@@ -260,6 +435,7 @@ export class PortfolioOptimizer {
       if (driftPercent > thresholdPercent) {
         rebalanceActions.push({
           opportunity: optimal.opportunity.protocol_name,
+          opportunityId: optimal.opportunity.id,
           currentAmount,
           targetAmount,
           action: currentAmount < targetAmount ? 'increase' : 'decrease',
@@ -0,0 +1,230 @@
+import { ethers } from 'ethers';
+import sql from './sql';
+import { log } from './logger';
+import { ensureReconciliationColumns } from './reconciler.js';
+import { getInvestmentAdapter } from './withdrawals.js';
+import { priceOracle } from './priceOracle.js';
+import { toDay } from './returns.js';
+
+/**
+ * Position Snapshots
+ * Marks every confirmed investment to market once a day from its adapter's
+ * getUserPosition: principal, accrued interest, share price and USD value.
+ * Positions are pooled per holder and opportunity on-chain, so each
+ * investment is credited its principal-weighted share of the pool, the same
+ * split withdrawals use.
+ */
+
+/**
+ * Ensure position_snapshots exists (mirrors migrations/012_position_snapshots.sql)
+ */
+export async function ensurePositionSnapshotTables() {
+  try {
+    await sql`
+      CREATE TABLE IF NOT EXISTS position_snapshots (
+        id SERIAL PRIMARY KEY,
+        investment_id INTEGER NOT NULL REFERENCES investments(id) ON DELETE CASCADE,
+        user_address TEXT,
+        snapshot_date DATE NOT NULL,
+        holder TEXT NOT NULL,
+        principal NUMERIC(30,8) NOT NULL,
+        position_value NUMERIC(30,8) NOT NULL,
+        accrued_interest NUMERIC(30,8) NOT NULL,
+        share_price NUMERIC(38,18),
+        price_usd NUMERIC(30,8),
+        value_usd NUMERIC(30,8),
+        block_number BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (investment_id, snapshot_date)
+      )
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_position_snapshots_user_date
+        ON position_snapshots(user_address, snapshot_date DESC)
+    `;
+  } catch (error) {
+    // Table likely already exists
+    console.debug('Position snapshot setup:', error.message);
+  }
+}
+
+/**
+ * Mark one pooled position and write a snapshot for each investment in it
+ * @param {Array<object>} members - Open investments sharing opportunity and holder
+ * @param {Function} adapterFor - (investment) => adapter
+ * @returns {Promise<number>} - Snapshots written
+ */
+async function snapshotPool(members, adapterFor) {
+  const [first] = members;
+  const adapter = await adapterFor(first);
+  const [position, blockNumber] = await Promise.all([
+    adapter.getUserPosition(ethers.getAddress(first.holder)),
+    adapter.provider.getBlockNumber(),
+  ]);
+
+  if (position.error) {
+    throw new Error(position.error);
+  }
+
+  const pooledPrincipal = members.reduce((sum, inv) => sum + Number(inv.amount), 0);
+  if (!(position.balance > 0) || pooledPrincipal <= 0) {
+    throw new Error(`No on-chain ${first.protocol_name} position for ${first.holder}`);
+  }
+
+  let priceUsd = null;
+  try {
+    priceUsd = await priceOracle.getUsdPrice(first.token_symbol || 'USDC', first.blockchain);
+  } catch (error) {
+    log.warn('Snapshot stored without USD price', { investmentId: first.id, error: error.message });
+  }
+
+  let written = 0;
+  for (const inv of members) {
+    const principal = Number(inv.amount);
+    const value = (position.balance * principal) / pooledPrincipal;
+    const inserted = await sql`
+      INSERT INTO position_snapshots (
+        investment_id, user_address, snapshot_date, holder, principal, position_value,
+        accrued_interest, share_price, price_usd, value_usd, block_number
+      ) VALUES (
+        ${inv.id}, ${inv.user_address}, CURRENT_DATE, ${inv.holder}, ${principal}, ${value},
+        ${value - principal}, ${position.sharePrice ?? null}, ${priceUsd},
+        ${priceUsd === null ? null : value * priceUsd}, ${blockNumber}
+      )
+      ON CONFLICT (investment_id, snapshot_date) DO NOTHING
+      RETURNING id
+    `;
+    written += inserted.length;
+  }
+
+  return written;
+}
+
+/**
+ * Snapshot every open confirmed position that has no mark for today
+ * Failures are logged per pool so one unreadable position does not stop the rest.
+ * @param {object} options
+ * @param {string} options.userAddress - Only pools holding this wallet's investments
+ * @param {Function} options.adapterFor - (investment) => adapter override (tests, Hardhat)
+ * @returns {Promise<object>} - { pools, snapshots, errors }
+ */
+export async function snapshotOpenPositions(options = {}) {
+  const { userAddress, adapterFor = getInvestmentAdapter } = options;
+
+  await ensureReconciliationColumns();
+  await ensurePositionSnapshotTables();
+
+  const open = await sql`
+    SELECT i.id, i.amount, i.user_address, i.blockchain, i.opportunity_id,
+           LOWER(COALESCE(i.tx_from, i.user_address)) AS holder,
+           o.protocol_name, o.token_symbol,
+           EXISTS (
+             SELECT 1 FROM position_snapshots s
+             WHERE s.investment_id = i.id AND s.snapshot_date = CURRENT_DATE
+           ) AS marked_today
+    FROM investments i
+    JOIN cultiv8_opportunities o ON o.id = i.opportunity_id
+    WHERE i.status = 'confirmed' AND i.withdrawn_at IS NULL
+    ORDER BY i.id ASC
+  `;
+
+  const pools = new Map();
+  for (const inv of open) {
+    const key = `${inv.opportunity_id}:${inv.holder}`;
+    if (!pools.has(key)) pools.set(key, []);
+    pools.get(key).push(inv);
+  }
+
+  const wallet = userAddress?.toLowerCase();
+  const summary = { pools: 0, snapshots: 0, errors: 0 };
+
+  for (const members of pools.values()) {
+    if (members.every((inv) => inv.marked_today)) continue;
+    if (wallet && !members.some((inv) => inv.user_address === wallet)) continue;
+
+    summary.pools++;
+    try {
+      summary.snapshots += await snapshotPool(members, adapterFor);
+    } catch (error) {
+      summary.errors++;
+      log.warn('Position snapshot failed', {
+        investmentIds: members.map((inv) => inv.id),
+        error: error.message,
+      });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * A wallet's investments active during a window, with their daily marks
+ * USD amounts use the price stored with the nearest snapshot (first mark for
+ * the deposit, last for the withdrawal), or the current oracle price when
+ * the investment was never marked.
+ * @param {string} userAddress - Normalized wallet address
+ * @param {object} window - { start } as 'YYYY-MM-DD'
+ * @returns {Promise<Array<object>>} - Positions for buildValuationSeries, plus
+ *   id, status, latestMark and the current price
+ */
+export async function loadPositionHistory(userAddress, { start }) {
+  await ensurePositionSnapshotTables();
+
+  const [investments, snapshots] = await sql.transaction((txn) => [
+    txn`
+      SELECT i.id, i.amount, i.status, i.actual_return, i.invested_at, i.withdrawn_at, i.blockchain,
+             COALESCE(o.token_symbol, 'USDC') AS token_symbol
+      FROM investments i
+      LEFT JOIN cultiv8_opportunities o ON o.id = i.opportunity_id
+      WHERE i.user_address = ${userAddress}
+        AND i.status IN ('pending','confirmed','withdrawn')
+        AND (i.withdrawn_at IS NULL OR i.withdrawn_at >= ${start}::date)
+      ORDER BY i.invested_at ASC
+    `,
+    txn`
+      SELECT investment_id, snapshot_date, position_value, accrued_interest, share_price, price_usd
+      FROM position_snapshots
+      WHERE user_address = ${userAddress}
+      ORDER BY snapshot_date ASC
+    `,
+  ]);
+
+  const marksById = new Map();
+  for (const row of snapshots) {
+    if (!marksById.has(row.investment_id)) marksById.set(row.investment_id, []);
+    marksById.get(row.investment_id).push({
+      day: toDay(row.snapshot_date),
+      value: Number(row.position_value),
+      accrued: Number(row.accrued_interest),
+      sharePrice: row.share_price === null ? null : Number(row.share_price),
+      priceUsd: row.price_usd === null ? null : Number(row.price_usd),
+    });
+  }
+
+  const { holdings } = await priceOracle.valueHoldings(
+    investments.map((inv) => ({ ...inv, amount: Number(inv.amount), symbol: inv.token_symbol, chain: inv.blockchain }))
+  );
+
+  return holdings.map((inv) => {
+    const marks = marksById.get(inv.id) || [];
+    const firstPrice = marks.find((m) => m.priceUsd !== null)?.priceUsd ?? inv.priceUsd;
+    const lastPrice = [...marks].reverse().find((m) => m.priceUsd !== null)?.priceUsd ?? inv.priceUsd;
+
+    return {
+      id: inv.id,
+      status: inv.status,
+      symbol: inv.symbol,
+      chain: inv.chain,
+      principal: inv.amount,
+      priceUsd: inv.priceUsd,
+      investedAt: inv.invested_at,
+      withdrawnAt: inv.withdrawn_at,
+      principalUsd: inv.amount * firstPrice,
+      withdrawnUsd: inv.withdrawn_at
+        ? (inv.amount + Number(inv.actual_return || 0)) * lastPrice
+        : null,
+      marks: marks.map((m) => ({ ...m, valueUsd: m.value * (m.priceUsd ?? inv.priceUsd) })),
+      latestMark: marks[marks.length - 1] || null,
+    };
+  });
+}
@@ -0,0 +1,213 @@
+import { ethers } from 'ethers';
+import { log } from './logger.js';
+import { getChain, getRpcUrl } from '../protocols/chains.js';
+import { getProvider } from '../protocols/rpcPool.js';
+import { getToken } from '../protocols/tokens.js';
+import {
+  CHAINLINK_FEEDS,
+  UNISWAP_V3_POOLS,
+  priceSymbol,
+  validateChainlinkRound,
+  meanTick,
+  tickToPrice,
+} from '../protocols/priceFeeds.js';
+
+/**
+ * Price Oracle
+ * USD prices for every conversion in the app (gas costs, position values,
+ * fees). Reads the Chainlink aggregator on the requested chain with
+ * staleness checks, falls back to a Uniswap v3 TWAP, then to the same feeds
+ * on Ethereum. Stablecoins with no readable feed are taken at their $1 peg.
+ */
+
+const CHAINLINK_AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+];
+
+const UNISWAP_V3_POOL_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+];
+
+const ERC20_DECIMALS_ABI = ['function decimals() view returns (uint8)'];
+
+// The Redis cache is loaded with the first price read, so gas estimates,
+// adapters and planners can import the oracle without opening a connection
+let cacheLoad = null;
+function loadCache() {
+  cacheLoad ??= import('./cache.js').then((module) => module.cache);
+  return cacheLoad;
+}
+
+const PRICE_TTL_SECONDS = parseInt(process.env.PRICE_CACHE_TTL_SECONDS) || 60;
+const TWAP_WINDOW_SECONDS = parseInt(process.env.PRICE_TWAP_WINDOW_SECONDS) || 1800;
+
+export class PriceOracle {
+  constructor({ providerFor = getProvider, ttl = PRICE_TTL_SECONDS, twapWindow = TWAP_WINDOW_SECONDS } = {}) {
+    this.providerFor = providerFor;
+    this.ttl = ttl;
+    this.twapWindow = twapWindow;
+  }
+
+  /**
+   * Read a Chainlink USD feed
+   * @param {string} symbol - Feed symbol ('ETH', 'USDC', ...)
+   * @param {string} chain
+   * @returns {Promise<object|null>} - null when the chain has no feed for the symbol
+   */
+  async readChainlink(symbol, chain) {
+    const feed = CHAINLINK_FEEDS[chain]?.[symbol];
+    if (!feed) return null;
+
+    const aggregator = new ethers.Contract(feed.address, CHAINLINK_AGGREGATOR_ABI, this.providerFor(chain));
+    const [decimals, round] = await Promise.all([aggregator.decimals(), aggregator.latestRoundData()]);
+    const { price, updatedAt } = validateChainlinkRound(round, Number(decimals), { heartbeat: feed.heartbeat });
+
+    return { price, source: 'chainlink', feed: feed.address, updatedAt: new Date(updatedAt * 1000).toISOString() };
+  }
+
+  /**
+   * Time-weighted price from a Uniswap v3 pool against USDC
+   * @param {string} symbol
+   * @param {string} chain
+   * @returns {Promise<object|null>} - null when no pool is configured
+   */
+  async readUniswapTwap(symbol, chain) {
+    const poolAddress = UNISWAP_V3_POOLS[chain]?.[symbol];
+    if (!poolAddress) return null;
+
+    const provider = this.providerFor(chain);
+    const pool = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, provider);
+    const [token0, token1, observation] = await Promise.all([
+      pool.token0(),
+      pool.token1(),
+      pool.observe([this.twapWindow, 0]),
+    ]);
+    const [decimals0, decimals1] = await Promise.all(
+      [token0, token1].map(async (address) => Number(await new ethers.Contract(address, ERC20_DECIMALS_ABI, provider).decimals()))
+    );
+
+    const usdc = getToken('USDC', chain)?.address.toLowerCase();
+    const tick = meanTick(observation.tickCumulatives, this.twapWindow);
+    const price = tickToPrice(tick, { baseIsToken0: token1.toLowerCase() === usdc, decimals0, decimals1 });
+
+    return { price, source: 'uniswap-v3-twap', pool: poolAddress, windowSeconds: this.twapWindow, updatedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Resolve a price without the cache
+   * @param {string} symbol - Feed symbol
+   * @param {string} chain
+   * @returns {Promise<object>}
+   */
+  async resolvePrice(symbol, chain) {
+    const errors = [];
+    const chains = [...new Set([chain, 'ethereum'])].filter((c) => getChain(c) && getRpcUrl(c));
+
+    for (const candidate of chains) {
+      for (const read of [this.readChainlink, this.readUniswapTwap]) {
+        try {
+          const result = await read.call(this, symbol, candidate);
+          if (result) return { symbol, chain: candidate, ...result };
+        } catch (error) {
+          errors.push(`${candidate}: ${error.message}`);
+        }
+      }
+    }
+
+    if (getToken(symbol, chain)?.stable || getToken(symbol, 'ethereum')?.stable) {
+      if (errors.length > 0) {
+        log.warn('Stablecoin priced at peg', { symbol, chain, errors });
+      }
+      return { symbol, chain, price: 1, source: 'peg', updatedAt: new Date().toISOString() };
+    }
+
+    throw new Error(`No USD price for ${symbol} on ${chain}${errors.length ? `: ${errors.join('; ')}` : ''}`);
+  }
+
+  /**
+   * USD price of a token
+   * @param {string} symbol - Token symbol ('WETH', 'USDC', 'ETH', 'POL', ...)
+   * @param {string} chain - Chain registry name (default 'ethereum')
+   * @returns {Promise<object>} - { symbol, chain, price, source, updatedAt }
+   */
+  async getPrice(symbol, chain = 'ethereum') {
+    const key = priceSymbol(symbol);
+    const cache = await loadCache();
+    return cache.wrap(`price:${chain}:${key}`, () => this.resolvePrice(key, chain), this.ttl);
+  }
+
+  /**
+   * USD price as a number
+   * @param {string} symbol
+   * @param {string} chain
+   * @returns {Promise<number>}
+   */
+  async getUsdPrice(symbol, chain = 'ethereum') {
+    return (await this.getPrice(symbol, chain)).price;
+  }
+
+  /**
+   * USD price of a chain's gas token
+   * @param {string} chain
+   * @returns {Promise<number>}
+   */
+  async getNativeTokenPrice(chain = 'ethereum') {
+    return this.getUsdPrice(getChain(chain)?.nativeToken.symbol || 'ETH', chain);
+  }
+
+  /**
+   * Value a token amount in USD
+   * @param {number} amount - Asset units (not base units)
+   * @param {string} symbol
+   * @param {string} chain
+   * @returns {Promise<number>}
+   */
+  async toUsd(amount, symbol, chain = 'ethereum') {
+    return Number(amount || 0) * (await this.getUsdPrice(symbol, chain));
+  }
+
+  /**
+   * Gas cost in USD
+   * @param {BigInt} gasCostWei - gas * price, in the native token's base units
+   * @param {string} chain
+   * @returns {Promise<number>}
+   */
+  async gasCostUsd(gasCostWei, chain = 'ethereum') {
+    const { decimals } = getChain(chain)?.nativeToken || { decimals: 18 };
+    return Number(ethers.formatUnits(gasCostWei, decimals)) * (await this.getNativeTokenPrice(chain));
+  }
+
+  /**
+   * Value a list of asset amounts in USD (prices looked up once per asset)
+   * @param {Array<object>} holdings - [{ amount, symbol, chain }]
+   * @returns {Promise<{ totalUsd: number, holdings: Array<object> }>}
+   */
+  async valueHoldings(holdings) {
+    const prices = new Map();
+    const priceFor = async (symbol, chain) => {
+      const key = `${chain}:${priceSymbol(symbol)}`;
+      if (!prices.has(key)) prices.set(key, this.getUsdPrice(symbol, chain));
+      return prices.get(key);
+    };
+
+    const valued = await Promise.all(holdings.map(async (holding) => {
+      const symbol = holding.symbol || 'USDC';
+      const chain = holding.chain || 'ethereum';
+      const priceUsd = await priceFor(symbol, chain);
+      return { ...holding, symbol, chain, priceUsd, valueUsd: Number(holding.amount || 0) * priceUsd };
+    }));
+
+    return {
+      totalUsd: valued.reduce((sum, h) => sum + h.valueUsd, 0),
+      holdings: valued,
+    };
+  }
+}
+
+// Singleton instance
+export const priceOracle = new PriceOracle();
+
+export default priceOracle;
@@ -0,0 +1,343 @@
+import { ethers } from 'ethers';
+import { GasOptimizer } from './gasOptimizer.js';
+import { chainNameFor } from '../protocols/chains.js';
+import { redactRpcUrl } from '../protocols/rpcPool.js';
+
+/**
+ * Private Orderflow Submission
+ * Sends high-MEV-risk transactions to a private relay instead of the public
+ * mempool. The relay is pluggable (Flashbots Protect, MEV-Share, or a mock for
+ * local runs). Submissions are retried, and a transaction the relay has not
+ * landed within PRIVATE_RELAY_MAX_BLOCKS blocks is broadcast publicly. The
+ * relay and the public mempool receive the same signed transaction, so the
+ * fallback can never execute it twice.
+ */
+
+const RETRIES = parseInt(process.env.PRIVATE_RELAY_RETRIES) || 3;
+const MAX_BLOCKS = parseInt(process.env.PRIVATE_RELAY_MAX_BLOCKS) || 5;
+const POLL_MS = parseInt(process.env.PRIVATE_RELAY_POLL_MS) || 3000;
+const RETRY_DELAY_MS = 1000;
+// assessMEVRisk scores 0-10; above 7 is HIGH
+const MIN_RISK_SCORE = parseInt(process.env.PRIVATE_RELAY_MIN_RISK) || 8;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Base relay client
+ * Subclasses implement sendPrivateTransaction; cancel is optional.
+ */
+export class PrivateRelay {
+  constructor(name, url, chains = ['ethereum']) {
+    this.name = name;
+    this.url = url;
+    this.chains = chains;
+    this.label = url ? redactRpcUrl(url) : name;
+  }
+
+  supportsChain(chain) {
+    return this.chains.includes('*') || this.chains.includes(chain);
+  }
+
+  /**
+   * Submit a signed transaction
+   * @param {string} signedTx - Serialized signed transaction
+   * @param {object} options - { maxBlockNumber }
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async sendPrivateTransaction(signedTx, options = {}) {
+    throw new Error('sendPrivateTransaction() must be implemented by subclass');
+  }
+
+  /**
+   * Ask the relay to stop trying to include a transaction
+   * @param {string} txHash
+   * @returns {Promise<boolean>}
+   */
+  async cancelPrivateTransaction(txHash) {
+    return false;
+  }
+
+  async rpc(method, params, headers = async () => ({})) {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: Date.now(), method, params });
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await headers(body)) },
+      body,
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.name} relay returned HTTP ${response.status}`);
+    }
+
+    const payload = await response.json();
+    if (payload.error) {
+      throw new Error(`${this.name} relay error: ${payload.error.message || JSON.stringify(payload.error)}`);
+    }
+    return payload.result;
+  }
+}
+
+/**
+ * Flashbots Protect RPC: a drop-in eth_sendRawTransaction endpoint that keeps
+ * the transaction out of the public mempool
+ */
+export class FlashbotsProtectRelay extends PrivateRelay {
+  constructor(url = process.env.FLASHBOTS_RPC_URL || 'https://rpc.flashbots.net/fast') {
+    super('flashbots', url);
+  }
+
+  async sendPrivateTransaction(signedTx) {
+    return this.rpc('eth_sendRawTransaction', [signedTx]);
+  }
+}
+
+/**
+ * Flashbots relay (MEV-Share): eth_sendPrivateTransaction with a block
+ * deadline, authenticated by a reputation key that holds no funds
+ */
+export class MevShareRelay extends PrivateRelay {
+  constructor(
+    url = process.env.MEV_SHARE_RELAY_URL || 'https://relay.flashbots.net',
+    authKey = process.env.FLASHBOTS_AUTH_KEY
+  ) {
+    super('mev-share', url);
+    this.authSigner = authKey ? new ethers.Wallet(authKey) : ethers.Wallet.createRandom();
+  }
+
+  async signedHeaders(body) {
+    const signature = await this.authSigner.signMessage(ethers.id(body));
+    return { 'X-Flashbots-Signature': `${this.authSigner.address}:${signature}` };
+  }
+
+  async sendPrivateTransaction(signedTx, options = {}) {
+    const result = await this.rpc('eth_sendPrivateTransaction', [{
+      tx: signedTx,
+      ...(options.maxBlockNumber && { maxBlockNumber: ethers.toQuantity(options.maxBlockNumber) }),
+      preferences: { fast: true, privacy: { hints: ['hash'] } },
+    }], (body) => this.signedHeaders(body));
+    return typeof result === 'string' ? result : ethers.keccak256(signedTx);
+  }
+
+  async cancelPrivateTransaction(txHash) {
+    return Boolean(await this.rpc('eth_cancelPrivateTransaction', [{ txHash }], (body) => this.signedHeaders(body)));
+  }
+}
+
+/**
+ * In-process relay for tests and local forks
+ * Fails the first `failures` submissions, then either lands transactions by
+ * broadcasting them through `provider` (e.g. a Hardhat node) or, with
+ * include: false, accepts and drops them like a relay that never lands.
+ */
+export class MockRelay extends PrivateRelay {
+  constructor({ provider = null, failures = 0, include = true, chains = ['*'] } = {}) {
+    super('mock', null, chains);
+    this.provider = provider;
+    this.failures = failures;
+    this.include = include;
+    this.submissions = [];
+    this.cancelled = [];
+  }
+
+  async sendPrivateTransaction(signedTx, options = {}) {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error('mock relay unavailable');
+    }
+
+    this.submissions.push({ signedTx, ...options });
+    if (this.include && this.provider) {
+      await this.provider.broadcastTransaction(signedTx);
+    }
+    return ethers.keccak256(signedTx);
+  }
+
+  async cancelPrivateTransaction(txHash) {
+    this.cancelled.push(txHash);
+    return true;
+  }
+}
+
+const RELAY_FACTORIES = {
+  flashbots: () => new FlashbotsProtectRelay(),
+  'mev-share': () => new MevShareRelay(),
+  mock: () => new MockRelay(),
+};
+
+const relays = new Map();
+
+/**
+ * Register a relay client under a PRIVATE_RELAY name
+ * @param {string} name
+ * @param {Function} factory - () => PrivateRelay
+ */
+export function registerRelay(name, factory) {
+  RELAY_FACTORIES[name] = factory;
+  relays.delete(name);
+}
+
+/**
+ * Configured relay for a chain
+ * @param {string} chain - Chain registry name
+ * @param {string} name - Relay name (default PRIVATE_RELAY, 'flashbots')
+ * @returns {PrivateRelay|null} - null when disabled or the relay does not serve the chain
+ */
+export function getPrivateRelay(chain, name = process.env.PRIVATE_RELAY || 'flashbots') {
+  if (name === 'none' || !RELAY_FACTORIES[name]) return null;
+
+  if (!relays.has(name)) {
+    relays.set(name, RELAY_FACTORIES[name]());
+  }
+
+  const relay = relays.get(name);
+  return relay.supportsChain(chain) ? relay : null;
+}
+
+/**
+ * Whether a risk assessment calls for private submission
+ * @param {object} risk - GasOptimizer.assessMEVRisk result
+ * @returns {boolean}
+ */
+export function requiresPrivateSubmission(risk) {
+  return process.env.ENABLE_MEV_PROTECTION === 'true' && risk.riskScore >= MIN_RISK_SCORE;
+}
+
+async function submitWithRetries(relay, signedTx, maxBlockNumber, retries, retryDelayMs) {
+  let lastError;
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    if (attempt > 1) await sleep(retryDelayMs * (attempt - 1));
+    try {
+      await relay.sendPrivateTransaction(signedTx, { maxBlockNumber });
+      return { accepted: true, attempts: attempt };
+    } catch (error) {
+      lastError = error;
+      console.warn(`Private relay ${relay.name} attempt ${attempt}/${retries} failed: ${error.message}`);
+    }
+  }
+  return { accepted: false, attempts: retries, error: lastError };
+}
+
+async function waitForInclusion(provider, txHash, maxBlockNumber, pollMs) {
+  for (;;) {
+    // Read the height first so a block landing between the calls is not missed
+    const blockNumber = await provider.getBlockNumber();
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (receipt) return receipt;
+    if (blockNumber >= maxBlockNumber) return null;
+    await sleep(pollMs);
+  }
+}
+
+async function broadcastPublicly(provider, signedTx, txHash) {
+  try {
+    return await provider.broadcastTransaction(signedTx);
+  } catch (error) {
+    // The relay may have landed it after all
+    if (await provider.getTransactionReceipt(txHash)) {
+      return provider.getTransaction(txHash);
+    }
+    throw error;
+  }
+}
+
+async function logDecision(monitor, decision) {
+  try {
+    const mevMonitor = monitor ?? (await import('./mevMonitor.js')).getMEVMonitor();
+    await mevMonitor.logMEVDecision(decision);
+  } catch (error) {
+    console.warn('MEV decision not logged:', error.message);
+  }
+}
+
+/**
+ * Send a transaction, routing it privately when its MEV risk is high
+ * @param {Signer} signer - Connected signer
+ * @param {object} tx - Transaction request
+ * @param {object} options
+ * @param {string} options.chain - Chain registry name (default from the signer's network)
+ * @param {BigInt} options.amount - Asset amount for the risk assessment
+ * @param {string} options.symbol - Asset symbol, to value the amount in USD (default 'USDC')
+ * @param {number} options.decimals - Asset decimals (default 6)
+ * @param {object} options.oracle - Override the price oracle
+ * @param {PrivateRelay} options.relay - Override the configured relay
+ * @param {object} options.monitor - Decision logger (default MEVMonitor)
+ * @param {number} options.maxBlocks - Blocks to wait for the relay before falling back
+ * @param {number} options.retries - Relay submission attempts
+ * @returns {Promise<{ response: TransactionResponse, route: object }>}
+ */
+export async function sendWithMEVProtection(signer, tx, options = {}) {
+  const provider = signer.provider;
+  const {
+    amount = 0n,
+    symbol = 'USDC',
+    decimals = 6,
+    oracle,
+    retries = RETRIES,
+    maxBlocks = MAX_BLOCKS,
+    pollMs = POLL_MS,
+    retryDelayMs = RETRY_DELAY_MS,
+    monitor,
+  } = options;
+
+  const chain = options.chain ?? chainNameFor((await provider.getNetwork()).chainId);
+  const optimizer = new GasOptimizer(provider, { ...(oracle && { oracle }) });
+  const risk = optimizer.assessMEVRisk(tx, await optimizer.valueInUsd(amount, { symbol, decimals }));
+  const relay = options.relay ?? getPrivateRelay(chain);
+
+  if (!requiresPrivateSubmission(risk) || !relay) {
+    const response = await signer.sendTransaction(tx);
+    const route = {
+      path: 'public',
+      relay: null,
+      attempts: 0,
+      riskScore: risk.riskScore,
+      reason: !relay && requiresPrivateSubmission(risk)
+        ? `No private relay for ${chain}`
+        : `MEV risk ${risk.riskLevel}`,
+    };
+    await logDecision(monitor, {
+      transactionHash: response.hash,
+      rpcUsed: 'public',
+      protectionEnabled: false,
+      ...route,
+    });
+    return { response, route };
+  }
+
+  const signedTx = await signer.signTransaction(await signer.populateTransaction(tx));
+  const txHash = ethers.keccak256(signedTx);
+  const maxBlockNumber = (await provider.getBlockNumber()) + maxBlocks;
+
+  const submission = await submitWithRetries(relay, signedTx, maxBlockNumber, retries, retryDelayMs);
+  const receipt = submission.accepted
+    ? await waitForInclusion(provider, txHash, maxBlockNumber, pollMs)
+    : null;
+
+  let response;
+  let route;
+  if (receipt) {
+    response = await provider.getTransaction(txHash);
+    route = { path: 'private', reason: `Included via ${relay.name} by block ${receipt.blockNumber}` };
+  } else {
+    if (submission.accepted) {
+      await relay.cancelPrivateTransaction(txHash).catch(() => false);
+    }
+    response = await broadcastPublicly(provider, signedTx, txHash);
+    route = {
+      path: 'public-fallback',
+      reason: submission.accepted
+        ? `Not included by ${relay.name} within ${maxBlocks} blocks`
+        : `Relay ${relay.name} rejected ${submission.attempts} attempts: ${submission.error?.message}`,
+    };
+  }
+
+  route = { ...route, relay: relay.name, attempts: submission.attempts, riskScore: risk.riskScore };
+  await logDecision(monitor, {
+    transactionHash: txHash,
+    rpcUsed: route.path === 'private' ? relay.label : 'public',
+    protectionEnabled: route.path === 'private',
+    ...route,
+  });
+
+  return { response, route };
+}
@@ -0,0 +1,107 @@
+import sql from './sql';
+import { log } from './logger';
+
+/**
+ * Mobile push notifications
+ * Signed-in mobile devices register their Expo push token per wallet; the
+ * backend notifies every device of a wallet through the Expo push service.
+ * Delivery is best effort: failures are logged, never thrown.
+ */
+
+export const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+const EXPO_TOKEN_PATTERN = /^Expo(nent)?PushToken\[[^\]]+\]$/;
+
+/**
+ * Whether a string is an Expo push token
+ */
+export function isExpoPushToken(token) {
+  return typeof token === 'string' && EXPO_TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Ensure push_tokens exists (mirrors migrations/015_agent_signature_requests.sql)
+ */
+export async function ensurePushTables() {
+  try {
+    await sql`
+      CREATE TABLE IF NOT EXISTS push_tokens (
+        id SERIAL PRIMARY KEY,
+        user_address TEXT NOT NULL,
+        token TEXT NOT NULL UNIQUE,
+        platform TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS idx_push_tokens_user ON push_tokens(user_address)`;
+  } catch (error) {
+    // Table likely already exists
+    console.debug('Push tokens setup:', error.message);
+  }
+}
+
+/**
+ * Register a device for a wallet (a token moves with the signed-in wallet)
+ * @param {string} userAddress - Lowercase wallet
+ * @param {string} token - Expo push token
+ * @param {string} platform - 'ios' | 'android' | 'web'
+ */
+export async function registerPushToken(userAddress, token, platform = null) {
+  await ensurePushTables();
+  await sql`
+    INSERT INTO push_tokens (user_address, token, platform)
+    VALUES (${userAddress}, ${token}, ${platform})
+    ON CONFLICT (token) DO UPDATE
+    SET user_address = EXCLUDED.user_address, platform = EXCLUDED.platform, last_seen_at = NOW()
+  `;
+}
+
+/**
+ * Remove a device registration
+ */
+export async function removePushToken(userAddress, token) {
+  await ensurePushTables();
+  await sql`DELETE FROM push_tokens WHERE user_address = ${userAddress} AND token = ${token}`;
+}
+
+/**
+ * Notify every registered device of a wallet
+ * @param {string} userAddress - Lowercase wallet
+ * @param {object} message - { title, body, data }
+ * @returns {Promise<number>} - Devices the push service accepted
+ */
+export async function sendPushNotification(userAddress, { title, body, data = {} }) {
+  try {
+    await ensurePushTables();
+    const rows = await sql`SELECT token FROM push_tokens WHERE user_address = ${userAddress}`;
+    if (rows.length === 0) return 0;
+
+    const response = await fetch(EXPO_PUSH_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...(process.env.EXPO_ACCESS_TOKEN && { Authorization: `Bearer ${process.env.EXPO_ACCESS_TOKEN}` }),
+      },
+      body: JSON.stringify(rows.map(({ token }) => ({ to: token, title, body, data, sound: 'default' }))),
+    });
+    if (!response.ok) {
+      log.warn('Push notification rejected', { userAddress, status: response.status });
+      return 0;
+    }
+
+    // Tickets come back in message order; uninstalled apps are forgotten
+    const { data: tickets = [] } = await response.json();
+    const unregistered = rows
+      .filter((_row, i) => tickets[i]?.details?.error === 'DeviceNotRegistered')
+      .map(({ token }) => token);
+    if (unregistered.length > 0) {
+      await sql`DELETE FROM push_tokens WHERE token = ANY(${unregistered})`;
+    }
+    return tickets.filter((ticket) => ticket.status === 'ok').length;
+  } catch (error) {
+    log.warn('Push notification failed', { userAddress, error: error.message });
+    return 0;
+  }
+}
@@ -0,0 +1,319 @@
+import { portfolioOptimizer } from './portfolioOptimizer.js';
+import { chainIdFor } from '../protocols/chains.js';
+
+/**
+ * Rebalance Planner
+ * Turns drift from the optimizer's target allocation into moves that pay for
+ * themselves. A move exits one investment and re-deposits it into an
+ * under-weight market of the same asset on the same chain. It is kept only
+ * when the extra yield over the horizon beats exit and entry gas plus the
+ * performance fee the exit books on accrued interest. Positions in a
+ * deactivated market, or one below the minimum APY, always exit.
+ * Accepted moves are batched into one withdrawal per pooled position and one
+ * deposit per target market, each with the body /api/execute/preview takes.
+ * Pure functions; rebalancer.js loads positions and prices gas.
+ */
+
+// Gas limits priced per rebalance transaction (deposit covers approve + supply)
+export const REBALANCE_GAS_LIMITS = {
+  withdraw: 250000n,
+  deposit: 300000n,
+};
+
+export const DEFAULT_REBALANCE_OPTIONS = {
+  horizonDays: 30,
+  driftThresholdPercent: 5,
+  minApy: 0,
+  minNetBenefitUsd: 0,
+  performanceFeePercent: 10,
+  // USD per transaction on the positions' chain; null when gas could not be priced
+  gasCostUsd: { withdraw: null, deposit: null },
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Net benefit of moving one position from its market to another
+ * Yield compounds over the horizon at each APY. The performance fee on
+ * accrued interest is charged at exit, so the move pays it now.
+ * @param {object} move
+ * @param {number} move.amountUsd - Position value in USD
+ * @param {number} move.accruedUsd - Interest accrued since entry, in USD
+ * @param {number} move.currentApy - Percent
+ * @param {number} move.targetApy - Percent
+ * @param {number} move.horizonDays
+ * @param {number} move.performanceFeePercent
+ * @param {number|null} move.exitGasUsd
+ * @param {number|null} move.entryGasUsd - null or 0 when funds stay idle
+ * @returns {object} - { yieldGain, gasCost, performanceFee, netBenefit, breakEvenDays, gasPriced }
+ */
+export function evaluateMove({
+  amountUsd,
+  accruedUsd = 0,
+  currentApy,
+  targetApy,
+  horizonDays,
+  performanceFeePercent = 0,
+  exitGasUsd = null,
+  entryGasUsd = null,
+}) {
+  const years = horizonDays / 365;
+  const earned = (apy) => amountUsd * ((1 + apy / 100) ** years - 1);
+  const yieldGain = earned(targetApy) - earned(currentApy);
+  const gasCost = (exitGasUsd ?? 0) + (entryGasUsd ?? 0);
+  const performanceFee = (Math.max(0, accruedUsd) * performanceFeePercent) / 100;
+  const cost = gasCost + performanceFee;
+  const dailyGain = (amountUsd * (targetApy - currentApy)) / 100 / 365;
+
+  return {
+    yieldGain: round(yieldGain),
+    gasCost: round(gasCost),
+    performanceFee: round(performanceFee),
+    netBenefit: round(yieldGain - cost),
+    breakEvenDays: dailyGain > 0 ? round(cost / dailyGain, 1) : null,
+    gasPriced: exitGasUsd !== null && entryGasUsd !== null,
+  };
+}
+
+/**
+ * Why a position has to exit regardless of cost (null if it does not)
+ */
+function urgentReason(position, minApy) {
+  if (position.active === false) return 'inactive';
+  if (Number(position.apy) < minApy) return 'below-min-apy';
+  return null;
+}
+
+/**
+ * Body for POST /api/execute/preview
+ */
+function previewRequest({ holder, protocol, asset, chain, action, amount }) {
+  return {
+    userAddress: holder,
+    protocol: String(protocol).toLowerCase(),
+    asset,
+    action,
+    amount: String(round(amount, 6)),
+    chainId: chainIdFor(chain),
+  };
+}
+
+/**
+ * Group accepted moves into one withdrawal per pooled position and one
+ * deposit per target, per chain
+ */
+function batchMoves(moves, gasCostUsd) {
+  const byChain = new Map();
+  const batchFor = (chain) => {
+    if (!byChain.has(chain)) byChain.set(chain, { chain, withdrawals: new Map(), deposits: new Map() });
+    return byChain.get(chain);
+  };
+
+  for (const move of moves) {
+    const batch = batchFor(move.chain);
+
+    const exitKey = `${move.from.opportunityId}:${move.holder}`;
+    if (!batch.withdrawals.has(exitKey)) {
+      batch.withdrawals.set(exitKey, { ...move.from, holder: move.holder, investmentIds: [], amount: 0 });
+    }
+    const withdrawal = batch.withdrawals.get(exitKey);
+    withdrawal.investmentIds.push(move.investmentId);
+    withdrawal.amount += move.amount;
+
+    if (!move.to) continue;
+    const entryKey = `${move.to.opportunityId}:${move.holder}`;
+    if (!batch.deposits.has(entryKey)) {
+      batch.deposits.set(entryKey, { ...move.to, holder: move.holder, investmentIds: [], amount: 0 });
+    }
+    const deposit = batch.deposits.get(entryKey);
+    deposit.investmentIds.push(move.investmentId);
+    deposit.amount += move.amount;
+  }
+
+  return [...byChain.values()].map(({ chain, withdrawals, deposits }) => {
+    const steps = [
+      ...[...withdrawals.values()].map((w) => ({ action: 'withdraw', ...w })),
+      ...[...deposits.values()].map((d) => ({ action: 'deposit', ...d })),
+    ].map((step) => ({
+      ...step,
+      amount: round(step.amount, 6),
+      preview: previewRequest({ ...step, chain }),
+    }));
+
+    return {
+      chain,
+      steps,
+      transactions: steps.length,
+      gasCostUsd: round(
+        withdrawals.size * (gasCostUsd.withdraw ?? 0) + deposits.size * (gasCostUsd.deposit ?? 0)
+      ),
+    };
+  });
+}
+
+/**
+ * Plan the moves that bring positions back toward the target allocation
+ * @param {Array<object>} positions - Open investments:
+ *   { id, opportunityId, protocol, asset, chain, holder, status, withdrawable, amount,
+ *     value, accrued, apy (percent), active, priceUsd }. value and accrued are in asset
+ *   units; only confirmed positions not flagged withdrawable: false are moved, and
+ *   positions without a USD price (priceUsd null) are skipped as 'unpriced'.
+ * @param {Array<object>} targets - optimizeAllocation().allocations for the same budget
+ *   (opportunity.apy there is a decimal)
+ * @param {object} overrides - See DEFAULT_REBALANCE_OPTIONS
+ * @returns {object} - { options, drift, moves, skipped, batches, summary }
+ */
+export function planRebalance(positions, targets, overrides = {}) {
+  const options = {
+    ...DEFAULT_REBALANCE_OPTIONS,
+    ...overrides,
+    gasCostUsd: { ...DEFAULT_REBALANCE_OPTIONS.gasCostUsd, ...overrides.gasCostUsd },
+  };
+  const { horizonDays, minApy, gasCostUsd } = options;
+
+  const current = new Map();
+  for (const position of positions) {
+    current.set(position.opportunityId, (current.get(position.opportunityId) || 0) + Number(position.value));
+  }
+  const drift = targets.length
+    ? portfolioOptimizer.needsRebalancing(
+        [...current].map(([opportunity_id, amount]) => ({ opportunity_id, amount })),
+        targets,
+        options.driftThresholdPercent
+      )
+    : { needsRebalance: false, averageDrift: 0, actions: [], recommendation: 'No target allocation' };
+
+  // Under-weight markets absorb moves; over-weight ones give up at most their surplus
+  const surplus = new Map();
+  const deficits = [];
+  for (const action of drift.actions) {
+    if (action.action === 'decrease') {
+      surplus.set(action.opportunityId, action.amount);
+    } else {
+      const target = targets.find((t) => t.opportunity.id === action.opportunityId);
+      deficits.push({ opportunity: target.opportunity, remaining: action.amount });
+    }
+  }
+  const targetIds = new Set(targets.map((t) => t.opportunity.id));
+  const bestTargets = [...targets].sort((a, b) => Number(b.opportunity.apy) - Number(a.opportunity.apy));
+
+  const pickTarget = (position) => {
+    const sameMarket = (opp) =>
+      opp.id !== position.opportunityId &&
+      (opp.token_symbol || 'USDC') === position.asset &&
+      opp.blockchain === position.chain;
+    const open = deficits
+      .filter((d) => d.remaining > 0 && sameMarket(d.opportunity))
+      .sort((a, b) => Number(b.opportunity.apy) - Number(a.opportunity.apy))[0];
+    if (open) return { opportunity: open.opportunity, deficit: open };
+    const best = bestTargets.find((t) => sameMarket(t.opportunity));
+    return best ? { opportunity: best.opportunity, deficit: null } : null;
+  };
+
+  // Largest positions first, so a surplus is covered by as few exits as possible
+  const candidates = positions
+    .filter((p) => p.status === 'confirmed' && p.withdrawable !== false)
+    .sort((a, b) => Number(b.value) - Number(a.value));
+
+  const moves = [];
+  const skipped = [];
+  for (const position of candidates) {
+    const amount = Number(position.value);
+    const urgent = urgentReason(position, minApy);
+    const left = targetIds.has(position.opportunityId) ? surplus.get(position.opportunityId) ?? 0 : Infinity;
+    if (!urgent && amount > left) continue;
+
+    const picked = pickTarget(position);
+    const target = picked?.opportunity || null;
+    if (!target && !urgent) {
+      skipped.push({ investmentId: position.id, reason: 'no-target' });
+      continue;
+    }
+
+    // A move can't be weighed against gas and fees without the asset's price
+    const priceUsd = Number(position.priceUsd);
+    if (!(priceUsd > 0)) {
+      skipped.push({ investmentId: position.id, reason: 'unpriced' });
+      continue;
+    }
+    const amountUsd = amount * priceUsd;
+    const evaluation = evaluateMove({
+      amountUsd,
+      accruedUsd: Number(position.accrued || 0) * priceUsd,
+      currentApy: Number(position.apy),
+      targetApy: target ? Number(target.apy) * 100 : 0,
+      horizonDays,
+      performanceFeePercent: options.performanceFeePercent,
+      exitGasUsd: gasCostUsd.withdraw,
+      entryGasUsd: target ? gasCostUsd.deposit : 0,
+    });
+
+    const move = {
+      investmentId: position.id,
+      chain: position.chain,
+      holder: position.holder,
+      amount,
+      amountUsd: round(amountUsd),
+      from: {
+        opportunityId: position.opportunityId,
+        protocol: position.protocol,
+        asset: position.asset,
+        apy: Number(position.apy),
+      },
+      to: target && {
+        opportunityId: target.id,
+        protocol: target.protocol_name,
+        asset: target.token_symbol || 'USDC',
+        apy: Number(target.apy) * 100,
+      },
+      reason: urgent || 'yield',
+      ...evaluation,
+    };
+
+    if (!urgent && !evaluation.gasPriced) {
+      skipped.push({ ...move, reason: 'gas-unpriced' });
+      continue;
+    }
+    if (!urgent && evaluation.netBenefit <= options.minNetBenefitUsd) {
+      skipped.push({ ...move, reason: 'below-break-even' });
+      continue;
+    }
+
+    moves.push(move);
+    if (picked?.deficit) picked.deficit.remaining -= amount;
+    if (Number.isFinite(left)) surplus.set(position.opportunityId, left - amount);
+  }
+
+  const batches = batchMoves(moves, gasCostUsd);
+  const sum = (key) => round(moves.reduce((total, m) => total + m[key], 0));
+  const batchedGas = round(batches.reduce((total, b) => total + b.gasCostUsd, 0));
+  const perMoveGas = sum('gasCost');
+  const yieldGain = sum('yieldGain');
+  const performanceFees = sum('performanceFee');
+  const dailyGain = moves.reduce(
+    (total, m) => total + (m.to ? (m.amountUsd * (m.to.apy - m.from.apy)) / 100 / 365 : 0),
+    0
+  );
+
+  return {
+    options,
+    drift: {
+      needsRebalance: drift.needsRebalance,
+      averageDrift: drift.averageDrift,
+      recommendation: drift.recommendation,
+    },
+    moves,
+    skipped,
+    batches,
+    summary: {
+      moves: moves.length,
+      transactions: batches.reduce((total, b) => total + b.transactions, 0),
+      yieldGain,
+      gasCost: batchedGas,
+      gasSavedByBatching: round(perMoveGas - batchedGas),
+      performanceFees,
+      netBenefit: round(yieldGain - batchedGas - performanceFees),
+      breakEvenDays: dailyGain > 0 ? round((batchedGas + performanceFees) / dailyGain, 1) : null,
+    },
+  };
+}
@@ -0,0 +1,209 @@
+import { ethers } from 'ethers';
+import sql from './sql';
+import { log } from './logger';
+import { GasOptimizer } from './gasOptimizer.js';
+import { getProvider } from '../protocols/rpcPool.js';
+import { priceOracle } from './priceOracle.js';
+import { portfolioOptimizer } from './portfolioOptimizer.js';
+import { attachApyHistory } from './opportunityMetrics';
+import { ensurePositionSnapshotTables } from './positionSnapshots.js';
+import { getPerformanceFeePercent, executeAgentBatchWithdrawal, loadInvestment } from './withdrawals.js';
+import { planRebalance, REBALANCE_GAS_LIMITS } from './rebalancePlanner.js';
+import { isRealDeposit } from './withdrawalAccounting.js';
+
+/**
+ * Rebalancer
+ * Loads a user's open positions on a chain, re-solves the target allocation
+ * for the same capital, prices gas and builds a plan with rebalancePlanner.
+ * Plans are previewed through /api/agent/rebalance before the scan executes them.
+ */
+
+export const REBALANCE_HORIZON_DAYS = parseInt(process.env.REBALANCE_HORIZON_DAYS) || 30;
+
+/**
+ * USD cost of one rebalance withdrawal and one deposit on a chain
+ * @param {string} chain
+ * @returns {Promise<object>} - { withdraw, deposit }; null entries when gas could not be priced
+ */
+export async function estimateRebalanceGas(chain) {
+  try {
+    const optimizer = new GasOptimizer(getProvider(chain));
+    const { maxFeePerGas } = await optimizer.getOptimalGasPrice('medium');
+    const [withdraw, deposit] = await Promise.all([
+      optimizer.estimateTotalCost({ gasLimit: REBALANCE_GAS_LIMITS.withdraw, maxFeePerGas }),
+      optimizer.estimateTotalCost({ gasLimit: REBALANCE_GAS_LIMITS.deposit, maxFeePerGas }),
+    ]);
+    return { withdraw, deposit };
+  } catch (error) {
+    log.warn('Rebalance gas not priced', { chain, error: error.message });
+    return { withdraw: null, deposit: null };
+  }
+}
+
+/**
+ * Open positions on a chain, valued from their latest snapshot
+ * Positions without a snapshot are valued at principal plus interest accrued
+ * at their entry APY since investment. Only positions the agent wallet holds
+ * from a reconciled deposit are withdrawable; positions whose asset has no
+ * USD price carry priceUsd null and are not moved.
+ * @param {string} userAddress
+ * @param {string} chain
+ * @returns {Promise<Array<object>>} - Planner positions, plus deferredAt (rebalance_deferred_at)
+ */
+export async function loadRebalancePositions(userAddress, chain) {
+  await ensurePositionSnapshotTables();
+  const rows = await sql`
+    SELECT i.*, o.protocol_name, COALESCE(o.token_symbol, 'USDC') AS token_symbol,
+           o.apy AS current_apy, o.is_active AS opp_active,
+           LOWER(COALESCE(i.tx_from, i.user_address)) AS holder,
+           s.position_value, s.accrued_interest
+    FROM investments i
+    LEFT JOIN cultiv8_opportunities o ON o.id = i.opportunity_id
+    LEFT JOIN LATERAL (
+      SELECT position_value, accrued_interest FROM position_snapshots
+      WHERE investment_id = i.id
+      ORDER BY snapshot_date DESC
+      LIMIT 1
+    ) s ON true
+    WHERE i.blockchain = ${chain}
+      AND i.user_address = ${userAddress}
+      AND i.status IN ('pending','confirmed')
+      AND i.withdrawn_at IS NULL
+  `;
+
+  const agentAddress = process.env.AGENT_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.AGENT_PRIVATE_KEY).address
+    : null;
+
+  const prices = new Map();
+  for (const symbol of new Set(rows.map((r) => r.token_symbol))) {
+    try {
+      prices.set(symbol, await priceOracle.getUsdPrice(symbol, chain));
+    } catch (error) {
+      log.warn('Rebalance positions not priced; they are left in place', { symbol, chain, error: error.message });
+    }
+  }
+
+  return rows.map((row) => {
+    const principal = Number(row.amount);
+    const apy = Number(row.current_apy ?? row.expected_apy ?? 0);
+    const heldDays = (Date.now() - new Date(row.invested_at).getTime()) / 86400000;
+    const accrued = row.accrued_interest !== null && row.accrued_interest !== undefined
+      ? Number(row.accrued_interest)
+      : principal * (Number(row.expected_apy ?? apy) / 100) * (Math.max(0, heldDays) / 365);
+
+    return {
+      id: row.id,
+      opportunityId: row.opportunity_id,
+      protocol: row.protocol_name,
+      asset: row.token_symbol,
+      chain,
+      holder: row.holder,
+      status: row.status,
+      withdrawable: isRealDeposit(row, agentAddress),
+      amount: principal,
+      value: row.position_value !== null && row.position_value !== undefined
+        ? Number(row.position_value)
+        : principal + accrued,
+      accrued,
+      apy,
+      active: row.opp_active !== false,
+      priceUsd: prices.get(row.token_symbol) ?? null,
+      deferredAt: row.rebalance_deferred_at,
+    };
+  });
+}
+
+/**
+ * Build a rebalance plan for one chain
+ * Targets are re-solved from the eligible opportunities with each asset's
+ * held value as that market's budget, so only existing capital moves.
+ * @param {object} config - agent_config row
+ * @param {string} chain
+ * @param {object} options - { horizonDays, driftThresholdPercent, minNetBenefitUsd }
+ * @returns {Promise<object>} - planRebalance output plus { chain, userAddress, positions }
+ */
+export async function buildRebalancePlan(config, chain, options = {}) {
+  const userAddress = config.user_address;
+  const positions = await loadRebalancePositions(userAddress, chain);
+
+  const assetBudgets = {};
+  for (const position of positions) {
+    assetBudgets[position.asset] = (assetBudgets[position.asset] || 0) + position.value;
+  }
+
+  let targets = [];
+  if (positions.length > 0) {
+    const opportunities = await sql`
+      SELECT * FROM cultiv8_opportunities
+      WHERE blockchain = ${chain}
+        AND is_active = true
+        AND apy >= ${config.min_apy_threshold}
+        AND risk_score <= ${config.max_risk_score}
+    `;
+
+    let sized = opportunities;
+    try {
+      sized = await attachApyHistory(opportunities);
+    } catch (error) {
+      log.warn('Rebalance targets sized without APY history', { chain, error: error.message });
+    }
+
+    targets = portfolioOptimizer.optimizeAllocation(sized, {
+      maxRiskScore: config.max_risk_score,
+      maxInvestmentPerOpportunity: config.max_investment_per_opportunity,
+      assetBudgets,
+    }).allocations;
+  }
+
+  const [gasCostUsd, performanceFeePercent] = await Promise.all([
+    positions.length > 0 ? estimateRebalanceGas(chain) : { withdraw: null, deposit: null },
+    getPerformanceFeePercent(),
+  ]);
+
+  const plan = planRebalance(positions, targets, {
+    horizonDays: REBALANCE_HORIZON_DAYS,
+    ...options,
+    minApy: Number(config.min_apy_threshold || 0),
+    performanceFeePercent,
+    gasCostUsd,
+  });
+
+  return { chain, userAddress, positions, ...plan };
+}
+
+/**
+ * Execute a plan's withdrawals with the agent wallet, one transaction per pooled position
+ * Freed funds are reinvested by the scan's allocation step.
+ * @param {object} plan - buildRebalancePlan output
+ * @param {object} options - { exclude: Set of investment ids held back (e.g. waiting for gas) }
+ * @returns {Promise<object>} - { withdrawn, failed }
+ */
+export async function executeRebalanceWithdrawals(plan, { exclude = new Set() } = {}) {
+  let withdrawn = 0;
+  let failed = 0;
+
+  for (const batch of plan.batches) {
+    for (const step of batch.steps.filter((s) => s.action === 'withdraw')) {
+      const ids = step.investmentIds.filter((id) => !exclude.has(id));
+      if (ids.length === 0) continue;
+
+      try {
+        const investments = (await Promise.all(ids.map(loadInvestment))).filter(Boolean);
+        // Booked only after the withdrawal receipt confirms
+        const booked = await executeAgentBatchWithdrawal(investments);
+        withdrawn += booked.length;
+      } catch (error) {
+        failed += ids.length;
+        log.error('Rebalance withdrawal failed', {
+          chain: batch.chain,
+          opportunityId: step.opportunityId,
+          investmentIds: ids,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return { withdrawn, failed };
+}
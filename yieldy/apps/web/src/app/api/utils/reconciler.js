@@ -0,0 +1,169 @@
+import sql from './sql';
+import { log } from './logger';
+import { circuitBreaker } from './circuitBreaker';
+import { getProvider } from '../protocols/adapters.js';
+import { classifyTransaction, TX_OUTCOMES } from './txReconciliation.js';
+
+/**
+ * Investment Receipt Reconciler
+ * Polls the chain for every pending investment transaction and moves the row
+ * to confirmed, failed or replaced, recording the gas actually paid.
+ * Reverted and dropped transactions count toward the circuit breaker.
+ */
+
+/**
+ * Ensure reconciliation columns exist (mirrors migrations/007_investment_reconciliation.sql)
+ */
+export async function ensureReconciliationColumns() {
+  try {
+    await sql`
+      ALTER TABLE investments
+      ADD COLUMN IF NOT EXISTS tx_from TEXT,
+      ADD COLUMN IF NOT EXISTS tx_nonce INTEGER,
+      ADD COLUMN IF NOT EXISTS confirmed_block BIGINT,
+      ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS gas_used NUMERIC(30,0),
+      ADD COLUMN IF NOT EXISTS effective_gas_price NUMERIC(30,0),
+      ADD COLUMN IF NOT EXISTS gas_paid_wei NUMERIC(40,0),
+      ADD COLUMN IF NOT EXISTS failure_reason TEXT,
+      ADD COLUMN IF NOT EXISTS reconcile_attempts INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_reconciled_at TIMESTAMP
+    `;
+  } catch (error) {
+    // Columns likely already exist
+    console.debug('Reconciliation columns setup:', error.message);
+  }
+}
+
+/**
+ * Reconcile a single pending investment against its chain
+ * @param {object} inv - Investment row (status 'pending', with transaction_hash)
+ * @param {object} options
+ * @param {Function} options.providerFor - (chain) => provider, defaults to the adapter registry
+ * @param {number} options.dropAfterMinutes - Passed to classifyTransaction
+ * @param {number} options.minConfirmations - Passed to classifyTransaction
+ * @returns {Promise<object>} - { id, hash, outcome, status, reason? }
+ */
+export async function reconcileInvestment(inv, options = {}) {
+  const { providerFor = getProvider, dropAfterMinutes, minConfirmations } = options;
+  const provider = providerFor(inv.blockchain);
+
+  const result = await classifyTransaction(
+    provider,
+    {
+      hash: inv.transaction_hash,
+      from: inv.tx_from,
+      nonce: inv.tx_nonce,
+      submittedAt: inv.invested_at,
+    },
+    { dropAfterMinutes, minConfirmations }
+  );
+
+  const from = result.from ? result.from.toLowerCase() : null;
+  const nonce = result.nonce ?? null;
+
+  if (result.outcome === TX_OUTCOMES.PENDING) {
+    await sql`
+      UPDATE investments
+      SET tx_from = COALESCE(tx_from, ${from}),
+          tx_nonce = COALESCE(tx_nonce, ${nonce}),
+          reconcile_attempts = COALESCE(reconcile_attempts, 0) + 1,
+          last_reconciled_at = NOW()
+      WHERE id = ${inv.id} AND status = 'pending'
+    `;
+    return { id: inv.id, hash: inv.transaction_hash, outcome: result.outcome, status: 'pending' };
+  }
+
+  if (result.outcome === TX_OUTCOMES.CONFIRMED || result.outcome === TX_OUTCOMES.FAILED) {
+    const status = result.outcome;
+    await sql`
+      UPDATE investments
+      SET status = ${status},
+          tx_from = COALESCE(tx_from, ${from}),
+          tx_nonce = COALESCE(tx_nonce, ${nonce}),
+          confirmed_block = ${result.blockNumber},
+          confirmed_at = NOW(),
+          gas_used = ${result.gasUsed.toString()},
+          effective_gas_price = ${result.effectiveGasPrice.toString()},
+          gas_paid_wei = ${result.gasPaidWei.toString()},
+          failure_reason = ${result.reason},
+          reconcile_attempts = COALESCE(reconcile_attempts, 0) + 1,
+          last_reconciled_at = NOW()
+      WHERE id = ${inv.id} AND status = 'pending'
+    `;
+    return { id: inv.id, hash: inv.transaction_hash, outcome: result.outcome, status, reason: result.reason };
+  }
+
+  // Replaced keeps its own status; dropped transactions never executed
+  const status = result.outcome === TX_OUTCOMES.REPLACED ? 'replaced' : 'failed';
+  await sql`
+    UPDATE investments
+    SET status = ${status},
+        failure_reason = ${result.reason},
+        reconcile_attempts = COALESCE(reconcile_attempts, 0) + 1,
+        last_reconciled_at = NOW()
+    WHERE id = ${inv.id} AND status = 'pending'
+  `;
+  return { id: inv.id, hash: inv.transaction_hash, outcome: result.outcome, status, reason: result.reason };
+}
+
+/**
+ * Reconcile pending investments, oldest-checked first
+ * @param {object} options
+ * @param {string} options.userAddress - Restrict to one wallet's positions
+ * @param {number} options.limit - Max rows per pass (default 50)
+ * @param {Function} options.providerFor - (chain) => provider override (tests, Hardhat)
+ * @param {number} options.dropAfterMinutes - Unseen tx age before it counts as dropped
+ * @returns {Promise<object>} - Summary counts plus per-row results
+ */
+export async function reconcilePendingInvestments(options = {}) {
+  const { userAddress, limit = 50, ...rowOptions } = options;
+
+  await ensureReconciliationColumns();
+
+  const pending = userAddress
+    ? await sql`
+        SELECT * FROM investments
+        WHERE status = 'pending' AND transaction_hash IS NOT NULL
+          AND user_address = ${userAddress.toLowerCase()}
+        ORDER BY last_reconciled_at ASC NULLS FIRST, id ASC
+        LIMIT ${limit}
+      `
+    : await sql`
+        SELECT * FROM investments
+        WHERE status = 'pending' AND transaction_hash IS NOT NULL
+        ORDER BY last_reconciled_at ASC NULLS FIRST, id ASC
+        LIMIT ${limit}
+      `;
+
+  const summary = { checked: 0, pending: 0, confirmed: 0, failed: 0, replaced: 0, errors: 0, results: [] };
+
+  for (const inv of pending) {
+    summary.checked++;
+    try {
+      const res = await reconcileInvestment(inv, rowOptions);
+      summary[res.status]++;
+      summary.results.push(res);
+
+      if (res.outcome === TX_OUTCOMES.FAILED || res.outcome === TX_OUTCOMES.DROPPED) {
+        await circuitBreaker.recordFailure('investment_tx', {
+          investmentId: inv.id,
+          hash: inv.transaction_hash,
+          outcome: res.outcome,
+          reason: res.reason,
+        });
+      }
+
+      if (res.status !== 'pending') {
+        log.info('Investment reconciled', res);
+      }
+    } catch (error) {
+      // RPC hiccups leave the row pending for the next pass
+      summary.errors++;
+      summary.results.push({ id: inv.id, hash: inv.transaction_hash, error: error.message });
+      log.warn('Investment reconciliation failed', { investmentId: inv.id, error: error.message });
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,149 @@
+/**
+ * Portfolio Return Math
+ * Daily valuation series from position snapshots, and the time-weighted and
+ * money-weighted returns computed over it. Pure functions; snapshots are
+ * taken and loaded in positionSnapshots.js.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC calendar day of a date as 'YYYY-MM-DD'
+ * @param {Date|string} value
+ * @returns {string}
+ */
+export function toDay(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+function addDays(day, n) {
+  return toDay(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS);
+}
+
+/**
+ * End-of-day portfolio value and net external flow for each day in a window
+ * A position is worth its latest mark on or before the day; with no mark yet
+ * it is carried at principal. Deposits are positive flows on the invest day,
+ * withdrawals negative flows on the withdrawal day.
+ * @param {Array<object>} positions - [{ investedAt, withdrawnAt, principalUsd, withdrawnUsd,
+ *   marks: [{ day: 'YYYY-MM-DD', valueUsd }] }]
+ * @param {object} window - { start, end } as 'YYYY-MM-DD'
+ * @returns {Array<{ day: string, value: number, flow: number }>}
+ */
+export function buildValuationSeries(positions, { start, end }) {
+  const prepared = positions.map((position) => ({
+    ...position,
+    openDay: toDay(position.investedAt),
+    closeDay: position.withdrawnAt ? toDay(position.withdrawnAt) : null,
+    marks: [...(position.marks || [])].sort((a, b) => a.day.localeCompare(b.day)),
+  }));
+
+  const series = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    let value = 0;
+    let flow = 0;
+
+    for (const position of prepared) {
+      if (position.openDay === day) flow += position.principalUsd;
+      if (position.closeDay === day) flow -= position.withdrawnUsd ?? position.principalUsd;
+
+      const open = position.openDay <= day && (!position.closeDay || position.closeDay > day);
+      if (!open) continue;
+
+      const mark = position.marks.filter((m) => m.day <= day).pop();
+      value += mark ? mark.valueUsd : position.principalUsd;
+    }
+
+    series.push({ day, value, flow });
+  }
+
+  return series;
+}
+
+/**
+ * Time-weighted return over a valuation series
+ * Daily returns are chained with flows assumed at the start of the day,
+ * r = value / (previous value + flow) - 1, so deposits and withdrawals do
+ * not count as performance. The first entry is the opening value.
+ * @param {Array<{ value: number, flow: number }>} series
+ * @returns {number|null} - Period return as a fraction; null with no capital invested
+ */
+export function timeWeightedReturn(series) {
+  let growth = 1;
+  let periods = 0;
+
+  for (let i = 1; i < series.length; i++) {
+    const base = series[i - 1].value + series[i].flow;
+    if (base <= 0) continue;
+    growth *= series[i].value / base;
+    periods++;
+  }
+
+  return periods > 0 ? growth - 1 : null;
+}
+
+/**
+ * Net present value of dated cash flows at an annual rate
+ * @param {Array<{ at: Date|string, amount: number }>} cashFlows
+ * @param {number} rate
+ * @returns {number}
+ */
+function npv(cashFlows, rate) {
+  const t0 = new Date(cashFlows[0].at).getTime();
+  return cashFlows.reduce((sum, cf) => {
+    const years = (new Date(cf.at).getTime() - t0) / (365 * DAY_MS);
+    return sum + cf.amount / (1 + rate) ** years;
+  }, 0);
+}
+
+/**
+ * Money-weighted return: the annualized internal rate of return (XIRR)
+ * Cash flows are from the investor's side: money put in is negative, money
+ * taken out (and the ending value) positive. Solved by bisection.
+ * @param {Array<{ at: Date|string, amount: number }>} cashFlows - Sorted by date
+ * @returns {number|null} - Annual rate as a fraction; null when no rate balances the flows
+ */
+export function moneyWeightedReturn(cashFlows) {
+  const flows = cashFlows.filter((cf) => cf.amount !== 0);
+  if (!flows.some((cf) => cf.amount < 0) || !flows.some((cf) => cf.amount > 0)) {
+    return null;
+  }
+
+  let low = -0.9999;
+  let high = 1000;
+  let npvLow = npv(flows, low);
+  if (npvLow * npv(flows, high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(flows, mid);
+    if (Math.abs(npvMid) < 1e-9) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Investor cash flows for the money-weighted return over a valuation series
+ * The opening value counts as invested at the start and the closing value
+ * as received at the end.
+ * @param {Array<{ day: string, value: number, flow: number }>} series
+ * @returns {Array<{ at: string, amount: number }>}
+ */
+export function seriesCashFlows(series) {
+  if (series.length === 0) return [];
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  return [
+    { at: first.day, amount: -first.value },
+    ...series.slice(1).map((point) => ({ at: point.day, amount: -point.flow })),
+    { at: last.day, amount: last.value },
+  ];
+}
@@ -1,5 +1,6 @@
 import Redis from 'ioredis';
 import sql from './sql';
+import { loadOpportunityHistory } from './opportunityMetrics';
 
 /**
  * Multi-Dimensional Risk Engine for DeFi Opportunities
@@ -344,27 +345,27 @@ export class RiskEngine {
 
   /**
    * Get historical risk trends for an opportunity
+   * Daily APY/TVL from opportunity_metrics alongside the latest cached score
+   * (risk_scores_cache keeps one row per opportunity, so scores have no history)
    * @param {number} opportunityId
    * @param {number} days - Number of days to look back
-   * @returns {Promise<Array>} - Historical risk scores
+   * @returns {Promise<object>} - { current, metrics: daily buckets, oldest first }
    */
   async getRiskHistory(opportunityId, days = 30) {
     try {
-      const history = await sql`
-        SELECT 
-          composite_score,
-          breakdown,
-          calculated_at
-        FROM risk_scores_cache
-        WHERE opportunity_id = ${opportunityId}
-          AND calculated_at > NOW() - INTERVAL '${days} days'
-        ORDER BY calculated_at DESC
-      `;
-
-      return history || [];
+      const [current, metrics] = await Promise.all([
+        sql`
+          SELECT composite_score, breakdown, calculated_at
+          FROM risk_scores_cache
+          WHERE opportunity_id = ${opportunityId}
+        `,
+        loadOpportunityHistory(opportunityId, { days, bucket: 'day' }),
+      ]);
+
+      return { current: current[0] || null, metrics };
     } catch (error) {
       console.error('Error fetching risk history:', error);
-      return [];
+      return { current: null, metrics: [] };
     }
   }
 
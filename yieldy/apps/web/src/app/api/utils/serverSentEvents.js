@@ -0,0 +1,67 @@
+import { log } from './logger.js';
+
+/**
+ * Server-Sent Events
+ * Responses that report progress as it happens: each event is an
+ * "event: <type>" line and a JSON "data:" line, ended by a blank line.
+ */
+
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  Connection: 'keep-alive',
+  // Keep reverse proxies from buffering the stream
+  'X-Accel-Buffering': 'no',
+};
+
+/**
+ * One event in the wire format
+ * @param {string} type - Event name
+ * @param {any} data - JSON-serializable payload
+ * @returns {string}
+ */
+export function formatServerSentEvent(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify(data ?? null)}\n\n`;
+}
+
+/**
+ * Stream the events a producer sends, closing once it settles
+ * A producer that throws ends the stream with an "error" event. Events sent
+ * after the client disconnects are dropped; the producer still runs to the end.
+ * @param {Function} produce - async (send) => void, where send(type, data) emits one event
+ * @returns {Response}
+ */
+export function eventStreamResponse(produce) {
+  const encoder = new TextEncoder();
+  let closed = false;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (type, data) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(formatServerSentEvent(type, data)));
+        } catch (error) {
+          closed = true;
+          log.warn('Dropped server-sent event', { type, error: error.message });
+        }
+      };
+
+      try {
+        await produce(send);
+      } catch (error) {
+        send('error', { error: error.message });
+      }
+
+      if (!closed) {
+        closed = true;
+        controller.close();
+      }
+    },
+    cancel() {
+      closed = true;
+    },
+  });
+
+  return new Response(body, { headers: SSE_HEADERS });
+}
@@ -0,0 +1,110 @@
+/**
+ * Transaction Reconciliation
+ * Classifies a submitted transaction from RPC state alone (no database access),
+ * so it can be exercised directly against a Hardhat node or a stubbed provider
+ */
+
+export const TX_OUTCOMES = {
+  PENDING: 'pending',     // In mempool or not yet visible
+  CONFIRMED: 'confirmed', // Mined with status 1
+  FAILED: 'failed',       // Mined with status 0 (reverted)
+  REPLACED: 'replaced',   // Sender's nonce consumed by a different transaction
+  DROPPED: 'dropped',     // Gone from mempool without its nonce being used
+};
+
+/**
+ * Gas actually paid by a mined transaction
+ * @param {TransactionReceipt} receipt - ethers v6 receipt
+ * @returns {object} - { gasUsed, effectiveGasPrice, gasPaidWei } as bigint
+ */
+export function computeGasPaid(receipt) {
+  const gasUsed = BigInt(receipt.gasUsed ?? 0);
+  // ethers v6 exposes effectiveGasPrice as receipt.gasPrice
+  const effectiveGasPrice = BigInt(receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0);
+  return {
+    gasUsed,
+    effectiveGasPrice,
+    gasPaidWei: gasUsed * effectiveGasPrice,
+  };
+}
+
+/**
+ * Classify a submitted transaction
+ * @param {Provider} provider - ethers provider for the transaction's chain
+ * @param {object} submitted - What we know about the submission
+ * @param {string} submitted.hash - Transaction hash
+ * @param {string} submitted.from - Sender, if previously observed
+ * @param {number} submitted.nonce - Sender nonce, if previously observed
+ * @param {Date|string} submitted.submittedAt - When it was recorded
+ * @param {object} options
+ * @param {number} options.minConfirmations - Blocks required before confirming (default 1)
+ * @param {number} options.dropAfterMinutes - Age after which an unseen tx counts as dropped (default 30)
+ * @param {Date} options.now - Clock override for tests
+ * @returns {Promise<object>} - { outcome, from, nonce, blockNumber, gasUsed, effectiveGasPrice, gasPaidWei, reason }
+ */
+export async function classifyTransaction(provider, submitted, options = {}) {
+  const {
+    minConfirmations = 1,
+    dropAfterMinutes = 30,
+    now = new Date(),
+  } = options;
+
+  const from = submitted.from || null;
+  const nonce = submitted.nonce ?? null;
+
+  const receipt = await provider.getTransactionReceipt(submitted.hash);
+
+  if (receipt) {
+    // receipt.confirmations() relies on the provider's cached block number,
+    // which can lag behind the receipt itself; read the head directly
+    const head = await provider.getBlock('latest');
+    const confirmations = Math.max(1, (head?.number ?? receipt.blockNumber) - receipt.blockNumber + 1);
+    if (confirmations < minConfirmations) {
+      return { outcome: TX_OUTCOMES.PENDING, from: receipt.from, nonce, blockNumber: receipt.blockNumber };
+    }
+
+    return {
+      outcome: receipt.status === 1 ? TX_OUTCOMES.CONFIRMED : TX_OUTCOMES.FAILED,
+      from: receipt.from,
+      nonce,
+      blockNumber: receipt.blockNumber,
+      ...computeGasPaid(receipt),
+      reason: receipt.status === 1 ? null : 'Transaction reverted on-chain',
+    };
+  }
+
+  // Not mined: still in the mempool?
+  const tx = await provider.getTransaction(submitted.hash);
+  if (tx) {
+    return { outcome: TX_OUTCOMES.PENDING, from: tx.from, nonce: tx.nonce, blockNumber: null };
+  }
+
+  // Unknown to the node. If we saw its nonce before, a mined nonce means it was replaced
+  if (from && nonce !== null && nonce !== undefined) {
+    const minedNonce = await provider.getTransactionCount(from, 'latest');
+    if (minedNonce > Number(nonce)) {
+      return {
+        outcome: TX_OUTCOMES.REPLACED,
+        from,
+        nonce,
+        blockNumber: null,
+        reason: `Nonce ${nonce} used by another transaction`,
+      };
+    }
+  }
+
+  // Give slow propagation a grace period before calling it dropped
+  const submittedAt = submitted.submittedAt ? new Date(submitted.submittedAt) : now;
+  const ageMinutes = (now.getTime() - submittedAt.getTime()) / 60000;
+  if (ageMinutes >= dropAfterMinutes) {
+    return {
+      outcome: TX_OUTCOMES.DROPPED,
+      from,
+      nonce,
+      blockNumber: null,
+      reason: `Not found after ${Math.round(ageMinutes)} minutes`,
+    };
+  }
+
+  return { outcome: TX_OUTCOMES.PENDING, from, nonce, blockNumber: null };
+}
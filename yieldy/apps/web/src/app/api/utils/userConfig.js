@@ -0,0 +1,155 @@
+import sql from './sql';
+
+/**
+ * Per-user agent configuration
+ * Each wallet owns one agent_config row (limits, tier, AUM, auto-invest),
+ * keyed by the lowercased address from authMiddleware (request.user.address)
+ */
+
+export const DEFAULT_AGENT_CONFIG = {
+  max_investment_per_opportunity: 1000,
+  max_total_investment: 10000,
+  min_apy_threshold: 5.0,
+  max_risk_score: 7,
+  auto_invest_enabled: false,
+  scan_interval_minutes: 1440,
+  user_tier: 'community',
+  management_fee_percent: 1.0,
+  performance_fee_percent: 18.0,
+  total_aum: 0,
+};
+
+/**
+ * Normalize a wallet address for storage and comparison
+ * @param {string} address
+ * @returns {string|null}
+ */
+export function normalizeAddress(address) {
+  if (!address || typeof address !== 'string') return null;
+  return address.trim().toLowerCase();
+}
+
+/**
+ * Ensure ownership columns exist (mirrors migrations/005_per_user_config.sql)
+ */
+export async function ensureUserConfigColumns() {
+  try {
+    await sql`ALTER TABLE agent_config ADD COLUMN IF NOT EXISTS user_address TEXT`;
+    await sql`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_config_user
+      ON agent_config(user_address)
+      WHERE user_address IS NOT NULL
+    `;
+    await sql`ALTER TABLE scan_logs ADD COLUMN IF NOT EXISTS user_address TEXT`;
+  } catch (error) {
+    // Columns likely already exist
+    console.debug('User config columns setup:', error.message);
+  }
+}
+
+/**
+ * Claim the pre-migration global config row (and its unowned ledger/investments)
+ * for the configured legacy owner
+ * @param {string} address - Normalized wallet address
+ * @returns {Promise<object|null>} Claimed row, or null if not applicable
+ */
+async function claimLegacyConfig(address) {
+  const legacyOwner = normalizeAddress(process.env.LEGACY_CONFIG_OWNER);
+  if (!legacyOwner || legacyOwner !== address) return null;
+
+  const claimed = await sql`
+    UPDATE agent_config
+    SET user_address = ${address}, updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM agent_config
+      WHERE user_address IS NULL
+      ORDER BY id DESC
+      LIMIT 1
+    )
+    RETURNING *
+  `;
+
+  if (claimed[0]) {
+    // Attribute pre-migration ledger entries and positions to the same wallet
+    try {
+      await sql`UPDATE agent_fund_transactions SET user_address = ${address} WHERE user_address IS NULL`;
+      await sql`UPDATE investments SET user_address = ${address} WHERE user_address IS NULL`;
+    } catch (error) {
+      console.debug('Legacy ledger claim skipped:', error.message);
+    }
+  }
+
+  return claimed[0] || null;
+}
+
+/**
+ * Load the agent configuration owned by a wallet
+ * Creates a default row on first access unless create is false
+ * @param {string} address - Wallet address (any case)
+ * @param {object} options
+ * @param {boolean} options.create - Insert defaults if no row exists
+ * @returns {Promise<object|null>} agent_config row
+ */
+export async function getUserConfig(address, { create = true } = {}) {
+  const userAddress = normalizeAddress(address);
+  if (!userAddress) {
+    throw new Error('Wallet address required to load agent configuration');
+  }
+
+  await ensureUserConfigColumns();
+
+  const existing = await sql`
+    SELECT * FROM agent_config WHERE user_address = ${userAddress} LIMIT 1
+  `;
+  if (existing.length > 0) return existing[0];
+
+  const legacy = await claimLegacyConfig(userAddress);
+  if (legacy) return legacy;
+
+  if (!create) return null;
+
+  const d = DEFAULT_AGENT_CONFIG;
+  await sql`
+    INSERT INTO agent_config (
+      user_address,
+      max_investment_per_opportunity,
+      max_total_investment,
+      min_apy_threshold,
+      max_risk_score,
+      auto_invest_enabled,
+      scan_interval_minutes,
+      preferred_protocols,
+      blacklisted_protocols,
+      user_tier,
+      management_fee_percent,
+      performance_fee_percent,
+      total_aum
+    ) VALUES (
+      ${userAddress}, ${d.max_investment_per_opportunity}, ${d.max_total_investment},
+      ${d.min_apy_threshold}, ${d.max_risk_score}, ${d.auto_invest_enabled},
+      ${d.scan_interval_minutes}, NULL, NULL,
+      ${d.user_tier}, ${d.management_fee_percent}, ${d.performance_fee_percent}, ${d.total_aum}
+    )
+    ON CONFLICT (user_address) WHERE user_address IS NOT NULL DO NOTHING
+  `;
+
+  // Re-read so concurrent first requests resolve to the same row
+  const created = await sql`
+    SELECT * FROM agent_config WHERE user_address = ${userAddress} LIMIT 1
+  `;
+  return created[0] || null;
+}
+
+/**
+ * List every owned configuration (used by the scheduler tick)
+ * @returns {Promise<Array<object>>}
+ */
+export async function listUserConfigs() {
+  await ensureUserConfigColumns();
+
+  return sql`
+    SELECT * FROM agent_config
+    WHERE user_address IS NOT NULL
+    ORDER BY id ASC
+  `;
+}
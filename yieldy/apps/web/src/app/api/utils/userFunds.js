@@ -0,0 +1,105 @@
+import sql from './sql';
+import { normalizeAddress } from './userConfig';
+import { priceOracle } from './priceOracle.js';
+
+/**
+ * Per-user fund ledger
+ * Balances are computed from the wallet's own agent_fund_transactions (USD)
+ * minus its own pending/confirmed investments, which are held in asset units
+ * and valued in USD at current oracle prices
+ */
+
+/**
+ * Ensure ledger table and ownership columns exist (mirrors migrations/006_per_user_ledger.sql)
+ */
+export async function ensureLedgerOwnership() {
+  try {
+    await sql(`
+      CREATE TABLE IF NOT EXISTS agent_fund_transactions (
+        id SERIAL PRIMARY KEY,
+        amount NUMERIC(20,2) NOT NULL,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('deposit','withdrawal','adjustment')),
+        note TEXT,
+        user_address TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await sql`ALTER TABLE agent_fund_transactions ADD COLUMN IF NOT EXISTS user_address TEXT`;
+    await sql`ALTER TABLE investments ADD COLUMN IF NOT EXISTS user_address TEXT`;
+  } catch (error) {
+    // Columns likely already exist
+    console.debug('Ledger ownership setup:', error.message);
+  }
+}
+
+/**
+ * Compute a wallet's ledger balance, capital at work and available funds
+ * @param {string} address - Wallet address (any case)
+ * @returns {Promise<{balance: number, invested: number, available: number}>} - USD
+ */
+export async function getUserFundBalances(address) {
+  const userAddress = normalizeAddress(address);
+  if (!userAddress) {
+    return { balance: 0, invested: 0, available: 0 };
+  }
+
+  await ensureLedgerOwnership();
+
+  const [totals, holdings] = await sql.transaction((txn) => [
+    txn`SELECT COALESCE(SUM(CASE WHEN type='deposit' THEN amount WHEN type='adjustment' THEN amount WHEN type='withdrawal' THEN -amount ELSE 0 END),0) AS total_funds FROM agent_fund_transactions WHERE user_address = ${userAddress}`,
+    openHoldingsQuery(txn, userAddress),
+  ]);
+
+  // Throws when a held asset cannot be priced, rather than misstating what is free
+  const { totalUsd } = await valueOpenHoldings(holdings);
+
+  const balance = parseFloat(totals[0]?.total_funds || 0);
+  const invested = Math.round(totalUsd * 100) / 100;
+
+  return {
+    balance,
+    invested,
+    available: Math.max(0, balance - invested),
+  };
+}
+
+// Open position amounts per asset and chain (asset units)
+function openHoldingsQuery(query, userAddress) {
+  return query`
+    SELECT COALESCE(o.token_symbol, 'USDC') AS symbol, i.blockchain AS chain, SUM(i.amount) AS amount
+    FROM investments i
+    LEFT JOIN cultiv8_opportunities o ON o.id = i.opportunity_id
+    WHERE i.status IN ('pending','confirmed') AND i.withdrawn_at IS NULL AND i.user_address = ${userAddress}
+    GROUP BY 1, 2
+  `;
+}
+
+function valueOpenHoldings(rows) {
+  return priceOracle.valueHoldings(rows.map((row) => ({ ...row, amount: parseFloat(row.amount || 0) })));
+}
+
+/**
+ * Available (uninvested) funds for a wallet
+ * @param {string} address - Wallet address
+ * @returns {Promise<number>}
+ */
+export async function getAvailableFunds(address) {
+  const { available } = await getUserFundBalances(address);
+  return available;
+}
+
+/**
+ * USD value of a wallet's open positions at current oracle prices
+ * @param {string} address - Wallet address
+ * @returns {Promise<{ totalUsd: number, holdings: Array<object> }>}
+ */
+export async function getOpenPositionsUsd(address) {
+  const userAddress = normalizeAddress(address);
+  if (!userAddress) {
+    return { totalUsd: 0, holdings: [] };
+  }
+
+  await ensureLedgerOwnership();
+
+  return valueOpenHoldings(await openHoldingsQuery(sql, userAddress));
+}
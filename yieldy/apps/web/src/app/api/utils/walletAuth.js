@@ -44,9 +44,10 @@ export async function generateNonce(address) {
  * @param {string} address - Ethereum address that signed
  * @param {string} signature - Signature to verify
  * @param {string} nonce - Nonce used in message
+ * @param {string} message - Message that was signed (default: the login message for this nonce)
  * @returns {Promise<boolean>} - True if signature is valid
  */
-export async function verifyWalletSignature(address, signature, nonce) {
+export async function verifyWalletSignature(address, signature, nonce, message = null) {
   try {
     // Get checksummed address
     const checksumAddress = getAddress(address);
@@ -65,10 +66,10 @@ export async function verifyWalletSignature(address, signature, nonce) {
     }
 
     // Construct the message that was signed
-    const message = `Sign this message to authenticate with Cultiv8 Agent.\n\nNonce: ${nonce}\nAddress: ${checksumAddress}`;
+    const signedMessage = message ?? `Sign this message to authenticate with Cultiv8 Agent.\n\nNonce: ${nonce}\nAddress: ${checksumAddress}`;
 
     // Verify signature
-    const recoveredAddress = verifyMessage(message, signature);
+    const recoveredAddress = verifyMessage(signedMessage, signature);
 
     // Check if recovered address matches
     const isValid = recoveredAddress.toLowerCase() === address.toLowerCase();
@@ -103,9 +104,12 @@ export function recoverSignerAddress(message, signature) {
 /**
  * Middleware requiring wallet signature verification
  * @param {Request} request - Request must include wallet and signature
+ * @param {object} options
+ * @param {Function} options.buildMessage - (body, checksumAddress) => message the wallet signed,
+ *   for signatures that authorize a specific action rather than a login
  * @returns {Response|null} - Error if invalid, null if valid
  */
-export async function requireWalletSignature(request) {
+export async function requireWalletSignature(request, { buildMessage } = {}) {
   try {
     const body = await request.clone().json();
     const { wallet, signature, nonce } = body;
@@ -123,7 +127,8 @@ export async function requireWalletSignature(request) {
       );
     }
 
-    const isValid = await verifyWalletSignature(wallet, signature, nonce);
+    const message = buildMessage ? buildMessage(body, getAddress(wallet)) : null;
+    const isValid = await verifyWalletSignature(wallet, signature, nonce, message);
 
     if (!isValid) {
       return new Response(
@@ -171,3 +176,15 @@ export function generateAuthMessage(address, nonce) {
   return `Sign this message to authenticate with Cultiv8 Agent.\n\nNonce: ${nonce}\nAddress: ${checksumAddress}\n\nThis request will not trigger a blockchain transaction or cost any gas fees.`;
 }
 
+/**
+ * Generate the message a wallet signs to approve or reject a paused agent run
+ * @param {string} address - Wallet address
+ * @param {string} nonce - Nonce
+ * @param {string} threadId - LangGraph thread of the paused run
+ * @param {string} decision - 'approve' | 'reject'
+ * @returns {string} - Message to sign
+ */
+export function generateApprovalMessage(address, nonce, threadId, decision) {
+  const checksumAddress = getAddress(address);
+  return `Cultiv8 Agent approval decision.\n\nDecision: ${decision}\nRun: ${threadId}\nNonce: ${nonce}\nAddress: ${checksumAddress}`;
+}
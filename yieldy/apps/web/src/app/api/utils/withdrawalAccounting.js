@@ -0,0 +1,96 @@
+import { ethers } from 'ethers';
+
+/**
+ * Withdrawal Accounting
+ * Which investments can be exited on-chain, how much of a pooled position
+ * they redeem and how the redeemed amount is booked (no database access).
+ * Positions are pooled per holder and opportunity, so every figure here is
+ * scoped to one holder's rows for one opportunity.
+ */
+
+/**
+ * Whether an investment is backed by a deposit the holder actually made
+ * Only deposits reconciled against their receipt (confirmed_block set) and
+ * sent from the holder's address count; simulated or unreconciled rows don't
+ * @param {object} inv - Investment row
+ * @param {string} holder - Address holding the position on-chain
+ * @returns {boolean}
+ */
+export function isRealDeposit(inv, holder) {
+  return (
+    !!holder &&
+    inv.status === 'confirmed' &&
+    !inv.withdrawn_at &&
+    inv.confirmed_block !== null &&
+    inv.confirmed_block !== undefined &&
+    typeof inv.tx_from === 'string' &&
+    inv.tx_from.toLowerCase() === holder.toLowerCase()
+  );
+}
+
+/**
+ * Amount to redeem for some of a holder's open investments in one opportunity
+ * Each redeems its principal-weighted share of the on-chain balance. The whole
+ * balance (MaxUint256) is only sent when they are the last open rows and every
+ * row in the pool is reconciled, so nothing unaccounted for is swept out.
+ * @param {BigInt} balance - Holder's position balance (asset base units)
+ * @param {Array<BigInt>} principals - Principal of each investment being withdrawn (base units)
+ * @param {object} pool - The holder's open rows for the opportunity
+ * @param {BigInt} pool.principal - Their summed principal (base units)
+ * @param {number} pool.openCount - How many are open
+ * @param {number} pool.unreconciledCount - How many have no reconciled receipt
+ * @returns {BigInt} Amount to pass to buildWithdrawTransaction
+ */
+export function computeWithdrawShare(balance, principals, { principal, openCount, unreconciledCount }) {
+  if (principals.length >= openCount && unreconciledCount === 0) return ethers.MaxUint256;
+  if (principal <= 0n) {
+    throw new Error('Pooled principal is zero; a partial withdrawal cannot be sized');
+  }
+
+  const withdrawing = principals.reduce((sum, p) => sum + p, 0n);
+  const share = (balance * withdrawing) / principal;
+  return share > balance ? balance : share;
+}
+
+/**
+ * Split one redeemed amount across the investments it exited, by principal
+ * The last investment takes the rounding remainder
+ * @param {BigInt} redeemed - Base units redeemed by the transaction
+ * @param {Array<BigInt>} principals - Principal of each investment (base units)
+ * @returns {Array<BigInt>} Redeemed amount per investment
+ */
+export function splitRedeemed(redeemed, principals) {
+  const total = principals.reduce((sum, p) => sum + p, 0n);
+  let remaining = redeemed;
+  return principals.map((p, i) => {
+    if (i === principals.length - 1) return remaining;
+    const share = total === 0n ? 0n : (redeemed * p) / total;
+    remaining -= share;
+    return share;
+  });
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+// Asset amounts keep their precision (0.01 WETH is ~$30), minus float noise
+const roundUnits = (value) => Math.round(value * 1e8) / 1e8;
+
+/**
+ * Realized return and performance fee for a confirmed withdrawal
+ * The return is kept in asset units for the investment and valued in USD for
+ * the fund ledger; the fee is charged in USD, and only on profit.
+ * @param {object} params
+ * @param {number} params.principal - Investment principal (asset units)
+ * @param {number} params.redeemed - Amount redeemed (asset units)
+ * @param {number} params.priceUsd - Asset USD price at withdrawal
+ * @param {number} params.feePercent - Performance fee percent
+ * @returns {object} - { realized (asset units), realizedUsd, feeAmount (USD) }
+ */
+export function bookWithdrawal({ principal, redeemed, priceUsd, feePercent }) {
+  if (!(priceUsd > 0)) {
+    throw new Error('A USD price is required to book a withdrawal');
+  }
+  const realized = roundUnits(redeemed - principal);
+  const realizedUsd = round2(realized * priceUsd);
+  const feeAmount = Math.max(0, round2(realizedUsd * (feePercent / 100)));
+  return { realized, realizedUsd, feeAmount };
+}
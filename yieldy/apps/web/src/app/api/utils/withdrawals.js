@@ -0,0 +1,407 @@
+import { ethers } from 'ethers';
+import sql from './sql';
+import { log } from './logger';
+import { getProtocolAdapter } from '../protocols/adapters.js';
+import { parseTokenAmount, formatTokenAmount } from '../protocols/tokens.js';
+import { EIP7702TransactionBuilder } from '../eip7702/transactionBuilder.js';
+import { priceOracle } from './priceOracle.js';
+import { isRealDeposit, computeWithdrawShare, splitRedeemed, bookWithdrawal } from './withdrawalAccounting.js';
+
+/**
+ * On-chain withdrawal path
+ * Exits positions through protocol adapters, either signed by the agent wallet
+ * (autonomous rebalancing) or by the user via an EIP-7702 delegated transaction.
+ * Only investments with a reconciled deposit from the signing holder are exited.
+ * Realized return is measured from the position balance delta around the
+ * confirmed receipt and is only booked after confirmation.
+ */
+
+/**
+ * Load an investment with the protocol and asset needed to pick its adapter
+ * @param {number} investmentId
+ * @returns {Promise<object|null>}
+ */
+export async function loadInvestment(investmentId) {
+  const rows = await sql`
+    SELECT i.*, o.protocol_name, o.token_symbol
+    FROM investments i
+    LEFT JOIN cultiv8_opportunities o ON o.id = i.opportunity_id
+    WHERE i.id = ${investmentId}
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * Resolve the protocol adapter for an investment
+ * @param {object} inv - Investment row (must include protocol_name; token_symbol picks the market)
+ * @returns {Promise<BaseAdapter>}
+ */
+export async function getInvestmentAdapter(inv) {
+  if (!inv.protocol_name) {
+    throw new Error(`Investment #${inv.id} has no protocol to withdraw from`);
+  }
+  return getProtocolAdapter(inv.protocol_name, inv.blockchain, inv.token_symbol);
+}
+
+/**
+ * Agent wallet signer for the adapter's chain (null if not configured)
+ * @param {BaseAdapter} adapter
+ * @returns {Wallet|null}
+ */
+export function getAgentSigner(adapter) {
+  if (!process.env.AGENT_PRIVATE_KEY) return null;
+  return new ethers.Wallet(process.env.AGENT_PRIVATE_KEY, adapter.provider);
+}
+
+/**
+ * Refuse to exit an investment without a real deposit behind it
+ * @param {object} inv - Investment row
+ * @param {string} holder - Address that would sign the withdrawal
+ */
+function assertRealDeposit(inv, holder) {
+  if (!isRealDeposit(inv, holder)) {
+    throw new Error(
+      `Investment #${inv.id} has no reconciled deposit from ${holder}; it cannot be withdrawn on-chain`
+    );
+  }
+}
+
+/**
+ * USD price an investment's withdrawal is booked at
+ * Looked up before anything is sent, so an unpriced asset is never exited
+ * without being booked
+ * @param {object} inv - Investment row (with token_symbol)
+ * @returns {Promise<number>}
+ */
+async function getWithdrawalPrice(inv) {
+  const symbol = inv.token_symbol || 'USDC';
+  const price = await priceOracle.getUsdPrice(symbol, inv.blockchain);
+  if (!(price > 0)) {
+    throw new Error(`No USD price for ${symbol} on ${inv.blockchain}; withdrawal not booked`);
+  }
+  return price;
+}
+
+/**
+ * Work out how much of the holder's position the given investments own
+ * Positions are pooled per holder and opportunity, so only the holder's own
+ * open rows share the balance (see computeWithdrawShare)
+ * @param {BaseAdapter} adapter
+ * @param {string} holder - Address holding the position on-chain
+ * @param {Array<object>} investments - Investment rows sharing one opportunity
+ * @returns {Promise<BigInt>} Amount to pass to buildWithdrawTransaction
+ */
+export async function computeWithdrawAmount(adapter, holder, investments) {
+  const [first] = investments;
+  const balance = await adapter.getPositionBalance(holder);
+  if (balance === 0n) {
+    throw new Error(`No on-chain ${first.protocol_name} position for ${holder}`);
+  }
+
+  const [pool] = await sql`
+    SELECT COALESCE(SUM(amount), 0) AS principal,
+           COUNT(*) AS open_count,
+           COUNT(*) FILTER (WHERE status <> 'confirmed' OR confirmed_block IS NULL) AS unreconciled_count
+    FROM investments
+    WHERE opportunity_id = ${first.opportunity_id}
+      AND LOWER(tx_from) = ${holder.toLowerCase()}
+      AND status IN ('pending','confirmed') AND withdrawn_at IS NULL
+  `;
+
+  const decimals = adapter.getMetadata().assetDecimals ?? 6;
+  const toUnits = (v) => parseTokenAmount(Number(v), decimals);
+
+  return computeWithdrawShare(
+    balance,
+    investments.map((inv) => toUnits(inv.amount)),
+    {
+      principal: toUnits(pool?.principal || 0),
+      openCount: Number(pool?.open_count || 0),
+      unreconciledCount: Number(pool?.unreconciled_count || 0),
+    }
+  );
+}
+
+/**
+ * Measure how much underlying a confirmed receipt redeemed for the holder
+ * Reads the position balance at the block before and the block of the receipt
+ * @param {BaseAdapter} adapter
+ * @param {string} holder
+ * @param {number} blockNumber - Receipt block
+ * @returns {Promise<BigInt>}
+ */
+async function measureRedeemed(adapter, holder, blockNumber) {
+  const [before, after] = await Promise.all([
+    adapter.getPositionBalance(holder, blockNumber - 1),
+    adapter.getPositionBalance(holder, blockNumber),
+  ]);
+  return before > after ? before - after : 0n;
+}
+
+/**
+ * Withdraw an investment using the agent wallet (autonomous rebalancing)
+ * @param {object} inv - Investment row (with protocol_name)
+ * @returns {Promise<object>} Booked withdrawal
+ */
+export async function executeAgentWithdrawal(inv) {
+  const adapter = await getInvestmentAdapter(inv);
+  const signer = getAgentSigner(adapter);
+  if (!signer) {
+    throw new Error('Agent wallet not configured (AGENT_PRIVATE_KEY)');
+  }
+
+  const holder = await signer.getAddress();
+  assertRealDeposit(inv, holder);
+  const priceUsd = await getWithdrawalPrice(inv);
+  const amount = await computeWithdrawAmount(adapter, holder, [inv]);
+
+  // executeWithdraw waits for the receipt; reverts throw before anything is booked
+  const result = await adapter.executeWithdraw(signer, amount);
+  if (result.status !== 1) {
+    throw new Error(`Withdrawal ${result.hash} reverted`);
+  }
+
+  const redeemed = await measureRedeemed(adapter, holder, result.blockNumber);
+
+  return recordWithdrawal(inv, {
+    hash: result.hash,
+    redeemed,
+    decimals: adapter.getMetadata().assetDecimals ?? 6,
+    priceUsd,
+    gasUsed: result.gasUsed,
+    signedBy: 'agent',
+  });
+}
+
+/**
+ * Withdraw several investments from one pooled position in a single transaction
+ * The redeemed amount is split across them by principal, the last taking the
+ * rounding remainder
+ * @param {Array<object>} investments - Investment rows sharing opportunity (with protocol_name)
+ * @returns {Promise<Array<object>>} Booked withdrawals
+ */
+export async function executeAgentBatchWithdrawal(investments) {
+  if (investments.length === 1) return [await executeAgentWithdrawal(investments[0])];
+
+  const [first] = investments;
+  if (investments.some((inv) => inv.opportunity_id !== first.opportunity_id)) {
+    throw new Error('Batched withdrawals must share one position');
+  }
+
+  const adapter = await getInvestmentAdapter(first);
+  const signer = getAgentSigner(adapter);
+  if (!signer) {
+    throw new Error('Agent wallet not configured (AGENT_PRIVATE_KEY)');
+  }
+
+  const holder = await signer.getAddress();
+  investments.forEach((inv) => assertRealDeposit(inv, holder));
+  const priceUsd = await getWithdrawalPrice(first);
+  const decimals = adapter.getMetadata().assetDecimals ?? 6;
+  const toUnits = (v) => parseTokenAmount(Number(v), decimals);
+
+  const amount = await computeWithdrawAmount(adapter, holder, investments);
+
+  const result = await adapter.executeWithdraw(signer, amount);
+  if (result.status !== 1) {
+    throw new Error(`Withdrawal ${result.hash} reverted`);
+  }
+
+  const redeemed = await measureRedeemed(adapter, holder, result.blockNumber);
+  const shares = splitRedeemed(redeemed, investments.map((inv) => toUnits(inv.amount)));
+
+  const booked = [];
+  for (let i = 0; i < investments.length; i++) {
+    booked.push(await recordWithdrawal(investments[i], {
+      hash: result.hash,
+      redeemed: shares[i],
+      decimals,
+      priceUsd,
+      gasUsed: result.gasUsed,
+      signedBy: 'agent',
+    }));
+  }
+  return booked;
+}
+
+/**
+ * Build an unsigned EIP-7702 withdrawal for the position owner to sign
+ * @param {object} inv - Investment row (with protocol_name)
+ * @returns {Promise<object>} { transaction, authorizationData, withdrawAmount }
+ */
+export async function buildUserWithdrawal(inv) {
+  const adapter = await getInvestmentAdapter(inv);
+  const userAddress = ethers.getAddress(inv.user_address);
+  assertRealDeposit(inv, userAddress);
+  const amount = await computeWithdrawAmount(adapter, userAddress, [inv]);
+  const withdrawTx = await adapter.buildWithdrawTransaction(userAddress, amount);
+
+  const builder = new EIP7702TransactionBuilder(
+    adapter.provider,
+    process.env.CULTIV8_AGENT_ADDRESS || ethers.ZeroAddress,
+    process.env.AGENT_VAULT_ADDRESS || ethers.ZeroAddress
+  );
+
+  const unsigned = await builder.buildUnsignedTransaction({
+    userAddress,
+    targetProtocol: withdrawTx.to,
+    strategyCalldata: withdrawTx.data,
+    amount,
+  });
+
+  return {
+    ...unsigned,
+    description: withdrawTx.description,
+    withdrawAmount: amount === ethers.MaxUint256 ? 'max' : amount.toString(),
+  };
+}
+
+/**
+ * Confirm a user-signed withdrawal once its receipt is mined and book it
+ * @param {object} inv - Investment row (with protocol_name)
+ * @param {string} txHash - Hash broadcast by the user's wallet
+ * @param {object} options
+ * @param {number} options.timeoutMs - How long to wait for the receipt
+ * @returns {Promise<object>} Booked withdrawal, or { pending: true } if not yet mined
+ */
+export async function confirmUserWithdrawal(inv, txHash, { timeoutMs = 60000 } = {}) {
+  const adapter = await getInvestmentAdapter(inv);
+  const holder = ethers.getAddress(inv.user_address);
+  assertRealDeposit(inv, holder);
+
+  let receipt;
+  try {
+    receipt = await adapter.provider.waitForTransaction(txHash, 1, timeoutMs);
+  } catch (error) {
+    if (error.code === 'TIMEOUT') return { pending: true, hash: txHash };
+    throw error;
+  }
+  if (!receipt) return { pending: true, hash: txHash };
+
+  if (receipt.status !== 1) {
+    throw new Error(`Withdrawal ${txHash} reverted`);
+  }
+
+  // The receipt must be the owner's call into this investment's protocol
+  const expected = await adapter.buildWithdrawTransaction(holder, 0n);
+  if (
+    receipt.from.toLowerCase() !== holder.toLowerCase() ||
+    receipt.to?.toLowerCase() !== expected.to.toLowerCase()
+  ) {
+    throw new Error(`Transaction ${txHash} is not a withdrawal from this position`);
+  }
+
+  // Unpriced, it stays unbooked and the confirmation can be retried
+  const priceUsd = await getWithdrawalPrice(inv);
+  const redeemed = await measureRedeemed(adapter, holder, receipt.blockNumber);
+
+  return recordWithdrawal(inv, {
+    hash: receipt.hash,
+    redeemed,
+    decimals: adapter.getMetadata().assetDecimals ?? 6,
+    priceUsd,
+    gasUsed: receipt.gasUsed.toString(),
+    signedBy: 'user',
+  });
+}
+
+// Read performance fee percent (defaults to 10%)
+export async function getPerformanceFeePercent() {
+  try {
+    await sql(
+      `CREATE TABLE IF NOT EXISTS performance_fee_config (id SERIAL PRIMARY KEY, percent NUMERIC(5,2) NOT NULL DEFAULT 10.00, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)`,
+    );
+    const rows =
+      await sql`SELECT percent FROM performance_fee_config ORDER BY id DESC LIMIT 1`;
+    const pct = parseFloat(rows[0]?.percent || 10);
+    return isNaN(pct) ? 10 : pct;
+  } catch (e) {
+    return 10;
+  }
+}
+
+// Ensure fees ledger exists
+async function ensureFeesLedger() {
+  try {
+    await sql(
+      `CREATE TABLE IF NOT EXISTS performance_fees (id SERIAL PRIMARY KEY, investment_id INTEGER NOT NULL, fee_percent NUMERIC(5,2) NOT NULL, fee_amount NUMERIC(20,2) NOT NULL, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)`,
+    );
+  } catch (e) {}
+}
+
+/**
+ * Book a confirmed withdrawal: realized return, ledger credit and performance fee
+ * The investment keeps its return in asset units; the ledger and fees are USD
+ * @param {object} inv - Investment row
+ * @param {object} receipt - { hash, redeemed (BigInt base units), decimals (asset), priceUsd, gasUsed, signedBy }
+ * @returns {Promise<object>}
+ */
+async function recordWithdrawal(inv, { hash, redeemed, decimals, priceUsd, gasUsed, signedBy }) {
+  const principal = Number(inv.amount || 0);
+  const redeemedAmount = formatTokenAmount(redeemed, decimals);
+  const feePercent = await getPerformanceFeePercent();
+  const { realized, realizedUsd, feeAmount } = bookWithdrawal({
+    principal,
+    redeemed: redeemedAmount,
+    priceUsd,
+    feePercent,
+  });
+
+  // Guard against double-booking if two confirmations race
+  const updated = await sql`
+    UPDATE investments
+    SET status = 'withdrawn', withdrawn_at = NOW(), withdrawal_hash = ${hash},
+        actual_return = ${realized}
+    WHERE id = ${inv.id} AND withdrawn_at IS NULL
+    RETURNING id
+  `;
+  if (updated.length === 0) {
+    throw new Error(`Investment #${inv.id} already withdrawn`);
+  }
+
+  // Principal returns to the ledger implicitly (position no longer open);
+  // the realized gain or loss is credited explicitly, in USD
+  if (realizedUsd !== 0) {
+    try {
+      await sql`INSERT INTO agent_fund_transactions (amount, type, note, user_address) VALUES (${realizedUsd}, 'adjustment', ${`Realized return for investment #${inv.id} (${hash})`}, ${inv.user_address})`;
+    } catch (e) {
+      log.error('Failed to credit realized return', { investmentId: inv.id, error: e.message });
+    }
+  }
+
+  // Performance fee only on realized profit
+  if (feeAmount > 0) {
+    await ensureFeesLedger();
+    try {
+      await sql`INSERT INTO performance_fees (investment_id, fee_percent, fee_amount) VALUES (${inv.id}, ${feePercent}, ${feeAmount})`;
+    } catch (e) {}
+    try {
+      await sql`INSERT INTO agent_fund_transactions (amount, type, note, user_address) VALUES (${feeAmount}, 'withdrawal', ${`Performance fee (${feePercent}%) for investment #${inv.id}`}, ${inv.user_address})`;
+    } catch (e) {}
+  }
+
+  log.info('Withdrawal confirmed', {
+    investmentId: inv.id,
+    hash,
+    signedBy,
+    principal,
+    redeemed: redeemedAmount,
+    realized,
+    realizedUsd,
+    priceUsd,
+    gasUsed,
+  });
+
+  return {
+    id: inv.id,
+    hash,
+    amount: principal,
+    redeemed: redeemedAmount,
+    realized,
+    realizedUsd,
+    priceUsd,
+    feePercent,
+    feeAmount,
+    gasUsed,
+  };
+}
@@ -1,43 +1,43 @@
 'use client';
 
-import { useState } from 'react';
-import { Brain, Play, Pause, History, BarChart3 } from 'lucide-react';
+import { useCallback, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { Brain, Play, Pause, History, BarChart3, ShieldCheck, ShieldAlert } from 'lucide-react';
+import { useAgentRunStream } from '@/hooks/useAgentRunStream';
+import { activeStep } from '@/utils/agentRunEvents';
 import { ReasoningChain } from './ReasoningChain';
+import { ApprovalQueue } from './ApprovalQueue';
+import { SignatureRequests } from './SignatureRequests';
 
 /**
  * Agent Dashboard Component
  * Main interface for running and monitoring the AI agent
+ * Runs stream from /api/agent/run/stream, so the reasoning chain fills in
+ * node by node and the safety verdict shows before execution.
  */
 export function AgentDashboard() {
-  const [isRunning, setIsRunning] = useState(false);
+  const [mode, setMode] = useState('autonomous');
   const [agentResult, setAgentResult] = useState(null);
-  const [error, setError] = useState(null);
+  const queryClient = useQueryClient();
 
-  const handleRunAgent = async () => {
-    setIsRunning(true);
-    setError(null);
-
-    try {
-      const response = await fetch('/api/agent/run', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ mode: 'autonomous' }),
-      });
-
-      const result = await response.json();
-
-      if (!result.success) {
-        setError(result.error || 'Agent execution failed');
-        setIsRunning(false);
-        return;
+  const handleResult = useCallback(
+    (result) => {
+      setAgentResult(result);
+      if (result.approvalQueued) {
+        queryClient.invalidateQueries({ queryKey: ['agent-approvals'] });
       }
+      if (result.signatureQueued) {
+        queryClient.invalidateQueries({ queryKey: ['agent-signatures'] });
+      }
+    },
+    [queryClient]
+  );
+  const { run, progress, isRunning } = useAgentRunStream({ onResult: handleResult });
+  const error = progress.error;
 
-      setAgentResult(result);
-      setIsRunning(false);
-    } catch (err) {
-      setError('Failed to run agent: ' + err.message);
-      setIsRunning(false);
-    }
+  const handleRunAgent = () => {
+    setAgentResult(null);
+    run({ mode });
   };
 
   return (
@@ -55,27 +55,43 @@ export function AgentDashboard() {
             </div>
           </div>
 
-          <button
-            onClick={handleRunAgent}
-            disabled={isRunning}
-            className="bg-emerald-600 text-white px-6 py-3 rounded-lg hover:bg-emerald-700 disabled:bg-gray-400 dark:disabled:bg-gray-600 disabled:cursor-not-allowed flex items-center space-x-2 transition-colors font-medium"
-          >
-            {isRunning ? (
-              <>
-                <svg className="animate-spin h-5 w-5" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                <span>Agent Running...</span>
-              </>
-            ) : (
-              <>
-                <Play className="w-5 h-5" />
-                <span>Run Agent</span>
-              </>
-            )}
-          </button>
+          <div className="flex items-center space-x-3">
+            <select
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              disabled={isRunning}
+              className="px-3 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-sm text-gray-900 dark:text-white"
+            >
+              <option value="autonomous">Autonomous</option>
+              <option value="copilot">Co-pilot</option>
+            </select>
+            <button
+              onClick={handleRunAgent}
+              disabled={isRunning}
+              className="bg-emerald-600 text-white px-6 py-3 rounded-lg hover:bg-emerald-700 disabled:bg-gray-400 dark:disabled:bg-gray-600 disabled:cursor-not-allowed flex items-center space-x-2 transition-colors font-medium"
+            >
+              {isRunning ? (
+                <>
+                  <svg className="animate-spin h-5 w-5" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  <span>Agent Running...</span>
+                </>
+              ) : (
+                <>
+                  <Play className="w-5 h-5" />
+                  <span>Run Agent</span>
+                </>
+              )}
+            </button>
+          </div>
         </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {mode === 'autonomous'
+            ? 'The agent submits within the limits you authorized on-chain; anything beyond them waits for your signature'
+            : 'Every transaction waits for your signature'}
+        </p>
 
         {error && (
           <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
@@ -84,6 +100,30 @@ export function AgentDashboard() {
         )}
       </div>
 
+      {/* Runs waiting for a signed decision; a decided run replaces the result below */}
+      <ApprovalQueue
+        onDecided={(result) =>
+          setAgentResult({ ...result, needsApproval: false })
+        }
+      />
+
+      {/* Plans waiting for the wallet's signature; a submitted plan's results show below */}
+      <SignatureRequests
+        onSubmitted={(result) =>
+          setAgentResult((previous) => ({ ...previous, execution: result.execution }))
+        }
+      />
+
+      {/* Live progress while the run streams */}
+      {isRunning && (progress.reasoning.length > 0 || activeStep(progress)) && (
+        <ReasoningChain steps={progress.reasoning} active={activeStep(progress)} />
+      )}
+
+      {/* Safety verdict on the streamed run's strategy */}
+      {progress.safety && (isRunning || agentResult?.threadId === progress.threadId) && (
+        <SafetyVerdict verdict={progress.safety} />
+      )}
+
       {/* Agent Result */}
       {agentResult && (
         <>
@@ -124,13 +164,40 @@ export function AgentDashboard() {
                     Human approval required for this strategy
                   </p>
                   <p className="text-xs text-yellow-700 dark:text-yellow-400 mt-1">
-                    Strategy exceeds risk tolerance or uses significant portion of funds
+                    {agentResult.approvalQueued
+                      ? 'The run is paused in your approval queue above until you sign a decision'
+                      : 'Strategy exceeds risk tolerance or uses significant portion of funds'}
                   </p>
                 </div>
               )}
             </div>
           )}
 
+          {/* Execution */}
+          {agentResult.execution && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-700">
+              <h4 className="font-semibold text-gray-900 dark:text-white mb-2">Execution</h4>
+              <p className="text-sm text-gray-700 dark:text-gray-300">
+                {{
+                  awaiting_signature: 'Waiting for your signature',
+                  submitted: 'Submitted, waiting for confirmation',
+                  confirmed: agentResult.execution.signer === 'agent' ? 'Executed by the agent' : 'Confirmed',
+                  failed: 'Failed',
+                }[agentResult.execution.status]}
+                {agentResult.execution.reason && ` - ${agentResult.execution.reason}`}
+              </p>
+              {agentResult.execution.results?.length > 0 && (
+                <ul className="mt-2 text-xs text-gray-600 dark:text-gray-400 space-y-1">
+                  {agentResult.execution.results.map((tx) => (
+                    <li key={tx.index} className="font-mono">
+                      {tx.description}: {tx.status}{tx.hash ? ` (${tx.hash.slice(0, 10)}...)` : ''}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
           {/* Reasoning Chain */}
           {agentResult.reasoning && agentResult.reasoning.length > 0 && (
             <ReasoningChain steps={agentResult.reasoning} />
@@ -153,3 +220,35 @@ export function AgentDashboard() {
   );
 }
 
+/**
+ * SafetyController verdict streamed before execution
+ */
+function SafetyVerdict({ verdict }) {
+  if (verdict.needsApproval) return null;
+  const Icon = verdict.valid ? ShieldCheck : ShieldAlert;
+
+  return (
+    <div
+      className={`rounded-lg p-4 border ${
+        verdict.valid
+          ? 'bg-emerald-50 dark:bg-emerald-900/20 border-emerald-200 dark:border-emerald-800'
+          : 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800'
+      }`}
+    >
+      <div className="flex items-center space-x-2">
+        <Icon className={`w-5 h-5 ${verdict.valid ? 'text-emerald-600' : 'text-red-600'}`} />
+        <p className="text-sm font-medium text-gray-900 dark:text-white">
+          {verdict.valid ? 'Safety checks passed' : 'Safety checks failed'}
+          {verdict.riskLevel && ` (risk: ${verdict.riskLevel})`}
+        </p>
+      </div>
+      {verdict.violations.length > 0 && (
+        <ul className="mt-2 list-disc list-inside text-xs text-gray-700 dark:text-gray-300 space-y-1">
+          {verdict.violations.map((violation, i) => (
+            <li key={i}>{violation.message || violation.type}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
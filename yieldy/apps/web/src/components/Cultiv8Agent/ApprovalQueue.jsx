@@ -0,0 +1,131 @@
+'use client';
+
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { ShieldAlert } from 'lucide-react';
+import { ReasoningChain } from './ReasoningChain';
+
+/**
+ * Sign the approval message for a run with the connected wallet and submit it
+ */
+async function signDecision(threadId, decision) {
+  if (typeof window.ethereum === 'undefined') {
+    throw new Error('Connect a wallet to sign the decision');
+  }
+  const [wallet] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+
+  const messageRes = await fetch(`/api/agent/approvals/${threadId}?decision=${decision}`);
+  const { nonce, message, error } = await messageRes.json();
+  if (!messageRes.ok) throw new Error(error || 'Failed to get approval message');
+
+  const signature = await window.ethereum.request({
+    method: 'personal_sign',
+    params: [message, wallet],
+  });
+
+  const res = await fetch(`/api/agent/approvals/${threadId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ decision, wallet, signature, nonce }),
+  });
+  const result = await res.json();
+  if (!result.success) throw new Error(result.message || result.error || 'Failed to record decision');
+  return result;
+}
+
+/**
+ * Approval Queue Component
+ * Agent runs waiting for a signed approve/reject, with each run's reasoning
+ */
+export function ApprovalQueue({ onDecided }) {
+  const queryClient = useQueryClient();
+  const [expanded, setExpanded] = useState(null);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['agent-approvals'],
+    queryFn: async () => {
+      const res = await fetch('/api/agent/approvals?status=pending');
+      if (!res.ok)
+        throw new Error(
+          `When fetching /api/agent/approvals, the response was [${res.status}] ${res.statusText}`,
+        );
+      return res.json();
+    },
+  });
+
+  const decide = useMutation({
+    mutationFn: ({ threadId, decision }) => signDecision(threadId, decision),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['agent-approvals'] });
+      onDecided?.(result);
+    },
+  });
+
+  const approvals = data?.approvals || [];
+  if (isLoading || (!error && approvals.length === 0)) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-yellow-200 dark:border-yellow-800">
+      <div className="flex items-center space-x-2 mb-4">
+        <ShieldAlert className="w-5 h-5 text-yellow-600" />
+        <h4 className="font-semibold text-gray-900 dark:text-white">Awaiting Your Approval</h4>
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error.message}</p>}
+      {decide.error && <p className="text-sm text-red-600 dark:text-red-400 mb-3">{decide.error.message}</p>}
+
+      <div className="space-y-4">
+        {approvals.map((approval) => (
+          <div key={approval.threadId} className="bg-gray-50 dark:bg-gray-900 rounded-lg p-4 space-y-3">
+            <div className="flex items-start justify-between">
+              <div>
+                <p className="font-medium text-gray-900 dark:text-white capitalize">
+                  {approval.strategy?.action} {approval.strategy?.protocol} on {approval.strategy?.blockchain}
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  ${approval.strategy?.amount?.toLocaleString()} at {approval.strategy?.expectedAPY}% APY, risk {approval.strategy?.riskScore}/10
+                </p>
+                <ul className="list-disc list-inside text-xs text-yellow-700 dark:text-yellow-400 mt-1">
+                  {approval.reasons.map((reason, i) => (
+                    <li key={i}>{reason}</li>
+                  ))}
+                </ul>
+                {approval.failureReason && (
+                  <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+                    Last approval failed before executing: {approval.failureReason}
+                  </p>
+                )}
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => decide.mutate({ threadId: approval.threadId, decision: 'approve' })}
+                  disabled={decide.isPending}
+                  className="px-3 py-1.5 text-sm rounded bg-emerald-600 text-white hover:bg-emerald-700 disabled:bg-gray-400"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => decide.mutate({ threadId: approval.threadId, decision: 'reject' })}
+                  disabled={decide.isPending}
+                  className="px-3 py-1.5 text-sm rounded bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+
+            {approval.reasoning.length > 0 && (
+              <button
+                onClick={() => setExpanded(expanded === approval.threadId ? null : approval.threadId)}
+                className="text-xs text-emerald-700 dark:text-emerald-400"
+              >
+                {expanded === approval.threadId ? 'Hide reasoning' : 'Show reasoning'}
+              </button>
+            )}
+            {expanded === approval.threadId && <ReasoningChain steps={approval.reasoning} />}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
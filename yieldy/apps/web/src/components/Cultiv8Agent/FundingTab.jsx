@@ -103,7 +103,7 @@ export function FundingTab() {
         {
           method: "POST",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ blockchain: "both", forceRun: true }),
+          body: JSON.stringify({ blockchain: "all", forceRun: true }),
         },
         1,
       );
@@ -1,3 +1,6 @@
+import React, { useState } from "react";
+import { OpportunityHistoryChart } from "./OpportunityHistoryChart";
+
 const RiskIndicator = ({ score }) => {
   const getRiskColor = () => {
     if (score <= 3) return "bg-green-400";
@@ -20,6 +23,8 @@ const BlockchainTag = ({ blockchain }) => (
 );
 
 export function OpportunitiesTab({ opportunities, handleRunScan }) {
+  const [expandedId, setExpandedId] = useState(null);
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
@@ -68,39 +73,50 @@ export function OpportunitiesTab({ opportunities, handleRunScan }) {
           </thead>
           <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
             {opportunities.map((opportunity) => (
-              <tr
-                key={opportunity.id}
-                className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
-              >
-                <td className="px-6 py-4 whitespace-nowrap">
-                  <div className="text-sm font-medium text-gray-900 dark:text-white">
-                    {opportunity.protocol_name}
-                  </div>
-                  <div className="text-sm text-gray-500 dark:text-gray-400">
-                    {opportunity.pool_address.substring(0, 10)}...
-                  </div>
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap">
-                  <BlockchainTag blockchain={opportunity.blockchain} />
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-                  {parseFloat(opportunity.apy).toFixed(2)}%
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-                  ${(parseFloat(opportunity.tvl || 0) / 1000000).toFixed(1)}M
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap">
-                  <div className="flex items-center">
-                    <RiskIndicator score={opportunity.risk_score} />
-                    <span className="text-sm text-gray-900 dark:text-white">
-                      {opportunity.risk_score}/10
-                    </span>
-                  </div>
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
-                  {opportunity.protocol_type}
-                </td>
-              </tr>
+              <React.Fragment key={opportunity.id}>
+                <tr
+                  onClick={() =>
+                    setExpandedId(expandedId === opportunity.id ? null : opportunity.id)
+                  }
+                  className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors cursor-pointer"
+                >
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900 dark:text-white">
+                      {opportunity.protocol_name}
+                    </div>
+                    <div className="text-sm text-gray-500 dark:text-gray-400">
+                      {opportunity.pool_address.substring(0, 10)}...
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <BlockchainTag blockchain={opportunity.blockchain} />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                    {parseFloat(opportunity.apy).toFixed(2)}%
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                    ${(parseFloat(opportunity.tvl || 0) / 1000000).toFixed(1)}M
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex items-center">
+                      <RiskIndicator score={opportunity.risk_score} />
+                      <span className="text-sm text-gray-900 dark:text-white">
+                        {opportunity.risk_score}/10
+                      </span>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {opportunity.protocol_type}
+                  </td>
+                </tr>
+                {expandedId === opportunity.id && (
+                  <tr className="bg-gray-50 dark:bg-gray-900/40">
+                    <td colSpan={6} className="px-6 py-4">
+                      <OpportunityHistoryChart opportunityId={opportunity.id} />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
             ))}
           </tbody>
         </table>
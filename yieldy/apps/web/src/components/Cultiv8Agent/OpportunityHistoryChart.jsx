@@ -0,0 +1,108 @@
+"use client";
+import React, { useState, useMemo } from "react";
+import { useQuery } from "@tanstack/react-query";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+
+const RANGES = [
+  { days: 7, bucket: "hour", label: "7D" },
+  { days: 30, bucket: "day", label: "30D" },
+  { days: 90, bucket: "day", label: "90D" },
+  { days: 365, bucket: "week", label: "1Y" },
+];
+
+export function OpportunityHistoryChart({ opportunityId }) {
+  const [range, setRange] = useState(RANGES[1]);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ["opportunity-history", opportunityId, range.days, range.bucket],
+    queryFn: async () => {
+      const params = new URLSearchParams({
+        days: String(range.days),
+        bucket: range.bucket,
+      });
+      const url = `/api/cultiv8-opportunities/${opportunityId}/history?${params.toString()}`;
+      const res = await fetch(url);
+      if (!res.ok)
+        throw new Error(
+          `When fetching ${url}, the response was [${res.status}] ${res.statusText}`,
+        );
+      return res.json();
+    },
+  });
+
+  const chartData = useMemo(
+    () =>
+      (data?.points || []).map((p) => ({
+        date:
+          range.bucket === "hour"
+            ? new Date(p.bucket).toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit" })
+            : new Date(p.bucket).toLocaleDateString(),
+        apy: Number(p.apy.toFixed(3)),
+        apyMin: Number(p.apyMin.toFixed(3)),
+        apyMax: Number(p.apyMax.toFixed(3)),
+        tvl: p.tvl === null ? null : Number((p.tvl / 1000000).toFixed(2)),
+      })),
+    [data, range.bucket],
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-between items-center">
+        <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          APY / TVL history
+        </span>
+        <div className="flex space-x-1">
+          {RANGES.map((r) => (
+            <button
+              key={r.label}
+              onClick={() => setRange(r)}
+              className={`px-2 py-1 text-xs rounded ${
+                r.label === range.label
+                  ? "bg-emerald-600 text-white"
+                  : "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+              }`}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="text-sm text-gray-500 dark:text-gray-400">Loading history...</div>
+      ) : error ? (
+        <div className="text-sm text-red-600 dark:text-red-400">{error.message}</div>
+      ) : chartData.length === 0 ? (
+        <div className="text-sm text-gray-500 dark:text-gray-400">
+          No history recorded yet. Each scan and protocol refresh adds a point.
+        </div>
+      ) : (
+        <div style={{ width: "100%", height: 240 }}>
+          <ResponsiveContainer>
+            <LineChart data={chartData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="apy" tick={{ fontSize: 12 }} unit="%" />
+              <YAxis yAxisId="tvl" orientation="right" tick={{ fontSize: 12 }} unit="M" />
+              <Tooltip />
+              <Legend />
+              <Line yAxisId="apy" type="monotone" dataKey="apy" name="APY (avg)" stroke="#10B981" dot={false} />
+              <Line yAxisId="apy" type="monotone" dataKey="apyMin" name="APY (min)" stroke="#10B981" strokeDasharray="3 3" strokeOpacity={0.5} dot={false} />
+              <Line yAxisId="apy" type="monotone" dataKey="apyMax" name="APY (max)" stroke="#10B981" strokeDasharray="3 3" strokeOpacity={0.5} dot={false} />
+              <Line yAxisId="tvl" type="monotone" dataKey="tvl" name="TVL ($M)" stroke="#3B82F6" dot={false} connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
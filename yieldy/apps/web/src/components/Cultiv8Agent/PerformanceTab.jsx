@@ -43,6 +43,9 @@ export function PerformanceTab() {
   const k = data?.kpis || {
     totalInvested: 0,
     realizedReturn: 0,
+    unrealizedReturn: 0,
+    twr: null,
+    mwr: null,
     roi: 0,
     realRoi: 0,
     totalTrades: 0,
@@ -59,9 +62,23 @@ export function PerformanceTab() {
   // Build concise tooltip strings describing calculations
   const nominalTooltip = useMemo(() => {
     // Describe how nominal ROI is computed in backend
-    return `Nominal ROI = (realized P&L + accrued P&L on open positions) ÷ (realized invested + open principal) × 100 over the last ${windowDays} day(s). Accrued is pro‑rated by expected APY since invest date.`;
+    return `Nominal ROI = (realized P&L + unrealized P&L on open positions) ÷ (realized invested + open principal) × 100 over the last ${windowDays} day(s). Unrealized is the interest accrued in each position's latest daily on-chain snapshot.`;
   }, [windowDays]);
 
+  const valuation = meta.valuation || {};
+  const unrealizedTooltip = useMemo(() => {
+    const asOf = valuation.lastSnapshot
+      ? `Marked to market on ${valuation.lastSnapshot}.`
+      : "No snapshot yet.";
+    const pending = valuation.unmarkedPositions
+      ? ` ${valuation.unmarkedPositions} position(s) not yet marked are held at principal.`
+      : "";
+    return `Interest accrued in open positions, from daily snapshots of each protocol position (balance × your share of the pool − principal). ${asOf}${pending}`;
+  }, [valuation.lastSnapshot, valuation.unmarkedPositions]);
+
+  const twrTooltip = `Time-weighted return over the last ${windowDays} day(s): daily mark-to-market returns chained together, so the timing and size of deposits and withdrawals do not affect it. Use it to judge the strategy.`;
+  const mwrTooltip = `Money-weighted return (annualized IRR) over the last ${windowDays} day(s): the rate that discounts your deposits, withdrawals and current value to zero. Reflects when and how much you invested.`;
+
   const realTooltip = useMemo(() => {
     const infTxt =
       typeof inflationPct === "number"
@@ -96,6 +113,7 @@ export function PerformanceTab() {
         date: label,
         invested: Number(d.invested || 0),
         realized: Number(d.realized || 0),
+        value: Number(d.value || 0),
       };
     });
   }, [data]);
@@ -110,6 +128,8 @@ export function PerformanceTab() {
 
   const rangeLabel = is1 ? "1D" : is7 ? "1W" : is30 ? "1M" : "90D";
 
+  const pct = (v) => (typeof v === "number" ? `${v.toFixed(2)}%` : "—");
+
   return (
     <div className="space-y-8">
       <div className="bg-white shadow rounded-lg p-6">
@@ -199,15 +219,22 @@ export function PerformanceTab() {
             {(error && error.message) || "Failed to load"}
           </div>
         )}
-        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <Kpi
             label="Capital At Work"
             value={`$${k.totalInvested?.toFixed(2)}`}
           />
           <Kpi
-            label="Realized Return"
+            label="Realized P&L"
             value={`$${k.realizedReturn?.toFixed(2)}`}
           />
+          <Kpi
+            label="Unrealized P&L"
+            value={`$${k.unrealizedReturn?.toFixed(2)}`}
+            tooltip={unrealizedTooltip}
+          />
+          <Kpi label="TWR" value={pct(k.twr)} tooltip={twrTooltip} />
+          <Kpi label="MWR (Annualized)" value={pct(k.mwr)} tooltip={mwrTooltip} />
           <Kpi
             label="ROI (Nominal)"
             value={`${k.roi?.toFixed(2)}%`}
@@ -245,12 +272,24 @@ export function PerformanceTab() {
                   <stop offset="5%" stopColor="#10B981" stopOpacity={0.4} />
                   <stop offset="95%" stopColor="#10B981" stopOpacity={0} />
                 </linearGradient>
+                <linearGradient id="colorValue" x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="5%" stopColor="#8B5CF6" stopOpacity={0.3} />
+                  <stop offset="95%" stopColor="#8B5CF6" stopOpacity={0} />
+                </linearGradient>
               </defs>
               <CartesianGrid strokeDasharray="3 3" />
               <XAxis dataKey="date" tick={{ fontSize: 12 }} />
               <YAxis tick={{ fontSize: 12 }} />
               <Tooltip />
               <Legend />
+              <Area
+                type="monotone"
+                dataKey="value"
+                stroke="#8B5CF6"
+                fillOpacity={1}
+                fill="url(#colorValue)"
+                name="Portfolio Value"
+              />
               <Area
                 type="monotone"
                 dataKey="invested"
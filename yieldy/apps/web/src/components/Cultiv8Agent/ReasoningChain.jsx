@@ -1,13 +1,20 @@
 'use client';
 
-import { Brain, Lightbulb, Target, Wrench, Zap } from 'lucide-react';
+import { Brain, Lightbulb, Target, Wrench, Zap, ShieldCheck, ShieldX } from 'lucide-react';
 
 /**
  * Reasoning Chain Display Component
- * Shows the agent's decision-making process
+ * Shows the agent's decision-making process. While a run streams, active
+ * ({ step, text }, see activeStep in utils/agentRunEvents) is the node still
+ * working, shown after the finished steps with its model output so far.
  */
-export function ReasoningChain({ steps }) {
-  const getStepIcon = (stepName) => {
+export function ReasoningChain({ steps, active = null }) {
+  const getStepIcon = (stepName, output) => {
+    if (stepName === 'human_approval') {
+      return output?.decision === 'reject'
+        ? <ShieldX className="w-4 h-4" />
+        : <ShieldCheck className="w-4 h-4" />;
+    }
     if (stepName.includes('analyze') || stepName.includes('analysis')) {
       return <Brain className="w-4 h-4" />;
     }
@@ -65,9 +72,9 @@ export function ReasoningChain({ steps }) {
             {/* Icon */}
             <div className="absolute left-0 top-0 -ml-2.5 w-5 h-5 bg-white dark:bg-gray-800 flex items-center justify-center">
               <div className="bg-emerald-600 rounded-full p-1">
-                {getStepIcon(step.step)}
+                {getStepIcon(step.step, step.output)}
                 <div className="text-white w-full h-full flex items-center justify-center">
-                  {getStepIcon(step.step)}
+                  {getStepIcon(step.step, step.output)}
                 </div>
               </div>
             </div>
@@ -82,7 +89,9 @@ export function ReasoningChain({ steps }) {
               </div>
 
               <div className="text-sm text-gray-700 dark:text-gray-300">
-                {typeof step.output === 'string' ? (
+                {step.step === 'human_approval' ? (
+                  <ApprovalDecision approval={step.output} reasons={step.input?.reasons} />
+                ) : typeof step.output === 'string' ? (
                   <p className="whitespace-pre-wrap">{step.output.substring(0, 300)}{step.output.length > 300 ? '...' : ''}</p>
                 ) : (
                   <pre className="overflow-x-auto text-xs bg-gray-100 dark:bg-gray-800 p-2 rounded">
@@ -99,7 +108,76 @@ export function ReasoningChain({ steps }) {
             </div>
           </div>
         ))}
+
+        {active && (
+          <div className="relative pl-8 pb-4 border-l-2 border-gray-200 dark:border-gray-700 last:border-l-0 last:pb-0">
+            {/* Icon */}
+            <div className="absolute left-0 top-0 -ml-2.5 w-5 h-5 bg-white dark:bg-gray-800 flex items-center justify-center">
+              <div className="bg-emerald-600 rounded-full p-1 animate-pulse">
+                <div className="text-white w-full h-full flex items-center justify-center">
+                  {getStepIcon(active.step)}
+                </div>
+              </div>
+            </div>
+
+            {/* Content */}
+            <div className="bg-gray-50 dark:bg-gray-900 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-2">
+                <p className="font-medium text-gray-900 dark:text-white capitalize">
+                  {active.step.replace(/_/g, ' ')}
+                </p>
+                <span className="text-xs text-emerald-600 dark:text-emerald-400">Running...</span>
+              </div>
+
+              {active.text ? (
+                <pre className="overflow-x-auto whitespace-pre-wrap text-xs bg-gray-100 dark:bg-gray-800 p-2 rounded">
+                  {active.text.length > 400 ? '...' : ''}{active.text.slice(-400)}
+                </pre>
+              ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Working...</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Signed human decision on a run that stopped for approval
+ */
+function ApprovalDecision({ approval, reasons = [] }) {
+  const approved = approval?.decision === 'approve';
+  const signer = approval?.decidedBy
+    ? `${approval.decidedBy.slice(0, 6)}...${approval.decidedBy.slice(-4)}`
+    : 'unknown wallet';
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center space-x-2">
+        <span
+          className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold ${
+            approved
+              ? 'bg-emerald-100 dark:bg-emerald-900/40 text-emerald-800 dark:text-emerald-300'
+              : 'bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-300'
+          }`}
+        >
+          {approved ? 'Approved' : 'Rejected'}
+        </span>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          signed by {signer}
+          {approval?.decidedAt ? ` on ${new Date(approval.decidedAt).toLocaleString()}` : ''}
+        </span>
       </div>
+      {reasons.length > 0 && (
+        <ul className="list-disc list-inside text-xs text-gray-600 dark:text-gray-400">
+          {reasons.map((reason, i) => (
+            <li key={i}>{reason}</li>
+          ))}
+        </ul>
+      )}
+      {approval?.note && <p className="text-xs italic">"{approval.note}"</p>}
     </div>
   );
 }
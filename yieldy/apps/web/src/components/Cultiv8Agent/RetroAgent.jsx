@@ -21,6 +21,7 @@ export function RetroAgent({
   executionSteps,
   selectedStrategy,
   onRunAgent,
+  onClearSteps,
   onApprove,
   onReject,
 }) {
@@ -95,7 +96,7 @@ export function RetroAgent({
           steps={executionSteps || []}
           maxHeight="500px"
           showPrompt={true}
-          onClear={() => {}}
+          onClear={onClearSteps}
         />
 
         {/* Selected Strategy (if available) */}
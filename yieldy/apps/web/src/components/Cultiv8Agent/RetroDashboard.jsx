@@ -56,7 +56,7 @@ export function RetroDashboard({
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ 
-            blockchain: 'both', 
+            blockchain: 'all', 
             scanOnly: true,  // Just scan, don't auto-invest
             forceRun: true 
           }),
@@ -71,6 +71,9 @@ export function RetroOpportunities({
               <option value="all">ALL CHAINS</option>
               <option value="ethereum">ETHEREUM</option>
               <option value="base">BASE</option>
+              <option value="arbitrum">ARBITRUM</option>
+              <option value="optimism">OPTIMISM</option>
+              <option value="polygon">POLYGON</option>
             </select>
           </div>
           <RetroButton 
@@ -0,0 +1,126 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { BrowserProvider } from 'ethers';
+import { PenLine } from 'lucide-react';
+
+/**
+ * Sign one packaged transaction with the connected wallet
+ * The first carries the EIP-7702 delegation to the agent contract; a wallet
+ * that cannot sign authorizations signs it as a plain transaction instead
+ * (the plan still executes, but later autonomous runs need the delegation).
+ */
+async function signPackaged(signer, packaged) {
+  const transaction = { ...packaged.transaction };
+  if (packaged.authorization) {
+    try {
+      transaction.authorizationList = [await signer.authorize(packaged.authorization)];
+    } catch {
+      transaction.type = 2;
+    }
+  }
+  return signer.signTransaction(transaction);
+}
+
+/**
+ * Sign every transaction of a request in order and submit the signed payload
+ */
+async function signAndSubmit(request) {
+  if (typeof window.ethereum === 'undefined') {
+    throw new Error('Connect a wallet to sign the transactions');
+  }
+  const signer = await new BrowserProvider(window.ethereum).getSigner();
+
+  const signedTransactions = [];
+  for (const packaged of request.transactions) {
+    signedTransactions.push(await signPackaged(signer, packaged));
+  }
+
+  const res = await fetch(`/api/agent/signatures/${request.threadId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ signedTransactions }),
+  });
+  const result = await res.json();
+  if (!result.success) throw new Error(result.message || result.error || 'Failed to submit transactions');
+  return result;
+}
+
+/**
+ * Signature Requests Component
+ * Agent runs whose execution plan is waiting for the wallet's signature
+ */
+export function SignatureRequests({ onSubmitted }) {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['agent-signatures'],
+    queryFn: async () => {
+      const res = await fetch('/api/agent/signatures?status=pending');
+      if (!res.ok)
+        throw new Error(
+          `When fetching /api/agent/signatures, the response was [${res.status}] ${res.statusText}`,
+        );
+      return res.json();
+    },
+  });
+
+  const submit = useMutation({
+    mutationFn: signAndSubmit,
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['agent-signatures'] });
+      onSubmitted?.(result);
+    },
+  });
+
+  const requests = data?.requests || [];
+  if (isLoading || (!error && requests.length === 0)) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-blue-200 dark:border-blue-800">
+      <div className="flex items-center space-x-2 mb-4">
+        <PenLine className="w-5 h-5 text-blue-600" />
+        <h4 className="font-semibold text-gray-900 dark:text-white">Awaiting Your Signature</h4>
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error.message}</p>}
+      {submit.error && <p className="text-sm text-red-600 dark:text-red-400 mb-3">{submit.error.message}</p>}
+
+      <div className="space-y-4">
+        {requests.map((request) => (
+          <div key={request.threadId} className="bg-gray-50 dark:bg-gray-900 rounded-lg p-4 space-y-3">
+            <div className="flex items-start justify-between">
+              <div>
+                <p className="font-medium text-gray-900 dark:text-white capitalize">
+                  {request.strategy?.action} {request.strategy?.protocol} on {request.chain}
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  ${request.strategy?.amount?.toLocaleString()} at {request.strategy?.expectedAPY}% APY
+                </p>
+                {request.reason && (
+                  <p className="text-xs text-blue-700 dark:text-blue-400 mt-1">{request.reason}</p>
+                )}
+              </div>
+              <button
+                onClick={() => submit.mutate(request)}
+                disabled={submit.isPending}
+                className="px-3 py-1.5 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400"
+              >
+                {submit.isPending ? 'Signing...' : 'Sign & Submit'}
+              </button>
+            </div>
+
+            <ol className="list-decimal list-inside text-xs text-gray-600 dark:text-gray-400 space-y-1">
+              {request.transactions.map((tx) => (
+                <li key={tx.index}>
+                  {tx.description}
+                  {tx.authorization && ' (delegates your wallet to the agent contract)'}
+                </li>
+              ))}
+            </ol>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
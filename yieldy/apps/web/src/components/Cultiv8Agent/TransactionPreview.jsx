@@ -112,17 +112,22 @@ export function TransactionPreview({ strategy, onConfirm, onCancel }) {
         </div>
         <div className="flex justify-between">
           <span className="text-gray-600 dark:text-gray-400">Amount</span>
-          <span className="font-medium text-gray-900 dark:text-white">${preview.amount.toLocaleString()} USDC</span>
+          <span className="font-medium text-gray-900 dark:text-white">
+            {preview.amount.toLocaleString()} {preview.asset}
+            {preview.amountUsd !== null && ` ($${preview.amountUsd})`}
+          </span>
         </div>
         <div className="flex justify-between">
           <span className="text-gray-600 dark:text-gray-400">Est. Gas Cost</span>
-          <span className="font-medium text-gray-900 dark:text-white">${preview.totalGasCost}</span>
+          <span className="font-medium text-gray-900 dark:text-white">
+            {preview.gasPriced ? `$${preview.totalGasCost}` : 'Not priced'}
+          </span>
         </div>
         {preview.action === 'withdraw' && (
           <div className="flex justify-between pt-2 border-t border-gray-200 dark:border-gray-700">
             <span className="text-gray-600 dark:text-gray-400">Net Amount</span>
             <span className="font-semibold text-emerald-600 dark:text-emerald-400">
-              ${preview.netReturn}
+              {preview.netReturnUsd === null ? 'Not priced' : `$${preview.netReturnUsd}`}
             </span>
           </div>
         )}
@@ -139,7 +144,9 @@ export function TransactionPreview({ strategy, onConfirm, onCancel }) {
               </div>
               <div className="flex-1">
                 <p className="text-sm font-medium text-gray-900 dark:text-white">{tx.description}</p>
-                <p className="text-xs text-gray-500 dark:text-gray-400">Est. gas: ~${tx.estimatedCost}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {tx.estimatedCost === null ? 'Gas not priced' : `Est. gas: ~$${tx.estimatedCost}`}
+                </p>
               </div>
             </div>
           ))}
@@ -4,7 +4,9 @@ import { RetroIconButton } from './RetroButton';
 
 /**
  * RetroAgentTerminal Component
- * Black terminal window with green text for agent reasoning output
+ * Black terminal window with green text for agent reasoning output.
+ * Steps can be replaced while a run streams (see terminalSteps in
+ * utils/agentRunEvents): a 'running' step's output grows as tokens arrive.
  * 
  * @example
  * <RetroAgentTerminal
@@ -146,9 +148,12 @@ export function RetroAgentTerminal({
                   </span>
                 </div>
 
-                {/* Step Output - White text for readability */}
+                {/* Step Output - White text for readability; a running step streams in with a cursor */}
                 <div className="pl-4 whitespace-pre-wrap" style={{ color: '#FFFFFF' }}>
                   {step.output}
+                  {step.status === 'running' && (
+                    <span className="blink" style={{ color: '#00FF00' }}>█</span>
+                  )}
                 </div>
 
                 {/* Duration if available */}
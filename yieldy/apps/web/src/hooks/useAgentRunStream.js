@@ -0,0 +1,75 @@
+"use client";
+
+import { useCallback, useRef, useState } from "react";
+import useHandleStreamResponse from "@/utils/useHandleStreamResponse";
+import { createRunEventReader, initialRunProgress } from "@/utils/agentRunEvents";
+
+/**
+ * Run the agent through POST /api/agent/run/stream, with its progress
+ * (node steps, analysis tokens, safety verdict) updated as events arrive
+ * @param {object} options
+ * @param {Function} options.onResult - Called with the run response once the stream ends with one
+ */
+export function useAgentRunStream({ onResult } = {}) {
+  const [progress, setProgress] = useState(initialRunProgress);
+  const [isRunning, setIsRunning] = useState(false);
+  // Each chunk hands over the whole body so far; the reader only parses what is new
+  const readEvents = useRef(createRunEventReader());
+
+  const handleChunk = useCallback((content) => setProgress(readEvents.current(content)), []);
+  const handleFinish = useCallback(
+    (content) => {
+      const finished = { ...readEvents.current(content) };
+      if (!finished.result && !finished.error) {
+        finished.error = "Agent run ended without a result";
+        finished.failedAt = Date.now();
+      }
+      setProgress(finished);
+      setIsRunning(false);
+      if (finished.result) onResult?.(finished.result);
+    },
+    [onResult]
+  );
+  const handleStreamResponse = useHandleStreamResponse({
+    onChunk: handleChunk,
+    onFinish: handleFinish,
+  });
+
+  const run = useCallback(
+    async ({ mode = "autonomous", userAddress } = {}) => {
+      setIsRunning(true);
+      setProgress(initialRunProgress());
+      readEvents.current = createRunEventReader();
+
+      try {
+        const response = await fetch("/api/agent/run/stream", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ mode, userAddress }),
+        });
+
+        // Auth, pause and rate-limit refusals are plain JSON
+        if (!response.ok || !response.body) {
+          const result = await response.json().catch(() => ({}));
+          setProgress({
+            ...initialRunProgress(),
+            error: result.message || result.error || "Agent execution failed",
+            failedAt: Date.now(),
+          });
+          setIsRunning(false);
+          return;
+        }
+
+        await handleStreamResponse(response);
+      } catch (error) {
+        setProgress((previous) => ({ ...previous, error: "Failed to run agent: " + error.message, failedAt: Date.now() }));
+        setIsRunning(false);
+      }
+    },
+    [handleStreamResponse]
+  );
+
+  const reset = useCallback(() => setProgress(initialRunProgress()), []);
+
+  return { run, reset, progress, isRunning };
+}
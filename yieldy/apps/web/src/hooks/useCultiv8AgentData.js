@@ -142,7 +142,7 @@ export function useCultiv8AgentData() {
   });
 
   const handleRunScan = useCallback(
-    (blockchain = "both", forceRun = true) => {
+    (blockchain = "all", forceRun = true) => {
       scanMutation.mutate({ blockchain, forceRun });
     },
     [scanMutation],
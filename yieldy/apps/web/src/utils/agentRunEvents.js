@@ -0,0 +1,211 @@
+/**
+ * Agent Run Events
+ * Client side of POST /api/agent/run/stream: parses the Server-Sent Events
+ * and folds them into the run's progress for the reasoning chain and the
+ * terminal to render while the agent works.
+ */
+
+// Reasoning step each graph node adds
+export const NODE_STEPS = {
+  analyze: 'market_analysis',
+  generate: 'strategy_generation',
+  select: 'strategy_selection',
+  plan: 'execution_planning',
+  execute: 'transaction_execution',
+};
+
+const NODE_LABELS = {
+  analyze: 'ANALYZE_MARKET',
+  generate: 'GENERATE_STRATEGIES',
+  select: 'SELECT_STRATEGY',
+  plan: 'BUILD_EXECUTION_PLAN',
+  execute: 'EXECUTE_TRANSACTIONS',
+};
+
+/**
+ * Complete events in a (possibly partial) event stream body
+ * @param {string} content - Stream body received so far
+ * @returns {Array<object>} - [{ type, data }]; an unfinished last event is left out
+ */
+export function parseServerSentEvents(content) {
+  const blocks = content.split('\n\n');
+  blocks.pop();
+
+  const events = [];
+  for (const block of blocks) {
+    let type = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+    }
+    if (data.length === 0) continue;
+    try {
+      events.push({ type, data: JSON.parse(data.join('\n')) });
+    } catch {
+      // Not one of ours; skip it
+    }
+  }
+  return events;
+}
+
+/**
+ * Progress of a run before any event
+ * timeline holds node runs and the safety verdict in the order they happened
+ */
+export function initialRunProgress() {
+  return { threadId: null, timeline: [], reasoning: [], safety: null, result: null, error: null, failedAt: null };
+}
+
+/**
+ * Progress after one event
+ * @param {object} progress
+ * @param {object} event - { type, data }
+ * @returns {object} - New progress
+ */
+export function applyRunEvent(progress, { type, data }) {
+  const updateNode = (node, update) => {
+    const index = progress.timeline.findLastIndex((entry) => entry.node === node && entry.status === 'running');
+    if (index === -1) return progress.timeline;
+    return progress.timeline.map((entry, i) => (i === index ? update(entry) : entry));
+  };
+
+  switch (type) {
+    case 'run':
+      return { ...progress, threadId: data.threadId };
+    case 'node_start':
+      return {
+        ...progress,
+        timeline: [...progress.timeline, { node: data.node, status: 'running', startedAt: data.timestamp, tokens: '', steps: [], errors: [] }],
+      };
+    case 'token':
+      return { ...progress, timeline: updateNode(data.node, (entry) => ({ ...entry, tokens: entry.tokens + data.text })) };
+    case 'node_end':
+      return {
+        ...progress,
+        timeline: updateNode(data.node, (entry) => ({
+          ...entry,
+          status: data.errors.length > 0 ? 'error' : 'complete',
+          steps: data.steps,
+          errors: data.errors,
+        })),
+        reasoning: [...progress.reasoning, ...data.steps],
+      };
+    case 'safety':
+      return { ...progress, safety: data, timeline: [...progress.timeline, { safety: data, startedAt: data.timestamp }] };
+    case 'result':
+      return { ...progress, result: data, reasoning: data.reasoning || progress.reasoning };
+    case 'error':
+      return { ...progress, error: data.message || data.error, failedAt: data.timestamp ?? Date.now() };
+    default:
+      return progress;
+  }
+}
+
+/**
+ * Progress after every complete event in a stream body
+ * @param {string} content - Stream body received so far
+ * @returns {object}
+ */
+export function readRunEvents(content) {
+  return parseServerSentEvents(content).reduce(applyRunEvent, initialRunProgress());
+}
+
+/**
+ * Reader for one stream that folds in only the events completed since its last call
+ * The stream body grows with each chunk, so re-reading all of it would be
+ * quadratic in the run's length; the reader keeps the offset it parsed up to.
+ * @returns {Function} - (content) => progress, for successive bodies of the same stream
+ */
+export function createRunEventReader() {
+  let offset = 0;
+  let progress = initialRunProgress();
+
+  return (content) => {
+    const end = content.lastIndexOf('\n\n');
+    if (end < offset) return progress;
+
+    progress = parseServerSentEvents(content.slice(offset, end + 2)).reduce(applyRunEvent, progress);
+    offset = end + 2;
+    return progress;
+  };
+}
+
+/**
+ * The node still running, for the reasoning chain to show as it streams
+ * @returns {object|null} - { step, text }
+ */
+export function activeStep(progress) {
+  const entry = progress.timeline.findLast((item) => item.node);
+  if (!entry || entry.status !== 'running') return null;
+  return { step: NODE_STEPS[entry.node], text: entry.tokens };
+}
+
+function terminalModel(label = '') {
+  if (label.includes('claude')) return 'claude';
+  if (label.includes('gpt')) return 'gpt4';
+  return 'system';
+}
+
+function describeStep({ step, output }) {
+  switch (step) {
+    case 'market_analysis':
+      return output.summary;
+    case 'strategy_generation':
+      return [
+        `${output.length} strateg${output.length === 1 ? 'y' : 'ies'}`,
+        ...output.map((s) => `  ${s.action} $${s.amount} ${s.protocol} (${s.blockchain}) @ ${s.expectedAPY}% APY`),
+      ].join('\n');
+    case 'strategy_selection':
+      if (!output.selected) return 'No strategy selected';
+      return `Selected ${output.selected.protocol} on ${output.selected.blockchain}: $${output.selected.amount} @ ${output.selected.expectedAPY}% APY` +
+        (output.needsApproval ? `\nNeeds approval: ${(output.approvalReasons || []).join('; ')}` : '');
+    case 'execution_planning':
+      return `${output.transactions?.length || 0} transaction(s), simulation ${output.allSimulationsSucceed ? 'passed' : 'failed'}`;
+    case 'transaction_execution':
+      return `${output.status}${output.reason ? ` - ${output.reason}` : ''}`;
+    default:
+      return JSON.stringify(output).substring(0, 200);
+  }
+}
+
+function describeSafety(verdict) {
+  if (verdict.needsApproval) {
+    return `Human approval required${verdict.approvalQueued ? ' - queued for your signed decision' : ''}`;
+  }
+  if (verdict.valid) return `PASSED (risk: ${verdict.riskLevel || 'low'})`;
+  return ['FAILED', ...verdict.violations.map((v) => `  ${v.type}: ${v.message}`)].join('\n');
+}
+
+/**
+ * Steps for RetroAgentTerminal, one per node run plus the safety verdict
+ * @returns {Array<object>} - [{ timestamp, model, step, output, status, duration }]
+ */
+export function terminalSteps(progress) {
+  const steps = progress.timeline.map((entry) => {
+    if (entry.safety) {
+      return {
+        timestamp: entry.startedAt,
+        model: 'system',
+        step: 'SAFETY_CHECK',
+        output: describeSafety(entry.safety),
+        status: entry.safety.valid || entry.safety.needsApproval ? 'complete' : 'error',
+      };
+    }
+
+    const [step] = entry.steps;
+    return {
+      timestamp: entry.startedAt,
+      model: terminalModel(step?.model),
+      step: NODE_LABELS[entry.node] || entry.node.toUpperCase(),
+      output: [step ? describeStep(step) : entry.tokens, ...entry.errors].filter(Boolean).join('\n'),
+      status: entry.status,
+      duration: step?.duration,
+    };
+  });
+
+  if (progress.error) {
+    steps.push({ timestamp: progress.failedAt, model: 'system', step: 'RUN_FAILED', output: progress.error, status: 'error' });
+  }
+  return steps;
+}
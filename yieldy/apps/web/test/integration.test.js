@@ -12,6 +12,79 @@ import {
   checkTierUpgradeEligibility,
   projectAnnualFees,
 } from '../src/utils/feeCalculator.js';
+import { portfolioOptimizer } from '../src/app/api/utils/portfolioOptimizer.js';
+import { getToken, parseTokenAmount, formatTokenAmount } from '../src/app/api/protocols/tokens.js';
+import { getRpcUrls } from '../src/app/api/protocols/chains.js';
+import { RpcEndpoint, selectQuorumResult } from '../src/app/api/protocols/rpcPool.js';
+import {
+  aprToApy,
+  apyToApr,
+  ratePerSecondToApy,
+  rayGrowthToApy,
+  kinkedSupplyRate,
+  utilizationAfterDeposit,
+} from '../src/app/api/protocols/rates.js';
+import {
+  SWAP_TOPICS,
+  getTouchedPools,
+  getTokenInflow,
+  computeSlippageBps,
+  findSandwich,
+  estimateMEVLoss,
+} from '../src/app/api/utils/mevDetection.js';
+import { MockRelay, sendWithMEVProtection } from '../src/app/api/utils/privateRelay.js';
+import {
+  priceSymbol,
+  validateChainlinkRound,
+  meanTick,
+  tickToPrice,
+} from '../src/app/api/protocols/priceFeeds.js';
+import {
+  buildValuationSeries,
+  timeWeightedReturn,
+  moneyWeightedReturn,
+  seriesCashFlows,
+} from '../src/app/api/utils/returns.js';
+import { apyStats, apyCorrelation } from '../src/app/api/utils/apyStats.js';
+import {
+  parseHistoryCsv,
+  runBacktest,
+  backtestWork,
+  computeDrawdowns,
+} from '../src/app/api/utils/backtest.js';
+import { evaluateMove, planRebalance } from '../src/app/api/utils/rebalancePlanner.js';
+import { invokeStructured, StructuredOutputError } from '../src/app/api/agent/langgraph/structuredOutput.js';
+import { StrategySchema, StrategyListSchema } from '../src/app/api/schemas/agent.js';
+import { buildCultiv8Agent, isAwaitingExecution } from '../src/app/api/agent/langgraph/graph.js';
+import { applyApprovalDecision, approvalReasons } from '../src/app/api/agent/langgraph/approvalDecision.js';
+import { classifyTransaction, TX_OUTCOMES } from '../src/app/api/utils/txReconciliation.js';
+import { submitSignedTransactions, executionOutcome } from '../src/app/api/agent/langgraph/execution.js';
+import { MemorySaver } from '@langchain/langgraph';
+import { streamAgentGraph, toRunEvent } from '../src/app/api/agent/langgraph/streaming.js';
+import {
+  isRealDeposit,
+  computeWithdrawShare,
+  splitRedeemed,
+  bookWithdrawal,
+} from '../src/app/api/utils/withdrawalAccounting.js';
+import { eventStreamResponse } from '../src/app/api/utils/serverSentEvents.js';
+import {
+  parseServerSentEvents,
+  readRunEvents,
+  createRunEventReader,
+  activeStep,
+  terminalSteps,
+} from '../src/utils/agentRunEvents.js';
+import {
+  parseFeeHistory,
+  buildCongestionForecast,
+  classifyCongestion,
+  planGasDeferral,
+} from '../src/app/api/utils/gasForecast.js';
+import { ethers } from 'ethers';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
 
 console.log('\n╔══════════════════════════════════════════════════════════════╗');
 console.log('║       CULTIV8 INTEGRATION TEST SUITE                        ║');
@@ -446,6 +519,1387 @@ assert(netProfit > 0, 'Platform is profitable');
 
 console.log('✅ Revenue Model: 15% Net Margin Achieved\n');
 
+// ============================================================================
+// TEST 8: Multi-Asset Allocation
+// ============================================================================
+testGroup('Multi-Asset Allocation');
+
+console.log('Allocating across USDC, DAI and WETH markets...\n');
+
+const multiAssetOpportunities = [
+  { id: 1, protocol_name: 'Aave', token_symbol: 'USDC', apy: 5.0, risk_score: 3, protocol_type: 'lending' },
+  { id: 2, protocol_name: 'Compound', token_symbol: 'USDC', apy: 4.5, risk_score: 3, protocol_type: 'lending' },
+  { id: 3, protocol_name: 'Aave', token_symbol: 'DAI', apy: 6.0, risk_score: 3, protocol_type: 'lending' },
+  { id: 4, protocol_name: 'Aave', token_symbol: 'WETH', apy: 2.0, risk_score: 4, protocol_type: 'lending' },
+];
+
+const budgeted = portfolioOptimizer.optimizeAllocation(multiAssetOpportunities, {
+  maxRiskScore: 5,
+  maxInvestmentPerOpportunity: 100000,
+  assetBudgets: { USDC: 10000, WETH: 5000 },
+});
+
+const allocatedAssets = new Set(budgeted.allocations.map((a) => a.asset));
+assert(!allocatedAssets.has('DAI'), 'No allocation to a market without a budget (DAI)');
+assert(allocatedAssets.has('USDC') && allocatedAssets.has('WETH'), 'USDC and WETH markets both allocated');
+assert(
+  budgeted.markets.USDC.totalAllocated <= 10000 && budgeted.markets.WETH.totalAllocated <= 5000,
+  'Each market stays within its own budget'
+);
+
+// Protocol caps apply per protocol and asset: Aave USDC and Aave DAI do not share a cap
+const shared = portfolioOptimizer.optimizeAllocation(multiAssetOpportunities, {
+  maxTotalInvestment: 10000,
+  maxRiskScore: 5,
+  maxInvestmentPerOpportunity: 100000,
+});
+const aaveMarkets = shared.allocations.filter((a) => a.opportunity.protocol_name === 'Aave');
+assert(aaveMarkets.length >= 2, `Aave allocated in ${aaveMarkets.length} separate asset markets`);
+assert(
+  aaveMarkets.every((a) => a.amount <= 10000 * portfolioOptimizer.maxProtocolAllocation),
+  'Per-protocol cap enforced within each asset market'
+);
+
+const correlation = portfolioOptimizer.calculateCorrelationMatrix(multiAssetOpportunities);
+assert(correlation[0][1] > correlation[0][3], 'Same-asset opportunities more correlated than cross-asset');
+
+// Token registry decimals
+assert(getToken('dai', 'ethereum').decimals === 18, 'DAI resolves with 18 decimals');
+assert(getToken('USDC', 8453).decimals === 6, 'Base USDC resolves by chain ID with 6 decimals');
+assert(parseTokenAmount('1.5', 18) === 1500000000000000000n, '1.5 WETH parses to 18-decimal base units');
+assert(formatTokenAmount(2500000n, 6) === 2.5, '2500000 USDC base units formats to 2.5');
+
+console.log('\n✅ Multi-Asset: Markets Allocated Independently\n');
+
+// ============================================================================
+// TEST 9: RPC Failover and Quorum
+// ============================================================================
+testGroup('RPC Failover and Quorum');
+
+console.log('Checking RPC URL parsing, endpoint benching and quorum reads...\n');
+
+const savedArbitrumRpc = process.env.ARBITRUM_RPC_URL;
+process.env.ARBITRUM_RPC_URL = ' https://arb-a.example , https://arb-b.example,,https://arb-a.example ';
+assert(
+  getRpcUrls('arbitrum').join(',') === 'https://arb-a.example,https://arb-b.example',
+  'Comma-separated RPC URLs are trimmed and de-duplicated'
+);
+if (savedArbitrumRpc === undefined) delete process.env.ARBITRUM_RPC_URL;
+else process.env.ARBITRUM_RPC_URL = savedArbitrumRpc;
+
+const flaky = new RpcEndpoint('arbitrum', 'https://flaky.example/v2/secret-key');
+const steady = new RpcEndpoint('arbitrum', 'https://steady.example');
+for (let i = 0; i < 3; i++) flaky.recordFailure(new Error('ECONNRESET'), 200);
+steady.recordSuccess(50);
+assert(flaky.label === 'flaky.example', 'Endpoint label drops the API key path');
+assert(flaky.isBenched(), 'Endpoint benched after consecutive failures');
+assert(steady.score > flaky.score, 'Healthy endpoint scores above failing endpoint');
+
+const agreed = selectQuorumResult([{ apy: 5.0, tvl: 1000 }, { apy: 5.01, tvl: 1001 }, { apy: 9.0, tvl: 1000 }], 2);
+assert(agreed && agreed.agreeing === 2 && agreed.value.apy === 5.0, 'Quorum picks the value two of three endpoints agree on');
+assert(selectQuorumResult([{ apy: 5.0 }, { apy: 9.0 }], 2) === null, 'Quorum fails when endpoints disagree');
+
+console.log('\n✅ RPC: Failover and Quorum Verified\n');
+
+// ============================================================================
+// TEST 10: Interest Rate Math
+// ============================================================================
+testGroup('Interest Rate Math');
+
+console.log('Checking APR/APY conversions and deposit dilution...\n');
+
+const continuous = Math.exp(0.05) - 1;
+assert(Math.abs(aprToApy(0.05) - continuous) < 1e-9, `5% APR compounds per second to ${(aprToApy(0.05) * 100).toFixed(4)}% APY`);
+assert(Math.abs(aprToApy(0.05, 365) - (Math.pow(1 + 0.05 / 365, 365) - 1)) < 1e-12, 'Daily compounding matches (1 + APR/365)^365 - 1');
+assert(Math.abs(apyToApr(aprToApy(0.0734)) - 0.0734) < 1e-12, 'APY converts back to the original APR');
+assert(Math.abs(ratePerSecondToApy(0.05 / 31536000) - continuous) < 1e-9, 'Per-second rate annualizes like the equivalent APR');
+assert(
+  Math.abs(rayGrowthToApy(1000000001547125957863212448n) - 0.05) < 1e-6,
+  'Ray growth factor for 5% APY (Maker DSR format) converts back to 5%'
+);
+
+const kink = { optimalUsageRatio: 0.9, baseVariableBorrowRate: 0, variableRateSlope1: 0.04, variableRateSlope2: 0.6 };
+const spotUtilization = utilizationAfterDeposit(92_000_000, 100_000_000);
+const afterDeposit = utilizationAfterDeposit(92_000_000, 100_000_000, 5_000_000);
+assert(afterDeposit < spotUtilization, `Deposit lowers utilization (${spotUtilization.toFixed(3)} -> ${afterDeposit.toFixed(3)})`);
+assert(
+  kinkedSupplyRate(kink, afterDeposit, 0.1) < kinkedSupplyRate(kink, spotUtilization, 0.1),
+  'Supply rate falls when a deposit pushes utilization back below the kink'
+);
+
+const diluted = portfolioOptimizer.optimizeAllocation([
+  { id: 1, protocol_name: 'Aave', token_symbol: 'USDC', apy: 8.0, projected_apy: 3.0, risk_score: 3 },
+  { id: 2, protocol_name: 'Compound', token_symbol: 'USDC', apy: 5.0, projected_apy: 4.9, risk_score: 3 },
+], { maxTotalInvestment: 10000, maxRiskScore: 5, maxInvestmentPerOpportunity: 10000 });
+assert(diluted.allocations[0].opportunity.protocol_name === 'Compound', 'Optimizer ranks markets on post-deposit APY');
+
+console.log('\n✅ Rates: Exact Compounding and Dilution Verified\n');
+
+// ============================================================================
+// TEST 11: MEV Detection
+// ============================================================================
+testGroup('MEV Detection');
+
+console.log('Classifying a synthetic sandwich around an agent swap...\n');
+
+const v2SwapTopic = Object.keys(SWAP_TOPICS).find((topic) => SWAP_TOPICS[topic] === 'uniswap-v2');
+const transferTopic = ethers.id('Transfer(address,address,uint256)');
+const pool = '0x00000000000000000000000000000000000000a1';
+const usdc = '0x00000000000000000000000000000000000000c1';
+const agent = '0x00000000000000000000000000000000000000e1';
+const bot = '0x00000000000000000000000000000000000000b0';
+const pad = (address) => ethers.zeroPadValue(address, 32);
+
+const agentReceipt = {
+  logs: [
+    { address: pool, topics: [v2SwapTopic], data: '0x' },
+    { address: usdc, topics: [transferTopic, pad(pool), pad(agent)], data: ethers.toBeHex(990_000_000n, 32) },
+  ],
+};
+const agentPools = getTouchedPools(agentReceipt);
+assert(agentPools.has(pool) && agentPools.size === 1, 'Swap event identifies the pool the trade went through');
+
+const received = getTokenInflow(agentReceipt, usdc, agent);
+assert(received === 990_000_000n, 'Token inflow read from Transfer logs (990 USDC)');
+assert(computeSlippageBps(1_000_000_000n, received) === 100, 'Receiving 990 against a 1000 quote is 100 bps of slippage');
+
+const around = [
+  { index: 4, hash: '0xfront', from: bot, to: bot, pools: new Set([pool]) },
+  { index: 6, hash: '0xback', from: bot, to: bot, pools: new Set([pool]) },
+  { index: 7, hash: '0xother', from: agent, to: pool, pools: new Set([pool]) },
+];
+const sandwich = findSandwich({ index: 5, from: agent, pools: agentPools }, around);
+assert(sandwich.sandwiched && sandwich.attacker === bot, 'Same-pool trades by one bot before and after ours flagged as a sandwich');
+assert(
+  estimateMEVLoss({ quoted: 1_000_000_000n, actual: received, frontRun: sandwich.frontRun }) === 10_000_000n,
+  'Loss estimated as the 10 USDC shortfall against the quote'
+);
+
+const unrelated = findSandwich({ index: 5, from: agent, pools: agentPools }, [
+  { index: 4, hash: '0xa', from: bot, to: bot, pools: new Set(['0x00000000000000000000000000000000000000a2']) },
+]);
+assert(!unrelated.frontRun && !unrelated.sandwiched, 'Trades in other pools are not counted as front-running');
+assert(estimateMEVLoss({ quoted: 1_000_000_000n, actual: received, frontRun: null }) === 0n, 'Shortfall without a front-run is not booked as MEV');
+
+console.log('\n✅ MEV: Sandwich Detection Verified\n');
+
+// ============================================================================
+// TEST 12: Private Relay Submission
+// ============================================================================
+testGroup('Private Relay Submission');
+
+console.log('Routing agent transactions through a mock private relay...\n');
+
+// Chain stub: every height read advances a block; broadcasts mine immediately
+function createChainStub() {
+  const mined = new Map();
+  const chain = { height: 100, broadcasts: 0 };
+  const response = (hash) => ({ hash, wait: async () => mined.get(hash) });
+
+  chain.provider = {
+    getNetwork: async () => new ethers.Network('mainnet', 1n),
+    getBlockNumber: async () => chain.height++,
+    getTransactionCount: async () => 0,
+    getTransactionReceipt: async (hash) => mined.get(hash) || null,
+    getTransaction: async (hash) => response(hash),
+    broadcastTransaction: async (signedTx) => {
+      const hash = ethers.keccak256(signedTx);
+      chain.broadcasts++;
+      mined.set(hash, { hash, blockNumber: chain.height, status: 1 });
+      return response(hash);
+    },
+  };
+  return chain;
+}
+
+const relayTx = {
+  to: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+  data: '0x38ed1739', // swapExactTokensForTokens
+  chainId: 1,
+  nonce: 0,
+  gasLimit: 200000n,
+  maxFeePerGas: 30_000_000_000n,
+  maxPriorityFeePerGas: 1_000_000_000n,
+  type: 2,
+};
+const relayOptions = (relay, decisions) => ({
+  relay,
+  chain: 'ethereum',
+  amount: 250_000_000_000n, // 250k USDC
+  // Stablecoins at $1, WETH at $3000
+  oracle: { toUsd: async (amount, symbol) => Number(amount) * (symbol === 'WETH' ? 3000 : 1) },
+  pollMs: 0,
+  retryDelayMs: 0,
+  monitor: { logMEVDecision: async (decision) => decisions.push(decision) },
+});
+
+process.env.ENABLE_MEV_PROTECTION = 'true';
+const relayKey = ethers.Wallet.createRandom().privateKey;
+
+{
+  const chain = createChainStub();
+  const relay = new MockRelay({ provider: chain.provider, failures: 2 });
+  const decisions = [];
+  const { response, route } = await sendWithMEVProtection(
+    new ethers.Wallet(relayKey, chain.provider), relayTx, relayOptions(relay, decisions)
+  );
+  assert(route.path === 'private' && route.attempts === 3, 'High-risk swap retried past two relay errors and landed privately');
+  assert(relay.submissions.length === 1 && response.hash === ethers.keccak256(relay.submissions[0].signedTx), 'Relay received the signed transaction');
+  assert(decisions[0]?.protectionEnabled === true && decisions[0]?.path === 'private', 'Private path logged via logMEVDecision');
+}
+
+{
+  const chain = createChainStub();
+  const relay = new MockRelay({ include: false });
+  const decisions = [];
+  const { response, route } = await sendWithMEVProtection(
+    new ethers.Wallet(relayKey, chain.provider), relayTx, { ...relayOptions(relay, decisions), maxBlocks: 3 }
+  );
+  assert(route.path === 'public-fallback' && chain.broadcasts === 1, 'Unlanded transaction broadcast publicly after the block deadline');
+  assert(relay.cancelled[0] === response.hash, 'Relay asked to cancel before the public broadcast');
+  assert(relay.submissions[0].maxBlockNumber === 103, 'Relay submission carries the fallback block deadline');
+  assert(decisions[0]?.protectionEnabled === false, 'Fallback logged as unprotected');
+}
+
+{
+  const chain = createChainStub();
+  const relay = new MockRelay({ provider: chain.provider });
+  const decisions = [];
+  const { route } = await sendWithMEVProtection(
+    new ethers.Wallet(relayKey, chain.provider),
+    { ...relayTx, data: '0x617ba037' }, // Aave supply
+    { ...relayOptions(relay, decisions), amount: 5_000_000_000n }
+  );
+  assert(route.path === 'public' && relay.submissions.length === 0, 'Low-risk deposit sent through the public mempool');
+  assert(decisions[0]?.path === 'public', 'Public path logged via logMEVDecision');
+}
+
+{
+  const chain = createChainStub();
+  const relay = new MockRelay({ provider: chain.provider });
+  const decisions = [];
+  // 100 WETH is 100 units but ~$300k: valued at its USD price, the swap is high risk
+  const { route } = await sendWithMEVProtection(
+    new ethers.Wallet(relayKey, chain.provider),
+    relayTx,
+    { ...relayOptions(relay, decisions), amount: 100n * 10n ** 18n, symbol: 'WETH', decimals: 18 }
+  );
+  assert(route.path === 'private' && relay.submissions.length === 1, 'Non-stable amount is scored at its USD value');
+}
+
+delete process.env.ENABLE_MEV_PROTECTION;
+
+console.log('\n✅ Private Relay: Retry and Fallback Verified\n');
+
+// ============================================================================
+// TEST 13: Gas Congestion Forecast
+// ============================================================================
+testGroup('Gas Congestion Forecast');
+
+console.log('Forecasting from three weeks of hourly samples (cheap 03:00-05:59 UTC)...\n');
+
+const feeSamples = parseFeeHistory({
+  oldestBlock: '0x64',
+  baseFeePerGas: ['0x2540be400', '0x4a817c800', '0x3b9aca00'], // 10, 20 gwei (+ next block)
+  gasUsedRatio: [0.4, 0.9],
+  reward: [['0x3b9aca00', '0x77359400', '0xb2d05e00'], ['0x0', '0x3b9aca00', '0x77359400']],
+}, { timestamp: 1_700_000_000, blockTimeSeconds: 12 });
+assert(feeSamples.length === 2 && feeSamples[1].blockNumber === 101, 'eth_feeHistory parsed into one sample per block');
+assert(feeSamples[0].baseFeeGwei === 10 && feeSamples[0].priorityFeeGwei.p50 === 2, 'Base fee and priority percentiles converted to gwei');
+assert(feeSamples[1].timestamp.getTime() - feeSamples[0].timestamp.getTime() === 12000, 'Older block timestamps extrapolated by block time');
+
+const forecastNow = new Date('2026-03-02T20:30:00Z'); // Monday evening
+const hourlyHistory = Array.from({ length: 21 * 24 }, (_, i) => {
+  const timestamp = new Date(forecastNow.getTime() - (i + 1) * 3600000);
+  const hour = timestamp.getUTCHours();
+  return { timestamp, baseFeeGwei: hour >= 3 && hour < 6 ? 10 : 40, priorityFeeGwei: { p50: 1 } };
+});
+
+const forecast = buildCongestionForecast(hourlyHistory, { baseFeeGwei: 40, priorityFeeGwei: 1 }, { now: forecastNow });
+assert(forecast.hourly.length === 24 && forecast.hourly[0].source === 'day-of-week', '24 hourly slots forecast from weekday-hour buckets');
+assert(forecast.recommendedWindow.start === '2026-03-03T03:00:00.000Z', 'Recommended window is the 03:00 UTC trough');
+assert(forecast.recommendedWindow.waitHours === 7 && forecast.recommendedWindow.savingsPct === 73.2, 'Window reports wait (7h) and expected savings (73.2%)');
+assert(classifyCongestion(40, hourlyHistory).level === 'high', '40 gwei classified high against this history');
+
+assert(planGasDeferral(forecast, { maxDelayHours: 12 }).defer === true, 'Non-urgent rebalance deferred to the cheap window');
+assert(planGasDeferral(forecast, { maxDelayHours: 6 }).defer === false, 'No deferral when the window is beyond the max delay');
+
+const cheapNow = buildCongestionForecast(hourlyHistory, { baseFeeGwei: 9, priorityFeeGwei: 1 }, { now: forecastNow });
+assert(cheapNow.recommendedWindow.waitHours === 0 && !planGasDeferral(cheapNow).defer, 'Cheap gas now executes immediately');
+
+const sparse = buildCongestionForecast(hourlyHistory.slice(0, 5), { baseFeeGwei: 60 }, { now: forecastNow });
+assert(sparse.recommendedWindow === null && !planGasDeferral(sparse).defer, 'Too little history never delays a rebalance');
+
+console.log('\n✅ Gas: Forecast and Deferral Verified\n');
+
+// ============================================================================
+// TEST 14: Price Oracle
+// ============================================================================
+testGroup('Price Oracle');
+
+console.log('Validating Chainlink rounds and Uniswap v3 TWAP math...\n');
+
+const oracleNow = 1_760_000_000;
+const ethRound = { roundId: 110n, answer: 312_345_000_000n, updatedAt: BigInt(oracleNow - 600), answeredInRound: 110n };
+const ethQuote = validateChainlinkRound(ethRound, 8, { heartbeat: 3600, now: oracleNow });
+assert(ethQuote.price === 3123.45, 'Fresh ETH/USD round scaled by aggregator decimals');
+
+const rejects = (round, pattern) => {
+  try {
+    validateChainlinkRound(round, 8, { heartbeat: 3600, now: oracleNow });
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+};
+assert(rejects({ ...ethRound, updatedAt: BigInt(oracleNow - 3600 - 601) }, /stale/), 'Round older than heartbeat + grace rejected as stale');
+assert(rejects({ ...ethRound, answer: 0n }, /not positive/), 'Non-positive answer rejected');
+assert(rejects({ ...ethRound, answeredInRound: 109n }, /incomplete/), 'Round answered in an earlier round rejected');
+
+assert(meanTick([0n, -1801n], 1800) === -2, 'Negative mean tick rounds toward negative infinity');
+assert(meanTick([-5n, -3605n], 1800) === -2, 'Exact negative mean tick is not rounded further');
+
+// Mainnet USDC/WETH: token0 is USDC (6 decimals), token1 is WETH (18)
+const twapPrice = tickToPrice(200000, { baseIsToken0: false, decimals0: 6, decimals1: 18 });
+assert(twapPrice > 2000 && twapPrice < 2100, `Tick 200000 prices WETH at ~$2,061 (got ${twapPrice.toFixed(2)})`);
+
+assert(priceSymbol('weth') === 'ETH' && priceSymbol('MATIC') === 'POL', 'Wrapped and legacy symbols map to their feed');
+
+console.log('\n✅ Price Oracle: Feed Validation and TWAP Verified\n');
+
+// ============================================================================
+// TEST 15: Mark-to-Market Returns
+// ============================================================================
+testGroup('Mark-to-Market Returns');
+
+console.log('Building a valuation series from daily snapshots...\n');
+
+// A earns 1%/day from Jan 1; B is deposited on Jan 3 and earns 1% that day
+const snapshotPositions = [
+  {
+    investedAt: '2026-01-01T09:00:00Z', withdrawnAt: null, principalUsd: 1000,
+    marks: [{ day: '2026-01-02', valueUsd: 1010 }, { day: '2026-01-03', valueUsd: 1020.1 }],
+  },
+  {
+    investedAt: '2026-01-03T09:00:00Z', withdrawnAt: null, principalUsd: 1000,
+    marks: [{ day: '2026-01-03', valueUsd: 1010 }],
+  },
+];
+const valuationSeries = buildValuationSeries(snapshotPositions, { start: '2026-01-01', end: '2026-01-04' });
+assert(valuationSeries.length === 4 && valuationSeries[0].value === 1000, 'Unmarked position valued at principal on its first day');
+assert(valuationSeries[2].flow === 1000 && Math.abs(valuationSeries[2].value - 2030.1) < 1e-9, 'Deposit booked as a flow on its invest day');
+assert(Math.abs(valuationSeries[3].value - 2030.1) < 1e-9, 'Missing snapshot carries the last mark forward');
+
+const twrResult = timeWeightedReturn(valuationSeries);
+assert(Math.abs(twrResult - 0.0201) < 1e-9, `TWR chains daily returns and ignores the deposit (${(twrResult * 100).toFixed(4)}%)`);
+
+const withdrawalSeries = buildValuationSeries([
+  { investedAt: '2026-01-01', withdrawnAt: '2026-01-02T12:00:00Z', principalUsd: 500, withdrawnUsd: 505, marks: [{ day: '2026-01-01', valueUsd: 500 }] },
+], { start: '2026-01-01', end: '2026-01-02' });
+assert(withdrawalSeries[1].flow === -505 && withdrawalSeries[1].value === 0, 'Withdrawal is a negative flow and leaves no value');
+
+const yearIrr = moneyWeightedReturn([{ at: '2025-01-01', amount: -1000 }, { at: '2026-01-01', amount: 1100 }]);
+assert(Math.abs(yearIrr - 0.1) < 1e-6, 'MWR of +10% over one year is 10% annualized');
+
+const flows = seriesCashFlows(valuationSeries);
+assert(flows[0].amount === -1000 && flows[flows.length - 1].amount === valuationSeries[3].value, 'Opening value invested, closing value received');
+assert(moneyWeightedReturn(flows) > 0, 'MWR is positive for a growing portfolio');
+assert(moneyWeightedReturn([{ at: '2026-01-01', amount: -1000 }]) === null, 'MWR undefined without an inflow and an outflow');
+assert(timeWeightedReturn([{ value: 0, flow: 0 }, { value: 0, flow: 0 }]) === null, 'TWR undefined with no capital invested');
+
+console.log('\n✅ Returns: TWR and MWR Verified\n');
+
+// ============================================================================
+// TEST 16: Backtesting
+// ============================================================================
+testGroup('Backtesting');
+
+console.log('Replaying a synthetic APY history through each strategy...\n');
+
+// Aave leads until Feb 1, then Compound pays 3 points more; Morpho is too risky
+const historyCsv = [
+  'timestamp,protocol_name,blockchain,token_symbol,apy,tvl,risk_score',
+  '2026-01-01,Aave,base,USDC,6,1000000,3',
+  '2026-01-01,Compound,base,USDC,4,900000,3',
+  '2026-01-01,Morpho,base,USDC,20,100000,9',
+  '"2026-02-01",Aave,base,USDC,3,1000000,3',
+  '2026-02-01,Compound,base,USDC,6,900000,3',
+  '2026-03-31,Aave,base,USDC,3,1000000,3',
+].join('\n');
+const history = parseHistoryCsv(historyCsv);
+assert(history.length === 6 && history[3].key === 'Aave:base:USDC', 'CSV parsed into keyed observations');
+
+let badCsvError = null;
+try {
+  parseHistoryCsv('timestamp,protocol_name\n2026-01-01,Aave');
+} catch (error) {
+  badCsvError = error.message;
+}
+assert(badCsvError?.includes('blockchain'), 'CSV without required columns is rejected');
+
+const scanRun = runBacktest(history, { strategy: 'scan-rule', initialCapital: 10000, maxRiskScore: 5, gasCostUsd: 2 });
+assert(scanRun.equityCurve.length === 90, 'One equity point per daily step');
+const historyWork = backtestWork(history, { stepHours: 24, asset: 'USDC' });
+assert(
+  historyWork.steps === scanRun.equityCurve.length && historyWork.markets === 3 && historyWork.marketSteps === 270,
+  'Replay size measured before running it'
+);
+assert(!scanRun.trades.some((t) => t.market.startsWith('Morpho')), 'Markets above max risk are never bought');
+assert(scanRun.trades.some((t) => t.side === 'sell' && t.market === 'Aave:base:USDC' && t.time.startsWith('2026-02-01')), 'Scan rule exits when a better market beats the threshold');
+assert(Math.abs(scanRun.costs.gas - scanRun.summary.trades * 2) < 1e-6, 'Gas charged on every trade');
+assert(scanRun.costs.managementFees > 0 && scanRun.costs.performanceFees > 0, 'Management and performance fees applied');
+assert(scanRun.summary.turnover > 1, `Turnover counts both legs of the switch (${scanRun.summary.turnover}x)`);
+
+const noCostRun = runBacktest(history, { strategy: 'scan-rule', initialCapital: 10000, maxRiskScore: 5, gasCostUsd: 0, tier: 'enterprise' });
+assert(noCostRun.summary.finalEquity > scanRun.summary.finalEquity, 'Costs reduce final equity');
+
+const parityRun = runBacktest(history, { strategy: 'risk-parity', initialCapital: 10000, maxRiskScore: 5, gasCostUsd: 0 });
+assert(parityRun.summary.rebalances >= 1 && parityRun.summary.finalEquity > 10000, 'Risk parity invests and grows');
+
+const drawdown = computeDrawdowns([
+  { time: Date.parse('2026-01-01'), equity: 100 },
+  { time: Date.parse('2026-01-02'), equity: 90 },
+  { time: Date.parse('2026-01-03'), equity: 95 },
+  { time: Date.parse('2026-01-04'), equity: 101 },
+]);
+assert(drawdown.maxDrawdownPct === 10 && drawdown.longestDrawdownDays === 2, 'Max drawdown and duration measured from the peak');
+
+console.log('\n✅ Backtesting: Strategies, Costs and Drawdowns Verified\n');
+
+// ============================================================================
+// TEST 17: Volatility and Correlation from APY History
+// ============================================================================
+testGroup('Volatility and Correlation from APY History');
+
+console.log('Estimating risk from daily APY history and sizing by mean-variance...\n');
+
+const historyDay = (i) => new Date(Date.UTC(2026, 0, 1 + i)).toISOString();
+const wave = (i) => Math.sin(i / 2);
+// Aave and Compound move together; Morpho moves against them and dips under 4%
+const aaveHistory = Array.from({ length: 30 }, (_, i) => ({ bucket: historyDay(i), apy: 5 + 0.5 * wave(i) }));
+const compoundHistory = Array.from({ length: 30 }, (_, i) => ({ bucket: historyDay(i), apy: 4.8 + 0.4 * wave(i) }));
+const morphoHistory = Array.from({ length: 30 }, (_, i) => ({ bucket: historyDay(i), apy: 5 - 2 * wave(i) }));
+
+const aaveStats = apyStats(aaveHistory, { minAcceptableReturn: 0.04 });
+const morphoStats = apyStats(morphoHistory, { minAcceptableReturn: 0.04 });
+assert(aaveStats.observations === 30 && Math.abs(aaveStats.mean - 0.05) < 0.002, 'Daily APY history summarized as decimals');
+assert(morphoStats.volatility > aaveStats.volatility * 3, 'Swingier APY has higher volatility');
+assert(aaveStats.downsideDeviation === 0 && morphoStats.downsideDeviation > 0, 'Downside deviation only counts days under the threshold');
+assert(apyStats(aaveHistory.slice(0, 3)) === null, 'Too little history yields no estimate');
+
+assert(apyCorrelation(aaveHistory, compoundHistory) > 0.99, 'Co-moving APYs are correlated');
+assert(apyCorrelation(aaveHistory, morphoHistory) < -0.99, 'Opposite APY moves are negatively correlated');
+
+const historyOpps = [
+  { id: 1, protocol_name: 'Aave', blockchain: 'base', token_symbol: 'USDC', apy: 5.2, risk_score: 3, apy_history: aaveHistory },
+  { id: 2, protocol_name: 'Compound', blockchain: 'base', token_symbol: 'USDC', apy: 5.0, risk_score: 3, apy_history: compoundHistory },
+  { id: 3, protocol_name: 'Morpho', blockchain: 'ethereum', token_symbol: 'USDC', apy: 5.1, risk_score: 3, apy_history: morphoHistory },
+];
+const historyCorrelation = portfolioOptimizer.calculateCorrelationMatrix(historyOpps);
+assert(historyCorrelation[0][2] < 0 && historyCorrelation[2][0] === historyCorrelation[0][2], 'Correlation matrix built from history and symmetric');
+
+const meanVariance = portfolioOptimizer.optimizeAllocation(historyOpps, { maxTotalInvestment: 10000, maxRiskScore: 5 });
+assert(meanVariance.allocations.every((a) => a.opportunity.riskSource === 'history' && a.sortino !== undefined), 'Sharpe and Sortino computed from history');
+assert(meanVariance.allocations.every((a) => a.amount <= 10000 * portfolioOptimizer.maxProtocolAllocation), 'Protocol cap honored');
+assert(meanVariance.totalAllocated === 10000, 'Full budget deployed when caps allow');
+assert(meanVariance.allocations[0].opportunity.protocol_name === 'Aave', 'Highest APY market sized first');
+
+const riskAverse = portfolioOptimizer.optimizeAllocation(historyOpps, { maxTotalInvestment: 10000, maxRiskScore: 5, riskAversion: 100 });
+const morphoAlloc = riskAverse.allocations.find((a) => a.opportunity.protocol_name === 'Morpho');
+assert(morphoAlloc && morphoAlloc.amount < 4000, `High risk aversion trims the volatile market ($${morphoAlloc?.amount})`);
+
+const chainCapped = portfolioOptimizer.optimizeAllocation(historyOpps, {
+  maxTotalInvestment: 10000,
+  maxRiskScore: 5,
+  chainCaps: { base: 0.5 },
+});
+const baseTotal = chainCapped.allocations
+  .filter((a) => a.opportunity.blockchain === 'base')
+  .reduce((sum, a) => sum + a.amount, 0);
+assert(baseTotal <= 5000, `Per-chain cap honored (base $${baseTotal})`);
+
+const tiny = portfolioOptimizer.optimizeAllocation(historyOpps, { maxTotalInvestment: 250, maxRiskScore: 5 });
+assert(tiny.allocations.every((a) => a.amount >= portfolioOptimizer.minPositionSize), 'No position below minPositionSize');
+
+console.log('\n✅ Optimizer: History-Based Risk and Mean-Variance Sizing Verified\n');
+
+// ============================================================================
+// TEST 18: Rebalance Planning
+// ============================================================================
+testGroup('Rebalance Planning');
+
+console.log('Weighing yield gain against gas and performance fees...\n');
+
+const breakEven = evaluateMove({
+  amountUsd: 10000,
+  currentApy: 3,
+  targetApy: 6,
+  horizonDays: 30,
+  exitGasUsd: 4,
+  entryGasUsd: 6,
+});
+assert(breakEven.yieldGain > 20 && breakEven.netBenefit === Math.round((breakEven.yieldGain - 10) * 100) / 100, `Net benefit subtracts gas ($${breakEven.netBenefit})`);
+assert(breakEven.breakEvenDays === 12.2, `Break-even after ${breakEven.breakEvenDays} days`);
+
+const holderAddress = '0x00000000000000000000000000000000000000aa';
+const rebalancePosition = (id, opportunityId, protocol, apy, value, accrued, extra = {}) => ({
+  id, opportunityId, protocol, asset: 'USDC', chain: 'base', holder: holderAddress,
+  status: 'confirmed', amount: value - accrued, value, accrued, apy, active: true, priceUsd: 1, ...extra,
+});
+const rebalancePositions = [
+  rebalancePosition(1, 2, 'Compound', 3.5, 5000, 20),
+  rebalancePosition(2, 2, 'Compound', 3.5, 100, 1),
+  rebalancePosition(3, 3, 'Spark', 5, 50, 0, { active: false }),
+];
+const rebalanceTargets = [
+  {
+    opportunity: { id: 1, protocol_name: 'Aave', token_symbol: 'USDC', blockchain: 'base', apy: 0.06 },
+    amount: 5150,
+  },
+];
+const rebalanceGas = { withdraw: 2, deposit: 3 };
+
+const plan = planRebalance(rebalancePositions, rebalanceTargets, { horizonDays: 30, gasCostUsd: rebalanceGas });
+const movedIds = plan.moves.map((m) => m.investmentId);
+assert(movedIds.includes(1) && plan.moves[0].netBenefit > 0, `Large position moves once it pays for itself ($${plan.moves[0].netBenefit})`);
+assert(plan.skipped.some((s) => s.investmentId === 2 && s.reason === 'below-break-even'), 'Small position stays: gain does not cover gas');
+assert(plan.moves.find((m) => m.investmentId === 1).performanceFee === 2, 'Exit performance fee counted on accrued interest');
+assert(plan.moves.some((m) => m.investmentId === 3 && m.reason === 'inactive'), 'Inactive market exits regardless of cost');
+
+const [rebalanceBatch] = plan.batches;
+const depositStep = rebalanceBatch.steps.find((s) => s.action === 'deposit');
+assert(rebalanceBatch.transactions === 3 && depositStep.investmentIds.length === 2, 'Moves into one market batched into one deposit');
+assert(plan.summary.gasSavedByBatching === 3, `Batching saves a deposit ($${plan.summary.gasSavedByBatching})`);
+const withdrawPreview = rebalanceBatch.steps.find((s) => s.action === 'withdraw' && s.opportunityId === 2).preview;
+assert(
+  withdrawPreview.protocol === 'compound' && withdrawPreview.chainId === 8453 && withdrawPreview.amount === '5000',
+  'Steps carry an /api/execute/preview body'
+);
+
+const shortHorizon = planRebalance(rebalancePositions, rebalanceTargets, { horizonDays: 7, gasCostUsd: rebalanceGas });
+assert(!shortHorizon.moves.some((m) => m.investmentId === 1), 'Shorter horizon leaves the move unprofitable');
+
+const unpriced = planRebalance(rebalancePositions, rebalanceTargets, { horizonDays: 30 });
+assert(
+  unpriced.moves.length === 1 && unpriced.skipped.some((s) => s.investmentId === 1 && s.reason === 'gas-unpriced'),
+  'Without a gas price only urgent exits run'
+);
+
+const unpricedAsset = planRebalance(
+  [rebalancePosition(1, 2, 'Compound', 3.5, 5000, 20, { priceUsd: null }), ...rebalancePositions.slice(1)],
+  rebalanceTargets,
+  { horizonDays: 30, gasCostUsd: rebalanceGas }
+);
+assert(
+  !unpricedAsset.moves.some((m) => m.investmentId === 1) &&
+    unpricedAsset.skipped.some((s) => s.investmentId === 1 && s.reason === 'unpriced'),
+  'Position without a USD price is left in place, not valued at $1'
+);
+
+console.log('\n✅ Rebalancing: Net Benefit, Break-Even and Batching Verified\n');
+
+// ============================================================================
+// TEST 19: Structured Agent Output
+// ============================================================================
+testGroup('Structured Agent Output');
+
+console.log('Validating model output and retrying on invalid answers...\n');
+
+// Stands in for a chat model: answers each call with the next queued tool arguments
+function scriptedModel(answers) {
+  const prompts = [];
+  return {
+    prompts,
+    withStructuredOutput: () => ({
+      invoke: async (messages) => {
+        prompts.push(messages);
+        const args = answers[prompts.length - 1];
+        return { raw: { content: '', tool_calls: [{ name: 'propose_strategies', args }] }, parsed: null };
+      },
+    }),
+  };
+}
+
+const validStrategy = {
+  protocol: 'aave',
+  blockchain: 'base',
+  action: 'deposit',
+  amount: 1000,
+  expectedAPY: 5.2,
+  riskScore: 3,
+  rationale: 'Deep liquidity',
+  confidence: 0.8,
+};
+const malformedStrategy = { ...validStrategy, blockchain: 'solana', riskScore: 14 };
+
+const retried = scriptedModel([{ strategies: [malformedStrategy] }, { strategies: [validStrategy] }]);
+const structured = await invokeStructured(retried, StrategyListSchema, [{ role: 'user', content: 'propose' }], {
+  name: 'propose_strategies',
+});
+assert(structured.attempts === 2 && structured.output.strategies[0].protocol === 'aave', 'Invalid answer retried until valid');
+const retryPrompt = retried.prompts[1].at(-1).content;
+assert(
+  retried.prompts[1].length === 2 && retryPrompt.includes('strategies.0.blockchain') && retryPrompt.includes('strategies.0.riskScore'),
+  'Retry prompt quotes the validation issues'
+);
+
+let structuredError = null;
+try {
+  await invokeStructured(scriptedModel([{ strategies: [] }, { strategies: [] }]), StrategyListSchema, [], {
+    name: 'propose_strategies',
+    maxAttempts: 2,
+  });
+} catch (error) {
+  structuredError = error;
+}
+assert(
+  structuredError instanceof StructuredOutputError && structuredError.attempts === 2 && structuredError.issues.length > 0,
+  'Typed error once retries run out'
+);
+
+assert(StrategySchema.safeParse({ ...validStrategy, score: 71 }).success, 'Scored strategy still matches the shared schema');
+assert(!StrategySchema.safeParse({ ...validStrategy, amount: -5 }).success, 'Negative amount rejected by the shared schema');
+
+console.log('\n✅ Structured Output: Validation, Retry and Typed Failure Verified\n');
+
+// ============================================================================
+// TEST 20: Offline Agent Graph
+// ============================================================================
+testGroup('Offline Agent Graph');
+
+console.log('Running the full agent graph with rule-based and replayed models...\n');
+
+const offlineMarket = async () => [
+  { protocol: 'aave', chain: 'base', asset: 'USDC', apy: 6.1, tvl: 250e6 },
+  { protocol: 'compound', chain: 'base', asset: 'USDC', apy: 4.8, tvl: 180e6 },
+  { protocol: 'moonshot', chain: 'base', asset: 'USDC', apy: 42, tvl: 2e6 },
+];
+// Adapter, gas and agent contract stand-ins: an approval and a supply, simulated as succeeding
+// unless reverting, and agent limits of perTxLimit per call and dailyLimit per day (USD)
+const OFFLINE_USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const OFFLINE_POOL = '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5';
+const OFFLINE_AGENT = '0x0d0a0cC1367f5086859C20b3C83295d28FC8E835';
+const erc20Interface = new ethers.Interface(['function approve(address spender, uint256 amount)']);
+const offlineOnchain = ({ reverts = false, perTxLimit = 5000, dailyLimit = 20000, submitted = [] } = {}) => ({
+  getAdapter: async () => ({
+    asset: { balanceOf: async () => 10000n * 10n ** 6n },
+    getMetadata: () => ({ assetSymbol: 'USDC', assetAddress: OFFLINE_USDC, assetDecimals: 6 }),
+    buildDepositTransaction: async (user, amount) => [
+      { to: OFFLINE_USDC, data: erc20Interface.encodeFunctionData('approve', [OFFLINE_POOL, amount]), value: 0, description: 'Approve USDC' },
+      { to: OFFLINE_POOL, data: '0x617ba037', value: 0, description: 'Deposit USDC' },
+    ],
+    buildWithdrawTransaction: async () => ({ to: OFFLINE_POOL, data: '0x69328dec', value: 0, description: 'Withdraw USDC' }),
+    simulateTransaction: async () => !reverts,
+  }),
+  getGasOptimizer: () => ({
+    buildProtectedTransaction: async (tx) => ({
+      transaction: { ...tx, gasLimit: 90000n },
+      gasPrice: { maxFeePerGas: 2000000000n, maxPriorityFeePerGas: 1000000000n },
+      estimatedCost: 0.05,
+      mevRisk: { riskScore: 1, riskLevel: 'LOW', risks: [] },
+    }),
+  }),
+  getUsdPrice: async () => 1,
+  buildDelegatedTransaction: async (chain, { targetProtocol, strategyCalldata }) => {
+    const authorization = { chainId: 8453, address: OFFLINE_AGENT, nonce: 7 };
+    return {
+      transaction: {
+        type: 4, chainId: 8453, nonce: 7, to: targetProtocol, value: 0, data: strategyCalldata,
+        gasLimit: 120000n, maxFeePerGas: 2000000000n, maxPriorityFeePerGas: 1000000000n, authorization,
+      },
+      requiresAuthorization: true,
+      authorizationData: authorization,
+    };
+  },
+  canExecute: async (chain, user, amount) => amount <= ethers.parseUnits(String(perTxLimit), 6),
+  remainingDailyLimit: async () => ethers.parseUnits(String(dailyLimit), 6),
+  executeStrategy: async (chain, user, tx) => {
+    submitted.push(tx);
+    return { hash: ethers.id(`agent-${tx.index}`), status: 'confirmed', gasUsed: '90000' };
+  },
+});
+const offlineState = (availableFunds) => ({
+  userAddress: '0x1111111111111111111111111111111111111111',
+  availableFunds,
+  riskTolerance: 5,
+  maxInvestmentPerOpp: 5000,
+  currentPositions: [],
+  opportunities: [],
+  gasPrice: null,
+  marketConditions: null,
+  analysis: null,
+  strategies: [],
+  selectedStrategy: null,
+  executionPlan: null,
+  transactions: [],
+  reasoning: [],
+  humanApprovalRequired: false,
+  approval: null,
+  circuitBreakerTriggered: false,
+  iteration: 0,
+  errors: [],
+});
+
+const ruled = await buildCultiv8Agent({
+  models: 'rules',
+  marketData: offlineMarket,
+  onchain: offlineOnchain(),
+}).invoke(offlineState(8000));
+assert(
+  ruled.errors.length === 0 && ruled.execution.status === 'awaiting_signature' && ruled.transactions.length === 0,
+  'Rule-based graph runs from analysis to execution'
+);
+assert(
+  ruled.selectedStrategy.protocol === 'aave' && !ruled.strategies.some((s) => s.protocol === 'moonshot'),
+  'Rule-based strategist picks the best yield within risk tolerance'
+);
+assert(
+  ruled.reasoning.filter((step) => step.model === 'rules').length === 3,
+  'Reasoning steps name the model provider'
+);
+
+const fixturesDir = await mkdtemp(path.join(tmpdir(), 'agent-fixtures-'));
+const recorded = await buildCultiv8Agent({
+  models: { provider: 'record', source: 'rules', fixturesDir },
+  marketData: offlineMarket,
+  onchain: offlineOnchain(),
+}).invoke(offlineState(8000));
+const fixtureFiles = await readdir(fixturesDir);
+assert(fixtureFiles.length === 3, `One fixture recorded per model call (${fixtureFiles.length})`);
+
+const replayModels = { provider: 'replay', onMiss: 'error', fixturesDir };
+const replayed = await buildCultiv8Agent({
+  models: replayModels,
+  marketData: offlineMarket,
+  onchain: offlineOnchain(),
+}).invoke(offlineState(8000));
+assert(
+  JSON.stringify(replayed.executionPlan) === JSON.stringify(recorded.executionPlan) && replayed.errors.length === 0,
+  'Replay reproduces the recorded run'
+);
+
+const missed = await buildCultiv8Agent({
+  models: replayModels,
+  marketData: offlineMarket,
+  onchain: offlineOnchain(),
+}).invoke(offlineState(3000));
+assert(
+  missed.transactions.length === 0 && missed.errors.some((e) => e.includes('No recorded market_analysis answer')),
+  'Unrecorded prompt fails replay when misses are errors'
+);
+await rm(fixturesDir, { recursive: true, force: true });
+
+const [approvalTx, supplyTx] = ruled.executionPlan.transactions;
+assert(
+  erc20Interface.decodeFunctionData('approve', approvalTx.data)[1] === 4000n * 10n ** 6n && approvalTx.willSucceed,
+  'Plan carries adapter calldata for the strategy amount'
+);
+assert(
+  supplyTx.simulated === false && ruled.executionPlan.checks[0].passed && ruled.executionPlan.allSimulationsSucceed,
+  'Step after the approval is covered by the balance check'
+);
+
+const reverted = await buildCultiv8Agent({
+  models: 'rules',
+  marketData: offlineMarket,
+  onchain: offlineOnchain({ reverts: true }),
+}).invoke(offlineState(8000));
+assert(
+  !reverted.executionPlan.allSimulationsSucceed && reverted.transactions.length === 0,
+  'Simulated revert stops the run before execution'
+);
+
+console.log('\n✅ Offline Agent: Rules, Record, Replay and Simulation Verified\n');
+
+// ============================================================================
+// TEST 21: Agent Execution Handoff
+// ============================================================================
+testGroup('Agent Execution Handoff');
+
+console.log('Packaging plans as EIP-7702 transactions for the agent or the owner to submit...\n');
+
+const [delegating, following] = ruled.execution.packaged;
+assert(
+  delegating.transaction.type === 4 && delegating.authorization.address === OFFLINE_AGENT &&
+    delegating.authorization.nonce === 8 && delegating.transaction.gasLimit === '120000',
+  'First transaction delegates the wallet, authorized at the nonce after its own'
+);
+assert(
+  following.transaction.type === 2 && following.transaction.nonce === 8 && following.authorization === null,
+  'Later transactions follow in nonce order without another authorization'
+);
+assert(
+  ruled.execution.reason.includes('Co-pilot'),
+  'Co-pilot run ends awaiting the owner\'s signature'
+);
+
+const unvalidated = await buildCultiv8Agent({
+  models: 'rules',
+  marketData: offlineMarket,
+  onchain: offlineOnchain(),
+}).invoke({ ...offlineState(8000), mode: 'autonomous' });
+assert(
+  unvalidated.execution.status === 'awaiting_signature' && unvalidated.execution.reason.includes('safety validation'),
+  'Autonomous run without a safety check falls back to a signature request'
+);
+
+// With a checkpointer the run pauses before "execute" until validated
+const agentSubmitted = [];
+const checkpointed = buildCultiv8Agent({
+  checkpointer: new MemorySaver(),
+  models: 'rules',
+  marketData: offlineMarket,
+  onchain: offlineOnchain({ submitted: agentSubmitted }),
+});
+const autonomousConfig = { configurable: { thread_id: 'agent-offline-autonomous' } };
+const paused = await checkpointed.invoke({ ...offlineState(8000), mode: 'autonomous' }, autonomousConfig);
+assert(
+  !paused.execution && await isAwaitingExecution(checkpointed, autonomousConfig),
+  'Checkpointed run pauses before execution'
+);
+await checkpointed.updateState(autonomousConfig, { safetyValidation: { valid: true, violations: [] }, decisionId: 1 }, 'plan');
+const executed = await checkpointed.invoke(null, autonomousConfig);
+assert(
+  executed.execution.status === 'confirmed' && executed.execution.signer === 'agent' &&
+    agentSubmitted.length === 2 && executed.transactions.every((tx) => tx.hash),
+  'Validated autonomous run within limits is submitted by the agent'
+);
+assert(
+  executionOutcome(executed.execution).status === 'success' &&
+    executionOutcome(executed.execution).lessons.transactions.length === 2,
+  'Confirmed execution becomes a successful decision outcome'
+);
+
+const overLimitSubmitted = [];
+const overLimitAgent = buildCultiv8Agent({
+  checkpointer: new MemorySaver(),
+  models: 'rules',
+  marketData: offlineMarket,
+  onchain: offlineOnchain({ dailyLimit: 6000, submitted: overLimitSubmitted }),
+});
+const overLimitConfig = { configurable: { thread_id: 'agent-offline-over-limit' } };
+await overLimitAgent.invoke({ ...offlineState(8000), mode: 'autonomous' }, overLimitConfig);
+await overLimitAgent.updateState(overLimitConfig, { safetyValidation: { valid: true, violations: [] } }, 'plan');
+const overLimit = await overLimitAgent.invoke(null, overLimitConfig);
+assert(
+  overLimit.execution.status === 'awaiting_signature' && overLimit.execution.limits.charged === 8000 &&
+    overLimitSubmitted.length === 0,
+  'Plan beyond the remaining daily limit waits for the owner instead'
+);
+
+// The owner signs the packaged transactions; only a matching payload is broadcast
+const owner = ethers.Wallet.createRandom();
+const ownerRun = await buildCultiv8Agent({
+  models: 'rules',
+  marketData: offlineMarket,
+  onchain: offlineOnchain(),
+}).invoke({ ...offlineState(8000), userAddress: owner.address.toLowerCase() });
+const signPackaged = async (wallet, packaged, overrides = {}) => {
+  const { authorization, transaction } = packaged;
+  return wallet.signTransaction({
+    ...transaction,
+    ...(authorization && { authorizationList: [await wallet.authorize(authorization)] }),
+    ...overrides,
+  });
+};
+const broadcast = [];
+const broadcastOnchain = {
+  broadcastTransaction: async (chain, signed) => {
+    broadcast.push(signed);
+    return { hash: ethers.keccak256(signed), status: 'confirmed' };
+  },
+};
+const ownerPackaged = ownerRun.execution.packaged;
+
+let tamperedError = null;
+try {
+  await submitSignedTransactions(
+    ownerPackaged,
+    [await signPackaged(owner, ownerPackaged[0]), await signPackaged(owner, ownerPackaged[1], { data: '0xdeadbeef' })],
+    owner.address,
+    { onchain: broadcastOnchain }
+  );
+} catch (error) {
+  tamperedError = error;
+}
+assert(
+  tamperedError?.message.includes('calldata') && broadcast.length === 0,
+  'Tampered payload is rejected before anything is broadcast'
+);
+
+let strangerError = null;
+const stranger = ethers.Wallet.createRandom();
+try {
+  await submitSignedTransactions(
+    ownerPackaged,
+    await Promise.all(ownerPackaged.map((tx) => signPackaged(stranger, tx))),
+    owner.address,
+    { onchain: broadcastOnchain }
+  );
+} catch (error) {
+  strangerError = error;
+}
+assert(strangerError?.message.includes('signer'), 'Payload signed by another wallet is rejected');
+
+const ownerResults = await submitSignedTransactions(
+  ownerPackaged,
+  await Promise.all(ownerPackaged.map((tx) => signPackaged(owner, tx))),
+  owner.address,
+  { onchain: broadcastOnchain }
+);
+assert(
+  ownerResults.length === 2 && ownerResults.every((r) => r.status === 'confirmed' && r.signer === 'user') &&
+    broadcast.length === 2,
+  'Owner-signed payload is broadcast in plan order'
+);
+
+console.log('\n✅ Execution Handoff: Packaging, Agent Limits and Signed Submission Verified\n');
+
+// ============================================================================
+// TEST 22: Streaming Agent Runs
+// ============================================================================
+testGroup('Streaming Agent Runs');
+
+console.log('Streaming node progress, model tokens and verdicts as Server-Sent Events...\n');
+
+const streamedAgent = buildCultiv8Agent({
+  checkpointer: new MemorySaver(),
+  models: 'rules',
+  marketData: offlineMarket,
+  onchain: offlineOnchain(),
+});
+const streamConfig = { configurable: { thread_id: 'agent-offline-stream' } };
+const streamed = [];
+const onStreamEvent = (type, data) => streamed.push({ type, data });
+const streamedPause = await streamAgentGraph(streamedAgent, { ...offlineState(8000), mode: 'autonomous' }, streamConfig, onStreamEvent);
+assert(
+  streamed.map((e) => `${e.type}:${e.data.node}`).join(',') ===
+    ['analyze', 'generate', 'select', 'plan'].map((node) => `node_start:${node},node_end:${node}`).join(','),
+  'Each node reports its start and finish, in graph order'
+);
+assert(
+  streamed.find((e) => e.type === 'node_end' && e.data.node === 'analyze').data.steps[0].step === 'market_analysis',
+  'Finished node carries the reasoning steps it added'
+);
+assert(
+  streamedPause.selectedStrategy.protocol === 'aave' && await isAwaitingExecution(streamedAgent, streamConfig),
+  'Streamed run resolves to the paused state, like invoke()'
+);
+
+await streamedAgent.updateState(streamConfig, { safetyValidation: { valid: true, violations: [] } }, 'plan');
+const streamedExecution = await streamAgentGraph(streamedAgent, null, streamConfig, onStreamEvent);
+assert(
+  streamed.at(-1).type === 'node_end' && streamed.at(-1).data.node === 'execute' &&
+    streamedExecution.execution.status === 'confirmed',
+  'Resumed run streams the execute node'
+);
+
+const tokenEvent = (node, chunk) => toRunEvent({ event: 'on_chat_model_stream', metadata: { langgraph_node: node }, data: { chunk } });
+assert(
+  tokenEvent('analyze', { content: '', tool_call_chunks: [{ args: '{"summary":"Aave' }] })?.data.text === '{"summary":"Aave' &&
+    tokenEvent('analyze', { content: [{ type: 'text', text: 'Looking' }] })?.data.text === 'Looking',
+  'Analysis model tokens stream from tool call arguments or text'
+);
+assert(tokenEvent('generate', { content: 'ignored' }) === null, 'Only the analysis model streams tokens');
+
+const streamResponse = eventStreamResponse(async (send) => {
+  send('run', { threadId: 'agent-offline-stream', mode: 'autonomous' });
+  send('node_start', { node: 'analyze', timestamp: 1 });
+  send('token', { node: 'analyze', text: '{"summary":' });
+  send('token', { node: 'analyze', text: '"Aave"' });
+  throw new Error('Model unavailable');
+});
+const streamBody = await streamResponse.text();
+const midStream = readRunEvents(streamBody.slice(0, streamBody.indexOf('event: token')));
+const streamProgress = readRunEvents(streamBody);
+assert(
+  streamResponse.headers.get('Content-Type').startsWith('text/event-stream') &&
+    parseServerSentEvents(streamBody).map((e) => e.type).join(',') === 'run,node_start,token,token,error',
+  'Events are framed as text/event-stream, ending with an error when the run throws'
+);
+assert(
+  activeStep(midStream)?.step === 'market_analysis' && activeStep(midStream).text === '' &&
+    activeStep(streamProgress).text === '{"summary":"Aave"',
+  'Running node accumulates its streamed tokens'
+);
+assert(
+  terminalSteps(streamProgress).map((step) => `${step.step}:${step.status}`).join(',') ===
+    'ANALYZE_MARKET:running,RUN_FAILED:error',
+  'Terminal shows the running node and the failure'
+);
+
+const safetyProgress = readRunEvents(
+  streamed.map(({ type, data }) => `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`).join('') +
+    'event: safety\ndata: {"checked":true,"valid":false,"riskLevel":"high","violations":[{"type":"AMOUNT_LIMIT_EXCEEDED","message":"Too much"}],"needsApproval":false,"timestamp":2}\n\nevent: node'
+);
+assert(
+  safetyProgress.reasoning.length === 5 && safetyProgress.safety.valid === false &&
+    terminalSteps(safetyProgress).at(-1).output.includes('AMOUNT_LIMIT_EXCEEDED'),
+  'Safety verdict joins the timeline; a partial trailing event is ignored'
+);
+
+// The hook gets the whole body on every chunk; the reader only parses what completed since
+const readIncrementally = createRunEventReader();
+const chunkBodies = [];
+for (let end = 7; end < streamBody.length; end += 7) chunkBodies.push(streamBody.slice(0, end));
+chunkBodies.push(streamBody);
+let incremental = null;
+const seenProgress = new Set();
+for (const body of chunkBodies) {
+  incremental = readIncrementally(body);
+  seenProgress.add(incremental);
+}
+assert(
+  // failedAt is the read time (the error event carries no timestamp)
+  JSON.stringify({ ...incremental, failedAt: null }) === JSON.stringify({ ...streamProgress, failedAt: null }) &&
+    seenProgress.size === 6,
+  'Chunked body read incrementally matches a full read, advancing once per event'
+);
+
+console.log('\n✅ Streaming Runs: Node Events, Tokens and Verdicts Verified\n');
+
+// ============================================================================
+// TEST 23: Withdrawal Accounting
+// ============================================================================
+testGroup('Withdrawal Accounting');
+
+console.log('Sizing pooled exits and booking what they redeem...\n');
+
+const agentHolder = '0x00000000000000000000000000000000000000Ab';
+const deposit = (extra = {}) => ({
+  id: 1, status: 'confirmed', withdrawn_at: null, confirmed_block: 120, tx_from: agentHolder.toLowerCase(), ...extra,
+});
+assert(isRealDeposit(deposit(), agentHolder), 'Reconciled deposit from the holder can be withdrawn');
+assert(
+  !isRealDeposit(deposit({ tx_from: null, confirmed_block: null }), agentHolder) &&
+    !isRealDeposit(deposit({ status: 'simulated', tx_from: null, confirmed_block: null }), agentHolder),
+  'Simulated rows without a transaction are never withdrawn'
+);
+assert(!isRealDeposit(deposit({ confirmed_block: null }), agentHolder), 'Unreconciled deposit is not withdrawn');
+assert(
+  !isRealDeposit(deposit({ tx_from: '0x00000000000000000000000000000000000000cd' }), agentHolder) &&
+    !isRealDeposit(deposit(), null),
+  'Deposit sent by another address is not the holder\'s to withdraw'
+);
+assert(!isRealDeposit(deposit({ withdrawn_at: new Date() }), agentHolder), 'Withdrawn row is not withdrawn twice');
+
+const usdcUnits = (value) => parseTokenAmount(value, 6);
+const pooledBalance = usdcUnits(3030);
+assert(
+  computeWithdrawShare(pooledBalance, [usdcUnits(1000)], { principal: usdcUnits(3000), openCount: 3, unreconciledCount: 0 }) === usdcUnits(1010),
+  'Open investment redeems its principal-weighted share of the pooled balance'
+);
+assert(
+  computeWithdrawShare(pooledBalance, [usdcUnits(1000), usdcUnits(1000)], { principal: usdcUnits(3000), openCount: 3, unreconciledCount: 1 }) ===
+    usdcUnits(2020),
+  'Batch redeems the sum of its shares'
+);
+assert(
+  computeWithdrawShare(pooledBalance, [usdcUnits(3000)], { principal: usdcUnits(3000), openCount: 1, unreconciledCount: 0 }) === ethers.MaxUint256,
+  'Last open investment of a fully reconciled pool redeems everything'
+);
+assert(
+  computeWithdrawShare(pooledBalance, [usdcUnits(2000)], { principal: usdcUnits(3000), openCount: 2, unreconciledCount: 1 }) === usdcUnits(2020),
+  'An unreconciled row in the pool keeps the exit to a share, never MaxUint256'
+);
+let zeroPoolError = null;
+try {
+  computeWithdrawShare(pooledBalance, [usdcUnits(1000)], { principal: 0n, openCount: 2, unreconciledCount: 1 });
+} catch (error) {
+  zeroPoolError = error;
+}
+assert(zeroPoolError?.message.includes('Pooled principal is zero'), 'Empty pooled principal refuses to size an exit');
+assert(
+  computeWithdrawShare(usdcUnits(100), [usdcUnits(1000)], { principal: usdcUnits(500), openCount: 2, unreconciledCount: 1 }) === usdcUnits(100),
+  'Share never exceeds the on-chain balance'
+);
+
+const redeemedSplit = splitRedeemed(usdcUnits(1000), [usdcUnits(333), usdcUnits(333), usdcUnits(334)]);
+assert(
+  redeemedSplit.reduce((sum, share) => sum + share, 0n) === usdcUnits(1000) && redeemedSplit[0] === usdcUnits(333),
+  'Batch redeemed amount splits by principal, the last taking the remainder'
+);
+assert(splitRedeemed(usdcUnits(5), [0n, 0n]).at(-1) === usdcUnits(5), 'Zero-principal batch books everything to the last row');
+
+const bookedProfit = bookWithdrawal({ principal: 1000, redeemed: 1050.456, priceUsd: 1, feePercent: 10 });
+assert(
+  bookedProfit.realized === 50.456 && bookedProfit.realizedUsd === 50.46 && bookedProfit.feeAmount === 5.05,
+  `Profit is realized and charged the fee ($${bookedProfit.feeAmount})`
+);
+const bookedLoss = bookWithdrawal({ principal: 1000, redeemed: 990, priceUsd: 1, feePercent: 10 });
+assert(bookedLoss.realizedUsd === -10 && bookedLoss.feeAmount === 0, 'Loss is realized without a fee');
+const bookedWeth = bookWithdrawal({ principal: 2, redeemed: 2.0035, priceUsd: 3000, feePercent: 10 });
+assert(
+  bookedWeth.realized === 0.0035 && bookedWeth.realizedUsd === 10.5 && bookedWeth.feeAmount === 1.05,
+  `WETH return keeps its precision and is credited and charged in USD ($${bookedWeth.realizedUsd})`
+);
+let unpricedBookingError = null;
+try {
+  bookWithdrawal({ principal: 2, redeemed: 2.0035, priceUsd: null, feePercent: 10 });
+} catch (error) {
+  unpricedBookingError = error;
+}
+assert(unpricedBookingError !== null, 'Withdrawal is not booked without a USD price');
+
+const unsettledPlan = planRebalance(
+  [rebalancePosition(1, 2, 'Compound', 3.5, 5000, 20, { withdrawable: false }), ...rebalancePositions.slice(1)],
+  rebalanceTargets,
+  { horizonDays: 30, gasCostUsd: rebalanceGas }
+);
+assert(
+  !unsettledPlan.moves.some((m) => m.investmentId === 1) && unsettledPlan.moves.some((m) => m.investmentId === 3),
+  'Rebalancer only moves positions it can withdraw'
+);
+
+console.log('\n✅ Withdrawals: Real Deposits, Pooled Shares and Booking Verified\n');
+
+// ============================================================================
+// TEST 24: Approval Decisions
+// ============================================================================
+testGroup('Approval Decisions');
+
+console.log('Deciding runs paused for approval and handing them back when the resume fails...\n');
+
+// One opportunity within tolerance takes all available funds, which needs approval
+const approvalMarket = async () => (await offlineMarket()).slice(0, 1);
+const approvalAgent = (onchain = offlineOnchain()) => buildCultiv8Agent({
+  checkpointer: new MemorySaver(),
+  models: 'rules',
+  marketData: approvalMarket,
+  onchain,
+});
+// agent_approvals stand-in: one row, claimed only while pending
+const approvalStore = () => {
+  const row = { id: 1, status: 'pending' };
+  return {
+    row,
+    released: [],
+    settled: [],
+    claim: async (status) => {
+      if (row.status !== 'pending') return null;
+      row.status = status;
+      return { ...row };
+    },
+    async release(status, error) {
+      row.status = status;
+      this.released.push({ status, error: error.message });
+    },
+    async settle(state) {
+      this.settled.push(state.execution);
+    },
+  };
+};
+const queueRun = async (agent, threadId) => {
+  const config = { configurable: { thread_id: threadId } };
+  const state = await agent.invoke({ ...offlineState(4000), mode: 'autonomous' }, config);
+  await agent.updateState(config, { safetyValidation: { valid: true, violations: [] } }, 'plan');
+  return state;
+};
+const approvalOwner = offlineState(4000).userAddress;
+
+const approveAgent = approvalAgent();
+const queued = await queueRun(approveAgent, 'agent-offline-approve');
+assert(
+  queued.humanApprovalRequired && !queued.execution &&
+    approvalReasons(queued).includes('Uses more than 50% of available funds'),
+  'Run using most of the funds is queued for approval with its reasons'
+);
+
+const approveStore = approvalStore();
+const approved = await applyApprovalDecision(
+  approveAgent,
+  { threadId: 'agent-offline-approve', userAddress: approvalOwner, decision: 'approve' },
+  approveStore
+);
+assert(
+  approved.approval.status === 'approved' && approved.state.execution?.status === 'confirmed' &&
+    approveStore.settled.length === 1 && approveStore.released.length === 0,
+  'Approved run resumes through execution and is settled'
+);
+assert(
+  approved.state.reasoning.some((step) => step.step === 'human_approval' && step.output.decision === 'approve'),
+  'Approval is recorded in the run\'s reasoning'
+);
+
+let secondDecisionError = null;
+try {
+  await applyApprovalDecision(
+    approveAgent,
+    { threadId: 'agent-offline-approve', userAddress: approvalOwner, decision: 'reject' },
+    approveStore
+  );
+} catch (error) {
+  secondDecisionError = error;
+}
+assert(secondDecisionError?.message.includes('no pending approval'), 'Decided run cannot be decided again');
+
+const rejectAgent = approvalAgent();
+await queueRun(rejectAgent, 'agent-offline-reject');
+const rejectStore = approvalStore();
+const rejected = await applyApprovalDecision(
+  rejectAgent,
+  { threadId: 'agent-offline-reject', userAddress: approvalOwner, decision: 'reject', note: 'Too concentrated' },
+  rejectStore
+);
+const rejectConfig = { configurable: { thread_id: 'agent-offline-reject' } };
+assert(
+  rejected.approval.status === 'rejected' && rejected.state.approval.decision === 'reject' &&
+    !rejected.state.execution && !(await isAwaitingExecution(rejectAgent, rejectConfig)),
+  'Rejected run is closed without executing'
+);
+assert(
+  rejectStore.settled.length === 0 && rejectStore.released.length === 0,
+  'Rejection is neither settled nor handed back'
+);
+
+// Resume fails before anything executes: the row and the run go back to pending
+const failingAgent = approvalAgent();
+await queueRun(failingAgent, 'agent-offline-resume-fails');
+const failingConfig = { configurable: { thread_id: 'agent-offline-resume-fails' } };
+const unreachable = Object.assign(Object.create(failingAgent), {
+  invoke: async () => {
+    throw new Error('RPC unavailable');
+  },
+});
+const failingStore = approvalStore();
+let resumeError = null;
+try {
+  await applyApprovalDecision(
+    unreachable,
+    { threadId: 'agent-offline-resume-fails', userAddress: approvalOwner, decision: 'approve' },
+    failingStore
+  );
+} catch (error) {
+  resumeError = error;
+}
+const restored = (await failingAgent.getState(failingConfig)).values;
+assert(
+  resumeError?.message === 'RPC unavailable' && failingStore.row.status === 'pending' &&
+    failingStore.released[0]?.status === 'pending',
+  'Failed resume hands the approval back as pending'
+);
+assert(
+  restored.humanApprovalRequired && restored.approval === null &&
+    !restored.reasoning.some((step) => step.step === 'human_approval'),
+  'Failed resume restores the paused run'
+);
+
+const redecided = await applyApprovalDecision(
+  failingAgent,
+  { threadId: 'agent-offline-resume-fails', userAddress: approvalOwner, decision: 'approve' },
+  failingStore
+);
+assert(
+  redecided.state.execution?.status === 'confirmed' && failingStore.settled.length === 1,
+  'Handed-back approval can be decided again'
+);
+
+// Settling fails once the agent has submitted: the row is marked failed, not pending
+const unsettledAgent = approvalAgent();
+await queueRun(unsettledAgent, 'agent-offline-settle-fails');
+const unsettledStore = approvalStore();
+unsettledStore.settle = async () => {
+  throw new Error('database unavailable');
+};
+let settleError = null;
+try {
+  await applyApprovalDecision(
+    unsettledAgent,
+    { threadId: 'agent-offline-settle-fails', userAddress: approvalOwner, decision: 'approve' },
+    unsettledStore
+  );
+} catch (error) {
+  settleError = error;
+}
+assert(
+  settleError?.message === 'database unavailable' && unsettledStore.row.status === 'failed',
+  'Failure after execution started marks the approval failed'
+);
+
+console.log('\n✅ Approvals: Queue, Resume, Reject and Hand-back Verified\n');
+
+// ============================================================================
+// TEST 25: Transaction Reconciliation
+// ============================================================================
+testGroup('Transaction Reconciliation');
+
+console.log('Classifying submitted transactions from stubbed RPC state...\n');
+
+// Provider stand-in: receipts and mempool entries by hash, mined nonces by sender
+// (test:reconciler runs the same classification against a Hardhat node)
+const reconcileSender = '0x2222222222222222222222222222222222222222';
+const stubProvider = ({ receipts = {}, mempool = {}, head = 100, minedNonce = 0 } = {}) => ({
+  getTransactionReceipt: async (hash) => receipts[hash] || null,
+  getBlock: async () => ({ number: head }),
+  getTransaction: async (hash) => mempool[hash] || null,
+  getTransactionCount: async () => minedNonce,
+});
+const minedReceipt = (status) => ({
+  from: reconcileSender, blockNumber: 98, status, gasUsed: 21000n, gasPrice: 2000000000n,
+});
+
+const reconciledConfirmed = await classifyTransaction(
+  stubProvider({ receipts: { '0xa1': minedReceipt(1) } }),
+  { hash: '0xa1', nonce: 4 }
+);
+assert(
+  reconciledConfirmed.outcome === TX_OUTCOMES.CONFIRMED && reconciledConfirmed.blockNumber === 98 &&
+    reconciledConfirmed.gasPaidWei === 42000000000000n,
+  'Mined transaction is confirmed with the gas it paid'
+);
+
+const reconciledShallow = await classifyTransaction(
+  stubProvider({ receipts: { '0xa1': minedReceipt(1) } }),
+  { hash: '0xa1' },
+  { minConfirmations: 5 }
+);
+assert(reconciledShallow.outcome === TX_OUTCOMES.PENDING, 'Receipt under the confirmation depth stays pending');
+
+const reconciledReverted = await classifyTransaction(
+  stubProvider({ receipts: { '0xa2': minedReceipt(0) } }),
+  { hash: '0xa2' }
+);
+assert(
+  reconciledReverted.outcome === TX_OUTCOMES.FAILED && reconciledReverted.reason.includes('reverted') &&
+    reconciledReverted.gasUsed === 21000n,
+  'Reverted transaction fails and still records gas'
+);
+
+const reconciledMempool = await classifyTransaction(
+  stubProvider({ mempool: { '0xa3': { from: reconcileSender, nonce: 7 } } }),
+  { hash: '0xa3' }
+);
+assert(
+  reconciledMempool.outcome === TX_OUTCOMES.PENDING && reconciledMempool.nonce === 7,
+  'Transaction in the mempool is pending with its nonce'
+);
+
+const reconcileNow = new Date('2026-03-01T12:00:00Z');
+const reconciledReplaced = await classifyTransaction(
+  stubProvider({ minedNonce: 8 }),
+  { hash: '0xa4', from: reconcileSender, nonce: 7, submittedAt: reconcileNow },
+  { now: reconcileNow }
+);
+assert(reconciledReplaced.outcome === TX_OUTCOMES.REPLACED, 'Unknown transaction whose nonce was mined is replaced');
+
+const reconciledRecent = await classifyTransaction(
+  stubProvider({ minedNonce: 7 }),
+  { hash: '0xa5', from: reconcileSender, nonce: 7, submittedAt: new Date('2026-03-01T11:50:00Z') },
+  { now: reconcileNow }
+);
+const reconciledDropped = await classifyTransaction(
+  stubProvider({ minedNonce: 7 }),
+  { hash: '0xa5', from: reconcileSender, nonce: 7, submittedAt: new Date('2026-03-01T11:00:00Z') },
+  { now: reconcileNow }
+);
+assert(
+  reconciledRecent.outcome === TX_OUTCOMES.PENDING && reconciledDropped.outcome === TX_OUTCOMES.DROPPED &&
+    reconciledDropped.reason.includes('60 minutes'),
+  'Unseen transaction is dropped only after the grace period'
+);
+
+console.log('\n✅ Reconciliation: Confirmed, Failed, Replaced and Dropped Verified\n');
+
 // ============================================================================
 // FINAL REPORT
 // ============================================================================
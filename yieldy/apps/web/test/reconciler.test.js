@@ -0,0 +1,218 @@
+/**
+ * Transaction Reconciliation Tests
+ * Runs classifyTransaction against a live Hardhat node:
+ *   npx hardhat node            (repo root)
+ *   npm run test:reconciler     (apps/web)
+ * Set HARDHAT_RPC_URL to point elsewhere. Skips if no node is reachable;
+ * npm test covers the same outcomes against a stubbed provider.
+ */
+
+import { ethers } from 'ethers';
+import { classifyTransaction, computeGasPaid, TX_OUTCOMES } from '../src/app/api/utils/txReconciliation.js';
+
+const RPC_URL = process.env.HARDHAT_RPC_URL || 'http://127.0.0.1:8545';
+
+// Hardhat default accounts #0 and #1
+const SENDER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const RECIPIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+// Init code that reverts immediately (PUSH1 0 PUSH1 0 REVERT)
+const REVERTING_INIT_CODE = '0x60006000fd';
+
+console.log('\n╔════════════════════════════════════════════════════════════╗');
+console.log('║          CULTIV8 TX RECONCILIATION TEST SUITE            ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+const failures = [];
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+    return true;
+  } else {
+    testsFailed++;
+    failures.push(message);
+    console.log(`  ✗ FAIL: ${message}`);
+    return false;
+  }
+}
+
+function testGroup(name) {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`TEST GROUP: ${name}`);
+  console.log('='.repeat(60) + '\n');
+}
+
+const provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+
+try {
+  const { chainId } = await provider.getNetwork();
+  console.log(`Connected to ${RPC_URL} (chainId ${chainId})`);
+} catch (error) {
+  console.log(`  ⚠ No Hardhat node at ${RPC_URL}, skipping reconciliation tests\n`);
+  process.exit(0);
+}
+
+const wallet = new ethers.Wallet(SENDER_KEY, provider);
+
+// ethers reuses identical RPC results for ~250ms; let them expire after each chain change
+const settle = () => new Promise((resolve) => setTimeout(resolve, 300));
+const mine = async () => {
+  await provider.send('evm_mine', []);
+  await settle();
+};
+
+// Manual mining lets us observe transactions while they sit in the mempool
+await provider.send('evm_setAutomine', [false]);
+
+try {
+  // ==========================================================================
+  // TEST 1: Confirmed transaction records gas actually paid
+  // ==========================================================================
+  testGroup('Confirmed Transaction');
+
+  const balanceBefore = await provider.getBalance(wallet.address);
+  const value = ethers.parseEther('1');
+  const sent = await wallet.sendTransaction({ to: RECIPIENT, value });
+
+  const whilePending = await classifyTransaction(provider, { hash: sent.hash });
+  assert(whilePending.outcome === TX_OUTCOMES.PENDING, 'Unmined transaction is pending');
+  assert(whilePending.nonce === sent.nonce, 'Pending result captures sender nonce');
+  assert(
+    whilePending.from?.toLowerCase() === wallet.address.toLowerCase(),
+    'Pending result captures sender address'
+  );
+
+  await mine();
+
+  const confirmed = await classifyTransaction(provider, { hash: sent.hash });
+  const balanceAfter = await provider.getBalance(wallet.address);
+
+  assert(confirmed.outcome === TX_OUTCOMES.CONFIRMED, 'Mined transaction is confirmed');
+  assert(confirmed.blockNumber > 0, 'Confirmed result includes block number');
+  assert(confirmed.gasUsed === 21000n, 'Plain transfer used 21000 gas');
+  assert(
+    confirmed.gasPaidWei === confirmed.gasUsed * confirmed.effectiveGasPrice,
+    'Gas paid equals gasUsed * effectiveGasPrice'
+  );
+  assert(
+    balanceBefore - balanceAfter === value + confirmed.gasPaidWei,
+    'Gas paid matches the sender balance change'
+  );
+
+  const deep = await classifyTransaction(provider, { hash: sent.hash }, { minConfirmations: 3 });
+  assert(deep.outcome === TX_OUTCOMES.PENDING, 'Waits for required confirmations');
+
+  // ==========================================================================
+  // TEST 2: Reverted transaction is failed
+  // ==========================================================================
+  testGroup('Reverted Transaction');
+
+  const reverting = await wallet.sendTransaction({ data: REVERTING_INIT_CODE, gasLimit: 100000 });
+  await mine();
+
+  const failed = await classifyTransaction(provider, { hash: reverting.hash });
+  assert(failed.outcome === TX_OUTCOMES.FAILED, 'Reverted transaction is failed');
+  assert(failed.gasPaidWei > 0n, 'Reverted transaction still records gas paid');
+  assert(!!failed.reason, 'Failure carries a reason');
+
+  // ==========================================================================
+  // TEST 3: Replaced transaction (same nonce, higher fee)
+  // ==========================================================================
+  testGroup('Replaced Transaction');
+
+  const nonce = await provider.getTransactionCount(wallet.address, 'pending');
+  const fee = (await provider.getFeeData()).maxFeePerGas;
+
+  const original = await wallet.sendTransaction({
+    to: RECIPIENT,
+    value: 1n,
+    nonce,
+    maxFeePerGas: fee,
+    maxPriorityFeePerGas: 1n,
+  });
+  const seen = await classifyTransaction(provider, { hash: original.hash });
+
+  await wallet.sendTransaction({
+    to: RECIPIENT,
+    value: 2n,
+    nonce,
+    maxFeePerGas: fee * 2n,
+    maxPriorityFeePerGas: fee,
+  });
+  await mine();
+
+  const replaced = await classifyTransaction(provider, {
+    hash: original.hash,
+    from: seen.from,
+    nonce: seen.nonce,
+  });
+  assert(replaced.outcome === TX_OUTCOMES.REPLACED, 'Nonce reused by another transaction is replaced');
+
+  const unknownSender = await classifyTransaction(provider, { hash: original.hash });
+  assert(
+    unknownSender.outcome === TX_OUTCOMES.PENDING,
+    'Without a known nonce it stays pending inside the grace period'
+  );
+
+  // ==========================================================================
+  // TEST 4: Dropped transaction
+  // ==========================================================================
+  testGroup('Dropped Transaction');
+
+  const doomed = await wallet.sendTransaction({ to: RECIPIENT, value: 3n });
+  const submittedAt = new Date();
+  const doomedSeen = await classifyTransaction(provider, { hash: doomed.hash });
+  await provider.send('hardhat_dropTransaction', [doomed.hash]);
+  await settle();
+
+  const submitted = { hash: doomed.hash, from: doomedSeen.from, nonce: doomedSeen.nonce, submittedAt };
+
+  const early = await classifyTransaction(provider, submitted, { now: submittedAt });
+  assert(early.outcome === TX_OUTCOMES.PENDING, 'Missing transaction is pending within the grace period');
+
+  const late = await classifyTransaction(provider, submitted, {
+    dropAfterMinutes: 30,
+    now: new Date(submittedAt.getTime() + 31 * 60000),
+  });
+  assert(late.outcome === TX_OUTCOMES.DROPPED, 'Missing transaction is dropped after the grace period');
+
+  // ==========================================================================
+  // TEST 5: Gas math on receipt shapes
+  // ==========================================================================
+  testGroup('Gas Paid Calculation');
+
+  const gas = computeGasPaid({ gasUsed: 50000n, gasPrice: 2000000000n });
+  assert(gas.gasPaidWei === 100000000000000n, '50k gas at 2 gwei = 0.0001 ETH');
+
+  const legacy = computeGasPaid({ gasUsed: '21000', effectiveGasPrice: '1000000000' });
+  assert(legacy.gasPaidWei === 21000000000000n, 'Accepts effectiveGasPrice and string values');
+} finally {
+  await provider.send('evm_setAutomine', [true]);
+  provider.destroy();
+}
+
+// ============================================================================
+// FINAL REPORT
+// ============================================================================
+console.log('\n' + '='.repeat(60));
+console.log('RECONCILIATION TEST RESULTS');
+console.log('='.repeat(60) + '\n');
+
+console.log(`  Tests Passed: ${testsPassed}`);
+console.log(`  Tests Failed: ${testsFailed}\n`);
+
+if (testsFailed > 0) {
+  console.log('  ❌ FAILURES:\n');
+  failures.forEach((failure, index) => {
+    console.log(`    ${index + 1}. ${failure}`);
+  });
+  console.log();
+  process.exit(1);
+} else {
+  console.log('  🎉 ALL RECONCILIATION TESTS PASSED!\n');
+  process.exit(0);
+}